@@ -0,0 +1,158 @@
+/**
+ * =====================================================
+ * adjustments.js - ปรับราคาตาม Split / เงินปันผล (?adjust=)
+ * =====================================================
+ *
+ * **ราคาที่ Provider ส่งมา:**
+ * Yahoo (ทั้ง Library และ Direct) และ TwelveData ส่งราคา OHLC ที่ "ปรับ Split แล้ว" เป็นค่าเริ่มต้น
+ * แต่ยังไม่ปรับเงินปันผล (Yahoo ให้ adjClose แยกมา, TwelveData ไม่มี)
+ * ดังนั้นแท่งใน Cache คือฐาน 'split' และไฟล์นี้แปลงไปยังฐานอื่น:
+ *
+ *   - none  : ราคาจริงที่ซื้อขายในวันนั้น → คูณกลับด้วยอัตรา Split ที่เกิดหลังแท่งนั้น
+ *   - split : ค่าเริ่มต้น (พฤติกรรมเดิม) ราคาต่อเนื่องข้าม Split ใช้กับ SMA200 ได้
+ *   - total : Total Return → ปรับเงินปันผลด้วย (ใช้ adjClose / close ถ้ามีครบ
+ *             ไม่งั้นคำนวณจากเหตุการณ์ปันผลเอง)
+ *
+ * **Adjustment Factor:**
+ * factor ของแท่งหนึ่ง = ผลคูณของทุกเหตุการณ์ที่เกิด "หลัง" แท่งนั้น
+ * - Split 4:1 → ราคาก่อนหน้าหาร 4 (ฐาน split) ดังนั้นราคาจริง = ราคา split × 4
+ * - ปันผล D บาท วัน XD → ราคาก่อนหน้าคูณ (1 - D / ราคาปิดวันก่อน XD)
+ */
+
+export const ADJUST_MODES = ['none', 'split', 'total'];
+export const DEFAULT_ADJUST = 'split';
+
+/**
+ * parseAdjustParam - ตีความ query ?adjust=
+ * @param {string} raw - 'none' | 'split' | 'total' (ว่าง = 'split')
+ * @returns {string}
+ * @throws {Error} - ถ้าไม่รู้จักค่า
+ */
+export const parseAdjustParam = (raw) => {
+  if (!raw) return DEFAULT_ADJUST;
+  const mode = String(raw).trim().toLowerCase();
+  if (!ADJUST_MODES.includes(mode)) {
+    throw new Error(`Unknown adjust: ${raw}. Allowed: ${ADJUST_MODES.join(', ')}.`);
+  }
+  return mode;
+};
+
+// วันที่ของเหตุการณ์: Yahoo Direct ให้ Unix seconds, yahoo-finance2 ให้ Date
+const toEventDate = (value) => (value instanceof Date ? value : new Date(Number(value) * 1000));
+
+/**
+ * parseCorporateEvents - แปลง events จาก Yahoo Chart API (events=div|split)
+ * @param {object} rawResult - result จาก fetchYahooDirectRaw หรือ yahooFinance.chart
+ * @returns {{ splits: Array<{date: string, ratio: number}>, dividends: Array<{date: string, amount: number}> }}
+ *   date เป็น ISO String เพื่อให้เก็บลง Cache (JSON) ได้ตรง ๆ
+ */
+export const parseCorporateEvents = (rawResult) => {
+  const events = rawResult?.events || {};
+  const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+
+  const splits = Object.values(events.splits || {})
+    .map((s) => ({
+      date: toEventDate(s.date),
+      ratio: Number(s.numerator) / Number(s.denominator), // เช่น 4:1 → 4
+    }))
+    .filter((s) => !Number.isNaN(s.date.getTime()) && Number.isFinite(s.ratio) && s.ratio > 0 && s.ratio !== 1)
+    .map((s) => ({ ...s, date: s.date.toISOString() }))
+    .sort(byDate);
+
+  const dividends = Object.values(events.dividends || {})
+    .map((d) => ({ date: toEventDate(d.date), amount: Number(d.amount) }))
+    .filter((d) => !Number.isNaN(d.date.getTime()) && Number.isFinite(d.amount) && d.amount > 0)
+    .map((d) => ({ ...d, date: d.date.toISOString() }))
+    .sort(byDate);
+
+  return { splits, dividends };
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// เทียบกันเป็น "วัน" (UTC) ไม่ใช่เวลา: เหตุการณ์มีเวลาเปิดตลาด แต่แท่งรายวันอาจถูกปักไว้ที่ 00:00 UTC
+const dayOf = (value) => Math.floor(new Date(value).getTime() / MS_PER_DAY);
+
+// ผลคูณของอัตรา Split ที่เกิดหลังวันของแท่ง (แท่งในวัน Split เป็นราคาหลัง Split แล้ว)
+const splitFactorAfter = (splits, day) =>
+  splits.reduce((factor, s) => (dayOf(s.date) > day ? factor * s.ratio : factor), 1);
+
+// คูณราคา OHLC ด้วย factor (null คงเป็น null)
+const scalePrices = (bar, factor) => {
+  const scale = (v) => (v === null || v === undefined ? null : v * factor);
+  return { ...bar, open: scale(bar.open), high: scale(bar.high), low: scale(bar.low), close: scale(bar.close) };
+};
+
+/**
+ * buildDividendFactors - คำนวณ factor ปันผลสะสมของทุกแท่ง (ฐาน split)
+ * เดินจากใหม่ → เก่า: ผ่านวัน XD หนึ่งครั้ง คูณ (1 - D / ราคาปิดแท่งก่อน XD) เข้าไปใน factor
+ * @param {Array} bars - แท่งฐาน split เรียงเก่า → ใหม่
+ * @param {Array} dividends - จาก parseCorporateEvents
+ * @returns {Array<number>} - factor ต่อแท่ง (index เดียวกับ bars)
+ */
+const buildDividendFactors = (bars, dividends) => {
+  const factors = new Array(bars.length).fill(1);
+  let factor = 1;
+  let divIdx = dividends.length - 1;
+
+  for (let i = bars.length - 1; i >= 0; i -= 1) {
+    factors[i] = factor;
+    const day = dayOf(bars[i].date);
+    // ปันผลที่ XD ตรงกับวันของแท่ง i แต่หลังวันของแท่ง i-1 → มีผลกับแท่ง i-1 ลงไป
+    const prevDay = i > 0 ? dayOf(bars[i - 1].date) : -Infinity;
+    // ปันผลหลังแท่งสุดท้ายไม่มีราคาปิดให้คำนวณ → ข้าม (ซีรีส์อิงราคาของแท่งสุดท้ายในช่วง)
+    while (divIdx >= 0 && dayOf(dividends[divIdx].date) > day) divIdx -= 1;
+    while (divIdx >= 0 && dayOf(dividends[divIdx].date) > prevDay) {
+      const prevClose = i > 0 ? bars[i - 1].close : null;
+      if (prevClose) factor *= 1 - dividends[divIdx].amount / prevClose;
+      divIdx -= 1;
+    }
+  }
+  return factors;
+};
+
+/**
+ * adjustBars - แปลงแท่งฐาน split ไปยังฐานที่ขอ
+ * @param {Array} bars - แท่งราคามาตรฐาน (ฐาน split) เรียงเก่า → ใหม่
+ * @param {string} mode - 'none' | 'split' | 'total'
+ * @param {object|null} events - จาก parseCorporateEvents (null = ไม่มีข้อมูลเหตุการณ์)
+ * @returns {{ bars: Array, adjust: string }} - adjust = ฐานที่ใช้จริง
+ *   (ถ้าไม่มีข้อมูลเหตุการณ์ที่จำเป็น จะคืนฐาน 'split' ตามเดิม ให้ Client รู้จาก adjust)
+ */
+export const adjustBars = (bars, mode, events) => {
+  if (mode === 'split') return { bars, adjust: 'split' };
+
+  if (mode === 'none') {
+    if (!events) return { bars, adjust: 'split' };
+    if (!events.splits.length) return { bars, adjust: 'none' };
+    return {
+      adjust: 'none',
+      bars: bars.map((bar) => {
+        const factor = splitFactorAfter(events.splits, dayOf(bar.date));
+        if (factor === 1) return bar;
+        const scaled = scalePrices(bar, factor);
+        // จำนวนหุ้นก่อน Split น้อยกว่า → หารกลับ
+        return { ...scaled, volume: bar.volume === null ? null : Math.round(bar.volume / factor) };
+      }),
+    };
+  }
+
+  // total: ใช้ adjClose ของ Provider ถ้ามีครบทุกแท่ง (แม่นกว่าคำนวณเอง)
+  const hasAdjClose = bars.length > 0 && bars.every((b) => typeof b.adjClose === 'number' && b.close);
+  if (hasAdjClose) {
+    return {
+      adjust: 'total',
+      bars: bars.map((bar) => ({ ...scalePrices(bar, bar.adjClose / bar.close), adjClose: bar.adjClose })),
+    };
+  }
+  if (!events) return { bars, adjust: 'split' };
+
+  const factors = buildDividendFactors(bars, events.dividends);
+  return {
+    adjust: 'total',
+    bars: bars.map((bar, i) => {
+      const scaled = scalePrices(bar, factors[i]);
+      return { ...scaled, adjClose: scaled.close };
+    }),
+  };
+};
@@ -0,0 +1,212 @@
+/**
+ * =====================================================
+ * barStore.js - คลังแท่งราคารายวันต่อ Symbol (ดึงเฉพาะช่วงที่ขาด)
+ * =====================================================
+ *
+ * เดิม Cache key = ช่วงวันที่ที่ขอ → ขอ 3 เดือนแล้วขอ 1 ปี ต้องดึงใหม่ทั้งหมด
+ * และทุกปุ่ม Preset สร้าง Entry ใหม่ที่ข้อมูลซ้ำกัน
+ *
+ * คลังนี้เก็บ 1 รายการต่อ (Symbol, Interval):
+ *
+ *   { currency, provider, spans: [['2024-01-01', '2024-12-31'], ...], bars: [...], liveFetchedAt, createdAt, updatedAt }
+ *
+ * - spans: ช่วงวันที่ (UTC, รวมปลาย) ที่เคยดึงครบแล้ว → ขอช่วงไหนก็ดึงเฉพาะส่วนที่ไม่อยู่ใน spans
+ * - แท่งของวันที่ผ่านไปแล้วถือว่าปิดแล้ว (ไม่เปลี่ยน) → spans บันทึกถึงเมื่อวานเท่านั้น
+ * - แท่งของวันนี้ยังเปลี่ยนได้ → ดึงใหม่เมื่อเกิน liveTtlMs
+ * - คลังที่สร้างมานานเกิน maxAgeMs ถูกทิ้งแล้วดึงใหม่ทั้งหมด (Split ทำให้ราคาฐาน split ย้อนหลังเปลี่ยน)
+ * - ขาดแค่แท่งวันนี้ (และมีแท่งเดิมอยู่) → ตอบของเดิมทันที (STALE) แล้วดึงแท่งวันนี้เบื้องหลัง
+ * - ช่วงก่อนแท่งแรกที่ Provider ตอบว่าว่าง (404) ถือว่าครบ → ขอย้อนเกินวันเข้าตลาดยังได้แท่งที่มี
+ * - การดึงของ Symbol เดียวกันทำทีละครั้ง: Request ที่มาระหว่างดึงรอผลเดียวกันแทนการยิง Provider ซ้ำ
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ดึงย้อนเผื่อก่อนช่วงที่ขาด: Provider ส่วนใหญ่ throw เมื่อช่วงนั้นไม่มีแท่งเลย (เสาร์-อาทิตย์/วันหยุด)
+const GAP_PAD_DAYS = 7;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const dayToDate = (day) => new Date(`${day}T00:00:00.000Z`);
+const addDays = (day, n) => toDay(new Date(dayToDate(day).getTime() + n * MS_PER_DAY));
+
+/**
+ * addSpan - รวมช่วง [start, end] เข้ากับ spans (ช่วงที่ซ้อนหรือติดกันถูกรวมเป็นช่วงเดียว)
+ * @returns {Array<[string, string]>} - spans ใหม่ เรียงตามวันที่
+ */
+export const addSpan = (spans, start, end) => {
+  if (start > end) return spans;
+  const sorted = [...spans, [start, end]].sort((a, b) => a[0].localeCompare(b[0]));
+  const merged = [];
+  for (const [s, e] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && s <= addDays(last[1], 1)) {
+      if (e > last[1]) last[1] = e;
+    } else {
+      merged.push([s, e]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * missingSpans - ส่วนของ [start, end] ที่ยังไม่อยู่ใน spans
+ * @returns {Array<[string, string]>}
+ */
+export const missingSpans = (spans, start, end) => {
+  const gaps = [];
+  let cursor = start;
+  for (const [s, e] of spans) {
+    if (e < cursor) continue;
+    if (s > end) break;
+    if (s > cursor) gaps.push([cursor, addDays(s, -1)]);
+    cursor = addDays(e, 1);
+    if (cursor > end) break;
+  }
+  if (cursor <= end) gaps.push([cursor, end]);
+  return gaps;
+};
+
+// แท่งใหม่ทับแท่งเดิมของวันเดียวกัน (เทียบวันที่ UTC ไม่ใช่เวลา: Provider แต่ละตัวอาจประทับเวลาไม่เหมือนกัน)
+export const mergeBars = (existing, incoming) => {
+  const byDay = new Map(existing.map((bar) => [bar.date.slice(0, 10), bar]));
+  for (const bar of incoming) byDay.set(bar.date.slice(0, 10), bar);
+  return [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * createBarStore
+ * @param {object} options
+ * @param {object} options.cache - cacheManager (get/set)
+ * @param {number} options.liveTtlMs - อายุของแท่งวันนี้ก่อนดึงใหม่
+ * @param {number} options.maxAgeMs - อายุสูงสุดของคลัง (นับจากการดึงครั้งแรก)
+ */
+export const createBarStore = ({ cache, liveTtlMs, maxAgeMs }) => {
+  const locks = new Map(); // key → Promise ของการดึงล่าสุด (ต่อคิวกันทีละ Symbol)
+
+  const withLock = (key, task) => {
+    const run = (locks.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    locks.set(key, run);
+    run.catch(() => {}).finally(() => {
+      if (locks.get(key) === run) locks.delete(key);
+    });
+    return run;
+  };
+
+  const readStore = (key) => {
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.createdAt < maxAgeMs) return cached;
+    const now = Date.now();
+    return { currency: null, provider: null, spans: [], bars: [], liveFetchedAt: 0, createdAt: now, updatedAt: now };
+  };
+
+  // ช่วงที่ต้องดึงจริง (ช่วงที่ขาดเหลือแค่ "วันนี้" และเพิ่งดึงไป → ใช้ของเดิม)
+  const pendingSpans = (stored, start, end, today) => {
+    const liveIsFresh = Date.now() - stored.liveFetchedAt < liveTtlMs;
+    return missingSpans(stored.spans, start, end).filter(([s]) => !(s === today && liveIsFresh));
+  };
+
+  const fillGaps = async (key, symbol, interval, stored, pending, today, fetchRange) => {
+    let next = stored;
+    let rangeClamped = false;
+    for (const [gapStart, gapEnd] of pending) {
+      const from = dayToDate(addDays(gapStart, -GAP_PAD_DAYS));
+      const to = new Date(dayToDate(gapEnd).getTime() + MS_PER_DAY - 1);
+      let result;
+      try {
+        result = await fetchRange(from, to);
+      } catch (error) {
+        // ดึงแท่งวันนี้ไม่ได้ แต่มีข้อมูลเดิม → ใช้ของเดิมไปก่อน
+        if (gapStart === today && stored.bars.length > 0) {
+          console.warn(`[BarStore] Live refresh failed for ${symbol}: ${error.message}. Serving stored bars.`);
+          continue;
+        }
+        // ช่วงก่อนแท่งแรกที่มีว่างเปล่า (ก่อนวันเข้าตลาด) → บันทึกว่าครบแล้ว ไม่ต้องถามซ้ำ
+        if (error.status === 404 && next.bars.length > 0 && gapEnd < toDay(new Date(next.bars[0].date))) {
+          next = { ...next, spans: addSpan(next.spans, gapStart, gapEnd), updatedAt: Date.now() };
+          continue;
+        }
+        throw error;
+      }
+
+      rangeClamped = rangeClamped || Boolean(result.rangeClamped);
+      // วันที่ปิดแล้วเท่านั้นที่นับว่า "มีครบ" (ไม่รวมวันนี้)
+      const closedEnd = gapEnd < today ? gapEnd : addDays(today, -1);
+      next = {
+        currency: result.currency || next.currency,
+        provider: result.provider,
+        spans: addSpan(next.spans, gapStart, closedEnd),
+        bars: mergeBars(next.bars, result.history),
+        liveFetchedAt: gapEnd >= today ? Date.now() : next.liveFetchedAt,
+        createdAt: next.createdAt,
+        updatedAt: Date.now(),
+      };
+    }
+
+    if (next !== stored) {
+      cache.set(key, next);
+      console.log(`[BarStore] ${symbol} ${interval}: fetched ${pending.length} gap(s), ${next.bars.length} bars stored.`);
+    }
+    return { next, rangeClamped };
+  };
+
+  return {
+    /**
+     * getRange - แท่งในช่วง [period1, period2] ดึงจาก Provider เฉพาะช่วงที่ยังไม่มี
+     * @param {string} symbol
+     * @param {string} interval - '1d'
+     * @param {Date} period1
+     * @param {Date} period2
+     * @param {Function} fetchRange - (from: Date, to: Date) => Promise<{ history, currency, rangeClamped, provider }>
+     * @returns {Promise<{ history, currency, rangeClamped, provider, fetchedSpans, state, ageMs }>}
+     *   state: HIT (มีครบ), STALE (ตอบของเดิม กำลังดึงแท่งวันนี้เบื้องหลัง), MISS (เพิ่งดึงช่วงที่ขาด)
+     */
+    async getRange(symbol, interval, period1, period2, fetchRange) {
+      const key = `barstore_${symbol}_${interval}`;
+      const today = toDay(new Date());
+      const start = toDay(period1);
+      const end = toDay(period2) > today ? today : toDay(period2);
+
+      const respond = (store, state, rangeClamped = false, fetchedSpans = []) => {
+        const fromTime = period1.getTime();
+        const toTime = period2.getTime();
+        const history = store.bars.filter((bar) => {
+          const time = new Date(bar.date).getTime();
+          return time >= fromTime && time <= toTime;
+        });
+        return {
+          history,
+          currency: store.currency,
+          rangeClamped,
+          provider: store.provider,
+          fetchedSpans,
+          state,
+          ageMs: state === 'MISS' ? 0 : Date.now() - (store.updatedAt || store.createdAt),
+        };
+      };
+
+      const stored = readStore(key);
+      const pending = pendingSpans(stored, start, end, today);
+      if (pending.length === 0) return respond(stored, 'HIT');
+
+      // ขาดแค่แท่งวันนี้ → ตอบของเดิมก่อน แล้วดึงเบื้องหลัง (ถ้ายังไม่มีใครดึงอยู่)
+      if (stored.bars.length > 0 && pending.every(([s]) => s === today)) {
+        if (!locks.has(key)) {
+          withLock(key, () => {
+            const latest = readStore(key);
+            const due = pendingSpans(latest, start, end, today);
+            return due.length ? fillGaps(key, symbol, interval, latest, due, today, fetchRange) : null;
+          }).catch((error) => console.warn(`[BarStore] Background refresh failed for ${symbol}: ${error.message}`));
+        }
+        return respond(stored, 'STALE');
+      }
+
+      return withLock(key, async () => {
+        // Request ก่อนหน้าอาจดึงช่วงนี้ไปแล้วระหว่างรอคิว
+        const latest = readStore(key);
+        const due = pendingSpans(latest, start, end, today);
+        if (due.length === 0) return respond(latest, 'HIT');
+        const { next, rangeClamped } = await fillGaps(key, symbol, interval, latest, due, today, fetchRange);
+        return respond(next, 'MISS', rangeClamped, due);
+      });
+    },
+  };
+};
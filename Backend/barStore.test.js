@@ -0,0 +1,133 @@
+/**
+ * =====================================================
+ * Backend/barStore.test.js - ทดสอบช่วงวันที่ การรวมแท่ง และการดึงเฉพาะช่วงที่ขาดของ barStore (npm test)
+ * =====================================================
+ *
+ * ใช้ Cache ใน Map และ fetchRange ปลอม (ช่วงวันที่ในอดีตทั้งหมด → ไม่เกี่ยวกับแท่งของวันนี้)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { addSpan, missingSpans, mergeBars, createBarStore } from './barStore.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+const endOfDay = (iso) => new Date(`${iso}T23:59:59.999Z`);
+
+// แท่งวันทำการ (จ.-ศ.) ในช่วง [from, to], time = เวลาที่ Provider ประทับ
+const weekdayBars = (from, to, time = '00:00:00.000') => {
+  const bars = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += MS_PER_DAY) {
+    const date = new Date(t);
+    if (date.getUTCDay() === 0 || date.getUTCDay() === 6) continue;
+    const iso = date.toISOString().slice(0, 10);
+    bars.push({ date: `${iso}T${time}Z`, close: 100 + bars.length, volume: 1000 });
+  }
+  return bars;
+};
+
+const createStore = () => {
+  const entries = new Map();
+  const cache = { get: (key) => entries.get(key) ?? null, set: (key, value) => entries.set(key, value) };
+  return { entries, store: createBarStore({ cache, liveTtlMs: 5 * 60 * 1000, maxAgeMs: 7 * MS_PER_DAY }) };
+};
+
+describe('spans', () => {
+  test('addSpan merges overlapping and adjacent spans', () => {
+    let spans = addSpan([], '2024-01-10', '2024-01-20');
+    spans = addSpan(spans, '2024-02-01', '2024-02-10');
+    assert.deepEqual(spans, [['2024-01-10', '2024-01-20'], ['2024-02-01', '2024-02-10']]);
+    assert.deepEqual(addSpan(spans, '2024-01-21', '2024-01-31'), [['2024-01-10', '2024-02-10']]);
+    assert.deepEqual(addSpan(spans, '2024-01-15', '2024-01-05'), spans); // start > end ไม่เปลี่ยน
+  });
+
+  test('missingSpans returns only the uncovered parts of a range', () => {
+    const spans = [['2024-01-10', '2024-01-20'], ['2024-02-01', '2024-02-10']];
+    assert.deepEqual(missingSpans(spans, '2024-01-01', '2024-02-15'), [
+      ['2024-01-01', '2024-01-09'],
+      ['2024-01-21', '2024-01-31'],
+      ['2024-02-11', '2024-02-15'],
+    ]);
+    assert.deepEqual(missingSpans(spans, '2024-01-12', '2024-01-18'), []);
+  });
+});
+
+describe('mergeBars', () => {
+  test('keys bars by UTC day and lets the newer fetch win', () => {
+    const pinned = [{ date: '2024-03-04T00:00:00.000Z', close: 1 }, { date: '2024-03-05T00:00:00.000Z', close: 2 }];
+    const session = [{ date: '2024-03-05T14:30:00.000Z', close: 3 }, { date: '2024-03-06T14:30:00.000Z', close: 4 }];
+    assert.deepEqual(mergeBars(pinned, session).map((bar) => [bar.date.slice(0, 10), bar.close]), [
+      ['2024-03-04', 1],
+      ['2024-03-05', 3],
+      ['2024-03-06', 4],
+    ]);
+  });
+});
+
+describe('createBarStore', () => {
+  test('overlapping fetches with mixed timestamps store each day once', async () => {
+    const { store } = createStore();
+    const fetches = [];
+    // ครั้งแรกได้แท่งที่ปักไว้ 00:00Z (yahoo), ครั้งถัดไปได้เวลาเปิดตลาด (Provider สำรอง)
+    const fetchRange = async (from, to) => {
+      fetches.push([from, to]);
+      const time = fetches.length === 1 ? '00:00:00.000' : '14:30:00.000';
+      return { history: weekdayBars(from, to, time), currency: 'USD', provider: 'test' };
+    };
+
+    await store.getRange('AAPL', '1d', day('2024-03-01'), day('2024-03-31'), fetchRange);
+    const { history, state } = await store.getRange('AAPL', '1d', day('2024-02-01'), endOfDay('2024-04-30'), fetchRange);
+
+    const days = history.map((bar) => bar.date.slice(0, 10));
+    assert.equal(state, 'MISS');
+    assert.equal(new Set(days).size, days.length);
+    assert.equal(days.length, weekdayBars(day('2024-02-01'), day('2024-04-30')).length);
+  });
+
+  test('only missing spans are fetched and a covered range is a HIT', async () => {
+    const { store } = createStore();
+    const fetches = [];
+    const fetchRange = async (from, to) => {
+      fetches.push([from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)]);
+      return { history: weekdayBars(from, to), currency: 'THB', provider: 'test' };
+    };
+
+    await store.getRange('PTT.BK', '1d', day('2024-03-01'), day('2024-03-31'), fetchRange);
+    await store.getRange('PTT.BK', '1d', day('2024-03-01'), day('2024-04-15'), fetchRange);
+    const again = await store.getRange('PTT.BK', '1d', day('2024-03-10'), day('2024-04-10'), fetchRange);
+
+    assert.equal(again.state, 'HIT');
+    assert.equal(fetches.length, 2);
+    // ช่วงที่สองเริ่มหลังช่วงแรก (บวกวันเผื่อ GAP_PAD_DAYS ย้อนหลัง)
+    assert.ok(fetches[1][0] > '2024-03-01' && fetches[1][0] < '2024-04-01');
+  });
+
+  test('an empty (404) gap before the first stored bar is recorded as covered', async () => {
+    const { store } = createStore();
+    const listed = day('2023-06-01');
+    let calls = 0;
+    const fetchRange = async (from, to) => {
+      calls += 1;
+      const history = weekdayBars(from < listed ? listed : from, to);
+      if (!history.length) throw Object.assign(new Error('Empty history'), { status: 404 });
+      return { history, currency: 'THB', provider: 'test' };
+    };
+
+    const short = await store.getRange('NEW.BK', '1d', day('2023-09-01'), day('2024-03-29'), fetchRange);
+    const long = await store.getRange('NEW.BK', '1d', day('2020-01-01'), day('2024-03-29'), fetchRange);
+    assert.ok(long.history.length > short.history.length);
+    assert.equal(long.history[0].date, '2023-06-01T00:00:00.000Z');
+
+    const again = await store.getRange('NEW.BK', '1d', day('2020-01-01'), day('2024-03-29'), fetchRange);
+    assert.equal(again.state, 'HIT');
+    assert.equal(calls, 2);
+  });
+
+  test('other provider errors are still thrown', async () => {
+    const { store } = createStore();
+    const failing = async () => {
+      throw Object.assign(new Error('upstream down'), { status: 503 });
+    };
+    await assert.rejects(store.getRange('AAPL', '1d', day('2024-01-01'), day('2024-01-31'), failing), /upstream down/);
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * =====================================================
+ * cacheStore.js - Cache 2 ชั้น: LRU ในหน่วยความจำ + Append-only Log บนดิสก์
+ * =====================================================
+ *
+ * แทน stock_data_cache.json เดิมที่เขียนทั้งไฟล์แบบ Sync ทุกครั้งที่ set()/หมดอายุ
+ * (ไฟล์โตไม่หยุด และบล็อก Event Loop)
+ *
+ * **ชั้นที่ 1 - Memory (LRU):**
+ * - จำกัดทั้งจำนวนรายการ (maxEntries) และขนาดรวมโดยประมาณ (maxBytes, วัดจาก JSON)
+ * - เกินเมื่อไร → ไล่รายการที่ไม่ได้ใช้นานที่สุดออกก่อน
+ * - รายการหมดอายุถูกกวาดทิ้งเป็นระยะ (ไม่ต้องรอให้มีคน get)
+ *
+ * **ชั้นที่ 2 - Disk (Append-only, ไม่บังคับ):**
+ * - ทุก set/delete ต่อท้ายไฟล์ .jsonl 1 บรรทัด: { k, t, d } หรือ { k, del: 1 }
+ * - เขียนแบบ Async เป็นชุด (ทุก flushIntervalMs) → ไม่บล็อก Request
+ * - ตอนเริ่ม: อ่าน Log ย้อนสร้าง Cache แล้วบีบอัดไฟล์ (Compact) ถ้ามีบรรทัดเก่าค้างเยอะ
+ * - ระหว่างทำงาน: หลัง Flush ถ้าบรรทัดเกินเกณฑ์เดียวกัน → Compact แบบ Async (เขียนเป็นชุด ไม่บล็อก Request)
+ *
+ * **Namespace:** มาจาก Prefix ของ key (quote_, bars_, dividends_, fx_, ...)
+ * แต่ละ Namespace มี TTL ของตัวเอง และนับสถิติแยก (ดูได้ที่ /api/admin/cache)
+ *
+ * **Stale-while-revalidate + Coalescing (fetchThrough):**
+ * - HIT: ยังไม่หมดอายุ → ตอบทันที
+ * - STALE: หมดอายุแล้วแต่ไม่เกิน TTL × staleFactor → ตอบของเดิมทันที แล้ว Refresh เบื้องหลัง
+ * - MISS: ไม่มี/เก่าเกินไป → รอ Loader
+ * - Loader ของ key เดียวกันที่กำลังทำงานอยู่ถูกใช้ร่วมกัน (10 คนเปิดหุ้นเดียวกัน = เรียก Provider ครั้งเดียว)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Prefix ของ key → Namespace
+const KEY_NAMESPACES = {
+  quote: 'quote',
+  bars: 'history',
+  barstore: 'barstore',
+  dividends: 'dividends',
+  fx: 'fx',
+  events: 'events',
+  search: 'search',
+};
+
+export const namespaceOf = (key) => KEY_NAMESPACES[String(key).split('_')[0]] || 'default';
+
+// จำนวนบรรทัดที่เขียนต่อครั้งระหว่าง Compact แบบ Async
+const COMPACT_BATCH_LINES = 500;
+
+const emptyStats = () => ({
+  hits: 0, staleHits: 0, misses: 0, expired: 0, sets: 0, evictions: 0,
+  coalesced: 0, backgroundRefreshes: 0, refreshFailures: 0,
+});
+
+/**
+ * createCacheStore - สร้าง Cache Store (ใช้แทน cacheManager เดิม: get/set เหมือนเดิม)
+ * @param {object} options
+ * @param {object} options.ttls - TTL (ms) ต่อ Namespace เช่น { quote, history, dividends, fx, default }
+ * @param {number} [options.maxEntries=2000] - จำนวนรายการสูงสุดในหน่วยความจำ
+ * @param {number} [options.maxBytes=50MB] - ขนาดรวมโดยประมาณสูงสุด
+ * @param {string|null} [options.filePath] - ไฟล์ Log (.jsonl) หรือ null = ไม่เก็บลงดิสก์
+ * @param {number} [options.flushIntervalMs=1000] - รอบการเขียนชุดลงดิสก์
+ * @param {number} [options.sweepIntervalMs=10 นาที] - รอบกวาดรายการหมดอายุ
+ * @param {number} [options.staleFactor=1] - ใช้ของหมดอายุได้อีกนานเท่าไร (เท่าของ TTL) ระหว่าง Refresh
+ */
+export const createCacheStore = ({
+  ttls,
+  maxEntries = 2000,
+  maxBytes = 50 * 1024 * 1024,
+  filePath = null,
+  flushIntervalMs = 1000,
+  sweepIntervalMs = 10 * 60 * 1000,
+  staleFactor = 1,
+}) => {
+  const entries = new Map(); // key → { data, timestamp, size } (ลำดับใน Map = ลำดับการใช้งาน, เก่าสุดอยู่หน้า)
+  const stats = {};
+  let totalBytes = 0;
+  let pending = [];           // บรรทัดที่รอเขียนลงดิสก์
+  let flushing = null;        // Promise ของการเขียนรอบปัจจุบัน
+  let logLines = 0;           // จำนวนบรรทัดในไฟล์ (ใช้ตัดสินใจ Compact)
+  const persistence = { flushes: 0, lastFlushAt: null, compactions: 0, lastError: null };
+  const inflight = new Map();  // key → Promise ของ Loader ที่กำลังทำงาน
+
+  const statsFor = (namespace) => {
+    if (!stats[namespace]) stats[namespace] = emptyStats();
+    return stats[namespace];
+  };
+
+  const ttlFor = (key) => ttls[namespaceOf(key)] ?? ttls.default;
+  // อายุสูงสุดที่ยังเก็บไว้ได้ (สดหรือ Stale)
+  const maxAgeFor = (key, ttlOverride) => (ttlOverride ?? ttlFor(key)) * (1 + staleFactor);
+
+  // บรรทัดใน Log มากกว่ารายการจริงเกินไป → ควร Compact
+  const needsCompaction = () => logLines > entries.size * 2 + 100;
+
+  const enqueue = (record) => {
+    if (!filePath) return;
+    pending.push(JSON.stringify(record));
+  };
+
+  const remove = (key, { persist = true } = {}) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+    if (persist) enqueue({ k: key, del: 1 });
+  };
+
+  const evictOverflow = () => {
+    while (entries.size > maxEntries || (totalBytes > maxBytes && entries.size > 1)) {
+      const oldestKey = entries.keys().next().value;
+      remove(oldestKey);
+      statsFor(namespaceOf(oldestKey)).evictions += 1;
+    }
+  };
+
+  const store = (key, data, timestamp, size) => {
+    remove(key, { persist: false });
+    entries.set(key, { data, timestamp, size });
+    totalBytes += size;
+  };
+
+  // Compact แบบ Async: เขียนสำเนาของรายการ ณ ตอนเริ่มลงไฟล์ .tmp ทีละ COMPACT_BATCH_LINES บรรทัด แล้วสลับไฟล์
+  // เรียกภายใน flush เท่านั้น → ระหว่างนี้ไม่มีการ Append, set() ที่เข้ามาใหม่รออยู่ใน pending แล้วต่อท้ายไฟล์ใหม่รอบถัดไป
+  const compactAsync = async () => {
+    const snapshot = [...entries];
+    const tmpPath = `${filePath}.tmp`;
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      for (let i = 0; i < snapshot.length; i += COMPACT_BATCH_LINES) {
+        const lines = snapshot.slice(i, i + COMPACT_BATCH_LINES)
+          .map(([k, e]) => JSON.stringify({ k, t: e.timestamp, d: e.data }));
+        await handle.write(`${lines.join('\n')}\n`);
+      }
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+    logLines = snapshot.length;
+    persistence.compactions += 1;
+    console.log(`[Cache] Compacted disk log to ${snapshot.length} lines.`);
+  };
+
+  const flush = async () => {
+    if (!filePath || pending.length === 0 || flushing) return flushing;
+    const batch = pending;
+    pending = [];
+    flushing = fs.promises.appendFile(filePath, `${batch.join('\n')}\n`, 'utf-8')
+      .then(() => {
+        logLines += batch.length;
+        persistence.flushes += 1;
+        persistence.lastFlushAt = new Date().toISOString();
+        if (needsCompaction()) return compactAsync();
+        return undefined;
+      })
+      .catch((err) => {
+        persistence.lastError = err.message;
+        console.error('[Cache] Failed to write to disk:', err.message);
+      })
+      .finally(() => {
+        flushing = null;
+      });
+    return flushing;
+  };
+
+  // เขียนไฟล์ใหม่ให้เหลือเฉพาะรายการที่ยังใช้ได้ แบบ Sync (ใช้ตอนเริ่มและตอนปิดโปรแกรม)
+  const compactSync = () => {
+    if (!filePath) return;
+    const lines = [...entries].map(([k, e]) => JSON.stringify({ k, t: e.timestamp, d: e.data }));
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '', 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+    logLines = lines.length;
+    pending = [];
+    persistence.compactions += 1;
+  };
+
+  const load = () => {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const now = Date.now();
+      const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue; // บรรทัดสุดท้ายอาจเขียนไม่จบ (โปรแกรมถูกปิดกลางคัน)
+        }
+        if (record.del) {
+          remove(record.k, { persist: false });
+        } else if (now - record.t < maxAgeFor(record.k)) {
+          store(record.k, record.d, record.t, line.length);
+        } else {
+          remove(record.k, { persist: false });
+        }
+      }
+      logLines = lines.length;
+      evictOverflow();
+      pending = [];
+      if (needsCompaction()) compactSync();
+      console.log(`[Cache] Loaded ${entries.size} items from disk.`);
+    } catch (err) {
+      persistence.lastError = err.message;
+      console.error('[Cache] Failed to load cache from disk:', err.message);
+    }
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (now - entry.timestamp >= maxAgeFor(key)) {
+        remove(key);
+        statsFor(namespaceOf(key)).expired += 1;
+      }
+    }
+  };
+
+  if (filePath) fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  load();
+
+  // unref: Timer ไม่ทำให้ Process ค้าง (เช่นตอนรัน Script สั้นๆ)
+  if (filePath) setInterval(flush, flushIntervalMs).unref();
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  /**
+   * lookup - อ่านค่าพร้อมสถานะ
+   * @param {boolean} [allowStale=true] - false = ของหมดอายุนับเป็น MISS (แต่ยังเก็บไว้ให้ fetchThrough)
+   * @returns {{ data, state: 'HIT'|'STALE', ageMs }|null} - null ถ้าไม่มีหรือเก่าเกินช่วง Stale
+   */
+  const lookup = (key, ttlOverride, allowStale = true) => {
+    const namespaceStats = statsFor(namespaceOf(key));
+    const entry = entries.get(key);
+    if (!entry) {
+      namespaceStats.misses += 1;
+      return null;
+    }
+
+    const ageMs = Date.now() - entry.timestamp;
+    const ttl = ttlOverride ?? ttlFor(key);
+    if (ageMs >= maxAgeFor(key, ttlOverride)) {
+      console.log(`[Cache] EXPIRED for: ${key}. Fetching fresh data...`);
+      remove(key);
+      namespaceStats.expired += 1;
+      namespaceStats.misses += 1;
+      return null;
+    }
+
+    if (ageMs >= ttl && !allowStale) {
+      namespaceStats.misses += 1;
+      return null;
+    }
+
+    // LRU: ย้ายไปท้าย Map (ใช้ล่าสุด)
+    entries.delete(key);
+    entries.set(key, entry);
+    if (ageMs < ttl) {
+      namespaceStats.hits += 1;
+      console.log(`[Cache] HIT for: ${key}`);
+      return { data: entry.data, state: 'HIT', ageMs };
+    }
+    namespaceStats.staleHits += 1;
+    console.log(`[Cache] STALE for: ${key} (${Math.round(ageMs / 1000)}s old)`);
+    return { data: entry.data, state: 'STALE', ageMs };
+  };
+
+  const set = (key, data) => {
+    const timestamp = Date.now();
+    const line = JSON.stringify({ k: key, t: timestamp, d: data });
+    store(key, data, timestamp, line.length);
+    if (filePath) pending.push(line);
+    statsFor(namespaceOf(key)).sets += 1;
+    evictOverflow();
+  };
+
+  // เรียก Loader (ใช้ Promise ร่วมถ้ามีคนเรียก key เดียวกันอยู่แล้ว) แล้วเก็บผล (null/undefined = ไม่เก็บ)
+  const loadShared = (key, loader) => {
+    if (inflight.has(key)) {
+      statsFor(namespaceOf(key)).coalesced += 1;
+      return inflight.get(key);
+    }
+    const promise = Promise.resolve()
+      .then(loader)
+      .then((data) => {
+        if (data !== null && data !== undefined) set(key, data);
+        return data;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  };
+
+  return {
+    /**
+     * get - อ่านค่าที่ยังไม่หมดอายุ (null ถ้าไม่มี/หมดอายุ)
+     * @param {string} key
+     * @param {number} [ttlOverride] - TTL เฉพาะครั้งนี้ (เช่นแท่ง Intraday) แทน TTL ของ Namespace
+     */
+    get(key, ttlOverride) {
+      return lookup(key, ttlOverride, false)?.data ?? null;
+    },
+
+    set,
+
+    /**
+     * fetchThrough - อ่านจาก Cache หรือเรียก Loader (Stale-while-revalidate + Coalescing)
+     * @param {string} key
+     * @param {Function} loader - () => Promise<data> (throw = ล้มเหลว, null = ไม่มีข้อมูล/ไม่เก็บ)
+     * @param {object} [options] - { ttlOverride, force: ข้าม Cache และไม่ใช้ Promise ร่วม (เช่น ?forceProvider=) }
+     * @returns {Promise<{ data, state: 'HIT'|'STALE'|'MISS', ageMs }>}
+     */
+    async fetchThrough(key, loader, { ttlOverride, force = false } = {}) {
+      if (force) {
+        const data = await loader();
+        if (data !== null && data !== undefined) set(key, data);
+        return { data, state: 'MISS', ageMs: 0 };
+      }
+
+      const hit = lookup(key, ttlOverride);
+      if (hit?.state === 'HIT') return hit;
+      if (hit?.state === 'STALE') {
+        const namespaceStats = statsFor(namespaceOf(key));
+        if (!inflight.has(key)) namespaceStats.backgroundRefreshes += 1;
+        loadShared(key, loader).catch((err) => {
+          namespaceStats.refreshFailures += 1;
+          console.warn(`[Cache] Background refresh failed for ${key}: ${err.message}`);
+        });
+        return hit;
+      }
+
+      const data = await loadShared(key, loader);
+      return { data, state: 'MISS', ageMs: 0 };
+    },
+
+    delete(key) {
+      remove(key);
+    },
+
+    /**
+     * clear - ล้าง Cache ทั้งหมด หรือเฉพาะ Namespace
+     * @returns {number} - จำนวนรายการที่ลบ
+     */
+    clear(namespace) {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (!namespace || namespaceOf(key) === namespace) {
+          remove(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    flush,
+
+    // เรียกตอนปิดโปรแกรม: เขียนสถานะล่าสุดลงดิสก์แบบ Sync (รอบ Async อาจไม่ทันแล้ว)
+    close() {
+      if (!filePath) return;
+      try {
+        compactSync();
+      } catch (err) {
+        console.error('[Cache] Failed to write cache on shutdown:', err.message);
+      }
+    },
+
+    stats() {
+      const byNamespace = {};
+      for (const [key, entry] of entries) {
+        const namespace = namespaceOf(key);
+        byNamespace[namespace] ??= { entries: 0, bytes: 0 };
+        byNamespace[namespace].entries += 1;
+        byNamespace[namespace].bytes += entry.size;
+      }
+
+      const namespaces = {};
+      for (const namespace of new Set([...Object.keys(stats), ...Object.keys(byNamespace)])) {
+        const s = statsFor(namespace);
+        const lookups = s.hits + s.staleHits + s.misses;
+        namespaces[namespace] = {
+          ...s,
+          ...(byNamespace[namespace] || { entries: 0, bytes: 0 }),
+          hitRate: lookups ? Number(((s.hits + s.staleHits) / lookups).toFixed(3)) : null,
+          ttlMs: ttls[namespace] ?? ttls.default,
+        };
+      }
+
+      return {
+        entries: entries.size,
+        bytes: totalBytes,
+        limits: { maxEntries, maxBytes, staleFactor },
+        inflight: inflight.size,
+        namespaces,
+        persistence: filePath
+          ? { mode: 'append-log', filePath: path.basename(filePath), logLines, pendingWrites: pending.length, ...persistence }
+          : { mode: 'memory-only' },
+      };
+    },
+  };
+};
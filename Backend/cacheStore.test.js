@@ -0,0 +1,101 @@
+/**
+ * =====================================================
+ * Backend/cacheStore.test.js - ทดสอบ LRU, การอ่าน Log ย้อนหลัง และการ Compact ของ cacheStore (npm test)
+ * =====================================================
+ *
+ * เขียน Log ลงโฟลเดอร์ชั่วคราว (ลบทิ้งหลังทดสอบ) และตั้ง flushIntervalMs ให้ยาว → สั่ง flush() เองในแต่ละเคส
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createCacheStore } from './cacheStore.js';
+
+const TTLS = { default: 60 * 60 * 1000 };
+
+let tmpDir;
+let caseNumber = 0;
+
+// ไฟล์ Log ใหม่ต่อเคส (ไม่ให้เคสหนึ่งอ่าน Log ของอีกเคส)
+const newLogPath = () => {
+  caseNumber += 1;
+  return path.join(tmpDir, `cache-${caseNumber}.jsonl`);
+};
+
+const openStore = (filePath, options = {}) =>
+  createCacheStore({ ttls: TTLS, filePath, flushIntervalMs: 60 * 60 * 1000, ...options });
+
+const readLogKeys = (filePath) =>
+  fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).map((line) => JSON.parse(line).k);
+
+describe('cacheStore', () => {
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-test-'));
+  });
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  test('LRU eviction drops the least recently used entry', () => {
+    const cache = createCacheStore({ ttls: TTLS, maxEntries: 3 });
+    cache.set('quote_A', 1);
+    cache.set('quote_B', 2);
+    cache.set('quote_C', 3);
+    assert.equal(cache.get('quote_A'), 1); // A ถูกใช้ล่าสุด → B เก่าสุด
+    cache.set('quote_D', 4);
+
+    assert.equal(cache.get('quote_B'), null);
+    assert.deepEqual(['quote_A', 'quote_C', 'quote_D'].map((key) => cache.get(key)), [1, 3, 4]);
+    assert.equal(cache.stats().entries, 3);
+    assert.equal(cache.stats().namespaces.quote.evictions, 1);
+  });
+
+  test('reloading the log replays only the live entries', async () => {
+    const filePath = newLogPath();
+    const cache = openStore(filePath, { maxEntries: 2 });
+    cache.set('quote_A', 'old');
+    cache.set('quote_B', 'b');
+    cache.set('quote_A', 'new');
+    cache.set('quote_C', 'c'); // เกิน maxEntries → B ถูกไล่ออก (บันทึกเป็นบรรทัด del)
+    cache.delete('quote_C');
+    await cache.flush();
+
+    const reloaded = openStore(filePath);
+    assert.equal(reloaded.stats().entries, 1);
+    assert.equal(reloaded.get('quote_A'), 'new');
+    assert.equal(reloaded.get('quote_B'), null);
+    assert.equal(reloaded.get('quote_C'), null);
+  });
+
+  test('a long log is compacted on load', () => {
+    const filePath = newLogPath();
+    const now = Date.now();
+    const lines = Array.from({ length: 150 }, (_, i) => JSON.stringify({ k: 'quote_A', t: now, d: i }));
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`, 'utf-8');
+
+    const cache = openStore(filePath);
+    assert.equal(cache.get('quote_A'), 149);
+    assert.deepEqual(readLogKeys(filePath), ['quote_A']);
+    assert.equal(cache.stats().persistence.compactions, 1);
+  });
+
+  test('runtime compaction after flush keeps only the live entries', async () => {
+    const filePath = newLogPath();
+    const cache = openStore(filePath);
+    for (let i = 0; i < 150; i += 1) cache.set('quote_A', i);
+    cache.set('quote_B', 'b');
+    cache.set('quote_C', 'c');
+    cache.delete('quote_C');
+    await cache.flush();
+
+    const { persistence } = cache.stats();
+    assert.equal(persistence.compactions, 1);
+    assert.equal(persistence.logLines, 2);
+    assert.deepEqual(readLogKeys(filePath).sort(), ['quote_A', 'quote_B']);
+
+    const reloaded = openStore(filePath);
+    assert.equal(reloaded.get('quote_A'), 149);
+    assert.equal(reloaded.get('quote_B'), 'b');
+    assert.equal(reloaded.get('quote_C'), null);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * =====================================================
+ * Backend/fixtures.test.js - ทดสอบ Endpoint แบบ Offline ด้วย Fixture (npm test)
+ * =====================================================
+ *
+ * เปิด Server จริงด้วย MARKET_DATA_PROVIDERS=fixtures (ข้อมูลตัวอย่างใน Backend/fixtures/)
+ * แล้วเรียกผ่าน HTTP → ครอบคลุมคำเตือนคุณภาพของ getDividendHistory และอัตราแลกเปลี่ยนของ enrichCurrency
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'index.js');
+const PORT = 17000 + (process.pid % 1000);
+const BASE_URL = `http://localhost:${PORT}`;
+const START_TIMEOUT_MS = 15000;
+
+let server;
+
+// รอจน Server พิมพ์ว่าพร้อม (หรือออกไปก่อน)
+const startServer = () => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, MARKET_DATA_PROVIDERS: 'fixtures', MARKET_DATA_RECORD: '', CACHE_PERSIST: 'off', PORT: String(PORT) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+  const onData = (chunk) => {
+    output += chunk;
+    if (output.includes(`localhost:${PORT}`)) {
+      clearTimeout(timer);
+      resolve();
+    }
+  };
+  server.stdout.on('data', onData);
+  server.stderr.on('data', onData);
+  server.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Server exited with code ${code}:\n${output}`));
+  });
+});
+
+const getJson = async (route) => {
+  const response = await fetch(`${BASE_URL}${route}`);
+  return { status: response.status, body: await response.json() };
+};
+
+describe('offline fixtures', () => {
+  before(startServer);
+  after(() => server?.kill());
+
+  test('dividend history flags events without a same-day close', async () => {
+    const { status, body } = await getJson('/api/stock/dividends/PTT.BK?startDate=2023-12-01&endDate=2024-03-29');
+    assert.equal(status, 200);
+    assert.equal(body.currency, 'THB');
+
+    const [weekend, beforeHistory] = body.events;
+    // 2024-02-17 เป็นวันเสาร์ → ใช้ราคาปิดวันศุกร์
+    assert.equal(weekend.date, '2024-02-17');
+    assert.equal(weekend.priceDate, '2024-02-16');
+    assert.deepEqual(weekend.qualityWarnings, ['ใช้ราคาปิดก่อนหน้าวันจ่ายปันผล']);
+    assert.equal(weekend.yieldPercent, Number(((1.2 / weekend.priceAtEvent) * 100).toFixed(2)));
+    // 2023-12-15 อยู่ก่อนแท่งแรกของ Fixture → ไม่มีราคาให้คิด Yield
+    assert.equal(beforeHistory.priceAtEvent, null);
+    assert.deepEqual(beforeHistory.qualityWarnings, ['ไม่พบราคาปิดใกล้เคียง']);
+
+    assert.equal(body.quality.flaggedEvents, 2);
+    assert.deepEqual(body.quality.actualRange, { start: '2023-12-15', end: '2024-02-17' });
+    assert.ok(body.quality.issues.includes('มี 2 รายการที่มีคำเตือนเพิ่มเติม'));
+  });
+
+  test('USD dividends convert at the THB=X close of their own date', async () => {
+    const { status, body } = await getJson('/api/stock/dividends/AAPL?startDate=2024-01-01&endDate=2024-03-29');
+    assert.equal(status, 200);
+
+    const [event] = body.events;
+    assert.deepEqual(event.qualityWarnings, []);
+    // THB=X ปิดวันที่ 2024-02-09 ที่ 34.1254 (history/THB=X_1d.csv), ไม่ใช่อัตราล่าสุด 33.8285
+    assert.deepEqual(
+      { rate: event.fxRateUsed, date: event.fxRateDate, source: event.fxRateSource },
+      { rate: 34.1254, date: '2024-02-09', source: 'historical' },
+    );
+    assert.equal(event.amountTHB, Number((0.24 * 34.1254).toFixed(4)));
+    assert.equal(body.meta.currentUsdThbRate, 33.8285);
+  });
+
+  test('unknown symbols answer 404 without touching the network', async () => {
+    const { status } = await getJson('/api/stock/dividends/ZZZZ?startDate=2024-01-01&endDate=2024-03-29');
+    assert.equal(status, 404);
+  });
+});
@@ -6,6 +6,7 @@ import yahooFinance from 'yahoo-finance2';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 // =====================================================
@@ -30,8 +31,29 @@ import rateLimit from 'express-rate-limit';
 
 // Import the custom env loader
 import { loadEnv } from './envLoader.js';
-// Import Yahoo Direct Fallback
-import { fetchYahooDirect, fetchYahooDirectRaw } from './yahooDirect.js';
+// Import market-data provider registry (quote / history / dividends / splits / search)
+import { providerRegistry } from './providers/index.js';
+// Import per-upstream circuit breaker (FX gets its own on top of the providers')
+import { createCircuitBreaker } from './providers/circuitBreaker.js';
+// Import offline fixture provider settings (replay / record)
+import { configureFixtures, recordFixture } from './providers/fixtures.js';
+import { formatTwelveDataSymbol } from './providers/twelveData.js';
+// Import OHLCV bar schema helpers
+import { parseFieldsParam, projectBars } from './ohlcv.js';
+// Import interval table (1m/5m/15m/1h/1d) and provider lookback limits
+import { INTERVALS, parseIntervalParam } from './intervals.js';
+// Import daily → weekly/monthly/quarterly OHLCV aggregation
+import { resampleBars } from './resample.js';
+// Import split / dividend adjustment (?adjust=none|split|total)
+import { parseAdjustParam, adjustBars } from './adjustments.js';
+// Import bounded LRU cache with append-only persistence
+import { createCacheStore } from './cacheStore.js';
+// Import per-symbol daily bar store (fetches only missing date spans)
+import { createBarStore } from './barStore.js';
+// Import bundled SET/US symbol directory (search / autocomplete)
+import { SYMBOL_MARKETS, findSymbol, searchSymbols, inferCurrency, getDirectoryInfo } from './symbolDirectory.js';
+// Import the indicator library shared with the frontend (?studies=rsi:14,macd:12:26:9,bb:20:2)
+import { parseStudiesParam, studiesWarmup, computeStudies } from '../shared/indicators.js';
 
 // Suppress specific Yahoo Finance warnings
 yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
@@ -44,6 +66,16 @@ const currentDirPath = path.dirname(currentFilePath);
 const envPath = path.join(currentDirPath, '.env');
 loadEnv(envPath);
 
+// Provider order can be overridden once the env is loaded, e.g. MARKET_DATA_PROVIDERS=yahooDirect,twelvedata
+// (MARKET_DATA_PROVIDERS=fixtures runs fully offline from recorded files)
+providerRegistry.configure(process.env.MARKET_DATA_PROVIDERS);
+configureFixtures(process.env.MARKET_DATA_FIXTURES_DIR);
+// Record mode: every live provider response is also written to the fixtures directory
+if (['1', 'true'].includes(String(process.env.MARKET_DATA_RECORD).toLowerCase())) {
+  providerRegistry.setRecorder(recordFixture);
+  console.log('[Fixtures] Record mode enabled');
+}
+
 
 // ======================================================
 // === Section 1: Configuration & Constants           ===
@@ -52,101 +84,42 @@ loadEnv(envPath);
 const PORT = process.env.PORT || 7860;
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour for general data
 const FX_CACHE_TTL = 15 * 60 * 1000; // 15 minutes for Forex rates (more frequent update)
-const BLOCK_DURATION = 1 * 1000; // 1 second
+const INTRADAY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes for intraday bars (new bars every few minutes)
+const LIVE_BAR_TTL = 5 * 60 * 1000; // 5 minutes for today's (still open) daily bar
+const BAR_STORE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days for stored daily bars (picks up split re-adjustments)
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 // ======================================================
 // === Section 2: Cache & Circuit Breaker             ===
 // ======================================================
 
-const CACHE_FILE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'stock_data_cache.json');
-
-const cacheManager = {
-  cache: new Map(),
-
-  load() {
-    try {
-      if (fs.existsSync(CACHE_FILE_PATH)) {
-        const raw = fs.readFileSync(CACHE_FILE_PATH, 'utf-8');
-        const json = JSON.parse(raw);
-        // Convert array/object back to Map
-        for (const [key, val] of Object.entries(json)) {
-          this.cache.set(key, val);
-        }
-        console.log(`[Cache] Loaded ${this.cache.size} items from disk.`);
-      }
-    } catch (err) {
-      console.error('[Cache] Failed to load cache from disk:', err.message);
-    }
-  },
-
-  save() {
-    try {
-      // Convert Map to Object
-      const obj = Object.fromEntries(this.cache);
-      fs.writeFileSync(CACHE_FILE_PATH, JSON.stringify(obj, null, 2), 'utf-8');
-      // console.log('[Cache] Saved to disk.'); // Uncomment for debug
-    } catch (err) {
-      console.error('[Cache] Failed to save cache to disk:', err.message);
-    }
-  },
-
-  get(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
-
-    // Check specific TTL based on key type (Forex vs Stock)
-    const ttl = key.startsWith('fx_') ? FX_CACHE_TTL : CACHE_TTL;
-
-    // Check if timestamp exists and is valid
-    if (cached.timestamp && (Date.now() - cached.timestamp < ttl)) {
-      console.log(`[Cache] HIT for: ${key}`);
-      return cached.data;
-    }
-
-    console.log(`[Cache] EXPIRED for: ${key}. Fetching fresh data...`);
-    this.cache.delete(key);
-    this.save(); // Sync after delete
-    return null;
-  },
-
-  set(key, data) {
-    this.cache.set(key, { data, timestamp: Date.now() });
-    this.save(); // Sync after set
+// Two tiers (see cacheStore.js): bounded in-memory LRU + optional append-only log on disk.
+// CACHE_PERSIST=off keeps everything in memory only (e.g. read-only file systems).
+const CACHE_LOG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'stock_data_cache.jsonl');
+
+const cacheManager = createCacheStore({
+  ttls: {
+    quote: CACHE_TTL,
+    history: CACHE_TTL,
+    dividends: CACHE_TTL,
+    events: CACHE_TTL,
+    search: CACHE_TTL,
+    barstore: BAR_STORE_TTL,
+    fx: FX_CACHE_TTL,
+    default: CACHE_TTL,
   },
-};
-
-// Initialize Cache
-cacheManager.load();
-
-const circuitBreaker = {
-  isBlocked: false,
-  blockUntil: 0,
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 2000,
+  maxBytes: (Number(process.env.CACHE_MAX_MB) || 50) * 1024 * 1024,
+  filePath: process.env.CACHE_PERSIST === 'off' ? null : CACHE_LOG_PATH,
+});
 
-  trip() {
-    const secs = Math.ceil(BLOCK_DURATION / 1000);
-    console.error(`[Circuit Breaker] Tripped! Blocking requests for ${secs} seconds.`);
-    this.isBlocked = true;
-    this.blockUntil = Date.now() + BLOCK_DURATION;
-  },
+// Daily bars per symbol: only missing date spans are fetched (see barStore.js)
+const barStore = createBarStore({ cache: cacheManager, liveTtlMs: LIVE_BAR_TTL, maxAgeMs: BAR_STORE_TTL });
 
-  check(res) {
-    if (this.isBlocked) {
-      if (Date.now() < this.blockUntil) {
-        const remainingSecs = Math.ceil((this.blockUntil - Date.now()) / 1000);
-        console.warn(`[Circuit Breaker] Request rejected. Blocked for ${remainingSecs} more seconds.`);
-        res.status(503).json({
-          error: `Service is temporarily unavailable due to rate limiting. Please try again in ${remainingSecs} seconds.`,
-        });
-        return true;
-      }
-      console.log('[Circuit Breaker] Re-opening the circuit.');
-      this.isBlocked = false;
-      this.blockUntil = 0;
-    }
-    return false;
-  },
-};
+// Each provider has its own breaker inside providerRegistry (see providers/circuitBreaker.js).
+// FX pairs ride on the same providers but get a separate breaker, so a run of failing
+// currency lookups stops hitting the upstream without blocking stock quotes.
+const fxBreaker = createCircuitBreaker({ id: 'fx' });
 
 // ======================================================
 // === Section 3: Helpers                             ===
@@ -157,9 +130,25 @@ const normalizeTicker = (ticker) => ticker.trim().toUpperCase();
 const buildTickerVariants = (raw) => {
   const t = normalizeTicker(raw);
   if (t.includes('.')) return [t];
+  // Known SET symbol typed without suffix (e.g. PTT) → try .BK first
+  if (!findSymbol(t) && findSymbol(`${t}.BK`)) return [`${t}.BK`, t];
   return [t, `${t}.BK`]; // Prioritize exact match, fallback to SET (.BK)
 };
 
+// Run an async task over items with at most `limit` in flight; results keep the input order
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
 // Accept Date, ISO string, or numeric epoch (sec/ms) and normalize to `YYYY-MM-DD` in UTC
 const toDateOnly = (value) => {
   let date = null;
@@ -223,11 +212,16 @@ const parseQuoteSeries = (quotes) =>
       const date = toDateObject(rawDate);
       const close = typeof row?.close === 'number' ? Number(row.close) : null;
       if (!date || close === null) return null;
+      const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? Number(v) : null);
       return {
         date,
         iso: date.toISOString(),
+        open: num(row.open),
+        high: num(row.high),
+        low: num(row.low),
         close,
-        volume: typeof row.volume === 'number' ? Number(row.volume) : null,
+        adjClose: num(row.adjclose ?? row.adjClose),
+        volume: num(row.volume),
       };
     })
     .filter(Boolean)
@@ -243,162 +237,87 @@ const findPriceForDate = (series, targetDate) => {
   return null;
 };
 
-// --- Twelve Data Helpers ---
-const formatTwelveDataSymbol = (sym) => {
-  // Use exact matching for Thai stocks
-  if (sym.endsWith('.BK')) {
-    return sym.replace('.BK', ':SET');
-  }
-
-  // If user deliberately explicitly typed :SET, assume they know what they are doing
-  if (sym.includes(':SET')) return sym;
-
-  // IMPORTANT: Do NOT default to appending :SET for everything.
-  // Assume generic symbols (e.g., "NVDA", "AAPL") are US market (NASDAQ/NYSE)
-  return sym;
+// --- Corporate Events (splits & dividends) ---
+// Events after the requested range still change the adjusted prices inside it,
+// so always fetch from period1 up to today. Parsed events use ISO dates (JSON-safe for the cache).
+const getCorporateEvents = async (symbol, period1) => {
+  const cacheKey = `events_${symbol}_${toDateOnly(period1)}`;
+  const { data } = await cacheManager.fetchThrough(cacheKey, async () => {
+    const { result } = await providerRegistry.call('splits', [symbol, { period1, period2: new Date() }]);
+    return result;
+  });
+  return data;
 };
 
-const fetchTwelveDataQuote = async (symbol) => {
-  // Use 'demo' as fallback if no API key provided
-  let apiKey = process.env.TWELVE_DATA_API_KEY;
-  const isDemoFallback = !apiKey || apiKey === 'your_dummy_key_here';
+// --- Daily bars through the bar store (stock history and indicators) ---
+// Only date spans the store does not hold yet are fetched from the providers.
+const getDailyBars = (symbol, period1, period2) =>
+  barStore.getRange(symbol, '1d', period1, period2, async (from, to) => {
+    const { result, provider } = await providerRegistry.call('history', [symbol, { period1: from, period2: to, interval: '1d' }]);
+    return { ...result, provider: provider.name };
+  });
 
-  if (isDemoFallback) {
-    apiKey = 'demo';
+// --- Currency Helper: Fetch Specific FX Rate ---
+// FX pairs (e.g. THB=X) are ordinary quotes, so they go through the provider registry
+// like stocks do — which also lets the fixture provider replay and record them.
+// FX calls go through fxBreaker on top of the providers' own breakers
+const callFxProvider = async (capability, args) => {
+  const token = fxBreaker.tryAcquire();
+  if (!token) {
+    throw Object.assign(new Error('FX lookups are temporarily paused (circuit open).'), { status: 503 });
   }
-
-  // 🔒 [V5] Security Fix: ไม่แสดง API Key (แม้บางส่วน) ใน logs
-  // ปัญหาเดิม: แสดง 4 ตัวแรกของ API Key → Attacker ใช้ลด search space ในการ brute-force
-  // แก้ไข: แสดงแค่สถานะ (configured/demo) โดยไม่เปิดเผยค่าจริง
-  // อ้างอิง: OWASP A09:2021 - Security Logging and Monitoring Failures
-  const keyStatus = apiKey === 'demo' ? 'demo (fallback)' : 'configured';
-  console.log(`[TwelveData] API Key status: ${keyStatus}`);
-
-  // Adjust symbol for TwelveData format (Thai stocks need :SET)
-  const tdSymbol = formatTwelveDataSymbol(symbol);
-
   try {
-    const url = `https://api.twelvedata.com/quote?symbol=${tdSymbol}&apikey=${apiKey}`;
-    console.log(`[TwelveData] Fetching quote for ${symbol}...`);
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP Status ${res.status}`);
-    const data = await res.json();
-
-    // TwelveData returns { status: "error" } on failure
-    if (data.status === 'error') {
-      throw new Error(data.message || 'TwelveData API Error');
-    }
-
-    // Extract price - TwelveData returns 'close' as previous close, 'price' might not exist
-    // Use 'close' as current price indicator (previous close is most recent)
-    const price = Number(data.close) || Number(data.previous_close) || 0;
-
-    if (!price || price <= 0) {
-      console.warn(`[TwelveData] Invalid price for ${symbol} (tdSymbol=${tdSymbol}):`, data);
-      return null;
-    }
-
-    console.log(`[TwelveData] Success for ${symbol} (tdSymbol=${tdSymbol}): ${price} ${data.currency}`);
-    return {
-      symbol: data.symbol,
-      longName: data.name || data.symbol,
-      currentPrice: price,
-      currency: data.currency,
-      timestamp: new Date().toISOString(),
-      provider: 'TwelveData'
-    };
-
+    const outcome = await providerRegistry.call(capability, args);
+    fxBreaker.onSuccess(token);
+    return outcome;
   } catch (error) {
-    console.error(`[TwelveData] Quote failed for ${symbol} (tdSymbol=${tdSymbol}):`, error.message);
-    return null;
+    // 404 = the upstream answered; 503 = every provider breaker was already open
+    if (error.status === 404) fxBreaker.onClientError(token);
+    else if (error.status === 503) fxBreaker.release(token);
+    else fxBreaker.onFailure(token);
+    throw error;
   }
 };
 
-const fetchTwelveDataHistory = async (symbol, period1, period2) => {
-  // Use 'demo' as fallback if no API key provided
-  let apiKey = process.env.TWELVE_DATA_API_KEY;
-  const isDemoFallback = !apiKey || apiKey === 'your_dummy_key_here';
-
-  if (isDemoFallback) {
-    apiKey = 'demo';
-  }
-
-  // 🔒 [V5] Security Fix: ซ่อน API Key จาก logs (เหมือน fetchTwelveDataQuote)
-  const keyStatus = apiKey === 'demo' ? 'demo (fallback)' : 'configured';
-  console.log(`[TwelveData] History Request - API Key status: ${keyStatus}`);
-  // Adjust symbol for TwelveData format (Thai stocks need :SET)
-  const tdSymbol = formatTwelveDataSymbol(symbol);
-
+const fetchForexRate = async (pairSymbol) => {
   try {
-    // interval=1day is standard
-    // start_date, end_date format: YYYY-MM-DD
-    const start = toDateOnly(period1);
-    const end = toDateOnly(period2);
-
-    const url = `https://api.twelvedata.com/time_series?symbol=${tdSymbol}&interval=1day&start_date=${start}&end_date=${end}&apikey=${apiKey}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP Status ${res.status}`);
-    const data = await res.json();
-
-    if (data.code && data.code !== 200) {
-      throw new Error(data.message || 'API Error');
-    }
-
-    if (!Array.isArray(data.values)) return [];
-
-    // Map format: { date, close: number, volume: number }
-    // Twelve Data returns newest first, so we reverse to be chronological if needed
-    const history = data.values.map(item => ({
-      date: new Date(item.datetime).toISOString(),
-      close: Number(item.close),
-      volume: Number(item.volume)
-    })).sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // TwelveData provides currency in the meta object
-    return {
-      history,
-      currency: data.meta?.currency || 'USD' // Fallback to USD if missing (mostly US stocks on free tier)
-    };
-
+    const { data } = await cacheManager.fetchThrough(`fx_${pairSymbol}`, async () => {
+      const { result, provider } = await callFxProvider('quote', [pairSymbol]);
+      const price = Number(result?.currentPrice);
+      if (!Number.isFinite(price) || price <= 0) return null; // not cached
+      console.log(`[FX] Fetched ${pairSymbol} from ${provider.name}: ${price}`);
+      return price;
+    });
+    return data ?? null;
   } catch (error) {
-    console.error(`[TwelveData] History failed for ${symbol} (tdSymbol=${tdSymbol}):`, error.message);
-    return null;
+    console.warn(`[FX] All providers failed for ${pairSymbol}:`, error.message);
   }
+  return null;
 };
 
-// --- Currency Helper: Fetch Specific FX Rate ---
-const fetchForexRate = async (pairSymbol) => {
-  const cacheKey = `fx_${pairSymbol}`;
-  const cached = cacheManager.get(cacheKey);
-  if (cached !== null) return cached;
-
-  try {
-    const quote = await yahooFinance.quote(pairSymbol, { fields: ['regularMarketPrice'] });
-    const price = Number(quote?.regularMarketPrice);
-    if (Number.isFinite(price) && price > 0) {
-      console.log(`[FX] Fetched ${pairSymbol}: ${price}`);
-      cacheManager.set(cacheKey, price);
-      return price;
-    }
-  } catch (error) {
-    console.warn(`[FX] Library failed for ${pairSymbol} (${error.message}). Trying Direct...`);
+// Yahoo pair symbol: USD base is "<QUOTE>=X" (THB=X = THB per 1 USD), any other base is "<BASE><QUOTE>=X"
+const fxPairSymbol = (base, quote) => (base === 'USD' ? `${quote}=X` : `${base}${quote}=X`);
+
+// --- Currency Helper: Daily FX closes ---
+// Stored in the bar store like stock history (only missing date spans are fetched).
+// Returns { symbol, provider, rates: [{ date: 'YYYY-MM-DD', rate }], state, ageMs }
+const getFxHistory = async (base, quote, period1, period2) => {
+  const symbol = fxPairSymbol(base, quote);
+  const stored = await barStore.getRange(symbol, '1d', period1, period2, async (from, to) => {
+    const { result, provider } = await callFxProvider('history', [symbol, { period1: from, period2: to, interval: '1d' }]);
+    return { ...result, provider: provider.name };
+  });
+  const rates = parseQuoteSeries(stored.history)
+    .filter((bar) => bar.close > 0)
+    .map((bar) => ({ date: toDateOnly(bar.date), rate: Number(bar.close.toFixed(6)) }));
+  return { symbol, provider: stored.provider, rates, state: stored.state, ageMs: stored.ageMs };
+};
 
-    // Fallback for Forex: Use Yahoo Direct Raw to get meta.regularMarketPrice
-    // Even a 1-day range will have the current price in the meta object
-    try {
-      const now = new Date();
-      const yesterday = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-      const result = await fetchYahooDirectRaw(pairSymbol, yesterday, now, '1d');
-      const price = Number(result?.meta?.regularMarketPrice);
-
-      if (Number.isFinite(price) && price > 0) {
-        console.log(`[FX Direct] Success for ${pairSymbol}: ${price}`);
-        cacheManager.set(cacheKey, price);
-        return price;
-      }
-    } catch (directErr) {
-      console.warn(`[FX Direct] Fallback failed for ${pairSymbol}:`, directErr.message);
-    }
+// Rate in effect on a day (YYYY-MM-DD): last close on or before it (weekends/holidays use the previous close)
+const findRateForDate = (rates, day) => {
+  if (!day || !rates) return null;
+  for (let i = rates.length - 1; i >= 0; i -= 1) {
+    if (rates[i].date <= day) return rates[i];
   }
   return null;
 };
@@ -425,6 +344,9 @@ const getFxRate = async (fromCurrency, toCurrency) => {
 
   // Case 3: Cross Rate via USD (e.g. GBP -> THB)
   // GBP -> USD -> THB
+  const cachedCross = cacheManager.get(`fx_${fromCurrency}${toCurrency}`);
+  if (cachedCross !== null) return cachedCross;
+
   const toUsd = await getFxRate(fromCurrency, 'USD');
   const usdToTarget = await getFxRate('USD', toCurrency);
 
@@ -438,6 +360,12 @@ const getFxRate = async (fromCurrency, toCurrency) => {
   return null;
 };
 
+// --- Dividend FX enrichment ---
+// Each event is converted at the rate in effect on its own date (daily USD→currency closes),
+// falling back to today's rate only when no historical rate is available.
+// fxRateUsed = source → THB rate applied, fxRateDate = date of that rate (null = current rate).
+const FX_LOOKBACK_DAYS = 7; // an event on a weekend/holiday needs the previous trading day's close
+
 const enrichCurrency = async (events) => {
   // Identify all unique currencies in the dataset
   const uniqueCurrencies = new Set(
@@ -469,54 +397,63 @@ const enrichCurrency = async (events) => {
     conversionMatrix.set(code, { toUsd, toThb });
   }));
 
-  // Map events with conversions
-  return events.map((event) => {
-    let amountUSD = null;
-    let amountTHB = null;
-    let priceUSD = null;
-    let priceTHB = null;
+  // Daily USD → THB (and USD → other currency) closes over the events' date span
+  const eventDays = events.map((event) => event.date).filter(Boolean).sort();
+  const usdSeries = new Map();
+  if (eventDays.length > 0) {
+    const period1 = new Date(new Date(`${eventDays[0]}T00:00:00Z`).getTime() - FX_LOOKBACK_DAYS * MS_PER_DAY);
+    const period2 = new Date(`${eventDays[eventDays.length - 1]}T23:59:59Z`);
+    const codes = ['THB', ...[...uniqueCurrencies].filter((code) => code !== 'USD')];
+    await Promise.all(codes.map(async (code) => {
+      try {
+        const { rates } = await getFxHistory('USD', code, period1, period2);
+        usdSeries.set(code, rates);
+      } catch (error) {
+        console.warn(`[FX] Historical USD/${code} unavailable, using current rate:`, error.message);
+      }
+    }));
+  }
 
+  // Rates for one event: { toUsd, toThb, date } (date = null when falling back to current rates)
+  const ratesForEvent = (event) => {
+    const usdThb = findRateForDate(usdSeries.get('THB'), event.date);
     const sourceCurrency = event.currency;
-    const rates = conversionMatrix.get(sourceCurrency) || {};
-
-    // --- Amount Conversions ---
-    if (Number.isFinite(event.amountPerShare)) {
-      if (sourceCurrency === 'USD') {
-        amountUSD = event.amountPerShare;
-        if (usdThbRate) amountTHB = event.amountPerShare * usdThbRate;
-      } else if (sourceCurrency === 'THB') {
-        amountTHB = event.amountPerShare;
-        // THB -> USD (inverse of USD->THB)
-        if (usdThbRate) amountUSD = event.amountPerShare / usdThbRate;
-      } else {
-        // Other Currency
-        if (rates.toUsd) amountUSD = event.amountPerShare * rates.toUsd;
-        if (rates.toThb) amountTHB = event.amountPerShare * rates.toThb;
-      }
-    }
 
-    // --- Price Conversions ---
-    if (Number.isFinite(event.priceAtEvent)) {
-      if (sourceCurrency === 'USD') {
-        priceUSD = event.priceAtEvent;
-        if (usdThbRate) priceTHB = event.priceAtEvent * usdThbRate;
-      } else if (sourceCurrency === 'THB') {
-        priceTHB = event.priceAtEvent;
-        if (usdThbRate) priceUSD = event.priceAtEvent / usdThbRate;
-      } else {
-        if (rates.toUsd) priceUSD = event.priceAtEvent * rates.toUsd;
-        if (rates.toThb) priceTHB = event.priceAtEvent * rates.toThb;
-      }
+    if (sourceCurrency === 'USD') {
+      return usdThb
+        ? { toUsd: 1, toThb: usdThb.rate, date: usdThb.date }
+        : { toUsd: 1, toThb: usdThbRate, date: null };
+    }
+    if (sourceCurrency === 'THB') {
+      // THB -> USD (inverse of USD->THB)
+      return usdThb
+        ? { toUsd: 1 / usdThb.rate, toThb: 1, date: usdThb.date }
+        : { toUsd: usdThbRate ? 1 / usdThbRate : null, toThb: 1, date: null };
+    }
+    // Other Currency: cross via USD on the same day
+    const usdSource = findRateForDate(usdSeries.get(sourceCurrency), event.date);
+    if (usdSource && usdThb) {
+      return { toUsd: 1 / usdSource.rate, toThb: usdThb.rate / usdSource.rate, date: usdSource.date };
     }
+    const current = conversionMatrix.get(sourceCurrency) || {};
+    return { toUsd: current.toUsd || null, toThb: current.toThb || null, date: null };
+  };
+
+  // Map events with conversions
+  return events.map((event) => {
+    const rates = ratesForEvent(event);
+    const convert = (value, rate) => (Number.isFinite(value) && rate ? Number((value * rate).toFixed(4)) : null);
 
     return {
       ...event,
-      amountUSD: amountUSD ? Number(amountUSD.toFixed(4)) : null,
-      amountTHB: amountTHB ? Number(amountTHB.toFixed(4)) : null,
-      priceUSD: priceUSD ? Number(priceUSD.toFixed(4)) : null,
-      priceTHB: priceTHB ? Number(priceTHB.toFixed(4)) : null,
+      amountUSD: convert(event.amountPerShare, rates.toUsd),
+      amountTHB: convert(event.amountPerShare, rates.toThb),
+      priceUSD: convert(event.priceAtEvent, rates.toUsd),
+      priceTHB: convert(event.priceAtEvent, rates.toThb),
       // Include exchange rate used for reference
-      fxRateUsed: sourceCurrency === 'USD' ? usdThbRate : (rates.toThb || null)
+      fxRateUsed: event.currency === 'THB' || !rates.toThb ? null : Number(rates.toThb.toFixed(6)),
+      fxRateDate: rates.date,
+      fxRateSource: rates.toThb && rates.toUsd ? (rates.date ? 'historical' : 'current') : null,
     };
   });
 };
@@ -613,6 +550,7 @@ app.use(cors({
     return callback(null, false);
   },
   methods: ['GET'],          // จำกัดเฉพาะ GET (API นี้ไม่มี POST/PUT/DELETE)
+  exposedHeaders: ['X-Cache', 'X-Cache-Age'], // ให้ Frontend อ่านสถานะ Cache ได้
   credentials: false,        // ไม่ต้องส่ง cookies (ไม่มี Login)
   optionsSuccessStatus: 200, // สำหรับ Legacy browsers ที่ไม่รองรับ 204
 }));
@@ -640,6 +578,7 @@ const globalLimiter = rateLimit({
   max: 100,                     // สูงสุด 100 requests ต่อ IP ต่อ 15 นาที
   standardHeaders: true,        // ส่ง RateLimit-* headers กลับให้ Client รู้
   legacyHeaders: false,         // ไม่ส่ง X-RateLimit-* headers แบบเก่า
+  skip: (req) => req.path === '/api/search', // Autocomplete นับแยกใน searchLimiter
   message: {
     error: 'Too many requests from this IP. Please try again in 15 minutes.',
     retryAfter: 15              // แนะนำให้ Client รอ 15 นาที
@@ -652,15 +591,29 @@ const globalLimiter = rateLimit({
 const apiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,     // กรอบเวลา 1 นาที
   max: 30,                      // สูงสุด 30 requests ต่อ IP ต่อนาที
+  skip: (req) => req.path === '/search', // ค้นหาใช้ searchLimiter แทน (ตอบจาก Directory ในเครื่องเป็นหลัก)
   message: {
     error: 'API rate limit exceeded. Please slow down and try again in 1 minute.',
     retryAfter: 1
   },
 });
 
+// --- Search Rate Limiter: Autocomplete ยิงทุกครั้งที่พิมพ์ ---
+// เหตุผล: ส่วนใหญ่ตอบจาก symbols.json ในเครื่อง ไม่ได้เรียก External API
+// ถ้าใช้ apiLimiter (30/นาที) → พิมพ์ไม่กี่ชื่อก็โดนบล็อกการดึงราคาจริงไปด้วย
+const searchLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,     // กรอบเวลา 1 นาที
+  max: 120,                     // สูงสุด 120 requests ต่อ IP ต่อนาที
+  message: {
+    error: 'Search rate limit exceeded. Please slow down and try again in 1 minute.',
+    retryAfter: 1
+  },
+});
+
 // เปิดใช้งาน Rate Limiters
-app.use(globalLimiter);           // ใช้กับทุก Route (รวม static files)
+app.use(globalLimiter);           // ใช้กับทุก Route (รวม static files) ยกเว้น /api/search
 app.use('/api/', apiLimiter);     // ใช้เฉพาะ /api/* (เข้มงวดกว่า)
+app.use('/api/search', searchLimiter); // Autocomplete (ผ่อนกว่า apiLimiter)
 
 app.use(express.json());
 
@@ -684,7 +637,7 @@ if (process.env.NODE_ENV !== 'production') {
 
     let quoteResult = null;
     try {
-      quoteResult = await fetchTwelveDataQuote(testSymbol);
+      quoteResult = await providerRegistry.providers.get('twelvedata').quote(testSymbol);
     } catch (err) {
       quoteResult = { error: err.message };
     }
@@ -694,7 +647,8 @@ if (process.env.NODE_ENV !== 'production') {
       maskedKey,
       isDemo,
       tdSymbolTest: { input: testSymbol, output: tdSymbol },
-      quoteTest: quoteResult
+      quoteTest: quoteResult,
+      providers: providerRegistry.snapshot()
     });
   });
   console.log('[Server] 🔧 Debug route /api/debug/info enabled (development mode)');
@@ -702,12 +656,51 @@ if (process.env.NODE_ENV !== 'production') {
   console.log('[Server] 🔒 Debug route /api/debug/info DISABLED (production mode)');
 }
 
-// NOTE: Removed global circuit breaker middleware - each route now handles fallback to TwelveData individually
+// =====================================================
+// 🔒 Admin Routes — ต้องมี Token (หรือ Dev mode เท่านั้น)
+// =====================================================
+// สถิติ Cache เปิดเผยว่ามีหุ้นไหนถูกค้นบ้าง → ไม่เปิดสาธารณะ
+// - ตั้ง ADMIN_TOKEN → ต้องส่ง Header: Authorization: Bearer <token> (ใช้ได้ทุก Environment)
+// - ไม่ตั้ง ADMIN_TOKEN → ใช้ได้เฉพาะ NODE_ENV !== 'production' (เหมือน Debug route)
+// เทียบ Token ด้วย timingSafeEqual ป้องกัน Timing Attack
+// อ้างอิง: OWASP A01:2021 - Broken Access Control
+const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    if (process.env.NODE_ENV !== 'production') return next();
+    return res.status(404).json({ error: 'Not found.' });
+  }
+
+  const supplied = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+  return next();
+};
+
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json(cacheManager.stats());
+});
+
+// ล้าง Cache ทั้งหมด หรือเฉพาะ ?namespace=quote|history|dividends|fx|events|search
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const namespace = req.query.namespace ? String(req.query.namespace) : undefined;
+  const removed = cacheManager.clear(namespace);
+  console.log(`[Cache] Cleared ${removed} items${namespace ? ` in ${namespace}` : ''} via admin route.`);
+  res.json({ removed, namespace: namespace || 'all' });
+});
+
+// NOTE: Circuit breakers are per provider (providers/circuitBreaker.js); an open one is skipped by providerRegistry
 
 // ======================================================
 // === Section 5: Route Controllers                   ===
 // ======================================================
 
+// Every provider was skipped by its circuit breaker (see providers/circuitBreaker.js)
+const PROVIDERS_UNAVAILABLE_MESSAGE = 'Market data providers are temporarily unavailable. Please try again shortly.';
+
 // --- Controller: Get USD/THB Exchange Rate ---
 const getUsdThbRate = async (req, res) => {
   try {
@@ -726,66 +719,188 @@ const getUsdThbRate = async (req, res) => {
   }
 };
 
-const getStockQuote = async (req, res) => {
-  const raw = req.params.ticker;
-  const variants = buildTickerVariants(raw);
+// --- Controller: Any currency pair (/api/forex/JPY/THB) ---
+// Pairs without USD are crossed through USD (JPY -> USD -> THB), see getFxRate
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
 
-  const forceProvider = req.query.forceProvider; // Debug: ?forceProvider=twelvedata
+const getForexPairRate = async (req, res) => {
+  const from = String(req.params.from).trim().toUpperCase();
+  const to = String(req.params.to).trim().toUpperCase();
+  if (!CURRENCY_CODE_REGEX.test(from) || !CURRENCY_CODE_REGEX.test(to)) {
+    return res.status(400).json({ error: 'Invalid currency code. Use ISO 4217 codes, e.g. /api/forex/JPY/THB.' });
+  }
 
-  let lastError = null;
-  for (const symbol of variants) {
-    const cacheKey = `quote_${symbol}`;
-    const cached = cacheManager.get(cacheKey);
-    // If forcing provider, skip cache check
-    if (cached && !forceProvider) return res.json(cached);
+  try {
+    const rate = await getFxRate(from, to);
+    if (!rate) {
+      return res.status(503).json({ error: `Unable to fetch ${from}/${to} rate at this time.` });
+    }
+    let method = 'cross';
+    if (from === to) method = 'identity';
+    else if (from === 'USD' || to === 'USD') method = 'direct';
+    return res.json({
+      currencyPair: `${from}/${to}`,
+      from,
+      to,
+      rate: Number(rate.toFixed(6)),
+      method,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[Forex] Error fetching ${from}/${to}:`, error);
+    return res.status(500).json({ error: 'Internal Server Error fetching Forex rate.' });
+  }
+};
 
-    // 1. Try Yahoo Finance (unless forced otherwise)
-    if (forceProvider !== 'twelvedata') {
-      try {
-        const quote = await yahooFinance.quote(symbol, {
-          fields: ['symbol', 'longName', 'regularMarketPrice', 'currency', 'regularMarketTime'],
-        });
+// --- Controller: Daily FX rates (?pair=USDTHB&startDate=&endDate=) ---
+// rate = units of the quote currency per 1 unit of the base currency, one row per trading day
+const FX_PAIR_REGEX = /^[A-Z]{6}$/;
 
-        if (!quote || !quote.symbol || !Number.isFinite(quote.regularMarketPrice)) {
-          throw new Error(`Invalid Yahoo data for ${symbol}`);
-        }
-
-        const responseData = {
-          symbol: quote.symbol,
-          longName: quote.longName ?? null,
-          currentPrice: Number(quote.regularMarketPrice.toFixed(2)),
-          currency: quote.currency ?? null,
-          timestamp: quote.regularMarketTime
-            ? new Date(quote.regularMarketTime * 1000).toISOString()
-            : null,
-          provider: 'YahooFinance'
-        };
+const getForexHistory = async (req, res) => {
+  const pair = String(req.query.pair || 'USDTHB').trim().toUpperCase();
+  if (!FX_PAIR_REGEX.test(pair)) {
+    return res.status(400).json({ error: 'Invalid pair. Use two ISO currency codes, e.g. USDTHB.' });
+  }
+  const base = pair.slice(0, 3);
+  const quote = pair.slice(3);
+  if (base === quote) {
+    return res.status(400).json({ error: 'Base and quote currency must differ.' });
+  }
 
-        cacheManager.set(cacheKey, responseData);
-        return res.json(responseData);
-      } catch (error) {
-        console.warn(`[Yahoo] Quote failed for ${symbol}:`, error.message);
-        lastError = error;
-      }
+  let period1;
+  let period2;
+  try {
+    ({ period1, period2 } = buildDateRange(req.query.startDate, req.query.endDate, 365));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { symbol, provider, rates, state, ageMs } = await getFxHistory(base, quote, period1, period2);
+    setCacheHeaders(res, { state, ageMs });
+    return res.json({
+      pair,
+      base,
+      quote,
+      symbol,
+      provider,
+      period: { start: toDateOnly(period1), end: toDateOnly(period2) },
+      rates,
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.status === 404 ? `No FX history for ${pair}.` : error.message });
     }
+    if (error.status === 503) return res.status(503).json({ error: PROVIDERS_UNAVAILABLE_MESSAGE });
+    console.error(`[Forex] Error fetching ${pair} history:`, error.message);
+    return res.status(500).json({ error: 'Failed to fetch FX history from all providers.' });
+  }
+};
 
-    // 2. Try Twelve Data (Backup)
-    // Only if Yahoo failed OR we forced it
-    if (lastError || forceProvider === 'twelvedata') {
-      console.log(`[Backup] Attempting Twelve Data for ${symbol}...`);
-      const tdQuote = await fetchTwelveDataQuote(symbol);
-      if (tdQuote) {
-        tdQuote.currentPrice = Number(tdQuote.currentPrice.toFixed(2)); // Ensure format
-        cacheManager.set(cacheKey, tdQuote);
-        return res.json(tdQuote);
-      }
+// --- Cache state headers ---
+// X-Cache: HIT (fresh), STALE (expired copy served while a background refresh runs), MISS (fetched now)
+// X-Cache-Age: seconds since the data was fetched from the provider
+const setCacheHeaders = (res, { state, ageMs }) => {
+  res.set('X-Cache', state);
+  res.set('X-Cache-Age', String(Math.floor((ageMs || 0) / 1000)));
+};
+
+// --- Quote lookup shared by single and batch quote routes ---
+// Tries each ticker variant (PTT → PTT.BK) through the cache and the provider registry.
+// Returns { quote, cache, ageMs } (cache = HIT | STALE | MISS).
+// Throws an Error with status 400 (bad request), 404 (not found) or 500 (all providers failed).
+const resolveQuote = async (raw, forceProvider) => {
+  const variants = buildTickerVariants(raw);
+
+  let lastError = null;
+  for (const symbol of variants) {
+    try {
+      // forceProvider (debug) skips the cache and any in-flight request
+      const { data, state, ageMs } = await cacheManager.fetchThrough(`quote_${symbol}`, async () => {
+        const { result, provider } = await providerRegistry.call('quote', [symbol], { force: forceProvider });
+        return {
+          ...result,
+          currentPrice: Number(result.currentPrice.toFixed(2)),
+          provider: provider.name,
+        };
+      }, { force: Boolean(forceProvider) });
+      return { quote: data, cache: state, ageMs };
+    } catch (error) {
+      if (error.status === 400) throw error;
+      lastError = error;
     }
   }
 
   if (lastError?.status === 404) {
-    return res.status(404).json({ error: `Ticker '${normalizeTicker(raw)}' not found.` });
+    throw Object.assign(new Error(`Ticker '${normalizeTicker(raw)}' not found.`), { status: 404 });
+  }
+  if (lastError?.status === 503) {
+    throw Object.assign(new Error(PROVIDERS_UNAVAILABLE_MESSAGE), { status: 503 });
+  }
+  throw Object.assign(new Error('Failed to fetch stock quote from all providers.'), { status: 500 });
+};
+
+const getStockQuote = async (req, res) => {
+  const forceProvider = req.query.forceProvider; // Debug: ?forceProvider=twelvedata
+  try {
+    const { quote, cache, ageMs } = await resolveQuote(req.params.ticker, forceProvider);
+    setCacheHeaders(res, { state: cache, ageMs });
+    return res.json(quote);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// --- Controller: Batch Quotes (?symbols=PTT,AOT,AAPL) ---
+// One HTTP request → counts once against apiLimiter. Each symbol goes through resolveQuote
+// (cache + provider fallback); failures are reported per symbol instead of failing the batch.
+const BATCH_QUOTE_MAX_SYMBOLS = 25;
+const BATCH_QUOTE_CONCURRENCY = 4; // ไม่ยิง Provider พร้อมกันทีเดียวทั้ง 25 ตัว
+
+const getBatchQuotes = async (req, res) => {
+  const symbols = [...new Set(
+    String(req.query.symbols || '')
+      .split(',')
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean),
+  )];
+
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'Missing symbols. Use ?symbols=PTT,AOT,AAPL' });
+  }
+  if (symbols.length > BATCH_QUOTE_MAX_SYMBOLS) {
+    return res.status(400).json({ error: `Too many symbols (${symbols.length}). Maximum is ${BATCH_QUOTE_MAX_SYMBOLS} per request.` });
+  }
+
+  const forceProvider = req.query.forceProvider;
+  if (forceProvider) {
+    try {
+      providerRegistry.list('quote', forceProvider);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
   }
-  return res.status(500).json({ error: 'Failed to fetch stock quote from all providers.' });
+
+  const results = await mapWithConcurrency(symbols, BATCH_QUOTE_CONCURRENCY, async (symbol) => {
+    // Same format rules as validateTicker (per symbol, so one bad entry does not reject the batch)
+    if (!TICKER_REGEX.test(symbol) || symbol.includes('..')) {
+      return { symbol, ok: false, status: 400, error: 'Invalid ticker format.' };
+    }
+    try {
+      const { quote, cache } = await resolveQuote(symbol, forceProvider);
+      return { symbol, ok: true, cache, quote };
+    } catch (error) {
+      return { symbol, ok: false, status: error.status || 500, error: error.message };
+    }
+  });
+
+  const succeeded = results.filter((r) => r.ok).length;
+  return res.json({
+    requested: symbols.length,
+    succeeded,
+    failed: symbols.length - succeeded,
+    results,
+  });
 };
 
 const getStockHistory = async (req, res) => {
@@ -801,282 +916,372 @@ const getStockHistory = async (req, res) => {
     return res.status(400).json({ error: error.message });
   }
 
+  // ?fields= is opt-in: old clients keep getting { date, close, volume }
+  // ?interval= defaults to 1d; intraday intervals are limited by each provider's lookback
+  // ?adjust= defaults to split (what the providers return); none/total need corporate events
+  let fields;
+  let interval;
+  let adjust;
+  try {
+    fields = parseFieldsParam(req.query.fields);
+    interval = parseIntervalParam(req.query.interval);
+    adjust = parseAdjustParam(req.query.adjust);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const { intraday, resample } = INTERVALS[interval];
+  // 1wk/1mo/1q are built from daily bars, so they share the daily cache entry
+  const sourceInterval = resample ? '1d' : interval;
+
+  // Cache always holds full split-adjusted OHLCV bars at the source interval;
+  // the response is adjusted, resampled (if needed) and projected per request
+  const respond = async (responseObj, symbol, cacheEntry) => {
+    setCacheHeaders(res, cacheEntry);
+    let events = null;
+    if (adjust !== 'split') {
+      try {
+        events = await getCorporateEvents(symbol, period1);
+      } catch (error) {
+        console.warn(`[Adjust] Corporate events unavailable for ${symbol}:`, error.message);
+      }
+    }
+    const adjusted = adjustBars(responseObj.history, adjust, events);
+    const bars = resample ? resampleBars(adjusted.bars, resample) : adjusted.bars;
+    return res.json({
+      ...responseObj,
+      interval,
+      adjust: adjusted.adjust,
+      history: projectBars(bars, fields),
+    });
+  };
+
   const forceProvider = req.query.forceProvider;
   let lastError = null;
 
   for (const symbol of variants) {
-    const cacheKey = `history_${symbol}_${startDate || '90d'}_${endDate || 'today'}`;
-    const cached = cacheManager.get(cacheKey);
-    if (cached && !forceProvider) return res.json(cached);
-
-    // 1. Try Yahoo
-    // 1. Try Yahoo
-    if (forceProvider !== 'twelvedata') {
+    // Daily bars (and 1wk/1mo/1q built from them) come from the bar store, which serves any
+    // sub-range locally and fetches only missing spans. forceProvider (debug) bypasses it.
+    if (sourceInterval === '1d' && !forceProvider) {
       try {
-        const result = await yahooFinance.chart(symbol, {
-          period1,
-          period2,
-          interval: '1d',
-        });
-
-        const history = parseQuoteSeries(result?.quotes || []);
-        if (!history.length) {
-          throw new Error('Empty history from Yahoo');
-        }
-
-        const historyData = history.map((row) => ({
-          date: row.iso,
-          close: row.close,
-          volume: row.volume ?? null,
-        }));
-
-        // Extract currency from Yahoo Meta
-        const currency = result.meta?.currency || 'USD';
-
-        const responseObj = { history: historyData, currency };
-
-        cacheManager.set(cacheKey, responseObj);
-        return res.json(responseObj);
+        const stored = await getDailyBars(symbol, period1, period2);
+        // An empty range (e.g. only a weekend) is a valid answer once the symbol is known
+        return respond({
+          history: stored.history,
+          currency: stored.currency,
+          rangeClamped: stored.rangeClamped,
+          provider: stored.provider,
+        }, symbol, stored);
       } catch (error) {
-        console.warn(`[Yahoo] Library failed for ${symbol} (${error.message}). Trying Direct Fetch...`);
-
-        // 1.5 Try Yahoo Direct Fetch (mimic curl)
-        try {
-          const directResult = await fetchYahooDirect(symbol, period1, period2);
-          if (directResult && directResult.history && directResult.history.length > 0) {
-            console.log(`[Yahoo Direct] Success for ${symbol}`);
-            const responseObj = {
-              history: directResult.history,
-              currency: directResult.currency || 'USD'
-            };
-            cacheManager.set(cacheKey, responseObj);
-            return res.json(responseObj);
-          }
-        } catch (directErr) {
-          console.warn(`[Yahoo Direct] Fallback failed for ${symbol}:`, directErr.message);
-        }
-
+        if (error.status === 400) return res.status(400).json({ error: error.message });
         lastError = error;
+        continue;
       }
     }
 
-    // 2. Try Twelve Data Fallback
-    if (lastError || forceProvider === 'twelvedata') {
-      console.log(`[Backup] Attempting Twelve Data History for ${symbol}...`);
-      const tdResult = await fetchTwelveDataHistory(symbol, period1, period2);
-      if (tdResult && tdResult.history && tdResult.history.length > 0) {
-        const responseObj = {
-          history: tdResult.history,
-          currency: tdResult.currency
+    // Intraday: bars change every few minutes, so cache the requested range as-is on a short TTL
+    const cacheKey = `bars_${symbol}_${sourceInterval}_${startDate || '90d'}_${endDate || 'today'}`;
+
+    // Each provider clamps the range to its own intraday lookback (see intervals.js)
+    try {
+      const entry = await cacheManager.fetchThrough(cacheKey, async () => {
+        const { result, provider } = await providerRegistry.call(
+          'history',
+          [symbol, { period1, period2, interval: sourceInterval }],
+          { force: forceProvider },
+        );
+        return {
+          history: result.history,
+          currency: result.currency,
+          rangeClamped: result.rangeClamped,
+          provider: provider.name,
         };
-        cacheManager.set(cacheKey, responseObj);
-        return res.json(responseObj);
-      }
+      }, { ttlOverride: intraday ? INTRADAY_CACHE_TTL : undefined, force: Boolean(forceProvider) });
+      return respond(entry.data, symbol, entry);
+    } catch (error) {
+      // 400 = the request itself is invalid (unknown forceProvider, range beyond every lookback)
+      if (error.status === 400) return res.status(400).json({ error: error.message });
+      lastError = error;
     }
   }
 
   if (lastError?.status === 404) {
     return res.status(404).json({ error: `Ticker '${normalizeTicker(raw)}' not found.` });
   }
+  if (lastError?.status === 503) {
+    return res.status(503).json({ error: PROVIDERS_UNAVAILABLE_MESSAGE });
+  }
   return res.status(500).json({ error: 'Failed to fetch stock history from all providers.' });
 };
 
-const getDividendHistory = async (req, res) => {
+// --- Controller: Technical indicators (?studies=rsi:14,macd:12:26:9,bb:20:2) ---
+// Computed with shared/indicators.js (same code as the Indicators page) from the daily bars in the bar store.
+// Bars before startDate are loaded as warm-up so the first value in the range is already settled;
+// every series is cut to the requested range and aligned with `dates`.
+const INDICATOR_DAYS_PER_BAR = { '1d': 7 / 5, '1wk': 7, '1mo': 31, '1q': 92 };
+const INDICATOR_MAX_WARMUP_DAYS = 10 * 365;
+
+const roundSeriesValue = (value) => (typeof value === 'number' ? Number(value.toFixed(6)) : value);
+
+const getIndicators = async (req, res) => {
   const raw = req.params.ticker;
-  const variants = buildTickerVariants(raw);
   const { startDate, endDate } = req.query;
 
   let period1;
   let period2;
+  let studies;
+  let interval;
+  let adjust;
   try {
-    ({ period1, period2 } = buildDateRange(startDate, endDate, 365 * 5));
+    ({ period1, period2 } = buildDateRange(startDate, endDate, 365));
+    studies = parseStudiesParam(req.query.studies);
+    interval = parseIntervalParam(req.query.interval);
+    adjust = parseAdjustParam(req.query.adjust);
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
+  const { intraday, resample } = INTERVALS[interval];
+  if (intraday) {
+    return res.status(400).json({ error: 'Indicators are computed from daily bars. Use interval=1d, 1wk, 1mo or 1q.' });
+  }
 
-  let lastError = null;
-  for (const symbol of variants) {
-    const cacheKey = `dividends_${symbol}_${startDate || 'max'}_${endDate || 'today'}`;
-    const cached = cacheManager.get(cacheKey);
-    if (cached) return res.json(cached);
+  const warmupDays = Math.min(
+    Math.ceil(studiesWarmup(studies) * INDICATOR_DAYS_PER_BAR[interval]) + 10,
+    INDICATOR_MAX_WARMUP_DAYS,
+  );
+  const loadFrom = new Date(period1.getTime() - warmupDays * MS_PER_DAY);
 
-    let result;
+  let lastError = null;
+  for (const symbol of buildTickerVariants(raw)) {
+    let stored;
     try {
-      result = await yahooFinance.chart(symbol, {
-        period1,
-        period2,
-        interval: '1d',
-        events: 'div',
-      });
-    } catch (libErr) {
-      console.warn(`[Yahoo] Library failed for dividends ${symbol}: ${libErr.message}. Trying Direct...`);
+      stored = await getDailyBars(symbol, loadFrom, period2);
+    } catch (error) {
+      if (error.status === 400) return res.status(400).json({ error: error.message });
+      lastError = error;
+      continue;
+    }
+
+    let events = null;
+    if (adjust !== 'split') {
       try {
-        result = await fetchYahooDirectRaw(symbol, period1, period2, '1d', 'div');
-      } catch (directErr) {
-        console.warn(`[Yahoo Direct] Dividend fallback failed: ${directErr.message}`);
+        events = await getCorporateEvents(symbol, loadFrom);
+      } catch (error) {
+        console.warn(`[Adjust] Corporate events unavailable for ${symbol}:`, error.message);
       }
     }
+    const adjusted = adjustBars(stored.history, adjust, events);
+    const bars = resample ? resampleBars(adjusted.bars, resample) : adjusted.bars;
 
-    if (!result) {
-      continue;
+    const firstIndex = bars.findIndex((bar) => new Date(bar.date) >= period1);
+    const from = firstIndex < 0 ? bars.length : firstIndex;
+    const inRange = (date) => new Date(date) >= period1;
+
+    setCacheHeaders(res, stored);
+    return res.json({
+      ticker: symbol,
+      currency: stored.currency,
+      provider: stored.provider,
+      interval,
+      adjust: adjusted.adjust,
+      period: { start: toDateOnly(period1), end: toDateOnly(period2) },
+      warmupBars: from,
+      dates: bars.slice(from).map((bar) => bar.date),
+      close: bars.slice(from).map((bar) => bar.close),
+      // OBV/VWAP เริ่มสะสมที่ period1 → ค่าไม่ขึ้นกับ Warm-up ของ Study อื่นใน Request เดียวกัน
+      studies: computeStudies(bars, studies, { anchorIndex: from }).map(({ series, markers, ...study }) => ({
+        ...study,
+        series: Object.fromEntries(
+          Object.entries(series).map(([name, values]) => [name, values.slice(from).map(roundSeriesValue)]),
+        ),
+        ...(markers ? { markers: markers.filter((marker) => inRange(marker.date)) } : {}),
+      })),
+    });
+  }
+
+  if (lastError?.status === 404) {
+    return res.status(404).json({ error: `Ticker '${normalizeTicker(raw)}' not found.` });
+  }
+  if (lastError?.status === 503) {
+    return res.status(503).json({ error: PROVIDERS_UNAVAILABLE_MESSAGE });
+  }
+  return res.status(500).json({ error: 'Failed to compute indicators from all providers.' });
+};
+
+// --- Dividend payload for one resolved symbol (cached per symbol + requested range) ---
+// Throws when the provider fails or returns no dividends, so the caller can try the next variant.
+const buildDividendPayload = async (raw, symbol, period1, period2) => {
+  // result: { dividends: [raw events], quotes: OHLCV bars, currency } (see providers/index.js)
+  const { result } = await providerRegistry.call('dividends', [symbol, { period1, period2 }]);
+
+  const dividendArray = result.dividends || [];
+  if (dividendArray.length === 0) {
+    throw new Error(`No dividend data found for ticker: ${symbol}`);
+  }
+
+  const quoteSeries = parseQuoteSeries(result.quotes || []);
+  const aggregateIssues = new Set();
+  const processedEvents = [];
+  let flaggedEvents = 0;
+
+  for (const event of dividendArray) {
+    const warnings = [];
+
+    const eventDate = toDateObject(event.date ?? event.timestamp ?? null);
+
+    if (!(eventDate instanceof Date) || Number.isNaN(eventDate.getTime())) {
+      warnings.push('ไม่สามารถตีความวันที่ได้');
+      aggregateIssues.add('พบข้อมูลปันผลที่ไม่สามารถตีความวันที่ได้');
     }
 
-    try {
-      const dividendEvents = result?.events?.dividends;
-      const dividendArray = dividendEvents ? Object.values(dividendEvents) : [];
-      if (dividendArray.length === 0) {
-        lastError = new Error(`No dividend data found for ticker: ${symbol}`);
-        continue;
-      }
+    const amountPerShare =
+      typeof event.amount === 'number' && Number.isFinite(event.amount) ? Number(event.amount) : null;
+    if (amountPerShare === null) {
+      warnings.push('ไม่มีจำนวนปันผลต่อหุ้น');
+      aggregateIssues.add('บางรายการไม่มีจำนวนปันผลต่อหุ้น');
+    }
 
-      const quoteSeries = parseQuoteSeries(result?.quotes || []);
-      const aggregateIssues = new Set();
-      const processedEvents = [];
-      let flaggedEvents = 0;
-
-      for (const event of dividendArray) {
-        const warnings = [];
-
-        const eventDate = toDateObject(event.date ?? event.timestamp ?? null);
-
-        if (!(eventDate instanceof Date) || Number.isNaN(eventDate.getTime())) {
-          warnings.push('ไม่สามารถตีความวันที่ได้');
-          aggregateIssues.add('พบข้อมูลปันผลที่ไม่สามารถตีความวันที่ได้');
-        }
-
-        const amountPerShare =
-          typeof event.amount === 'number' && Number.isFinite(event.amount) ? Number(event.amount) : null;
-        if (amountPerShare === null) {
-          warnings.push('ไม่มีจำนวนปันผลต่อหุ้น');
-          aggregateIssues.add('บางรายการไม่มีจำนวนปันผลต่อหุ้น');
-        }
-
-        const currency = event.currency || result?.meta?.currency || null;
-        const withinRequestedRange = eventDate instanceof Date && eventDate >= period1 && eventDate <= period2;
-
-        const priceInfo =
-          eventDate instanceof Date && quoteSeries.length ? findPriceForDate(quoteSeries, eventDate) : null;
-
-        let priceAtEvent = null;
-        let priceDate = null;
-        if (priceInfo) {
-          priceAtEvent = priceInfo.close;
-          priceDate = toDateOnly(priceInfo.date);
-          if (priceInfo.date < eventDate) {
-            warnings.push('ใช้ราคาปิดก่อนหน้าวันจ่ายปันผล');
-            aggregateIssues.add('ต้องใช้ราคาปิดก่อนหน้าวันปันผลสำหรับบางรายการ');
-          }
-        } else {
-          warnings.push('ไม่พบราคาปิดใกล้เคียง');
-          aggregateIssues.add('บางรายการไม่มีราคาปิดให้คำนวณ Dividend Yield');
-        }
-
-        let yieldPercent = null;
-        if (Number.isFinite(priceAtEvent) && Number.isFinite(amountPerShare) && priceAtEvent > 0) {
-          yieldPercent = Number(((amountPerShare / priceAtEvent) * 100).toFixed(2));
-          if (yieldPercent > 20) {
-            warnings.push('Dividend Yield สูงผิดปกติ (>20%) กรุณาตรวจสอบข้อมูล');
-            aggregateIssues.add('พบ Dividend Yield สูงกว่า 20% ในบางรายการ');
-          }
-        }
-
-        if (warnings.length > 0) flaggedEvents += 1;
-
-        processedEvents.push({
-          date: toDateOnly(eventDate),
-          withinRequestedRange,
-          amountPerShare,
-          currency,
-          priceAtEvent: Number.isFinite(priceAtEvent) ? Number(priceAtEvent.toFixed(4)) : null,
-          priceDate,
-          yieldPercent,
-          qualityWarnings: warnings,
-          raw: event,
-        });
+    const currency = event.currency || result.currency || null;
+    const withinRequestedRange = eventDate instanceof Date && eventDate >= period1 && eventDate <= period2;
+
+    const priceInfo =
+      eventDate instanceof Date && quoteSeries.length ? findPriceForDate(quoteSeries, eventDate) : null;
+
+    let priceAtEvent = null;
+    let priceDate = null;
+    if (priceInfo) {
+      priceAtEvent = priceInfo.close;
+      priceDate = toDateOnly(priceInfo.date);
+      if (priceInfo.date < eventDate) {
+        warnings.push('ใช้ราคาปิดก่อนหน้าวันจ่ายปันผล');
+        aggregateIssues.add('ต้องใช้ราคาปิดก่อนหน้าวันปันผลสำหรับบางรายการ');
       }
+    } else {
+      warnings.push('ไม่พบราคาปิดใกล้เคียง');
+      aggregateIssues.add('บางรายการไม่มีราคาปิดให้คำนวณ Dividend Yield');
+    }
 
-      // --- FX Rate Injection ---
-      const enrichedEvents = await enrichCurrency(processedEvents);
-
-      // Fetch current general USD/THB rate for reference in response meta
-      const currentUsdThb = await getFxRate('USD', 'THB');
-
-      const coverageEvents = enrichedEvents
-        .filter((event) => event.withinRequestedRange && event.date)
-        .map((event) => ({
-          ...event,
-          iso: event.date ? new Date(`${event.date}T00:00:00Z`).toISOString() : null,
-        }))
-        .filter((event) => event.iso);
-
-      const sortedCoverage = [...coverageEvents].sort(
-        (a, b) => new Date(a.iso).getTime() - new Date(b.iso).getTime(),
-      );
-      const actualStart = sortedCoverage[0]?.date ?? null;
-      const actualEnd = sortedCoverage[sortedCoverage.length - 1]?.date ?? null;
-
-      const actualRangeDays =
-        actualStart && actualEnd
-          ? Math.floor(
-            (new Date(`${actualEnd}T00:00:00Z`).getTime() - new Date(`${actualStart}T00:00:00Z`).getTime()) /
-            MS_PER_DAY,
-          ) + 1
-          : 0;
-      const requestedRangeDays = Math.floor((period2 - period1) / MS_PER_DAY) + 1;
-      const coverageRatio =
-        requestedRangeDays > 0 && actualRangeDays > 0
-          ? Number(Math.min(actualRangeDays / requestedRangeDays, 1).toFixed(3))
-          : 0;
-
-      if (flaggedEvents > 0) {
-        aggregateIssues.add(`มี ${flaggedEvents} รายการที่มีคำเตือนเพิ่มเติม`);
+    let yieldPercent = null;
+    if (Number.isFinite(priceAtEvent) && Number.isFinite(amountPerShare) && priceAtEvent > 0) {
+      yieldPercent = Number(((amountPerShare / priceAtEvent) * 100).toFixed(2));
+      if (yieldPercent > 20) {
+        warnings.push('Dividend Yield สูงผิดปกติ (>20%) กรุณาตรวจสอบข้อมูล');
+        aggregateIssues.add('พบ Dividend Yield สูงกว่า 20% ในบางรายการ');
       }
+    }
 
-      const payload = {
-        ticker: normalizeTicker(raw),
-        resolvedTicker: symbol,
-        currency: enrichedEvents[0]?.currency || result?.meta?.currency || null,
-        meta: {
-          currentUsdThbRate: currentUsdThb ? Number(currentUsdThb.toFixed(4)) : null,
-          fxTimestamp: new Date().toISOString()
-        },
-        period: {
-          start: toDateOnly(period1),
-          end: toDateOnly(period2),
-        },
-        events: enrichedEvents.sort((a, b) => {
-          if (!a.date && !b.date) return 0;
-          if (!a.date) return 1;
-          if (!b.date) return -1;
-          return new Date(`${b.date}T00:00:00Z`).getTime() - new Date(`${a.date}T00:00:00Z`).getTime();
-        }),
-        quality: {
-          requestedRange: { start: toDateOnly(period1), end: toDateOnly(period2) },
-          actualRange: { start: actualStart, end: actualEnd },
-          requestedRangeDays,
-          actualRangeDays,
-          coverageRatio,
-          invalidEventsDropped: 0,
-          flaggedEvents,
-          issues: Array.from(aggregateIssues),
-        },
-      };
+    if (warnings.length > 0) flaggedEvents += 1;
+
+    processedEvents.push({
+      date: toDateOnly(eventDate),
+      withinRequestedRange,
+      amountPerShare,
+      currency,
+      priceAtEvent: Number.isFinite(priceAtEvent) ? Number(priceAtEvent.toFixed(4)) : null,
+      priceDate,
+      yieldPercent,
+      qualityWarnings: warnings,
+      raw: event,
+    });
+  }
+
+  // --- FX Rate Injection ---
+  const enrichedEvents = await enrichCurrency(processedEvents);
+
+  // Fetch current general USD/THB rate for reference in response meta
+  const currentUsdThb = await getFxRate('USD', 'THB');
+
+  const coverageEvents = enrichedEvents
+    .filter((event) => event.withinRequestedRange && event.date)
+    .map((event) => ({
+      ...event,
+      iso: event.date ? new Date(`${event.date}T00:00:00Z`).toISOString() : null,
+    }))
+    .filter((event) => event.iso);
+
+  const sortedCoverage = [...coverageEvents].sort(
+    (a, b) => new Date(a.iso).getTime() - new Date(b.iso).getTime(),
+  );
+  const actualStart = sortedCoverage[0]?.date ?? null;
+  const actualEnd = sortedCoverage[sortedCoverage.length - 1]?.date ?? null;
+
+  const actualRangeDays =
+    actualStart && actualEnd
+      ? Math.floor(
+        (new Date(`${actualEnd}T00:00:00Z`).getTime() - new Date(`${actualStart}T00:00:00Z`).getTime()) /
+        MS_PER_DAY,
+      ) + 1
+      : 0;
+  const requestedRangeDays = Math.floor((period2 - period1) / MS_PER_DAY) + 1;
+  const coverageRatio =
+    requestedRangeDays > 0 && actualRangeDays > 0
+      ? Number(Math.min(actualRangeDays / requestedRangeDays, 1).toFixed(3))
+      : 0;
+
+  if (flaggedEvents > 0) {
+    aggregateIssues.add(`มี ${flaggedEvents} รายการที่มีคำเตือนเพิ่มเติม`);
+  }
+
+  const payload = {
+    ticker: normalizeTicker(raw),
+    resolvedTicker: symbol,
+    currency: enrichedEvents[0]?.currency || result.currency || null,
+    meta: {
+      currentUsdThbRate: currentUsdThb ? Number(currentUsdThb.toFixed(4)) : null,
+      fxTimestamp: new Date().toISOString()
+    },
+    period: {
+      start: toDateOnly(period1),
+      end: toDateOnly(period2),
+    },
+    events: enrichedEvents.sort((a, b) => {
+      if (!a.date && !b.date) return 0;
+      if (!a.date) return 1;
+      if (!b.date) return -1;
+      return new Date(`${b.date}T00:00:00Z`).getTime() - new Date(`${a.date}T00:00:00Z`).getTime();
+    }),
+    quality: {
+      requestedRange: { start: toDateOnly(period1), end: toDateOnly(period2) },
+      actualRange: { start: actualStart, end: actualEnd },
+      requestedRangeDays,
+      actualRangeDays,
+      coverageRatio,
+      invalidEventsDropped: 0,
+      flaggedEvents,
+      issues: Array.from(aggregateIssues),
+    },
+  };
+
+  return payload;
+};
+
+const getDividendHistory = async (req, res) => {
+  const raw = req.params.ticker;
+  const variants = buildTickerVariants(raw);
+  const { startDate, endDate } = req.query;
+
+  let period1;
+  let period2;
+  try {
+    ({ period1, period2 } = buildDateRange(startDate, endDate, 365 * 5));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-      cacheManager.set(cacheKey, payload);
-      return res.json(payload);
+  let lastError = null;
+  for (const symbol of variants) {
+    const cacheKey = `dividends_${symbol}_${startDate || 'max'}_${endDate || 'today'}`;
+    try {
+      const entry = await cacheManager.fetchThrough(cacheKey, () => buildDividendPayload(raw, symbol, period1, period2));
+      setCacheHeaders(res, entry);
+      return res.json(entry.data);
     } catch (error) {
       console.error(`[Fetch] Dividend error for ${symbol}:`, error.message);
       // SyntaxError typically means Yahoo is returning HTML (rate limit/block)
-      // We do NOT trip the circuit breaker globally to avoid blocking other endpoints (quote/history) that might have fallbacks.
+      // Breakers are per provider (providers/circuitBreaker.js), so other endpoints keep their fallbacks.
       if (error instanceof SyntaxError && error.message?.includes('Unexpected token')) {
-        // Just log and continue to next symbol or error out for this specific request
         lastError = new Error('Yahoo API Rate Limit (HTML response)');
         continue;
       }
-      if (error.status === 404) {
-        lastError = error;
-        continue;
-      }
       lastError = error;
     }
   }
@@ -1084,9 +1289,67 @@ const getDividendHistory = async (req, res) => {
   if (lastError?.status === 404) {
     return res.status(404).json({ error: `Ticker '${normalizeTicker(raw)}' not found.` });
   }
+  if (lastError?.status === 503) {
+    return res.status(503).json({ error: PROVIDERS_UNAVAILABLE_MESSAGE });
+  }
   return res.status(500).json({ error: lastError?.message || 'Failed to fetch dividend history.' });
 };
 
+// --- Controller: Symbol Search (Autocomplete) ---
+// Answers from the bundled directory; only when nothing matches locally does it
+// ask the providers' search (cached), so typing in the autocomplete stays offline.
+const SEARCH_MAX_LIMIT = 50;
+
+const getSymbolSearch = async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query || !SEARCH_QUERY_REGEX.test(query)) {
+    return res.status(400).json({ error: 'Invalid search query. Use 1-40 letters, digits, spaces or . & \' -' });
+  }
+
+  const market = req.query.market ? String(req.query.market).toUpperCase() : null;
+  if (market && !SYMBOL_MARKETS.includes(market)) {
+    return res.status(400).json({ error: `Invalid market. Use one of: ${SYMBOL_MARKETS.join(', ')}.` });
+  }
+
+  const requestedLimit = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(requestedLimit, 1), SEARCH_MAX_LIMIT) : 10;
+
+  let results = searchSymbols(query, { limit, market });
+  let source = 'directory';
+
+  if (results.length === 0 && query.length >= 2) {
+    const cacheKey = `search_${query.toUpperCase()}`;
+    let remote;
+    try {
+      ({ data: remote } = await cacheManager.fetchThrough(cacheKey, async () => {
+        const { result } = await providerRegistry.call('search', [query]);
+        return result;
+      }));
+    } catch (error) {
+      console.warn(`[Search] Provider search failed for "${query}": ${error.message}`);
+      remote = [];
+    }
+    results = (remote || [])
+      .map((item) => ({ ...item, currency: findSymbol(item.symbol)?.currency || inferCurrency(item) }))
+      .filter((item) => !market || (market === 'SET' ? item.currency === 'THB' : item.currency === 'USD'))
+      .slice(0, limit);
+    source = 'provider';
+  }
+
+  return res.json({
+    query,
+    source,
+    directory: getDirectoryInfo(),
+    results: results.map(({ symbol, name, exchange, currency, type }) => ({
+      symbol,
+      name: name || symbol,
+      exchange: exchange || null,
+      currency: currency || null,
+      type: type || null,
+    })),
+  });
+};
+
 // ======================================================
 // === Section 6: Routes                              ===
 // ======================================================
@@ -1109,6 +1372,9 @@ const getDividendHistory = async (req, res) => {
 
 const TICKER_REGEX = /^[A-Za-z0-9.\-]{1,20}$/;
 
+// คำค้นหา (/api/search?q=) ค้นได้ทั้ง Symbol และชื่อบริษัท → อนุญาตช่องว่างและ . & ' - เพิ่ม
+const SEARCH_QUERY_REGEX = /^[\p{L}\p{N} .&'-]{1,40}$/u;
+
 const validateTicker = (req, res, next) => {
   const ticker = req.params.ticker;
 
@@ -1171,13 +1437,24 @@ function safeRegister(method, routePath, ...handlers) {
 // 🔒 Routes — ตอนนี้ทุก :ticker route ต้องผ่าน validateTicker ก่อน
 // validateTicker ตรวจ format → validateDateParams ตรวจวันที่ → handler ทำงาน
 // ถ้า input ไม่ผ่าน → return 400 Bad Request ทันที (ไม่เรียก handler)
+// /api/stock/quotes ต้องลงทะเบียนก่อน /api/stock/:ticker (ไม่งั้น "quotes" ถูกมองเป็น Ticker)
+safeRegister('get', '/api/stock/quotes', getBatchQuotes);
 safeRegister('get', '/api/stock/:ticker', validateTicker, getStockQuote);
 safeRegister('get', '/api/stock/history/:ticker', validateTicker, validateDateParams, getStockHistory);
 safeRegister('get', '/api/stock/dividends/:ticker', validateTicker, validateDateParams, getDividendHistory);
+safeRegister('get', '/api/indicators/:ticker', validateTicker, validateDateParams, getIndicators);
 safeRegister('get', '/api/forex/usd-thb', getUsdThbRate);
+safeRegister('get', '/api/forex/history', validateDateParams, getForexHistory);
+safeRegister('get', '/api/forex/:from/:to', getForexPairRate);
+safeRegister('get', '/api/search', getSymbolSearch);
 
 // --- Health check route ---
-app.get('/health', (req, res) => res.json({ ok: true, uptime: process.uptime() }));
+// circuits: breaker state per enabled provider + FX (no error messages, safe to expose)
+app.get('/health', (req, res) => res.json({
+  ok: true,
+  uptime: process.uptime(),
+  circuits: { ...providerRegistry.circuitStates(), fx: fxBreaker.snapshot() },
+}));
 
 // Simple root (health / quick check)
 app.get('/', (req, res) => {
@@ -1201,6 +1478,15 @@ process.on('unhandledRejection', (reason) => {
   console.error('[Process] Unhandled Rejection:', reason && reason.stack ? reason.stack : reason);
 });
 
+// --- Graceful shutdown: write out cache writes still waiting for the next batch
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`[Process] ${signal} received. Saving cache...`);
+    cacheManager.close();
+    process.exit(0);
+  });
+}
+
 // ======================================================
 // === Serve static + SPA fallback
 // ======================================================
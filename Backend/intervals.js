@@ -0,0 +1,99 @@
+/**
+ * =====================================================
+ * intervals.js - ช่วงเวลาของแท่งราคา (Bar Interval)
+ * =====================================================
+ *
+ * รองรับ ?interval= บน /api/stock/history/:ticker:
+ *
+ *   1m, 5m, 15m, 1h (Intraday), 1d (รายวัน - ค่าเริ่มต้น)
+ *   และ 1wk, 1mo, 1q (รวมจากแท่งรายวันฝั่ง Server - ดู resample.js)
+ *
+ * **ทำไมต้องมีตาราง:**
+ * - แต่ละ Provider ใช้ชื่อ interval ไม่เหมือนกัน (Yahoo: '60m', TwelveData: '1h')
+ * - Provider จำกัดระยะย้อนหลังของข้อมูล Intraday ต่างกัน
+ *   เช่น Yahoo ให้ 1m ย้อนหลังได้แค่ ~7 วัน, 5m/15m ได้ ~60 วัน
+ *   ถ้าขอเกินจะได้ Error แทนที่จะได้ข้อมูลบางส่วน เราจึงตัดช่วงเริ่มต้นให้อยู่ในขอบเขตก่อนเรียก
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_INTERVAL = '1d';
+
+// code = ชื่อ interval ของ Provider, maxDays = ย้อนหลังได้สูงสุดกี่วัน (null = ไม่จำกัด)
+// resample = ดึงแท่งรายวันแล้วรวมเป็นช่วงนี้เอง (ไม่พึ่ง 1wk/1mo ของ Provider ที่นิยามขอบเขตไม่ตรงกัน)
+const DAILY_SOURCE = {
+  yahoo: { code: '1d', maxDays: null },
+  twelveData: { code: '1day', maxDays: null },
+};
+
+export const INTERVALS = {
+  '1m': {
+    intraday: true,
+    yahoo: { code: '1m', maxDays: 7 },
+    twelveData: { code: '1min', maxDays: 7 },
+  },
+  '5m': {
+    intraday: true,
+    yahoo: { code: '5m', maxDays: 60 },
+    twelveData: { code: '5min', maxDays: 60 },
+  },
+  '15m': {
+    intraday: true,
+    yahoo: { code: '15m', maxDays: 60 },
+    twelveData: { code: '15min', maxDays: 60 },
+  },
+  '1h': {
+    intraday: true,
+    yahoo: { code: '60m', maxDays: 730 },
+    twelveData: { code: '1h', maxDays: 730 },
+  },
+  '1d': {
+    intraday: false,
+    ...DAILY_SOURCE,
+  },
+  '1wk': { intraday: false, resample: 'week', ...DAILY_SOURCE },
+  '1mo': { intraday: false, resample: 'month', ...DAILY_SOURCE },
+  '1q': { intraday: false, resample: 'quarter', ...DAILY_SOURCE },
+};
+
+/**
+ * parseIntervalParam - ตีความ query ?interval=
+ * @param {string} raw - เช่น '5m', '1h' (ว่าง = '1d')
+ * @returns {string} - key ของ INTERVALS
+ * @throws {Error} - ถ้าไม่รู้จัก interval
+ */
+export const parseIntervalParam = (raw) => {
+  if (!raw) return DEFAULT_INTERVAL;
+  const interval = String(raw).trim().toLowerCase();
+  if (!INTERVALS[interval]) {
+    throw new Error(`Unknown interval: ${raw}. Allowed: ${Object.keys(INTERVALS).join(', ')}.`);
+  }
+  return interval;
+};
+
+/**
+ * clampRangeForProvider - ตัดวันเริ่มต้นให้อยู่ในขอบเขตย้อนหลังของ Provider
+ * @param {string} interval - key ของ INTERVALS
+ * @param {string} provider - 'yahoo' | 'twelveData'
+ * @param {Date} period1 - วันเริ่มต้นที่ขอ
+ * @param {Date} period2 - วันสิ้นสุด
+ * @returns {{ code: string, period1: Date, period2: Date, clamped: boolean }}
+ * @throws {Error} - status 400 ถ้าทั้งช่วงเก่ากว่าที่ Provider เก็บไว้
+ */
+export const clampRangeForProvider = (interval, provider, period1, period2) => {
+  const spec = INTERVALS[interval][provider];
+  if (!spec.maxDays) return { code: spec.code, period1, period2, clamped: false };
+
+  // ขอบเขตนับจาก "ตอนนี้" ไม่ใช่จาก period2 (Provider เก็บข้อมูล Intraday ไว้แค่ช่วงล่าสุด)
+  const earliest = new Date(Date.now() - spec.maxDays * MS_PER_DAY);
+  if (period1 >= earliest) return { code: spec.code, period1, period2, clamped: false };
+  if (period2 < earliest) {
+    // status 400: เป็นข้อจำกัดของคำขอ ไม่ใช่ Provider ล่ม (ดู providers/index.js)
+    throw Object.assign(
+      new Error(`Interval ${interval} is only available for the last ${spec.maxDays} days.`),
+      { status: 400 },
+    );
+  }
+
+  return { code: spec.code, period1: earliest, period2, clamped: true };
+};
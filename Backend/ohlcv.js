@@ -0,0 +1,125 @@
+/**
+ * =====================================================
+ * ohlcv.js - Schema กลางของแท่งราคา (OHLCV Bar)
+ * =====================================================
+ *
+ * ทุก Provider (yahoo-finance2, Yahoo Direct, TwelveData) ส่งข้อมูลราคามาคนละรูปแบบ
+ * ไฟล์นี้แปลงทุกแหล่งให้เป็นแท่งราคารูปแบบเดียวกัน:
+ *
+ *   { date, open, high, low, close, adjClose, volume }
+ *
+ * **กฎการ Normalize:**
+ * - date: ISO String เสมอ
+ * - ราคาที่ไม่มี/ไม่ใช่ตัวเลข → null (ไม่เดาค่า)
+ * - แท่งที่ไม่มี close → ตัดทิ้ง (ใช้คำนวณอะไรไม่ได้)
+ * - เรียงจากเก่า → ใหม่
+ *
+ * **fields= (Opt-in):**
+ * Client เดิมได้แค่ { date, close, volume } เหมือนเดิม
+ * Client ที่ต้องการ OHLC ส่ง ?fields=ohlcv หรือ ?fields=open,high,low,close
+ */
+
+// ฟิลด์ทั้งหมดที่ขอได้ผ่าน ?fields= (date ถูกส่งเสมอ ไม่ต้องขอ)
+export const BAR_FIELDS = ['open', 'high', 'low', 'close', 'adjClose', 'volume'];
+
+// ค่าเริ่มต้นสำหรับ Client เดิม (Backward compatible)
+export const DEFAULT_BAR_FIELDS = ['close', 'volume'];
+
+// ชื่อย่อที่ขยายเป็นหลายฟิลด์
+const FIELD_ALIASES = {
+  ohlc: ['open', 'high', 'low', 'close'],
+  ohlcv: ['open', 'high', 'low', 'close', 'volume'],
+  all: BAR_FIELDS,
+};
+
+// แปลงค่าเป็นตัวเลขที่ใช้ได้ หรือ null (รองรับ String จาก TwelveData)
+const toPrice = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * normalizeBar - แปลงแถวข้อมูลดิบเป็นแท่งราคามาตรฐาน
+ * @param {object} row - { date|iso|datetime, open, high, low, close, adjClose|adjclose, volume }
+ * @returns {object|null} - แท่งราคา หรือ null ถ้าไม่มีวันที่/ราคาปิด
+ */
+export const normalizeBar = (row) => {
+  if (!row) return null;
+  const rawDate = row.date ?? row.iso ?? row.datetime ?? null;
+  const date = rawDate instanceof Date ? rawDate : (rawDate ? new Date(rawDate) : null);
+  const close = toPrice(row.close);
+  if (!date || Number.isNaN(date.getTime()) || close === null) return null;
+
+  return {
+    date: date.toISOString(),
+    open: toPrice(row.open),
+    high: toPrice(row.high),
+    low: toPrice(row.low),
+    close,
+    adjClose: toPrice(row.adjClose ?? row.adjclose),
+    volume: toPrice(row.volume),
+  };
+};
+
+/**
+ * normalizeBars - Normalize ทั้ง Array และเรียงตามวันที่
+ * @param {Array} rows - ข้อมูลดิบจาก Provider
+ * @returns {Array} - แท่งราคาที่ผ่านการ Normalize
+ */
+export const normalizeBars = (rows) =>
+  (Array.isArray(rows) ? rows : [])
+    .map(normalizeBar)
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// แท่งรายวันที่มีเวลาเปิดตลาดติดมา → ปักไว้ที่ 00:00 UTC ของวันนั้น
+const pinToUtcDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.toISOString().slice(0, 10)}T00:00:00.000Z`;
+};
+
+/**
+ * toDailyBars - Normalize แท่งรายวัน โดยปัก date ไว้ที่ 00:00 UTC
+ * ทุก Provider ต้องให้แท่งของวันเดียวกันมี date ตรงกัน (barStore รวมแท่งจากหลาย Provider ตามวัน)
+ * @param {Array} rows - ข้อมูลดิบจาก Provider
+ * @returns {Array} - แท่งราคาที่ผ่านการ Normalize
+ */
+export const toDailyBars = (rows) =>
+  normalizeBars((rows || []).map((row) => ({ ...row, date: pinToUtcDate(row?.date ?? row?.iso ?? row?.datetime) })));
+
+/**
+ * parseFieldsParam - ตีความ query ?fields=
+ * @param {string} raw - เช่น 'ohlcv' หรือ 'open,high,low,close'
+ * @returns {Array<string>} - รายชื่อฟิลด์ที่ต้องส่งกลับ
+ * @throws {Error} - ถ้ามีชื่อฟิลด์ที่ไม่รู้จัก
+ */
+export const parseFieldsParam = (raw) => {
+  if (!raw) return DEFAULT_BAR_FIELDS;
+  const requested = String(raw)
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean)
+    .flatMap((f) => FIELD_ALIASES[f.toLowerCase()] || [f]);
+
+  const unknown = requested.filter((f) => !BAR_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fields: ${unknown.join(', ')}. Allowed: ${BAR_FIELDS.join(', ')}, ohlc, ohlcv, all.`);
+  }
+  // คงลำดับตาม BAR_FIELDS เพื่อให้ Response คงที่
+  return BAR_FIELDS.filter((f) => requested.includes(f));
+};
+
+/**
+ * projectBars - ตัดเหลือเฉพาะฟิลด์ที่ Client ขอ
+ * @param {Array} bars - แท่งราคามาตรฐาน
+ * @param {Array<string>} fields - ผลลัพธ์จาก parseFieldsParam
+ * @returns {Array} - [{ date, ...fields }]
+ */
+export const projectBars = (bars, fields = DEFAULT_BAR_FIELDS) =>
+  bars.map((bar) => {
+    const out = { date: bar.date };
+    for (const f of fields) out[f] = bar[f] ?? null;
+    return out;
+  });
@@ -0,0 +1,152 @@
+/**
+ * =====================================================
+ * providers/circuitBreaker.js - Circuit Breaker ต่อ Upstream
+ * =====================================================
+ *
+ * เดิมมี Breaker ตัวเดียวทั้งระบบ (บล็อก 1 วินาที) → Yahoo ล่มทีเดียวทุก Endpoint ตอบ 503
+ * ตอนนี้แต่ละ Upstream (yahoo, yahooDirect, twelvedata, fx) มี Breaker ของตัวเอง
+ * ตัวที่เปิดอยู่ถูกข้าม → Registry ไปใช้ Provider ถัดไปแทน
+ *
+ * **สถานะ:**
+ * - CLOSED: ปกติ นับผลของ windowSize ครั้งล่าสุด
+ *   อัตราล้มเหลว ≥ failureRateThreshold (เมื่อมีอย่างน้อย minRequests ครั้ง) → OPEN
+ * - OPEN: ไม่ส่ง Request จนครบ Cooldown (ครั้งแรก baseCooldownMs แล้วเพิ่มเท่าตัวทุกครั้งที่เปิดซ้ำ ไม่เกิน maxCooldownMs)
+ * - HALF_OPEN: ครบ Cooldown แล้ว ปล่อย Probe ได้ 1 Request
+ *   สำเร็จ → CLOSED (Cooldown กลับไปเริ่มต้น), ล้มเหลว → OPEN อีกรอบด้วย Cooldown ที่ยาวขึ้น
+ *
+ * **Token:** tryAcquire() คืน Token ที่ต้องส่งกลับใน onSuccess/onFailure/onClientError
+ * - ตอนที่ไม่ CLOSED นับเฉพาะผลของ Token ที่ได้ Probe ไป
+ *   (Request ที่ส่งก่อนเปิดแล้วเพิ่งตอบกลับ ไม่ว่าสำเร็จหรือล้มเหลว ไม่เปลี่ยนสถานะ)
+ *
+ * - Client Error (400/404) ถือว่า Upstream ยังตอบได้ → CLOSED นับเป็นสำเร็จ,
+ *   ถ้าเป็น Probe แค่คืนสิทธิ์ Probe (ยังไม่ปิด Breaker จนกว่าจะมี Request ที่สำเร็จจริง)
+ * - Probe ที่ค้างเกิน probeTimeoutMs ถือว่าหาย → ปล่อย Probe ใหม่ได้
+ */
+
+export const BREAKER_STATES = { CLOSED: 'CLOSED', OPEN: 'OPEN', HALF_OPEN: 'HALF_OPEN' };
+
+/**
+ * createCircuitBreaker
+ * @param {object} options
+ * @param {string} options.id - ชื่อ Upstream (ใช้ใน Log และ /health)
+ * @param {number} [options.windowSize=20] - จำนวนผลล่าสุดที่ใช้คิดอัตราล้มเหลว
+ * @param {number} [options.minRequests=5] - ต้องมีผลอย่างน้อยเท่านี้ก่อนจะเปิดได้
+ * @param {number} [options.failureRateThreshold=0.5] - อัตราล้มเหลวที่ทำให้เปิด (0-1)
+ * @param {number} [options.baseCooldownMs=30 วินาที] - Cooldown ครั้งแรก
+ * @param {number} [options.maxCooldownMs=10 นาที] - Cooldown สูงสุด
+ * @param {number} [options.probeTimeoutMs=30 วินาที] - Probe ที่ค้างนานกว่านี้ถือว่าหาย
+ */
+export const createCircuitBreaker = ({
+  id,
+  windowSize = 20,
+  minRequests = 5,
+  failureRateThreshold = 0.5,
+  baseCooldownMs = 30 * 1000,
+  maxCooldownMs = 10 * 60 * 1000,
+  probeTimeoutMs = 30 * 1000,
+}) => {
+  let state = BREAKER_STATES.CLOSED;
+  let outcomes = [];        // true = สำเร็จ, false = ล้มเหลว (ล่าสุดอยู่ท้าย)
+  let trips = 0;            // จำนวนครั้งที่เปิดติดกัน (ใช้คำนวณ Cooldown)
+  let openUntil = 0;
+  let probe = null;         // Token ของ Probe ที่กำลังรอผล
+  let probeStartedAt = 0;
+  let lastTransitionAt = null;
+
+  const failureRate = () => (outcomes.length ? outcomes.filter((ok) => !ok).length / outcomes.length : 0);
+  const cooldownFor = (n) => Math.min(baseCooldownMs * 2 ** Math.max(n - 1, 0), maxCooldownMs);
+  const isProbe = (token) => Boolean(token) && token === probe;
+
+  const releaseProbe = () => {
+    probe = null;
+    probeStartedAt = 0;
+  };
+
+  const transition = (next) => {
+    state = next;
+    lastTransitionAt = new Date().toISOString();
+  };
+
+  const open = () => {
+    trips += 1;
+    const cooldownMs = cooldownFor(trips);
+    openUntil = Date.now() + cooldownMs;
+    releaseProbe();
+    transition(BREAKER_STATES.OPEN);
+    console.error(`[Circuit Breaker] ${id} opened (failure rate ${(failureRate() * 100).toFixed(0)}%). Cooling down for ${Math.ceil(cooldownMs / 1000)}s.`);
+  };
+
+  return {
+    id,
+
+    /**
+     * tryAcquire - ขออนุญาตส่ง Request (HALF_OPEN ให้ได้ครั้งละ 1 Probe)
+     * @returns {{ probe: boolean }|null} - Token สำหรับรายงานผล, null = ไม่อนุญาต
+     */
+    tryAcquire() {
+      const now = Date.now();
+      if (state === BREAKER_STATES.CLOSED) return { probe: false };
+      if (state === BREAKER_STATES.OPEN) {
+        if (now < openUntil) return null;
+        transition(BREAKER_STATES.HALF_OPEN);
+        console.log(`[Circuit Breaker] ${id} half-open. Sending a probe request.`);
+      }
+      if (probe && now - probeStartedAt < probeTimeoutMs) return null;
+      probe = { probe: true };
+      probeStartedAt = now;
+      return probe;
+    },
+
+    onSuccess(token) {
+      if (state !== BREAKER_STATES.CLOSED) {
+        // ผลที่ไม่ใช่ของ Probe (เช่น Request ที่ส่งก่อนเปิด) ไม่ปิด Breaker
+        if (!isProbe(token)) return;
+        console.log(`[Circuit Breaker] ${id} closed. Probe succeeded.`);
+        transition(BREAKER_STATES.CLOSED);
+        outcomes = [];
+        trips = 0;
+        releaseProbe();
+      }
+      outcomes = [...outcomes, true].slice(-windowSize);
+    },
+
+    onFailure(token) {
+      if (state !== BREAKER_STATES.CLOSED) {
+        // Request ที่ส่งก่อนเปิด (หรือ Probe ที่หมดเวลาไปแล้ว) เพิ่งล้มเหลว ไม่ต้องนับซ้ำ
+        if (state === BREAKER_STATES.HALF_OPEN && isProbe(token)) open();
+        return;
+      }
+      outcomes = [...outcomes, false].slice(-windowSize);
+      if (outcomes.length >= minRequests && failureRate() >= failureRateThreshold) open();
+    },
+
+    // 400/404: Upstream ตอบได้แต่คำขอใช้ไม่ได้ → ไม่ใช่หลักฐานว่าหายดี แค่คืนสิทธิ์ Probe
+    onClientError(token) {
+      if (state === BREAKER_STATES.CLOSED) {
+        outcomes = [...outcomes, true].slice(-windowSize);
+      } else if (isProbe(token)) {
+        releaseProbe();
+      }
+    },
+
+    // ไม่ได้ส่ง Request จริง (เช่นทุก Provider ถูกข้าม) → คืนสิทธิ์ Probe โดยไม่นับผล
+    release(token) {
+      if (isProbe(token)) releaseProbe();
+    },
+
+    /**
+     * snapshot - สถานะสำหรับ /health
+     */
+    snapshot() {
+      return {
+        state,
+        failureRate: Number(failureRate().toFixed(3)),
+        samples: outcomes.length,
+        trips,
+        retryInMs: state === BREAKER_STATES.OPEN ? Math.max(openUntil - Date.now(), 0) : 0,
+        nextCooldownMs: cooldownFor(trips + 1),
+        lastTransitionAt,
+      };
+    },
+  };
+};
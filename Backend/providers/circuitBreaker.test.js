@@ -0,0 +1,83 @@
+/**
+ * =====================================================
+ * Backend/providers/circuitBreaker.test.js - ทดสอบสิทธิ์ Probe ของ Circuit Breaker (npm test)
+ * =====================================================
+ *
+ * Breaker ใช้ Cooldown สั้นๆ (COOLDOWN_MS) แล้วรอจริง → ไม่ต้องแตะเวลาของระบบ
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker, BREAKER_STATES } from './circuitBreaker.js';
+import { providerRegistry } from './index.js';
+
+const COOLDOWN_MS = 20;
+const waitForCooldown = () => new Promise((resolve) => setTimeout(resolve, COOLDOWN_MS * 2));
+
+const createBreaker = (id = 'test') => createCircuitBreaker({ id, minRequests: 2, baseCooldownMs: COOLDOWN_MS });
+
+// ล้มเหลวติดกันจน Breaker เปิด
+const trip = (breaker) => {
+  while (breaker.snapshot().state === BREAKER_STATES.CLOSED) breaker.onFailure(breaker.tryAcquire());
+};
+
+describe('circuit breaker', () => {
+  test('a success from a request sent before opening does not close the breaker', async () => {
+    const breaker = createBreaker();
+    const early = breaker.tryAcquire();
+    trip(breaker);
+
+    breaker.onSuccess(early);
+    assert.equal(breaker.snapshot().state, BREAKER_STATES.OPEN);
+
+    await waitForCooldown();
+    const probe = breaker.tryAcquire();
+    assert.equal(probe?.probe, true);
+    breaker.onSuccess(early);
+    assert.equal(breaker.snapshot().state, BREAKER_STATES.HALF_OPEN);
+    assert.equal(breaker.tryAcquire(), null); // Probe ยังรอผล → ครั้งละ 1 Probe
+
+    breaker.onSuccess(probe);
+    assert.equal(breaker.snapshot().state, BREAKER_STATES.CLOSED);
+  });
+
+  test('a failed probe reopens the breaker with a longer cooldown', async () => {
+    const breaker = createBreaker();
+    trip(breaker);
+    await waitForCooldown();
+
+    breaker.onFailure(breaker.tryAcquire());
+    const { state, trips, retryInMs } = breaker.snapshot();
+    assert.equal(state, BREAKER_STATES.OPEN);
+    assert.equal(trips, 2);
+    assert.ok(retryInMs > COOLDOWN_MS);
+  });
+
+  test('a forced call does not use up the probe token', async () => {
+    const id = 'breaker-test';
+    let calls = 0;
+    providerRegistry.register({
+      id,
+      name: 'Breaker Test',
+      capabilities: { quote: true },
+      quote: async (symbol) => {
+        calls += 1;
+        return { symbol };
+      },
+    });
+    const breaker = createBreaker(id);
+    providerRegistry.breakers.set(id, breaker);
+    trip(breaker);
+    await waitForCooldown();
+
+    const forced = await providerRegistry.call('quote', ['AAPL'], { force: id });
+    assert.equal(forced.provider.id, id);
+    assert.equal(breaker.snapshot().state, BREAKER_STATES.OPEN);
+
+    // Probe ยังว่างอยู่ → Request ปกติได้เป็น Probe และปิด Breaker
+    providerRegistry.configure(id);
+    await providerRegistry.call('quote', ['AAPL']);
+    assert.equal(breaker.snapshot().state, BREAKER_STATES.CLOSED);
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * =====================================================
+ * providers/fixtures.js - Provider แบบ Offline: อ่านข้อมูลจากไฟล์ที่บันทึกไว้
+ * =====================================================
+ *
+ * ใช้รันแอปหรือเขียน Test แบบ Reproducible โดยไม่ต้องต่อเน็ต
+ * - เปิดใช้: MARKET_DATA_PROVIDERS=fixtures
+ * - โฟลเดอร์: MARKET_DATA_FIXTURES_DIR (ค่าเริ่มต้น Backend/fixtures)
+ * - Record Mode: MARKET_DATA_RECORD=1 → ผลสำเร็จของ Provider จริงถูกเขียนลงโฟลเดอร์นี้ (recordFixture)
+ *
+ * **โครงสร้างไฟล์** (ชื่อไฟล์ = Symbol ตรงตัว เช่น PTT.BK, THB=X):
+ *
+ *   quote/<SYMBOL>.json                → { symbol, longName, currentPrice, currency, timestamp }
+ *   history/<SYMBOL>_<interval>.json   → { currency, history: [OHLCV bars] }
+ *   history/<SYMBOL>_<interval>.csv    → date,open,high,low,close,adjClose,volume
+ *   dividends/<SYMBOL>.json            → { currency, dividends: [{ date, amount }], quotes?: [bars] }
+ *   dividends/<SYMBOL>.csv             → date,amount
+ *   splits/<SYMBOL>.json               → { splits: [{ date, ratio }], dividends: [{ date, amount }] }
+ *   search/<query>.json                → [{ symbol, name, exchange, type }]
+ *
+ * - อัตราแลกเปลี่ยนคือ quote ของคู่เงิน (quote/THB=X.json, quote/EURUSD=X.json)
+ * - ไฟล์ CSV: บรรทัดแรกเป็น Header, บรรทัดที่ขึ้นต้นด้วย # ถูกข้าม
+ * - เก็บข้อมูลช่วงยาวไว้ไฟล์เดียว แล้วตัดตาม period1/period2 ตอนอ่าน (Record ก็ Merge ต่อท้ายไฟล์เดิม)
+ * - dividends ที่ไม่มี quotes ใช้ราคาจาก history/<SYMBOL>_1d แทน
+ * - ไม่มีไฟล์ = status 404 (ปัญหาของคำขอ ไม่ลด Health Score)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeBars } from '../ohlcv.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+let fixturesDir = DEFAULT_DIR;
+
+/**
+ * configureFixtures - ตั้งโฟลเดอร์ Fixture (เรียกครั้งเดียวหลังโหลด ENV)
+ * @param {string} [dir] - Path ของโฟลเดอร์ (ไม่ระบุ = Backend/fixtures)
+ */
+export const configureFixtures = (dir) => {
+  fixturesDir = dir ? path.resolve(dir) : DEFAULT_DIR;
+};
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+// ชื่อไฟล์ต้องปลอดภัย: ตัวอักษรอื่นนอกจากนี้แทนด้วย _ (กัน ../ ใน Symbol)
+const safeName = (name) => String(name).replace(/[^A-Za-z0-9.=^_-]/g, '_');
+
+const fixturePath = (kind, name, ext) => path.join(fixturesDir, kind, `${safeName(name)}.${ext}`);
+
+const readJson = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null);
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf-8');
+};
+
+// CSV แบบง่าย (ไม่มี Quote/Comma ในค่า) → Array ของ Object ตาม Header
+const readCsv = (file) => {
+  if (!fs.existsSync(file)) return null;
+  const lines = fs.readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(',').map((h) => h.trim());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    return Object.fromEntries(header.map((key, i) => [key, cells[i]?.trim() ?? '']));
+  });
+};
+
+// วันที่ใน Fixture เป็น ISO String, Date หรือ Unix seconds (ข้อมูลดิบจาก Yahoo Direct)
+const toTime = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value * 1000;
+  return new Date(value).getTime();
+};
+
+const dayKey = (value) => {
+  const time = toTime(value);
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : null;
+};
+
+const inRange = (value, period1, period2) => {
+  const time = toTime(value);
+  return Number.isFinite(time) && time >= toTime(period1) && time <= toTime(period2);
+};
+
+// รวมรายการเดิมกับรายการใหม่ (ตัวใหม่ทับตัวเก่าที่ key เดียวกัน) แล้วเรียงตามเวลา
+const mergeBy = (existing, incoming, keyOf) => {
+  const merged = new Map();
+  for (const item of [...(existing || []), ...(incoming || [])]) {
+    const key = keyOf(item);
+    if (key) merged.set(key, item);
+  }
+  return [...merged.values()].sort((a, b) => toTime(a.date) - toTime(b.date));
+};
+
+const readQuote = (symbol) => readJson(fixturePath('quote', symbol, 'json'));
+
+// history/<SYMBOL>_<interval>.json หรือ .csv → { currency, history }
+const readHistory = (symbol, interval) => {
+  const name = `${symbol}_${interval}`;
+  const json = readJson(fixturePath('history', name, 'json'));
+  if (json) return { currency: json.currency || null, history: normalizeBars(json.history || []) };
+
+  const rows = readCsv(fixturePath('history', name, 'csv'));
+  if (rows) return { currency: readQuote(symbol)?.currency || null, history: normalizeBars(rows) };
+  return null;
+};
+
+const readDividends = (symbol) => {
+  const json = readJson(fixturePath('dividends', symbol, 'json'));
+  if (json) return json;
+
+  const rows = readCsv(fixturePath('dividends', symbol, 'csv'));
+  if (!rows) return null;
+  return {
+    currency: readQuote(symbol)?.currency || null,
+    dividends: rows.map((row) => ({ date: row.date, amount: Number(row.amount) })),
+  };
+};
+
+export default {
+  id: 'fixtures',
+  name: 'Fixtures',
+  capabilities: { quote: true, history: true, dividends: true, splits: true, search: true },
+
+  async quote(symbol) {
+    const quote = readQuote(symbol);
+    if (!quote) throw notFound(`No quote fixture for ${symbol} in ${fixturesDir}`);
+    return quote;
+  },
+
+  async history(symbol, { period1, period2, interval }) {
+    const stored = readHistory(symbol, interval);
+    if (!stored) throw notFound(`No ${interval} history fixture for ${symbol} in ${fixturesDir}`);
+
+    const history = stored.history.filter((bar) => inRange(bar.date, period1, period2));
+    if (!history.length) throw notFound(`History fixture for ${symbol} has no bars in the requested range`);
+    return { history, currency: stored.currency || 'USD', rangeClamped: false };
+  },
+
+  async dividends(symbol, { period1, period2 }) {
+    const stored = readDividends(symbol);
+    if (!stored) throw notFound(`No dividend fixture for ${symbol} in ${fixturesDir}`);
+
+    const quotes = stored.quotes ? normalizeBars(stored.quotes) : (readHistory(symbol, '1d')?.history || []);
+    return {
+      dividends: (stored.dividends || []).filter((event) => inRange(event.date, period1, period2)),
+      quotes: quotes.filter((bar) => inRange(bar.date, period1, period2)),
+      currency: stored.currency || null,
+    };
+  },
+
+  async splits(symbol, { period1, period2 }) {
+    const stored = readJson(fixturePath('splits', symbol, 'json'));
+    if (!stored) throw notFound(`No split fixture for ${symbol} in ${fixturesDir}`);
+    return {
+      splits: (stored.splits || []).filter((event) => inRange(event.date, period1, period2)),
+      dividends: (stored.dividends || []).filter((event) => inRange(event.date, period1, period2)),
+    };
+  },
+
+  async search(query) {
+    const saved = readJson(fixturePath('search', String(query).toLowerCase(), 'json'));
+    if (saved) return saved;
+
+    // ไม่มีผลค้นหาที่บันทึกไว้ → ค้นจาก quote fixture ที่มีอยู่ (Symbol หรือชื่อบริษัท)
+    const quoteDir = path.join(fixturesDir, 'quote');
+    const needle = String(query).toLowerCase();
+    const files = fs.existsSync(quoteDir) ? fs.readdirSync(quoteDir).filter((f) => f.endsWith('.json')) : [];
+    const matches = files
+      .map((file) => readJson(path.join(quoteDir, file)))
+      .filter((q) => q?.symbol && `${q.symbol} ${q.longName || ''}`.toLowerCase().includes(needle))
+      .map((q) => ({ symbol: q.symbol, name: q.longName || q.symbol, exchange: null, type: null }));
+    if (!matches.length) throw notFound(`No search fixture matches "${query}"`);
+    return matches;
+  },
+};
+
+/**
+ * recordFixture - บันทึกผลสำเร็จของ Provider จริงลงโฟลเดอร์ Fixture
+ * ใช้กับ providerRegistry.setRecorder() (MARKET_DATA_RECORD=1)
+ * @param {string} capability - quote | history | dividends | splits | search
+ * @param {Array} args - อาร์กิวเมนต์เดียวกับที่ส่งให้ Provider
+ * @param {object} result - ผลลัพธ์ของ Provider
+ */
+export const recordFixture = (capability, args, result) => {
+  const [subject, options = {}] = args;
+
+  switch (capability) {
+    case 'quote':
+      writeJson(fixturePath('quote', subject, 'json'), result);
+      break;
+
+    case 'history': {
+      // ช่วงที่บันทึกไว้แล้ว + ช่วงใหม่ → ไฟล์ JSON เดียว (JSON ถูกอ่านก่อน CSV เดิมเสมอ)
+      const existing = readHistory(subject, options.interval);
+      writeJson(fixturePath('history', `${subject}_${options.interval}`, 'json'), {
+        currency: result.currency || existing?.currency || null,
+        history: mergeBy(existing?.history, result.history, (bar) => bar.date),
+      });
+      break;
+    }
+
+    case 'dividends': {
+      const existing = readDividends(subject);
+      writeJson(fixturePath('dividends', subject, 'json'), {
+        currency: result.currency || existing?.currency || null,
+        dividends: mergeBy(existing?.dividends, result.dividends, (event) => dayKey(event.date)),
+        quotes: mergeBy(existing?.quotes, result.quotes, (bar) => bar.date),
+      });
+      break;
+    }
+
+    case 'splits': {
+      const existing = readJson(fixturePath('splits', subject, 'json'));
+      writeJson(fixturePath('splits', subject, 'json'), {
+        splits: mergeBy(existing?.splits, result.splits, (event) => dayKey(event.date)),
+        dividends: mergeBy(existing?.dividends, result.dividends, (event) => dayKey(event.date)),
+      });
+      break;
+    }
+
+    case 'search':
+      writeJson(fixturePath('search', String(subject).toLowerCase(), 'json'), result);
+      break;
+
+    default:
+      break;
+  }
+  console.log(`[Fixtures] Recorded ${capability} for ${subject}`);
+};
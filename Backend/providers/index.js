@@ -0,0 +1,238 @@
+/**
+ * =====================================================
+ * providers/index.js - Registry ของแหล่งข้อมูลตลาด (Market-Data Providers)
+ * =====================================================
+ *
+ * แทนที่ลำดับ Yahoo → Yahoo Direct → TwelveData ที่เคยเขียนซ้ำในทุก Handler
+ * Handler เรียก providerRegistry.call('history', [symbol, options]) แล้ว Registry จะไล่ Provider ให้ตามลำดับ
+ *
+ * **Provider Interface** (1 ไฟล์ = 1 Provider, export default object):
+ *
+ *   {
+ *     id: 'yahoo',                 // ใช้ใน MARKET_DATA_PROVIDERS และ ?forceProvider=
+ *     name: 'YahooFinance',        // แสดงใน Response (provider)
+ *     capabilities: { quote, history, dividends, splits, search },  // true/false
+ *     quote(symbol)                              → { symbol, longName, currentPrice, currency, timestamp }
+ *     history(symbol, { period1, period2, interval })
+ *                                                → { history: OHLCV bars (ฐาน split), currency, rangeClamped }
+ *     dividends(symbol, { period1, period2 })    → { dividends: [{ date, amount, currency }], quotes: bars, currency }
+ *     splits(symbol, { period1, period2 })       → { splits: [{ date, ratio }], dividends: [{ date, amount }] }
+ *     search(query)                              → [{ symbol, name, exchange, type }]
+ *   }
+ *
+ * - ล้มเหลว = throw Error (ผลว่างก็ throw พร้อม status 404) → Registry ไปลอง Provider ถัดไป
+ * - error.status = 400/404 คือปัญหาของคำขอ (เช่นเกิน Lookback, ไม่พบหุ้น) ไม่นับเป็นความผิดของ Provider
+ *
+ * **ลำดับความสำคัญ:**
+ * - ค่าเริ่มต้น: yahoo, yahooDirect, twelvedata
+ * - ตั้งเองได้ผ่าน ENV: MARKET_DATA_PROVIDERS=yahooDirect,yahoo (ไม่ระบุ = ปิด Provider นั้น)
+ * - ทำงาน Offline: MARKET_DATA_PROVIDERS=fixtures (อ่านจากไฟล์ที่บันทึกไว้ ดู fixtures.js)
+ *
+ * **Record Mode:**
+ * setRecorder(fn) → ทุกครั้งที่ Provider จริงตอบสำเร็จ Registry ส่ง (capability, args, result) ให้ fn
+ * ใช้บันทึก Response จริงลง Fixture (MARKET_DATA_RECORD=1)
+ *
+ * **Health Score:**
+ * - แต่ละ Provider มีคะแนน 0-1 (EWMA ของผลสำเร็จล่าสุด, เริ่มที่ 1)
+ * - Provider ที่คะแนนต่ำกว่า HEALTH_FLOOR ถูกเลื่อนไปลองท้ายสุด (แต่ยังลองอยู่ ถ้าตัวอื่นล้มหมด)
+ *
+ * **Circuit Breaker:** (ดู circuitBreaker.js)
+ * - แต่ละ Provider มี Breaker ของตัวเอง → ตัวที่เปิดอยู่ถูกข้ามไปเลย (ไม่เสียเวลารอ Timeout)
+ * - ทุกตัวถูกข้าม → status 503 (Handler ยังตอบจาก Cache ที่ Stale ได้)
+ * - ?forceProvider= (Debug) ไม่ถูก Breaker กั้นและไม่ใช้สิทธิ์ Probe (ผลนับเฉพาะตอน Breaker ปิดอยู่)
+ */
+
+import yahooProvider from './yahoo.js';
+import yahooDirectProvider from './yahooDirect.js';
+import twelveDataProvider from './twelveData.js';
+import fixtureProvider from './fixtures.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+
+const DEFAULT_ORDER = ['yahoo', 'yahooDirect', 'twelvedata'];
+const HEALTH_ALPHA = 0.3;  // น้ำหนักของผลล่าสุดใน EWMA
+const HEALTH_FLOOR = 0.4;  // ต่ำกว่านี้ = ป่วย → ลองท้ายสุด
+
+export const CAPABILITIES = ['quote', 'history', 'dividends', 'splits', 'search'];
+
+// สร้าง Error ที่มี HTTP status (ให้ Handler ตอบกลับได้ตรง)
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// ปัญหาของคำขอ ไม่ใช่ของ Provider
+const isClientError = (error) => error?.status === 400 || error?.status === 404;
+
+export const providerRegistry = {
+  providers: new Map(),
+  order: [],
+  health: new Map(),
+  breakers: new Map(),
+  recorder: null,
+
+  /**
+   * register - เพิ่ม Provider (Provider ใหม่ = เขียน 1 ไฟล์ แล้ว register ที่นี่)
+   */
+  register(provider) {
+    if (!provider?.id) throw new Error('Provider must have an id');
+    this.providers.set(provider.id, provider);
+    this.health.set(provider.id, {
+      score: 1,
+      successes: 0,
+      failures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastLatencyMs: null,
+    });
+    this.breakers.set(provider.id, createCircuitBreaker({ id: provider.id }));
+    if (!this.order.includes(provider.id)) this.order.push(provider.id);
+  },
+
+  /**
+   * configure - ตั้งลำดับ Provider จากรายการ id (คั่นด้วย comma) เช่นค่าจาก ENV
+   */
+  configure(orderSpec) {
+    if (!orderSpec) return;
+    const ids = String(orderSpec).split(',').map((id) => id.trim()).filter(Boolean);
+    const unknown = ids.filter((id) => !this.providers.has(id));
+    if (unknown.length > 0) {
+      console.warn(`[Providers] Ignoring unknown providers in MARKET_DATA_PROVIDERS: ${unknown.join(', ')}`);
+    }
+    const known = ids.filter((id) => this.providers.has(id));
+    if (known.length > 0) this.order = known;
+  },
+
+  /**
+   * list - Provider ที่รองรับ capability เรียงตามลำดับ (ตัวที่ป่วยไปอยู่ท้าย)
+   * @param {string} capability - หนึ่งใน CAPABILITIES
+   * @param {string} [force] - id ของ Provider ที่บังคับใช้ (?forceProvider=)
+   * @throws {Error} status 400 - ถ้า force ไม่รู้จักหรือไม่รองรับ capability
+   */
+  list(capability, force) {
+    if (force) {
+      const provider = this.providers.get(force);
+      if (!provider) {
+        throw httpError(400, `Unknown provider: ${force}. Available: ${[...this.providers.keys()].join(', ')}.`);
+      }
+      if (!provider.capabilities?.[capability]) {
+        throw httpError(400, `Provider ${force} does not support ${capability}.`);
+      }
+      return [provider];
+    }
+
+    const enabled = this.order
+      .map((id) => this.providers.get(id))
+      .filter((p) => p?.capabilities?.[capability]);
+    const healthy = enabled.filter((p) => this.health.get(p.id).score >= HEALTH_FLOOR);
+    const sick = enabled.filter((p) => this.health.get(p.id).score < HEALTH_FLOOR);
+    return [...healthy, ...sick];
+  },
+
+  /**
+   * setRecorder - ตั้ง callback ที่รับผลสำเร็จของ Provider จริง (null = ปิด)
+   * @param {Function|null} fn - (capability, args, result) => void
+   */
+  setRecorder(fn) {
+    this.recorder = fn;
+  },
+
+  record(id, ok, latencyMs, error) {
+    const h = this.health.get(id);
+    if (!h) return;
+    h.score = h.score * (1 - HEALTH_ALPHA) + (ok ? 1 : 0) * HEALTH_ALPHA;
+    h.lastLatencyMs = latencyMs;
+    if (ok) {
+      h.successes += 1;
+    } else {
+      h.failures += 1;
+      h.lastError = error?.message || String(error);
+      h.lastFailureAt = new Date().toISOString();
+    }
+  },
+
+  /**
+   * call - ไล่เรียก provider[capability](...args) ทีละตัวจนกว่าจะสำเร็จ
+   * @param {string} capability - เช่น 'history'
+   * @param {Array} args - อาร์กิวเมนต์ของเมธอด เช่น [symbol, { period1, period2, interval }]
+   * @param {object} [options] - { force }
+   * @returns {Promise<{ result: any, provider: object }>}
+   * @throws {Error} - ทุกตัวล้มเหลว: status 400 ถ้าทุกตัวปฏิเสธคำขอ, 404 ถ้ามีตัวที่ตอบว่าไม่พบ,
+   *   503 ถ้าทุกตัวถูก Circuit Breaker ข้าม
+   */
+  async call(capability, args, { force } = {}) {
+    const candidates = this.list(capability, force);
+    if (candidates.length === 0) {
+      throw httpError(503, `No provider is configured for ${capability}.`);
+    }
+
+    const errors = [];
+    for (const provider of candidates) {
+      const breaker = this.breakers.get(provider.id);
+      // ?forceProvider= ไม่ขอสิทธิ์ → ไม่แย่ง Probe ของ Request จริง
+      const token = force ? null : breaker.tryAcquire();
+      if (!force && !token) {
+        errors.push(httpError(503, `${provider.name} is temporarily unavailable (circuit open).`));
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const result = await provider[capability](...args);
+        breaker.onSuccess(token);
+        this.record(provider.id, true, Date.now() - startedAt);
+        if (this.recorder && provider.id !== fixtureProvider.id) {
+          try {
+            this.recorder(capability, args, result);
+          } catch (error) {
+            console.warn(`[Providers] Recorder failed for ${capability}: ${error.message}`);
+          }
+        }
+        return { result, provider };
+      } catch (error) {
+        if (isClientError(error)) {
+          breaker.onClientError(token); // Upstream ตอบได้ แค่คำขอใช้ไม่ได้
+        } else {
+          breaker.onFailure(token);
+          this.record(provider.id, false, Date.now() - startedAt, error);
+        }
+        console.warn(`[Providers] ${provider.name} ${capability} failed: ${error.message}`);
+        errors.push(error);
+      }
+    }
+
+    const last = errors[errors.length - 1];
+    const failure = new Error(last?.message || `All providers failed for ${capability}.`);
+    if (errors.every((e) => e.status === 400)) failure.status = 400;
+    else if (errors.every((e) => e.status === 503)) failure.status = 503;
+    else if (errors.some((e) => e.status === 404)) failure.status = 404;
+    failure.errors = errors;
+    throw failure;
+  },
+
+  /**
+   * snapshot - สถานะของทุก Provider (ใช้กับ /health)
+   */
+  snapshot() {
+    return [...this.providers.values()].map((p) => ({
+      id: p.id,
+      name: p.name,
+      enabled: this.order.includes(p.id),
+      priority: this.order.indexOf(p.id),
+      capabilities: p.capabilities,
+      ...this.health.get(p.id),
+      score: Number(this.health.get(p.id).score.toFixed(3)),
+      circuit: this.breakers.get(p.id).snapshot(),
+    }));
+  },
+
+  /**
+   * circuitStates - สถานะ Breaker ของ Provider ที่เปิดใช้ (ไม่มีข้อความ Error → เปิดให้ /health ดูได้)
+   */
+  circuitStates() {
+    return Object.fromEntries(this.order.map((id) => [id, this.breakers.get(id).snapshot()]));
+  },
+};
+
+// --- Built-in Providers ---
+providerRegistry.register(yahooProvider);
+providerRegistry.register(yahooDirectProvider);
+providerRegistry.register(twelveDataProvider);
+providerRegistry.register(fixtureProvider); // ปิดไว้ (ไม่อยู่ใน DEFAULT_ORDER) จนกว่าจะเลือกผ่าน ENV
+providerRegistry.order = [...DEFAULT_ORDER];
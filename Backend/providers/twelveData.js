@@ -0,0 +1,126 @@
+/**
+ * =====================================================
+ * providers/twelveData.js - Provider สำรองสุดท้าย: Twelve Data API
+ * =====================================================
+ *
+ * ใช้ได้แม้ไม่มี API Key (ใช้ key 'demo' ซึ่งได้เฉพาะบาง Symbol)
+ * Free tier ไม่มี dividends/splits/search ที่ใช้ได้จริง → ปิด capability เหล่านั้น
+ * ข้อจำกัด Intraday ใช้ตาราง 'twelveData' ใน intervals.js
+ */
+
+import { normalizeBars } from '../ohlcv.js';
+import { INTERVALS, clampRangeForProvider } from '../intervals.js';
+
+// Use 'demo' as fallback if no API key provided
+const getApiKey = () => {
+  const apiKey = process.env.TWELVE_DATA_API_KEY;
+  return !apiKey || apiKey === 'your_dummy_key_here' ? 'demo' : apiKey;
+};
+
+// 🔒 [V5] Security Fix: ไม่แสดง API Key (แม้บางส่วน) ใน logs
+// ปัญหาเดิม: แสดง 4 ตัวแรกของ API Key → Attacker ใช้ลด search space ในการ brute-force
+// แก้ไข: แสดงแค่สถานะ (configured/demo) โดยไม่เปิดเผยค่าจริง
+// อ้างอิง: OWASP A09:2021 - Security Logging and Monitoring Failures
+const logKeyStatus = (apiKey, label) => {
+  const keyStatus = apiKey === 'demo' ? 'demo (fallback)' : 'configured';
+  console.log(`[TwelveData] ${label} - API Key status: ${keyStatus}`);
+};
+
+export const formatTwelveDataSymbol = (sym) => {
+  // Use exact matching for Thai stocks
+  if (sym.endsWith('.BK')) {
+    return sym.replace('.BK', ':SET');
+  }
+
+  // If user deliberately explicitly typed :SET, assume they know what they are doing
+  if (sym.includes(':SET')) return sym;
+
+  // IMPORTANT: Do NOT default to appending :SET for everything.
+  // Assume generic symbols (e.g., "NVDA", "AAPL") are US market (NASDAQ/NYSE)
+  return sym;
+};
+
+export default {
+  id: 'twelvedata',
+  name: 'TwelveData',
+  capabilities: { quote: true, history: true, dividends: false, splits: false, search: false },
+
+  async quote(symbol) {
+    const apiKey = getApiKey();
+    logKeyStatus(apiKey, 'Quote Request');
+
+    // Adjust symbol for TwelveData format (Thai stocks need :SET)
+    const tdSymbol = formatTwelveDataSymbol(symbol);
+    const url = `https://api.twelvedata.com/quote?symbol=${tdSymbol}&apikey=${apiKey}`;
+    console.log(`[TwelveData] Fetching quote for ${symbol}...`);
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP Status ${res.status}`);
+    const data = await res.json();
+
+    // TwelveData returns { status: "error" } on failure
+    if (data.status === 'error') {
+      throw new Error(data.message || 'TwelveData API Error');
+    }
+
+    // Extract price - TwelveData returns 'close' as previous close, 'price' might not exist
+    // Use 'close' as current price indicator (previous close is most recent)
+    const price = Number(data.close) || Number(data.previous_close) || 0;
+    if (!price || price <= 0) {
+      throw new Error(`Invalid TwelveData price for ${symbol} (tdSymbol=${tdSymbol})`);
+    }
+
+    console.log(`[TwelveData] Success for ${symbol} (tdSymbol=${tdSymbol}): ${price} ${data.currency}`);
+    return {
+      symbol: data.symbol,
+      longName: data.name || data.symbol,
+      currentPrice: price,
+      currency: data.currency,
+      timestamp: new Date().toISOString(),
+    };
+  },
+
+  async history(symbol, { period1, period2, interval }) {
+    const apiKey = getApiKey();
+    logKeyStatus(apiKey, 'History Request');
+    const tdSymbol = formatTwelveDataSymbol(symbol);
+    const range = clampRangeForProvider(interval, 'twelveData', period1, period2);
+
+    // Intraday datetimes are "YYYY-MM-DD HH:mm:ss" in the exchange timezone by default;
+    // ask for UTC so they can be parsed (and bounded) without knowing the exchange
+    const isIntraday = INTERVALS[interval].intraday;
+    const tz = isIntraday ? '&timezone=UTC' : '';
+
+    // start_date, end_date format: YYYY-MM-DD (daily) or "YYYY-MM-DD HH:mm:ss" UTC (intraday)
+    const toTdDateTime = (d) => d.toISOString().slice(0, 19).replace('T', ' ');
+    const toTdDate = (d) => d.toISOString().slice(0, 10);
+    const start = isIntraday ? toTdDateTime(range.period1) : toTdDate(range.period1);
+    const end = isIntraday ? toTdDateTime(range.period2) : toTdDate(range.period2);
+
+    const url = `https://api.twelvedata.com/time_series?symbol=${tdSymbol}&interval=${range.code}&start_date=${encodeURIComponent(start)}&end_date=${encodeURIComponent(end)}${tz}&apikey=${apiKey}`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP Status ${res.status}`);
+    const data = await res.json();
+
+    if (data.code && data.code !== 200) {
+      throw new Error(data.message || 'API Error');
+    }
+
+    // Map format: { date, open, high, low, close, adjClose, volume } (see ohlcv.js)
+    // Twelve Data returns newest first; normalizeBars sorts chronologically.
+    // time_series has no adjusted close, so adjClose stays null.
+    const values = isIntraday
+      ? (data.values || []).map((v) => ({ ...v, datetime: `${String(v.datetime).replace(' ', 'T')}Z` }))
+      : data.values;
+    const history = normalizeBars(values);
+    if (!history.length) {
+      throw Object.assign(new Error(`Empty history from TwelveData (tdSymbol=${tdSymbol})`), { status: 404 });
+    }
+
+    // TwelveData provides currency in the meta object
+    return {
+      history,
+      currency: data.meta?.currency || 'USD', // Fallback to USD if missing (mostly US stocks on free tier)
+      rangeClamped: range.clamped,
+    };
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * =====================================================
+ * providers/yahoo.js - Provider หลัก: yahoo-finance2 Library
+ * =====================================================
+ *
+ * รองรับครบทุก capability (quote, history, dividends, splits, search)
+ * ข้อจำกัด Intraday ใช้ตาราง 'yahoo' ใน intervals.js
+ */
+
+import yahooFinance from 'yahoo-finance2';
+import { normalizeBars, toDailyBars } from '../ohlcv.js';
+import { INTERVALS, clampRangeForProvider } from '../intervals.js';
+import { parseCorporateEvents } from '../adjustments.js';
+
+export default {
+  id: 'yahoo',
+  name: 'YahooFinance',
+  capabilities: { quote: true, history: true, dividends: true, splits: true, search: true },
+
+  async quote(symbol) {
+    const quote = await yahooFinance.quote(symbol, {
+      fields: ['symbol', 'longName', 'regularMarketPrice', 'currency', 'regularMarketTime'],
+    });
+
+    if (!quote || !quote.symbol || !Number.isFinite(quote.regularMarketPrice)) {
+      throw new Error(`Invalid Yahoo data for ${symbol}`);
+    }
+
+    // Library คืน regularMarketTime เป็น Date แล้ว (เวอร์ชันเก่าเป็น Unix seconds)
+    const marketTime = quote.regularMarketTime;
+    const timestamp = marketTime instanceof Date
+      ? marketTime.toISOString()
+      : (marketTime ? new Date(marketTime * 1000).toISOString() : null);
+
+    return {
+      symbol: quote.symbol,
+      longName: quote.longName ?? null,
+      currentPrice: quote.regularMarketPrice,
+      currency: quote.currency ?? null,
+      timestamp,
+    };
+  },
+
+  async history(symbol, { period1, period2, interval }) {
+    const range = clampRangeForProvider(interval, 'yahoo', period1, period2);
+    const result = await yahooFinance.chart(symbol, {
+      period1: range.period1,
+      period2: range.period2,
+      interval: range.code,
+    });
+
+    // Daily bars are pinned to the UTC date; intraday bars keep their timestamp
+    const history = INTERVALS[interval].intraday
+      ? normalizeBars(result?.quotes || [])
+      : toDailyBars(result?.quotes);
+    if (!history.length) {
+      throw Object.assign(new Error('Empty history from Yahoo'), { status: 404 });
+    }
+
+    return { history, currency: result.meta?.currency || 'USD', rangeClamped: range.clamped };
+  },
+
+  async dividends(symbol, { period1, period2 }) {
+    const result = await yahooFinance.chart(symbol, { period1, period2, interval: '1d', events: 'div' });
+    return {
+      dividends: Object.values(result?.events?.dividends || {}),
+      quotes: toDailyBars(result?.quotes),
+      currency: result?.meta?.currency || null,
+    };
+  },
+
+  async splits(symbol, { period1, period2 }) {
+    const result = await yahooFinance.chart(symbol, { period1, period2, interval: '1d', events: 'div|split' });
+    return parseCorporateEvents(result);
+  },
+
+  async search(query) {
+    const result = await yahooFinance.search(query, { quotesCount: 10, newsCount: 0 });
+    return (result?.quotes || [])
+      .filter((q) => q.symbol)
+      .map((q) => ({
+        symbol: q.symbol,
+        name: q.longname || q.shortname || q.symbol,
+        exchange: q.exchDisp || q.exchange || null,
+        type: q.quoteType || null,
+      }));
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * =====================================================
+ * providers/yahooDirect.js - Provider สำรอง: Yahoo Chart API ผ่าน HTTP ตรง
+ * =====================================================
+ *
+ * ใช้ฟังก์ชันใน ../yahooDirect.js (เรียก API เหมือน curl)
+ * ข้อมูลชุดเดียวกับ Library แต่ไม่ติดปัญหา Parsing/Validation ของ Library
+ * ไม่มี Search API → capabilities.search = false
+ */
+
+import { fetchYahooDirect, fetchYahooDirectRaw, rawResultToBars } from '../yahooDirect.js';
+import { INTERVALS, clampRangeForProvider } from '../intervals.js';
+import { toDailyBars } from '../ohlcv.js';
+import { parseCorporateEvents } from '../adjustments.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// fetchYahooDirectRaw คืน null เมื่อล้มเหลว → แปลงเป็น Error ให้ Registry ลองตัวถัดไป
+const fetchRawOrThrow = async (...args) => {
+  const result = await fetchYahooDirectRaw(...args);
+  if (!result) throw new Error('Yahoo Direct returned no data');
+  return result;
+};
+
+export default {
+  id: 'yahooDirect',
+  name: 'YahooDirect',
+  capabilities: { quote: true, history: true, dividends: true, splits: true, search: false },
+
+  async quote(symbol) {
+    // ช่วง 5 วันก็พอ: meta มีราคาล่าสุดเสมอ (เผื่อวันหยุดยาว)
+    const now = new Date();
+    const result = await fetchRawOrThrow(symbol, new Date(now.getTime() - 5 * MS_PER_DAY), now, '1d');
+    const meta = result.meta || {};
+    const price = Number(meta.regularMarketPrice);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`Invalid Yahoo Direct quote for ${symbol}`);
+    }
+
+    return {
+      symbol: meta.symbol || symbol,
+      longName: meta.longName || meta.shortName || null,
+      currentPrice: price,
+      currency: meta.currency ?? null,
+      timestamp: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null,
+    };
+  },
+
+  async history(symbol, { period1, period2, interval }) {
+    const range = clampRangeForProvider(interval, 'yahoo', period1, period2);
+    const directResult = await fetchYahooDirect(symbol, range.period1, range.period2, range.code);
+    if (!directResult?.history?.length) {
+      throw Object.assign(new Error('Empty history from Yahoo Direct'), { status: 404 });
+    }
+    // แท่งรายวันมีเวลาเปิดตลาด (เช่น T14:30:00Z) → ปักที่ 00:00 UTC ให้ตรงกับ Provider yahoo
+    return {
+      history: INTERVALS[interval].intraday ? directResult.history : toDailyBars(directResult.history),
+      currency: directResult.currency || 'USD',
+      rangeClamped: range.clamped,
+    };
+  },
+
+  async dividends(symbol, { period1, period2 }) {
+    const result = await fetchRawOrThrow(symbol, period1, period2, '1d', 'div');
+    return {
+      dividends: Object.values(result.events?.dividends || {}),
+      quotes: toDailyBars(rawResultToBars(result)),
+      currency: result.meta?.currency || null,
+    };
+  },
+
+  async splits(symbol, { period1, period2 }) {
+    const result = await fetchRawOrThrow(symbol, period1, period2, '1d', 'div|split');
+    return parseCorporateEvents(result);
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * =====================================================
+ * resample.js - รวมแท่งรายวันเป็นแท่งรายสัปดาห์/เดือน/ไตรมาส
+ * =====================================================
+ *
+ * ใช้กับ ?interval=1wk|1mo|1q บน /api/stock/history/:ticker
+ * ต่างจากการเลือกทุก ๆ N จุด (ซึ่งทิ้ง High/Low/Volume ระหว่างทาง)
+ * ที่นี่สร้างแท่ง OHLCV ใหม่จากทุกแท่งในช่วง:
+ *
+ *   open = open ของวันแรก, high = max(high), low = min(low),
+ *   close = close ของวันสุดท้าย, adjClose = adjClose ของวันสุดท้าย, volume = sum(volume)
+ *
+ * **ขอบเขตช่วงเวลา:**
+ * - สัปดาห์: ISO Week (จันทร์ - อาทิตย์)
+ * - เดือน/ไตรมาส: ตามปฏิทิน (ไทยใช้เดือนเดียวกับสากล ต่างกันแค่ปี พ.ศ. ซึ่งไม่กระทบขอบเขต)
+ * - ใช้วันที่ UTC ของแท่งรายวัน ซึ่งตรงกับวันซื้อขายจริงทั้ง SET (เปิด 10:00 = 03:00 UTC)
+ *   และตลาด US (เปิด 09:30 ET = 13:30/14:30 UTC) ไม่มีแท่งไหนข้ามวันเมื่อแปลงเป็น UTC
+ * - date ของแท่งที่รวมแล้ว = วันแรกของช่วง (จันทร์ / วันที่ 1) ไม่ใช่วันซื้อขายแรก
+ *   เพื่อให้ Label คงที่แม้วันแรกเป็นวันหยุด
+ */
+
+// หาวันเริ่มต้นของช่วง (เวลา 00:00 UTC) ที่แท่งนี้อยู่
+const PERIOD_START = {
+  week: (d) => {
+    // ISO Week เริ่มวันจันทร์: getUTCDay() 0 = อาทิตย์ → ถอยกลับ 6 วัน
+    const dayOffset = (d.getUTCDay() + 6) % 7;
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - dayOffset);
+  },
+  month: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1),
+  quarter: (d) => Date.UTC(d.getUTCFullYear(), Math.floor(d.getUTCMonth() / 3) * 3, 1),
+};
+
+export const RESAMPLE_PERIODS = Object.keys(PERIOD_START);
+
+// รวมค่าที่อาจเป็น null: ข้ามค่า null, ถ้าไม่มีค่าเลย → null
+const pick = (values, reducer) => {
+  const nums = values.filter((v) => typeof v === 'number' && Number.isFinite(v));
+  return nums.length ? reducer(nums) : null;
+};
+
+/**
+ * resampleBars - รวมแท่งรายวัน (ผ่าน normalizeBars แล้ว เรียงเก่า → ใหม่) เป็นช่วงที่ใหญ่ขึ้น
+ * @param {Array} bars - [{ date, open, high, low, close, adjClose, volume }]
+ * @param {string} period - 'week' | 'month' | 'quarter'
+ * @returns {Array} - แท่งที่รวมแล้ว ในรูปแบบเดียวกัน
+ */
+export const resampleBars = (bars, period) => {
+  const getStart = PERIOD_START[period];
+  if (!getStart) throw new Error(`Unknown resample period: ${period}`);
+
+  // จัดกลุ่มตามวันเริ่มต้นของช่วง (Map คงลำดับการใส่ = ลำดับเวลา)
+  const groups = new Map();
+  for (const bar of bars || []) {
+    const key = getStart(new Date(bar.date));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bar);
+  }
+
+  return Array.from(groups, ([start, rows]) => {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    return {
+      date: new Date(start).toISOString(),
+      // วันที่ไม่มี open/high/low (เช่นข้อมูลเก่าบางแหล่ง) ใช้ close แทน
+      open: first.open ?? first.close,
+      high: pick(rows.map((r) => r.high ?? r.close), (v) => Math.max(...v)),
+      low: pick(rows.map((r) => r.low ?? r.close), (v) => Math.min(...v)),
+      close: last.close,
+      adjClose: last.adjClose ?? null,
+      volume: pick(rows.map((r) => r.volume), (v) => v.reduce((sum, x) => sum + x, 0)),
+    };
+  });
+};
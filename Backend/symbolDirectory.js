@@ -0,0 +1,217 @@
+/**
+ * =====================================================
+ * symbolDirectory.js - สมุดรายชื่อหุ้น SET / US สำหรับค้นหาและ Autocomplete
+ * =====================================================
+ *
+ * ข้อมูลอยู่ใน data/symbols.json (มากับ Repo ใช้ได้ทันทีแม้ไม่มีเน็ต):
+ *
+ *   { symbol: 'PTT.BK', name: 'PTT PCL', exchange: 'SET', currency: 'THB', type: 'EQUITY' }
+ *
+ * - symbol เป็นรูปแบบที่ Yahoo ใช้ (หุ้นไทยลงท้าย .BK, BRK.B → BRK-B)
+ * - ใช้ค้นหา (/api/search) และใช้ช่วยเดาว่า "PTT" หมายถึง PTT.BK (buildTickerVariants)
+ *
+ * **Refresh:** npm run symbols:refresh
+ * - US: รายชื่อหลักทรัพย์จาก Nasdaq Trader (nasdaqlisted.txt + otherlisted.txt)
+ * - SET: รายชื่อหลักทรัพย์จาก set.or.th
+ * - แหล่งไหนดึงไม่สำเร็จ → เก็บรายการเดิมของตลาดนั้นไว้
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DIRECTORY_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'symbols.json');
+
+export const SYMBOL_MARKETS = ['SET', 'US'];
+
+const US_EXCHANGES = ['NASDAQ', 'NYSE', 'NYSE American', 'NYSE Arca', 'Cboe BZX', 'IEX'];
+
+const NASDAQ_LISTED_URL = 'https://www.nasdaqtrader.com/dynamic/SymDir/nasdaqlisted.txt';
+const OTHER_LISTED_URL = 'https://www.nasdaqtrader.com/dynamic/SymDir/otherlisted.txt';
+const SET_LIST_URL = 'https://www.set.or.th/api/set/stock/list';
+
+// รหัสตลาดใน otherlisted.txt
+const OTHER_EXCHANGE_CODES = { A: 'NYSE American', N: 'NYSE', P: 'NYSE Arca', Z: 'Cboe BZX', V: 'IEX' };
+
+let directory = null; // { updatedAt, sources, symbols }
+let bySymbol = new Map();
+
+const loadDirectory = () => {
+  if (directory) return directory;
+  try {
+    directory = JSON.parse(fs.readFileSync(DIRECTORY_PATH, 'utf-8'));
+  } catch (error) {
+    console.warn(`[Symbols] Could not load ${DIRECTORY_PATH}: ${error.message}`);
+    directory = { updatedAt: null, sources: [], symbols: [] };
+  }
+  bySymbol = new Map(directory.symbols.map((entry) => [entry.symbol, entry]));
+  return directory;
+};
+
+const marketOf = (entry) => (entry.currency === 'THB' ? 'SET' : 'US');
+
+/**
+ * findSymbol - หาข้อมูลหุ้นจาก Symbol แบบตรงตัว (เช่น 'PTT.BK', 'AAPL')
+ * @returns {object|null}
+ */
+export const findSymbol = (symbol) => {
+  loadDirectory();
+  return bySymbol.get(String(symbol).trim().toUpperCase()) || null;
+};
+
+export const getDirectoryInfo = () => {
+  const { updatedAt, sources, symbols } = loadDirectory();
+  return { updatedAt, sources, count: symbols.length };
+};
+
+/**
+ * inferCurrency - เดาสกุลเงินของผลค้นหาจาก Provider (ซึ่งไม่มี currency ให้)
+ */
+export const inferCurrency = ({ symbol, exchange }) => {
+  if (String(symbol).toUpperCase().endsWith('.BK')) return 'THB';
+  if (US_EXCHANGES.some((name) => String(exchange || '').toUpperCase().startsWith(name.toUpperCase()))) return 'USD';
+  return null;
+};
+
+// ให้คะแนนความตรง: Symbol ตรงตัว > ขึ้นต้นด้วย > ชื่อบริษัทขึ้นต้นด้วย > คำในชื่อ > มีอยู่ในชื่อ
+const scoreEntry = (entry, needle) => {
+  const symbol = entry.symbol.toUpperCase();
+  const base = symbol.replace(/\.BK$/, '');
+  const name = (entry.name || '').toUpperCase();
+
+  if (symbol === needle || base === needle) return 100;
+  if (base.startsWith(needle)) return 80 - Math.min(base.length - needle.length, 20);
+  if (name.startsWith(needle)) return 60;
+  if (name.split(/[\s,.()&-]+/).some((word) => word.startsWith(needle))) return 50;
+  if (name.includes(needle)) return 30;
+  return 0;
+};
+
+/**
+ * searchSymbols - ค้นหาหุ้นจาก Symbol หรือชื่อบริษัท
+ * @param {string} query - คำค้น (ไม่สนตัวพิมพ์เล็ก/ใหญ่)
+ * @param {object} [options] - { limit = 10, market: 'SET' | 'US' }
+ * @returns {Array<object>} - เรียงจากตรงที่สุด
+ */
+export const searchSymbols = (query, { limit = 10, market } = {}) => {
+  const needle = String(query || '').trim().toUpperCase();
+  if (!needle) return [];
+
+  return loadDirectory().symbols
+    .filter((entry) => !market || marketOf(entry) === market)
+    .map((entry) => ({ entry, score: scoreEntry(entry, needle) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.symbol.localeCompare(b.entry.symbol))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+// --- Refresh ---
+
+const fetchText = async (url) => {
+  const res = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (stock-analytics symbol refresh)' } });
+  if (!res.ok) throw new Error(`HTTP Status ${res.status} (${url})`);
+  return res.text();
+};
+
+// ไฟล์ Nasdaq Trader: คั่นด้วย | บรรทัดแรกเป็น Header บรรทัดสุดท้ายเป็น "File Creation Time"
+const parsePipeFile = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line && !line.startsWith('File Creation Time'));
+  const header = lines[0].split('|');
+  return lines.slice(1).map((line) => {
+    const cells = line.split('|');
+    return Object.fromEntries(header.map((key, i) => [key, cells[i]]));
+  });
+};
+
+const fetchUsSymbols = async () => {
+  const [nasdaq, other] = await Promise.all([fetchText(NASDAQ_LISTED_URL), fetchText(OTHER_LISTED_URL)]);
+
+  const fromNasdaq = parsePipeFile(nasdaq)
+    .filter((row) => row.Symbol && row['Test Issue'] !== 'Y')
+    .map((row) => ({
+      symbol: row.Symbol,
+      name: row['Security Name'],
+      exchange: 'NASDAQ',
+      type: row.ETF === 'Y' ? 'ETF' : 'EQUITY',
+    }));
+
+  const fromOther = parsePipeFile(other)
+    .filter((row) => row['ACT Symbol'] && row['Test Issue'] !== 'Y')
+    .map((row) => ({
+      symbol: row['ACT Symbol'],
+      name: row['Security Name'],
+      exchange: OTHER_EXCHANGE_CODES[row.Exchange] || row.Exchange,
+      type: row.ETF === 'Y' ? 'ETF' : 'EQUITY',
+    }));
+
+  return [...fromNasdaq, ...fromOther]
+    .filter((row) => !/[$^]/.test(row.symbol)) // หุ้นบุริมสิทธิ์/Warrant บางรูปแบบ Yahoo ใช้ Symbol ต่างออกไป
+    .map((row) => ({ ...row, symbol: row.symbol.replace('.', '-'), currency: 'USD' }));
+};
+
+const fetchSetSymbols = async () => {
+  const data = JSON.parse(await fetchText(SET_LIST_URL));
+  return (data?.securitySymbols || [])
+    .filter((row) => row.symbol)
+    .map((row) => ({
+      symbol: `${String(row.symbol).trim().toUpperCase()}.BK`,
+      name: row.nameEN || row.nameTH || row.symbol,
+      exchange: String(row.market || 'SET').toUpperCase() === 'MAI' ? 'mai' : 'SET',
+      currency: 'THB',
+      type: 'EQUITY',
+    }));
+};
+
+// 1 รายการต่อบรรทัด → diff อ่านง่ายเมื่อ Commit ไฟล์ที่ Refresh แล้ว
+const writeDirectory = (data) => {
+  const body = data.symbols.map((entry) => `    ${JSON.stringify(entry)}`).join(',\n');
+  const json = `{\n  "updatedAt": ${JSON.stringify(data.updatedAt)},\n  "sources": ${JSON.stringify(data.sources)},\n  "symbols": [\n${body}\n  ]\n}\n`;
+  fs.writeFileSync(DIRECTORY_PATH, json, 'utf-8');
+};
+
+/**
+ * refreshSymbolDirectory - ดึงรายชื่อหุ้นล่าสุดแล้วเขียนทับ data/symbols.json
+ * @returns {Promise<object>} - { updatedAt, sources, count }
+ */
+export const refreshSymbolDirectory = async () => {
+  const current = loadDirectory();
+  const markets = { SET: fetchSetSymbols, US: fetchUsSymbols };
+  const symbols = [];
+  const sources = [];
+
+  for (const [market, fetcher] of Object.entries(markets)) {
+    try {
+      const fresh = await fetcher();
+      if (fresh.length === 0) throw new Error('empty list');
+      symbols.push(...fresh);
+      sources.push(market);
+      console.log(`[Symbols] ${market}: ${fresh.length} symbols`);
+    } catch (error) {
+      const kept = current.symbols.filter((entry) => marketOf(entry) === market);
+      symbols.push(...kept);
+      console.warn(`[Symbols] ${market} refresh failed (${error.message}). Keeping ${kept.length} existing symbols.`);
+    }
+  }
+
+  const unique = [...new Map(symbols.map((entry) => [entry.symbol, entry])).values()]
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  const next = {
+    updatedAt: new Date().toISOString().slice(0, 10),
+    sources: sources.length ? sources : current.sources,
+    symbols: unique,
+  };
+  writeDirectory(next);
+  directory = null; // โหลดใหม่ครั้งถัดไป
+  return getDirectoryInfo();
+};
+
+// CLI: node Backend/symbolDirectory.js --refresh
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url) && process.argv.includes('--refresh')) {
+  refreshSymbolDirectory()
+    .then((info) => console.log(`[Symbols] Directory now has ${info.count} symbols (${info.updatedAt})`))
+    .catch((error) => {
+      console.error('[Symbols] Refresh failed:', error.message);
+      process.exitCode = 1;
+    });
+}
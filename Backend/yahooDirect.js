@@ -18,14 +18,15 @@
  */
 
 import fetch from 'node-fetch'; // node-fetch สำหรับ HTTP Request (Node 18+ มี native fetch)
+import { normalizeBars } from './ohlcv.js';
 
 /**
  * ฟังก์ชันดึงข้อมูล Raw จาก Yahoo Finance API โดยตรง (ไม่ผ่าน Library)
  * @param {string} symbol - สัญลักษณ์หุ้น เช่น 'AAPL', 'PTT.BK'
  * @param {Date} period1 - วันที่เริ่มต้น (Date object)
  * @param {Date} period2 - วันที่สิ้นสุด (Date object)
- * @param {string} interval - ช่วงเวลา เช่น '1d' (รายวัน), '1wk' (รายสัปดาห์)
- * @param {string} events - เหตุการณ์พิเศษ เช่น 'div' (dividend), 'split' (stock split)
+ * @param {string} interval - ช่วงเวลา เช่น '1d' (รายวัน), '1wk' (รายสัปดาห์), '5m' / '60m' (Intraday)
+ * @param {string} events - เหตุการณ์พิเศษ เช่น 'div' (dividend), 'split' (stock split), 'div|split' (ทั้งคู่)
  * @returns {object|null} - Raw result object จาก Yahoo API หรือ null ถ้าล้มเหลว
  */
 export const fetchYahooDirectRaw = async (symbol, period1, period2, interval = '1d', events = '') => {
@@ -39,7 +40,7 @@ export const fetchYahooDirectRaw = async (symbol, period1, period2, interval = '
 
         // เพิ่ม events (dividend/split) ถ้ามี
         if (events) {
-            url += `&events=${events}`;
+            url += `&events=${encodeURIComponent(events)}`; // 'div|split' → div%7Csplit
         }
 
         console.log(`[Yahoo Direct] Fetching Raw: ${url}`);
@@ -69,35 +70,45 @@ export const fetchYahooDirectRaw = async (symbol, period1, period2, interval = '
     }
 };
 
+/**
+ * แปลง Raw result ของ Chart API เป็นแท่งราคามาตรฐาน (ดู ohlcv.js)
+ * @param {object} result - Raw result จาก fetchYahooDirectRaw
+ * @returns {Array} - [{ date, open, high, low, close, adjClose, volume }]
+ */
+export const rawResultToBars = (result) => {
+    const { timestamp, indicators } = result || {};
+    const quotes = indicators?.quote?.[0]; // ข้อมูลราคา (open, high, low, close, volume)
+    const adjclose = indicators?.adjclose?.[0]?.adjclose; // ราคาปิดปรับปรุง (มีเฉพาะ interval รายวันขึ้นไป)
+
+    if (!timestamp || !quotes) return [];
+
+    // normalizeBars กรองแท่งที่ไม่มีราคาปิดออกให้เอง
+    return normalizeBars(timestamp.map((ts, i) => ({
+        date: new Date(ts * 1000),          // Unix Timestamp → Date
+        open: quotes.open?.[i],
+        high: quotes.high?.[i],
+        low: quotes.low?.[i],
+        close: quotes.close?.[i],
+        adjClose: adjclose?.[i],
+        volume: quotes.volume?.[i]
+    })));
+};
+
 /**
  * ฟังก์ชันดึงข้อมูลประวัติราคาและแปลงเป็น Format มาตรฐาน
  * @param {string} symbol - สัญลักษณ์หุ้น
  * @param {Date} period1 - วันที่เริ่มต้น
  * @param {Date} period2 - วันที่สิ้นสุด  
  * @param {string} interval - ช่วงเวลา (default: '1d')
- * @returns {object|null} - { history: [...], currency: 'USD'|'THB' } หรือ null
+ * @returns {object|null} - { history: [{ date, open, high, low, close, adjClose, volume }], currency: 'USD'|'THB' } หรือ null
  */
 export const fetchYahooDirect = async (symbol, period1, period2, interval = '1d') => {
     // เรียกใช้ fetchYahooDirectRaw เพื่อดึงข้อมูล Raw
     const result = await fetchYahooDirectRaw(symbol, period1, period2, interval);
     if (!result) return null;
 
-    // แยกข้อมูลที่ต้องการออกมา
-    const { timestamp, indicators } = result;
-    const quotes = indicators?.quote?.[0]; // ข้อมูลราคา (open, high, low, close, volume)
-
-    if (!timestamp || !quotes) return [];
-
-    // แปลง timestamp และ quotes เป็น Array ของ Object แต่ละวัน
-    const history = timestamp.map((ts, i) => {
-        const iso = new Date(ts * 1000).toISOString(); // Unix Timestamp → ISO String
-        return {
-            date: iso,          // วันที่ในรูปแบบ ISO
-            iso: iso,          // ซ้ำกับ date (เพื่อ backward compatibility)
-            close: quotes.close?.[i] || null,  // ราคาปิด
-            volume: quotes.volume?.[i] || 0    // ปริมาณการซื้อขาย
-        };
-    }).filter(d => d.close !== null); // กรองเฉพาะวันที่มีราคาปิด
+    // แปลง timestamp และ quotes เป็นแท่งราคามาตรฐาน
+    const history = rawResultToBars(result);
 
     // Return พร้อมข้อมูล currency จาก metadata
     return {
@@ -0,0 +1,336 @@
+/**
+ * =====================================================
+ * shared/backtest.js - จำลองการเทรดตามชุดสัญญาณของหน้า Indicators (ใช้ร่วม Frontend + Backend)
+ * =====================================================
+ *
+ * **ชุดสัญญาณ (SIGNAL_SETS):** Golden/Death Cross, SMA Cross, MACD Cross, RSI Threshold, RSI Divergence
+ * แต่ละชุดคืน Array ยาวเท่าจำนวนแท่ง: 1 = ซื้อ, -1 = ขาย, null = ไม่มีสัญญาณ
+ *
+ * **กติกาการจำลอง (runBacktest):**
+ * - แต่ละชุดมีสถานะของตัวเอง (ถือ/ไม่ถือ) ตามสัญญาณล่าสุด
+ *   combine = 'any' → ถือเมื่อชุดใดชุดหนึ่งถือ, 'all' → ถือเมื่อทุกชุดถือ
+ * - สัญญาณที่แท่ง i ส่งคำสั่งที่ราคาเปิดของแท่ง i+1 (ไม่มีราคาเปิดใช้ราคาปิด) → ไม่ใช้ข้อมูลอนาคต
+ * - ซื้อด้วยเงินสดทั้งหมดเป็นจำนวนหุ้นเต็ม, ค่าธรรมเนียม = มูลค่า × ค่าคอมมิชชั่น × (1 + VAT) เหมือน CalculatorPage
+ * - เข้าเฉพาะสัญญาณที่เกิดตั้งแต่ startIndex (แท่งก่อนหน้าเป็น Warm-up ของ Indicator)
+ * - แท่งสุดท้ายขายที่ราคาปิด (ทั้งกลยุทธ์และ Buy & Hold) → ผลลัพธ์สุดท้ายหักค่าธรรมเนียมขายแล้ว
+ */
+
+import {
+  smaSeries,
+  macdSeries,
+  rsiSeries,
+  calculateRSI,
+  calculateDivergence,
+} from './indicators.js';
+
+// ค่าธรรมเนียมมาตรฐานของโบรกเกอร์ไทย (ค่าเริ่มต้นของ CalculatorPage)
+export const DEFAULT_COMMISSION = 0.00157;
+export const DEFAULT_VAT = 0.07;
+
+/**
+ * tradeFee - ค่าธรรมเนียมซื้อหรือขายหนึ่งครั้ง
+ * @param {number} value - มูลค่าซื้อขาย (จำนวนหุ้น × ราคา)
+ * @param {number} commission - อัตราค่าคอมมิชชั่น (เช่น 0.00157)
+ * @param {number} vat - อัตรา VAT ของค่าคอมมิชชั่น (เช่น 0.07)
+ */
+export const tradeFee = (value, commission = DEFAULT_COMMISSION, vat = DEFAULT_VAT) => value * commission * (1 + vat);
+
+const PERIOD = { min: 1, max: 500, integer: true };
+const THRESHOLD = { min: 1, max: 99, integer: true };
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// จุดตัดของสองเส้น: fast ตัดขึ้น = 1, ตัดลง = -1 (กติกาเดียวกับ calculateGoldenDeathCross)
+const crossSignals = (fast, slow) => fast.map((f, i) => {
+  if (i === 0 || [f, slow[i], fast[i - 1], slow[i - 1]].some((v) => v === null)) return null;
+  if (fast[i - 1] <= slow[i - 1] && f > slow[i]) return 1;
+  if (fast[i - 1] >= slow[i - 1] && f < slow[i]) return -1;
+  return null;
+});
+
+const smaCrossSignals = (bars, { fast, slow }) => {
+  const closes = bars.map((b) => b.close);
+  return crossSignals(smaSeries(closes, fast), smaSeries(closes, slow));
+};
+
+// เส้นเร็วต้องสั้นกว่าเส้นช้า (ใช้ตัดชุดพารามิเตอร์ที่ไม่มีความหมายออกตอน Optimize)
+const fastBelowSlow = ({ fast, slow }) => fast < slow;
+
+/**
+ * SIGNAL_SETS - ชุดสัญญาณที่ใช้ Backtest ได้
+ * - params/warmup: รูปแบบเดียวกับ STUDIES ใน indicators.js
+ * - generate: (bars, params) → Array ยาวเท่า bars (1 ซื้อ / -1 ขาย / null)
+ * - valid: (params) → boolean (ไม่มี = ทุกชุดใช้ได้)
+ */
+export const SIGNAL_SETS = {
+  goldenDeath: {
+    label: 'Golden/Death Cross',
+    params: [
+      { name: 'fast', default: 50, ...PERIOD },
+      { name: 'slow', default: 200, ...PERIOD },
+    ],
+    warmup: ({ fast, slow }) => Math.max(fast, slow),
+    valid: fastBelowSlow,
+    generate: smaCrossSignals,
+  },
+  smaCross: {
+    label: 'SMA Cross',
+    params: [
+      { name: 'fast', default: 10, ...PERIOD },
+      { name: 'slow', default: 50, ...PERIOD },
+    ],
+    warmup: ({ fast, slow }) => Math.max(fast, slow),
+    valid: fastBelowSlow,
+    generate: smaCrossSignals,
+  },
+  macdCross: {
+    label: 'MACD Cross',
+    params: [
+      { name: 'fast', default: 12, ...PERIOD },
+      { name: 'slow', default: 26, ...PERIOD },
+      { name: 'signal', default: 9, ...PERIOD },
+    ],
+    warmup: ({ fast, slow, signal }) => Math.max(fast, slow) * 3 + signal,
+    valid: fastBelowSlow,
+    generate: (bars, { fast, slow, signal }) => {
+      const macd = macdSeries(bars.map((b) => b.close), fast, slow, signal);
+      return crossSignals(macd.macd, macd.signal);
+    },
+  },
+  // RSI ทะลุขึ้นผ่าน lower = ซื้อ, ทะลุลงผ่าน upper = ขาย (กติกาเดียวกับจุด B/S บนกราฟราคา)
+  rsiThreshold: {
+    label: 'RSI Threshold',
+    params: [
+      { name: 'period', default: 14, ...PERIOD },
+      { name: 'lower', default: 30, ...THRESHOLD },
+      { name: 'upper', default: 70, ...THRESHOLD },
+    ],
+    warmup: ({ period }) => period * 3,
+    valid: ({ lower, upper }) => lower < upper,
+    generate: (bars, { period, lower, upper }) => {
+      const rsi = rsiSeries(bars.map((b) => b.close), period);
+      return rsi.map((value, i) => {
+        const prev = rsi[i - 1];
+        if (value === null || prev === null || prev === undefined) return null;
+        if (prev <= lower && value > lower) return 1;
+        if (prev >= upper && value < upper) return -1;
+        return null;
+      });
+    },
+  },
+  // Pivot ของ Divergence ยืนยันได้หลังผ่านไป lookbackRight แท่ง → สัญญาณเกิดที่แท่งนั้น ไม่ใช่ที่ Pivot
+  divergence: {
+    label: 'RSI Divergence',
+    params: [
+      { name: 'period', default: 14, ...PERIOD },
+      { name: 'lookbackLeft', default: 5, ...PERIOD },
+      { name: 'lookbackRight', default: 5, ...PERIOD },
+    ],
+    warmup: ({ period, lookbackLeft }) => period * 3 + lookbackLeft,
+    generate: (bars, { period, lookbackLeft, lookbackRight }) => {
+      const indexOf = new Map(bars.map((b, i) => [String(b.date), i]));
+      const out = new Array(bars.length).fill(null);
+      for (const d of calculateDivergence(calculateRSI(bars, period), bars, lookbackLeft, lookbackRight)) {
+        const confirmedAt = indexOf.get(String(d.date)) + lookbackRight;
+        if (confirmedAt < bars.length) out[confirmedAt] = d.type === 'bull' ? 1 : -1;
+      }
+      return out;
+    },
+  },
+};
+
+/**
+ * resolveSignalParams - เติมค่าเริ่มต้นและบีบพารามิเตอร์ให้อยู่ในขอบเขตของชุดสัญญาณ
+ * @param {string} id - key ของ SIGNAL_SETS
+ * @param {object} [raw] - { fast: 20, ... }
+ */
+export const resolveSignalParams = (id, raw = {}) => Object.fromEntries(SIGNAL_SETS[id].params.map((param) => {
+  const num = Number(raw?.[param.name]);
+  if (raw?.[param.name] === undefined || raw?.[param.name] === '' || !Number.isFinite(num)) return [param.name, param.default];
+  const clamped = Math.min(Math.max(num, param.min), param.max);
+  return [param.name, param.integer ? Math.round(clamped) : clamped];
+}));
+
+/**
+ * generateSignals - สัญญาณของทุกชุดที่เลือก (Array ของ Array ยาวเท่า bars ตามลำดับ sets)
+ * @param {Array} bars
+ * @param {Array<{ id, params? }>} sets
+ */
+export const generateSignals = (bars, sets) =>
+  sets.map(({ id, params }) => SIGNAL_SETS[id].generate(bars, resolveSignalParams(id, params)));
+
+/**
+ * backtestWarmup - จำนวนแท่งก่อนวันเริ่มที่ต้องดึงมาเพิ่ม (ค่ามากสุดของชุดที่เลือก)
+ * @param {Array<{ id, params }>} sets
+ */
+export const backtestWarmup = (sets) =>
+  sets.reduce((max, { id, params }) => Math.max(max, SIGNAL_SETS[id].warmup(resolveSignalParams(id, params))), 0);
+
+// ราคาที่ใช้ส่งคำสั่งของแท่ง (ราคาเปิด ถ้าไม่มีใช้ราคาปิด)
+const fillPrice = (bar) => (Number.isFinite(bar.open) && bar.open > 0 ? bar.open : bar.close);
+
+/**
+ * summarizeEquity - ผลตอบแทนรวม, CAGR และ Max Drawdown ของเส้น Equity
+ * @param {Array<{ date, value }>} curve
+ * @param {number} initialCapital
+ */
+export const summarizeEquity = (curve, initialCapital) => {
+  const finalEquity = curve.length ? curve[curve.length - 1].value : initialCapital;
+  const years = curve.length > 1
+    ? (new Date(curve[curve.length - 1].date) - new Date(curve[0].date)) / MS_PER_YEAR
+    : 0;
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  for (const { value } of curve) {
+    peak = Math.max(peak, value);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  }
+  return {
+    finalEquity,
+    totalReturn: finalEquity / initialCapital - 1,
+    cagr: years > 0 && finalEquity > 0 ? (finalEquity / initialCapital) ** (1 / years) - 1 : null,
+    maxDrawdown,
+  };
+};
+
+/**
+ * summarizeTrades - Win Rate และ Profit Factor (กำไรรวม / ขาดทุนรวม)
+ * ไม่มีเทรด → null, ไม่มีเทรดที่ขาดทุน → profitFactor = Infinity
+ */
+export const summarizeTrades = (trades) => {
+  const grossProfit = trades.reduce((sum, t) => sum + Math.max(t.pnl, 0), 0);
+  const grossLoss = trades.reduce((sum, t) => sum + Math.max(-t.pnl, 0), 0);
+  let profitFactor = null;
+  if (grossLoss > 0) profitFactor = grossProfit / grossLoss;
+  else if (grossProfit > 0) profitFactor = Infinity;
+  return {
+    trades: trades.length,
+    winRate: trades.length ? trades.filter((t) => t.pnl > 0).length / trades.length : null,
+    profitFactor,
+    grossProfit,
+    grossLoss,
+  };
+};
+
+/**
+ * runBacktest - จำลองการเทรดตามชุดสัญญาณเทียบกับ Buy & Hold
+ * @param {Array} bars - แท่งราคาเรียงจากเก่า → ใหม่ [{ date, open, high, low, close }]
+ * @param {object} options
+ * @param {Array<{ id, params? }>} options.sets - ชุดสัญญาณที่ใช้ (id = key ของ SIGNAL_SETS)
+ * @param {'any'|'all'} [options.combine='any']
+ * @param {number} [options.startIndex=0] - แท่งแรกของช่วงทดสอบ (ก่อนหน้านี้เป็น Warm-up)
+ * @param {number} [options.initialCapital=100000]
+ * @param {number} [options.commission] - ค่าเริ่มต้น DEFAULT_COMMISSION
+ * @param {number} [options.vat] - ค่าเริ่มต้น DEFAULT_VAT
+ * @param {Array<Array>} [options.generated] - ผลจาก generateSignals ที่คำนวณไว้แล้ว (ยาวอย่างน้อยเท่า bars)
+ *   Optimizer ใช้ซ้ำข้ามหลายช่วงเวลาโดยไม่ต้องคำนวณ Indicator ใหม่ (สัญญาณไม่ใช้ข้อมูลอนาคต → ตัดท้ายได้)
+ * @returns {{ trades, equity: [{ date, strategy, buyHold }], signals: [{ date, type }], stats: { strategy, buyHold } }}
+ *   stats.strategy = summarizeEquity + summarizeTrades, stats.buyHold = summarizeEquity
+ */
+export const runBacktest = (bars, {
+  sets,
+  combine = 'any',
+  startIndex = 0,
+  initialCapital = 100000,
+  commission = DEFAULT_COMMISSION,
+  vat = DEFAULT_VAT,
+  generated: precomputed,
+} = {}) => {
+  if (!Array.isArray(sets) || sets.length === 0) throw new Error('Select at least one signal set.');
+  for (const { id } of sets) {
+    if (!Object.hasOwn(SIGNAL_SETS, id)) throw new Error(`Unknown signal set '${id}'. Available: ${Object.keys(SIGNAL_SETS).join(', ')}.`);
+  }
+  const first = Math.max(0, startIndex);
+  if (bars.length - first < 2) throw new Error('Not enough bars in the test range.');
+
+  const fee = (value) => tradeFee(value, commission, vat);
+  const sharesFor = (cash, price) => Math.floor(cash / (price * (1 + commission * (1 + vat))));
+
+  // สถานะของแต่ละชุด (ถือเมื่อสัญญาณล่าสุดเป็นซื้อ) → สถานะรวมตาม combine
+  const generated = precomputed || generateSignals(bars, sets);
+  const states = generated.map(() => false);
+  const target = bars.map((_, i) => {
+    generated.forEach((signals, k) => {
+      if (signals[i] === 1) states[k] = true;
+      else if (signals[i] === -1) states[k] = false;
+    });
+    return combine === 'all' ? states.every(Boolean) : states.some(Boolean);
+  });
+
+  const trades = [];
+  const signals = [];
+  const equity = [];
+  let cash = initialCapital;
+  let position = null; // { entryIndex, entryPrice, shares, entryFee, cost }
+
+  const closePosition = (index, price, reason) => {
+    const gross = position.shares * price;
+    const exitFee = fee(gross);
+    cash += gross - exitFee;
+    const pnl = gross - exitFee - position.cost;
+    trades.push({
+      entryDate: bars[position.entryIndex].date,
+      entryPrice: position.entryPrice,
+      exitDate: bars[index].date,
+      exitPrice: price,
+      shares: position.shares,
+      fees: position.entryFee + exitFee,
+      pnl,
+      returnPct: pnl / position.cost,
+      barsHeld: index - position.entryIndex,
+      exitReason: reason,
+    });
+    position = null;
+  };
+
+  // Buy & Hold: ซื้อที่ราคาเปิดของแท่งแรกในช่วง
+  const holdPrice = fillPrice(bars[first]);
+  const holdShares = sharesFor(initialCapital, holdPrice);
+  const holdCash = initialCapital - holdShares * holdPrice - fee(holdShares * holdPrice);
+
+  const last = bars.length - 1;
+  for (let i = first; i <= last; i++) {
+    // คำสั่งจากสัญญาณของแท่งก่อนหน้า ส่งที่ราคาเปิดของแท่งนี้
+    const prev = i - 1;
+    if (prev >= first) {
+      const wantLong = target[prev];
+      const changed = wantLong !== (prev > 0 ? target[prev - 1] : false);
+      if (changed && wantLong && !position) {
+        const price = fillPrice(bars[i]);
+        const shares = sharesFor(cash, price);
+        if (shares > 0) {
+          const entryFee = fee(shares * price);
+          const cost = shares * price + entryFee;
+          cash -= cost;
+          position = { entryIndex: i, entryPrice: price, shares, entryFee, cost };
+        }
+      } else if (changed && !wantLong && position) {
+        closePosition(i, fillPrice(bars[i]), 'signal');
+      }
+    }
+
+    const changedHere = i >= first && target[i] !== (i > 0 ? target[i - 1] : false);
+    if (changedHere) signals.push({ date: bars[i].date, type: target[i] ? 'buy' : 'sell' });
+
+    let holdValue = holdCash + holdShares * bars[i].close;
+    if (i === last) {
+      if (position) closePosition(i, bars[i].close, 'end');
+      holdValue -= fee(holdShares * bars[i].close);
+    }
+    equity.push({
+      date: bars[i].date,
+      strategy: cash + (position ? position.shares * bars[i].close : 0),
+      buyHold: holdValue,
+    });
+  }
+
+  const curveOf = (key) => equity.map((e) => ({ date: e.date, value: e[key] }));
+  return {
+    trades,
+    signals,
+    equity,
+    stats: {
+      strategy: { ...summarizeEquity(curveOf('strategy'), initialCapital), ...summarizeTrades(trades) },
+      buyHold: summarizeEquity(curveOf('buyHold'), initialCapital),
+    },
+  };
+};
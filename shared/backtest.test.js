@@ -0,0 +1,120 @@
+/**
+ * =====================================================
+ * shared/backtest.test.js - ทดสอบการจำลองเทรด (npm test)
+ * =====================================================
+ *
+ * ใช้ SMA Cross 1/2 (ราคาปิดตัดค่าเฉลี่ย 2 แท่ง = ราคาปิดสูง/ต่ำกว่าแท่งก่อนหน้า) บนราคา 10 แท่ง
+ * → ซื้อที่แท่ง 3 (ส่งคำสั่งแท่ง 4), ขายที่แท่ง 7 (ส่งคำสั่งแท่ง 8) คำนวณผลด้วยมือได้
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SIGNAL_SETS,
+  tradeFee,
+  resolveSignalParams,
+  backtestWarmup,
+  runBacktest,
+} from './backtest.js';
+
+const CLOSES = [10, 9, 8, 9, 10, 11, 12, 11, 10, 9];
+// ราคาเปิด = ราคาปิดของแท่งก่อนหน้า (แท่งแรก = 10)
+const BARS = CLOSES.map((close, i) => ({
+  date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+  open: i === 0 ? 10 : CLOSES[i - 1],
+  close,
+}));
+const FAST_CROSS = [{ id: 'smaCross', params: { fast: 1, slow: 2 } }];
+const NO_FEES = { initialCapital: 1000, commission: 0, vat: 0 };
+
+const assertClose = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+describe('fees and parameters', () => {
+  test('tradeFee charges commission plus VAT on the commission', () => {
+    assertClose(tradeFee(100000), 167.99, 1e-9, 'fee');
+    assert.equal(tradeFee(1000, 0.001, 0), 1);
+  });
+
+  test('resolveSignalParams fills defaults and clamps', () => {
+    assert.deepEqual(resolveSignalParams('smaCross'), { fast: 10, slow: 50 });
+    assert.deepEqual(resolveSignalParams('smaCross', { fast: 0, slow: '20.4' }), { fast: 1, slow: 20 });
+  });
+
+  test('backtestWarmup takes the longest signal set', () => {
+    assert.equal(backtestWarmup([{ id: 'smaCross' }, { id: 'goldenDeath' }]), 200);
+  });
+});
+
+describe('runBacktest', () => {
+  test('smaCross marks where the close crosses its 2-bar average', () => {
+    const signals = SIGNAL_SETS.smaCross.generate(BARS, { fast: 1, slow: 2 });
+    assert.deepEqual(signals, [null, null, null, 1, null, null, null, -1, null, null]);
+  });
+
+  test('rsiThreshold buys through the lower and sells through the upper level', () => {
+    // RSI 1 แท่ง = 100 เมื่อปิดขึ้น, 0 เมื่อปิดลง
+    const signals = SIGNAL_SETS.rsiThreshold.generate(BARS, { period: 1, lower: 30, upper: 70 });
+    assert.deepEqual(signals, [null, null, null, 1, null, null, null, -1, null, null]);
+    assert.equal(SIGNAL_SETS.rsiThreshold.valid({ lower: 70, upper: 30 }), false);
+  });
+
+  test('trades at the next open and reports stats against buy-and-hold', () => {
+    const { trades, equity, signals, stats } = runBacktest(BARS, { sets: FAST_CROSS, ...NO_FEES });
+
+    // ซื้อ 111 หุ้นที่ 9 (ราคาเปิดแท่ง 4), ขายที่ 11 (ราคาเปิดแท่ง 8)
+    assert.equal(trades.length, 1);
+    assert.deepEqual(
+      { entryDate: trades[0].entryDate, entryPrice: trades[0].entryPrice, exitDate: trades[0].exitDate, exitPrice: trades[0].exitPrice, shares: trades[0].shares },
+      { entryDate: '2024-01-05', entryPrice: 9, exitDate: '2024-01-09', exitPrice: 11, shares: 111 }
+    );
+    assert.equal(trades[0].pnl, 222);
+    assert.deepEqual(signals.map((s) => s.type), ['buy', 'sell']);
+
+    assert.deepEqual(equity.map((e) => e.strategy), [1000, 1000, 1000, 1000, 1111, 1222, 1333, 1222, 1222, 1222]);
+    assertClose(stats.strategy.totalReturn, 0.222, 1e-12, 'strategy return');
+    assertClose(stats.strategy.maxDrawdown, 111 / 1333, 1e-12, 'strategy drawdown');
+    assert.equal(stats.strategy.winRate, 1);
+    assert.equal(stats.strategy.profitFactor, Infinity);
+
+    // Buy & Hold: 100 หุ้นที่ 10 → ปิดที่ 9, จุดสูงสุด 1200
+    assertClose(stats.buyHold.totalReturn, -0.1, 1e-12, 'buy-and-hold return');
+    assertClose(stats.buyHold.maxDrawdown, 0.25, 1e-12, 'buy-and-hold drawdown');
+    assert.ok(stats.strategy.cagr > stats.strategy.totalReturn, 'nine days annualize above the raw return');
+  });
+
+  test('fees reduce the trade result on both legs', () => {
+    const { trades } = runBacktest(BARS, { sets: FAST_CROSS, initialCapital: 1000, commission: 0.01, vat: 0 });
+    // 110 หุ้น (111 หุ้นเกินเงินเมื่อรวมค่าธรรมเนียม): ค่าธรรมเนียม 9.9 + 12.1
+    assert.equal(trades[0].shares, 110);
+    assertClose(trades[0].fees, 22, 1e-9, 'fees');
+    assertClose(trades[0].pnl, 220 - 22, 1e-9, 'pnl');
+  });
+
+  test('signals inside the warm-up do not open positions', () => {
+    const { trades, equity } = runBacktest(BARS, { sets: FAST_CROSS, startIndex: 4, ...NO_FEES });
+    assert.equal(trades.length, 0);
+    assert.equal(equity.length, 6);
+    assert.ok(equity.every((e) => e.strategy === 1000));
+  });
+
+  test("combine 'all' waits for every set", () => {
+    const sets = [...FAST_CROSS, { id: 'goldenDeath' }]; // 50/200 ไม่มีสัญญาณใน 10 แท่ง
+    assert.equal(runBacktest(BARS, { sets, combine: 'any', ...NO_FEES }).trades.length, 1);
+    assert.equal(runBacktest(BARS, { sets, combine: 'all', ...NO_FEES }).trades.length, 0);
+  });
+
+  test('an open position is closed at the last close', () => {
+    const rising = BARS.slice(0, 7);
+    const { trades, stats } = runBacktest(rising, { sets: FAST_CROSS, ...NO_FEES });
+    assert.equal(trades[0].exitReason, 'end');
+    assert.equal(trades[0].exitPrice, 12);
+    assertClose(stats.strategy.finalEquity, 1 + 111 * 12, 1e-9, 'final equity');
+  });
+
+  test('rejects unknown or missing signal sets', () => {
+    assert.throws(() => runBacktest(BARS, { sets: [] }));
+    assert.throws(() => runBacktest(BARS, { sets: [{ id: 'foo' }] }));
+  });
+});
@@ -0,0 +1,1016 @@
+/**
+ * =====================================================
+ * shared/indicators.js - ไลบรารีคำนวณ Technical Indicator (ใช้ร่วม Frontend + Backend)
+ * =====================================================
+ *
+ * เดิมสูตรอยู่ใน IndicatorsPage.jsx, src/utils/indicatorLogic.js และ src/utils/indicators/ (คนละเวอร์ชัน)
+ * ตอนนี้หน้า Indicators (ผ่าน useIndicators) และ /api/indicators/:ticker ใช้ไฟล์นี้ไฟล์เดียว (ไม่มี DOM / Node API)
+ *
+ * **สองรูปแบบ:**
+ * 1. Series ตรงกับแท่งราคา (aligned): รับ Array ของตัวเลข คืน Array ยาวเท่าเดิม ช่วง Warm-up เป็น null
+ *    → smaSeries, emaSeries, wmaSeries, hmaSeries (MOVING_AVERAGES), rsiSeries, macdSeries, bollingerSeries
+ *    รับแท่ง (ใช้ High/Low/Volume): atrSeries, stochasticSeries, adxSeries, obvSeries, vwapSeries,
+ *    ichimokuSeries, supertrendSeries, squeezeSeries
+ * 2. รูปแบบเดิมของหน้า Indicators: รับแท่ง [{ date, close, ... }] คืน [{ date, value }] (เฉพาะจุดที่มีค่า)
+ *    → calculateSMA, calculateEMA, calculateRSI, calculateMACD, calculateBollingerBands,
+ *      calculateDivergence, calculateGoldenDeathCross
+ * 3. กราฟเสริมของหน้า Indicators: calculateFibonacci, calculateHeikinAshi, calculateRSISmoothing, calculatePeakPoints
+ *
+ * ค่าอ้างอิงสำหรับทดสอบอยู่ใน shared/fixtures/indicators.json (รัน npm test)
+ *
+ * **Study Spec (?studies=):**
+ * 'rsi:14,macd:12:26:9,bb:20:2' → ชื่อ Study ตามด้วยพารามิเตอร์คั่นด้วย ':' (ไม่ใส่ = ค่าเริ่มต้น)
+ * ดู STUDIES, parseStudiesParam, computeStudies
+ */
+
+// date เป็นได้ทั้ง Date (Frontend) และ ISO String (Backend) → ใช้เป็น Key ของ Map
+const dateKey = (date) => (date instanceof Date ? date.getTime() : date);
+
+const closesOf = (data) => data.map((d) => d.close);
+
+// Series → [{ date, value }] เฉพาะจุดที่มีค่า
+const toPoints = (data, series) => {
+  const out = [];
+  for (let i = 0; i < series.length; i++) {
+    if (series[i] !== null) out.push({ date: data[i].date, value: series[i] });
+  }
+  return out;
+};
+
+// =====================================================
+// === Aligned Series (Array ยาวเท่าจำนวนแท่ง) ===
+// =====================================================
+
+/**
+ * smaSeries - Simple Moving Average (Sliding Window → O(n))
+ * ค่า null นำหน้าถูกข้าม (ใช้ต่อกับ Series อื่นได้ เช่น %D ของ Stochastic)
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+export const smaSeries = (values, period) => {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex((v) => v !== null);
+  if (!(period >= 1) || start < 0 || values.length - start < period) return out;
+  let sum = 0;
+  for (let i = start; i < values.length; i++) {
+    sum += values[i];
+    if (i >= start + period) sum -= values[i - period];
+    if (i >= start + period - 1) out[i] = sum / period;
+  }
+  return out;
+};
+
+/**
+ * emaSeries - Exponential Moving Average, k = 2 / (period + 1)
+ * ค่าแรก (Seed) = SMA ของ period ค่าแรก, ค่า null นำหน้าถูกข้าม (ใช้ต่อกับ Series อื่นได้ เช่น Signal ของ MACD)
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+export const emaSeries = (values, period) => {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex((v) => v !== null);
+  if (!(period >= 1) || start < 0 || values.length - start < period) return out;
+
+  const k = 2 / (period + 1);
+  let ema = 0;
+  for (let i = start; i < start + period; i++) ema += values[i];
+  ema /= period;
+  out[start + period - 1] = ema;
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+};
+
+/**
+ * wmaSeries - Weighted Moving Average (น้ำหนัก 1..period, ค่าล่าสุดหนักสุด) แบบ O(n)
+ * ค่า null นำหน้าถูกข้ามเหมือน emaSeries (ใช้ต่อกับ Series อื่นได้ เช่นใน HMA)
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+export const wmaSeries = (values, period) => {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex((v) => v !== null);
+  if (!(period >= 1) || start < 0 || values.length - start < period) return out;
+
+  const denominator = (period * (period + 1)) / 2;
+  let sum = 0;
+  let weighted = 0;
+  for (let i = start; i < start + period; i++) {
+    sum += values[i];
+    weighted += (i - start + 1) * values[i];
+  }
+  out[start + period - 1] = weighted / denominator;
+  for (let i = start + period; i < values.length; i++) {
+    // เลื่อนหน้าต่าง: ทุกค่าเดิมน้ำหนักลด 1 (ลบ sum เดิม) แล้วค่าใหม่ได้น้ำหนัก period
+    weighted += period * values[i] - sum;
+    sum += values[i] - values[i - period];
+    out[i] = weighted / denominator;
+  }
+  return out;
+};
+
+/**
+ * hmaSeries - Hull Moving Average = WMA(2 × WMA(period/2) - WMA(period), √period)
+ * (ปัดลงแบบ TradingView) → ตามราคาใกล้กว่า SMA/EMA ที่ period เท่ากัน
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+export const hmaSeries = (values, period) => {
+  const half = wmaSeries(values, Math.max(Math.floor(period / 2), 1));
+  const full = wmaSeries(values, period);
+  const diff = values.map((_, i) => (half[i] !== null && full[i] !== null ? 2 * half[i] - full[i] : null));
+  return wmaSeries(diff, Math.max(Math.floor(Math.sqrt(period)), 1));
+};
+
+// ชนิดเส้นค่าเฉลี่ยที่ผู้ใช้เลือกได้ (หน้า Indicators) → ฟังก์ชัน Series
+export const MOVING_AVERAGES = {
+  SMA: smaSeries,
+  EMA: emaSeries,
+  WMA: wmaSeries,
+  HMA: hmaSeries,
+};
+
+/**
+ * rsiSeries - Relative Strength Index (Wilder Smoothing)
+ * ค่าแรกอยู่ที่แท่ง period (ใช้ค่าเฉลี่ย Gain/Loss ของ period แท่งแรก) แล้ว
+ * AvgGain = (AvgGain ก่อนหน้า × (period-1) + Gain) / period (Loss เช่นเดียวกัน)
+ * @param {number[]} values
+ * @param {number} [period=14]
+ * @returns {Array<number|null>} - 0-100
+ */
+export const rsiSeries = (values, period = 14) => {
+  const out = new Array(values.length).fill(null);
+  if (!(period >= 1) || values.length <= period) return out;
+
+  const toRsi = (gain, loss) => {
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+  };
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  out[period] = toRsi(avgGain, avgLoss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = toRsi(avgGain, avgLoss);
+  }
+  return out;
+};
+
+/**
+ * macdSeries - MACD Line = EMA(fast) - EMA(slow), Signal = EMA(signal) ของ MACD Line,
+ * Histogram = MACD - Signal
+ * @returns {{ macd: Array, signal: Array, histogram: Array }}
+ */
+export const macdSeries = (values, fast = 12, slow = 26, signal = 9) => {
+  const emaFast = emaSeries(values, fast);
+  const emaSlow = emaSeries(values, slow);
+  const macd = values.map((_, i) => (emaFast[i] !== null && emaSlow[i] !== null ? emaFast[i] - emaSlow[i] : null));
+  const signalLine = emaSeries(macd, signal);
+  const histogram = macd.map((m, i) => (m !== null && signalLine[i] !== null ? m - signalLine[i] : null));
+  return { macd, signal: signalLine, histogram };
+};
+
+/**
+ * bollingerSeries - Middle = SMA(period), Upper/Lower = Middle ± mult × SD (Population SD)
+ * @returns {{ upper: Array, middle: Array, lower: Array }}
+ */
+export const bollingerSeries = (values, period = 20, mult = 2) => {
+  const middle = smaSeries(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    if (middle[i] === null) continue;
+    let sumSq = 0;
+    for (let j = i - period + 1; j <= i; j++) sumSq += (values[j] - middle[i]) ** 2;
+    const sd = Math.sqrt(sumSq / period);
+    upper[i] = middle[i] + mult * sd;
+    lower[i] = middle[i] - mult * sd;
+  }
+  return { upper, middle, lower };
+};
+
+// =====================================================
+// === Studies ที่ใช้ High/Low/Volume (รับแท่ง คืน Aligned Series) ===
+// =====================================================
+// แท่งที่ไม่มี High/Low (เช่น ข้อมูลบาง Provider มีแค่ราคาปิด) ใช้ราคาปิดแทน:
+// True Range เหลือ |ราคาปิด - ราคาปิดก่อนหน้า|, ช่วงสูง-ต่ำคิดจากราคาปิด → ยังได้ค่าที่ใช้ได้แต่หยาบกว่า
+
+// { high, low, close } เป็น Array ตัวเลข (High/Low ที่ขาดใช้ราคาปิด)
+const hlcOf = (bars) => ({
+  high: bars.map((b) => (Number.isFinite(b.high) ? b.high : b.close)),
+  low: bars.map((b) => (Number.isFinite(b.low) ? b.low : b.close)),
+  close: closesOf(bars),
+});
+
+/**
+ * hasHighLow - แท่งมี High/Low ครบหรือไม่ (ใช้แจ้งผู้ใช้ว่า Study คำนวณจากราคาปิดแทน)
+ */
+export const hasHighLow = (bars) => bars.length > 0 && bars.every((b) => Number.isFinite(b.high) && Number.isFinite(b.low));
+
+// Wilder Smoothing (RMA): Seed = SMA ของ period ค่าแรก แล้ว (ก่อนหน้า × (period-1) + ค่าใหม่) / period
+const wilderSeries = (values, period) => {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex((v) => v !== null);
+  if (!(period >= 1) || start < 0 || values.length - start < period) return out;
+  let avg = 0;
+  for (let i = start; i < start + period; i++) avg += values[i];
+  avg /= period;
+  out[start + period - 1] = avg;
+  for (let i = start + period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+    out[i] = avg;
+  }
+  return out;
+};
+
+// ค่าสูงสุด/ต่ำสุดของ period แท่งล่าสุด (null จนกว่าจะครบ period)
+const rollingExtreme = (values, period, pick) => values.map((_, i) => (
+  i < period - 1 ? null : pick(...values.slice(i - period + 1, i + 1))
+));
+
+// True Range: max(High - Low, |High - Close ก่อนหน้า|, |Low - Close ก่อนหน้า|) (แท่งแรก = High - Low)
+const trueRangeSeries = ({ high, low, close }) => high.map((h, i) => (i === 0
+  ? h - low[i]
+  : Math.max(h - low[i], Math.abs(h - close[i - 1]), Math.abs(low[i] - close[i - 1]))));
+
+/**
+ * atrSeries - Average True Range (Wilder) ใช้วัดความผันผวน/ตั้ง Stop
+ * @param {Array} bars - [{ high, low, close }]
+ * @param {number} [period=14]
+ * @returns {Array<number|null>}
+ */
+export const atrSeries = (bars, period = 14) => wilderSeries(trueRangeSeries(hlcOf(bars)), period);
+
+/**
+ * stochasticSeries - Stochastic Oscillator (Slow)
+ * Raw %K = 100 × (Close - Lowest Low) / (Highest High - Lowest Low) ของ kPeriod แท่ง
+ * %K = SMA(Raw %K, smoothK), %D = SMA(%K, dPeriod)
+ * @returns {{ k: Array, d: Array }} - 0-100 (ช่วงที่ High = Low ทั้งหมดได้ 50)
+ */
+export const stochasticSeries = (bars, kPeriod = 14, smoothK = 3, dPeriod = 3) => {
+  const { high, low, close } = hlcOf(bars);
+  const highest = rollingExtreme(high, kPeriod, Math.max);
+  const lowest = rollingExtreme(low, kPeriod, Math.min);
+  const raw = close.map((c, i) => {
+    if (highest[i] === null) return null;
+    const range = highest[i] - lowest[i];
+    return range === 0 ? 50 : (100 * (c - lowest[i])) / range;
+  });
+  const k = smaSeries(raw, smoothK);
+  return { k, d: smaSeries(k, dPeriod) };
+};
+
+/**
+ * adxSeries - ADX / DMI (Wilder)
+ * +DM = High - High ก่อนหน้า (ถ้ามากกว่า -DM และ > 0), -DM = Low ก่อนหน้า - Low (กลับกัน)
+ * +DI/-DI = 100 × RMA(±DM) / RMA(TR), DX = 100 × |+DI - -DI| / (+DI + -DI), ADX = RMA(DX)
+ * @returns {{ plusDI: Array, minusDI: Array, adx: Array }}
+ */
+export const adxSeries = (bars, period = 14) => {
+  const hlc = hlcOf(bars);
+  const { high, low } = hlc;
+  const plusDM = high.map((h, i) => {
+    if (i === 0) return null;
+    const up = h - high[i - 1];
+    const down = low[i - 1] - low[i];
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = low.map((l, i) => {
+    if (i === 0) return null;
+    const up = high[i] - high[i - 1];
+    const down = low[i - 1] - l;
+    return down > up && down > 0 ? down : 0;
+  });
+  const tr = trueRangeSeries(hlc).map((v, i) => (i === 0 ? null : v));
+
+  const smoothTR = wilderSeries(tr, period);
+  const smoothPlus = wilderSeries(plusDM, period);
+  const smoothMinus = wilderSeries(minusDM, period);
+  const plusDI = smoothTR.map((t, i) => (t === null ? null : t === 0 ? 0 : (100 * smoothPlus[i]) / t));
+  const minusDI = smoothTR.map((t, i) => (t === null ? null : t === 0 ? 0 : (100 * smoothMinus[i]) / t));
+  const dx = plusDI.map((p, i) => {
+    if (p === null) return null;
+    const sum = p + minusDI[i];
+    return sum === 0 ? 0 : (100 * Math.abs(p - minusDI[i])) / sum;
+  });
+  return { plusDI, minusDI, adx: wilderSeries(dx, period) };
+};
+
+/**
+ * obvSeries - On-Balance Volume: ปิดบวกบวก Volume, ปิดลบลบ Volume (เริ่มที่ 0)
+ * ไม่มี Volume เลยทั้งช่วง → null ทั้งหมด
+ * @returns {Array<number|null>}
+ */
+export const obvSeries = (bars) => {
+  if (!bars.some((b) => b.volume > 0)) return new Array(bars.length).fill(null);
+  let obv = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      const volume = bar.volume || 0;
+      if (bar.close > bars[i - 1].close) obv += volume;
+      else if (bar.close < bars[i - 1].close) obv -= volume;
+    }
+    return obv;
+  });
+};
+
+/**
+ * vwapSeries - Volume Weighted Average Price ของ Typical Price (High + Low + Close) / 3
+ * - resetDaily = true (แท่ง Intraday): เริ่มนับใหม่ทุกวัน (วันตาม UTC ซึ่งไม่ตัดกลาง Session ของตลาดไทย/สหรัฐ)
+ * - resetDaily = false (แท่งรายวันขึ้นไป): สะสมตั้งแต่แท่งแรกของช่วง (Anchored VWAP)
+ * ยังไม่มี Volume สะสม → null
+ * @returns {Array<number|null>}
+ */
+export const vwapSeries = (bars, resetDaily = false) => {
+  const { high, low, close } = hlcOf(bars);
+  let session = null;
+  let pv = 0;
+  let volume = 0;
+  return bars.map((bar, i) => {
+    if (resetDaily) {
+      const day = new Date(bar.date).toISOString().slice(0, 10);
+      if (day !== session) {
+        session = day;
+        pv = 0;
+        volume = 0;
+      }
+    }
+    const v = bar.volume || 0;
+    pv += ((high[i] + low[i] + close[i]) / 3) * v;
+    volume += v;
+    return volume > 0 ? pv / volume : null;
+  });
+};
+
+/**
+ * ichimokuSeries - Ichimoku Kinko Hyo (ค่าเริ่มต้น 9/26/52, เลื่อน 26 แบบ TradingView = displacement - 1 แท่ง)
+ * - tenkan (Conversion) = (Highest High + Lowest Low) / 2 ของ tenkanPeriod
+ * - kijun (Base)        = เช่นเดียวกันของ kijunPeriod
+ * - spanA = (tenkan + kijun) / 2 เลื่อนไปข้างหน้า, spanB = จุดกึ่งกลางของ senkouPeriod เลื่อนไปข้างหน้า
+ * - chikou (Lagging) = ราคาปิดเลื่อนย้อนหลัง
+ * Series ยาวเท่าจำนวนแท่ง → เมฆส่วนที่ยื่นเลยแท่งล่าสุดไม่ถูกส่งกลับ
+ * @returns {{ tenkan, kijun, spanA, spanB, chikou }}
+ */
+export const ichimokuSeries = (bars, tenkanPeriod = 9, kijunPeriod = 26, senkouPeriod = 52, displacement = 26) => {
+  const { high, low, close } = hlcOf(bars);
+  const midpoint = (period) => {
+    const highest = rollingExtreme(high, period, Math.max);
+    const lowest = rollingExtreme(low, period, Math.min);
+    return highest.map((h, i) => (h === null ? null : (h + lowest[i]) / 2));
+  };
+  const tenkan = midpoint(tenkanPeriod);
+  const kijun = midpoint(kijunPeriod);
+  const rawA = tenkan.map((t, i) => (t === null || kijun[i] === null ? null : (t + kijun[i]) / 2));
+  const rawB = midpoint(senkouPeriod);
+
+  const shift = Math.max(displacement - 1, 0);
+  const forward = (series) => series.map((_, i) => (i - shift >= 0 ? series[i - shift] : null));
+  return {
+    tenkan,
+    kijun,
+    spanA: forward(rawA),
+    spanB: forward(rawB),
+    chikou: close.map((_, i) => (i + shift < close.length ? close[i + shift] : null)),
+  };
+};
+
+/**
+ * supertrendSeries - Supertrend (ATR Bands รอบ (High + Low) / 2)
+ * เส้นล่างใช้ตอนขาขึ้น, เส้นบนใช้ตอนขาลง; ราคาปิดทะลุเส้นที่ใช้อยู่ → กลับทิศ
+ * @returns {{ value: Array, direction: Array }} - direction: 1 = ขาขึ้น, -1 = ขาลง
+ */
+export const supertrendSeries = (bars, period = 10, mult = 3) => {
+  const { high, low, close } = hlcOf(bars);
+  const atr = atrSeries(bars, period);
+  const value = new Array(bars.length).fill(null);
+  const direction = new Array(bars.length).fill(null);
+
+  let upper = null;
+  let lower = null;
+  let dir = 1;
+  for (let i = 0; i < bars.length; i++) {
+    if (atr[i] === null) continue;
+    const mid = (high[i] + low[i]) / 2;
+    const basicUpper = mid + mult * atr[i];
+    const basicLower = mid - mult * atr[i];
+    const prevClose = close[i - 1];
+
+    if (upper === null) {
+      upper = basicUpper;
+      lower = basicLower;
+      dir = close[i] >= mid ? 1 : -1;
+    } else {
+      // เส้นขยับเข้าหาราคาได้อย่างเดียว จนกว่าราคาก่อนหน้าจะทะลุ
+      upper = basicUpper < upper || prevClose > upper ? basicUpper : upper;
+      lower = basicLower > lower || prevClose < lower ? basicLower : lower;
+      if (dir === 1 && close[i] < lower) dir = -1;
+      else if (dir === -1 && close[i] > upper) dir = 1;
+    }
+    value[i] = dir === 1 ? lower : upper;
+    direction[i] = dir;
+  }
+  return { value, direction };
+};
+
+// Linear Regression ของ period ค่าล่าสุด (x = 0..period-1) ประเมินที่จุดล่าสุด = linreg(src, period, 0) ของ Pine
+const linregSeries = (values, period) => {
+  const out = new Array(values.length).fill(null);
+  const xMean = (period - 1) / 2;
+  let sxx = 0;
+  for (let x = 0; x < period; x++) sxx += (x - xMean) ** 2;
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    if (window.some((v) => v === null)) continue;
+    const yMean = window.reduce((sum, v) => sum + v, 0) / period;
+    const sxy = window.reduce((sum, v, x) => sum + (x - xMean) * (v - yMean), 0);
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    out[i] = yMean + slope * (period - 1 - xMean);
+  }
+  return out;
+};
+
+/**
+ * squeezeSeries - Squeeze Momentum (แบบ LazyBear)
+ * - Squeeze: Bollinger Bands (bbLength, bbMult) เทียบ Keltner Channel = SMA(kcLength) ± kcMult × SMA(True Range)
+ *   1 = Squeeze On (BB อยู่ใน KC), -1 = Squeeze Off (BB คร่อม KC), 0 = ไม่เข้าทั้งสองแบบ
+ * - Momentum: linreg(Close - ((Highest High + Lowest Low) / 2 + SMA(Close)) / 2, kcLength, 0)
+ * หมายเหตุ: สคริปต์ต้นฉบับคูณ SD ของ BB ด้วย kcMult; ที่นี่ใช้ bbMult ตามชื่อพารามิเตอร์
+ * @returns {{ value: Array, squeeze: Array }}
+ */
+export const squeezeSeries = (bars, bbLength = 20, bbMult = 2, kcLength = 20, kcMult = 1.5) => {
+  const hlc = hlcOf(bars);
+  const { high, low, close } = hlc;
+  const bb = bollingerSeries(close, bbLength, bbMult);
+  const kcBasis = smaSeries(close, kcLength);
+  const rangeMa = smaSeries(trueRangeSeries(hlc), kcLength);
+
+  const squeeze = close.map((_, i) => {
+    if (bb.upper[i] === null || kcBasis[i] === null) return null;
+    const upperKC = kcBasis[i] + kcMult * rangeMa[i];
+    const lowerKC = kcBasis[i] - kcMult * rangeMa[i];
+    if (bb.lower[i] > lowerKC && bb.upper[i] < upperKC) return 1;
+    if (bb.lower[i] < lowerKC && bb.upper[i] > upperKC) return -1;
+    return 0;
+  });
+
+  const highest = rollingExtreme(high, kcLength, Math.max);
+  const lowest = rollingExtreme(low, kcLength, Math.min);
+  const delta = close.map((c, i) => (highest[i] === null
+    ? null
+    : c - ((highest[i] + lowest[i]) / 2 + kcBasis[i]) / 2));
+  return { value: linregSeries(delta, kcLength), squeeze };
+};
+
+// =====================================================
+// === รูปแบบเดิมของหน้า Indicators ([{ date, value }]) ===
+// =====================================================
+
+/**
+ * calculateSMA
+ * @param {Array} data - แท่งราคา [{ date, close }, ...]
+ * @param {number} period
+ * @returns {Array|null} - [{ date, value }] หรือ null ถ้าข้อมูลไม่พอ
+ */
+export const calculateSMA = (data, period) => {
+  if (!Array.isArray(data) || data.length < period) return null;
+  return toPoints(data, smaSeries(closesOf(data), period));
+};
+
+/**
+ * calculateEMA
+ * @returns {Array|null} - [{ date, value }]
+ */
+export const calculateEMA = (data, period) => {
+  if (!Array.isArray(data) || data.length < period) return null;
+  return toPoints(data, emaSeries(closesOf(data), period));
+};
+
+/**
+ * calculateRSI
+ * @returns {Array|null} - [{ date, value (0-100) }]
+ */
+export const calculateRSI = (data, period = 14) => {
+  if (!Array.isArray(data) || data.length < period + 1) return null;
+  return toPoints(data, rsiSeries(closesOf(data), period));
+};
+
+/**
+ * calculateMACD
+ * @returns {Object|null} - { macdLine, signalLine, histogram } แต่ละตัวเป็น [{ date, value }]
+ */
+export const calculateMACD = (data, fast = 12, slow = 26, sig = 9) => {
+  if (!Array.isArray(data) || data.length < slow + sig) return null;
+  const { macd, signal, histogram } = macdSeries(closesOf(data), fast, slow, sig);
+  return {
+    macdLine: toPoints(data, macd),
+    signalLine: toPoints(data, signal),
+    histogram: toPoints(data, histogram),
+  };
+};
+
+/**
+ * calculateBollingerBands
+ * @returns {Array|null} - [{ date, upper, middle, lower }]
+ */
+export const calculateBollingerBands = (data, period = 20, devs = 2) => {
+  if (!Array.isArray(data) || data.length < period) return null;
+  const { upper, middle, lower } = bollingerSeries(closesOf(data), period, devs);
+  const out = [];
+  for (let i = period - 1; i < data.length; i++) {
+    out.push({ date: data[i].date, upper: upper[i], middle: middle[i], lower: lower[i] });
+  }
+  return out;
+};
+
+/**
+ * calculateDivergence - ตรวจจับ RSI Divergence จาก Pivot ของ RSI
+ * - Bullish: ราคาทำ Lower Low + RSI ทำ Higher Low
+ * - Bearish: ราคาทำ Higher High + RSI ทำ Lower High
+ * แท่งที่ไม่มี High/Low ใช้ราคาปิดแทน
+ * @param {Array} rsiData - [{ date, value }] (จาก calculateRSI)
+ * @param {Array} priceData - [{ date, high, low, close }]
+ * @param {number} lookbackL - จำนวนแท่งด้านซ้ายของ Pivot
+ * @param {number} lookbackR - จำนวนแท่งด้านขวาที่ใช้ยืนยัน Pivot
+ * @returns {Array} - [{ date, type: 'bull'|'bear', value }]
+ */
+export const calculateDivergence = (rsiData, priceData, lookbackL = 5, lookbackR = 5) => {
+  if (!rsiData || !priceData) return [];
+
+  const priceMap = new Map(priceData.map((p) => [dateKey(p.date), p]));
+  const combined = rsiData.map((r) => {
+    const p = priceMap.get(dateKey(r.date));
+    return { ...r, priceHigh: p?.high ?? p?.close, priceLow: p?.low ?? p?.close, priceClose: p?.close };
+  }).filter((d) => d.priceClose !== undefined);
+
+  const isPivotLow = (arr, i) => {
+    if (i < lookbackL || i >= arr.length - lookbackR) return false;
+    for (let j = 1; j <= lookbackL; j++) if (arr[i - j] < arr[i]) return false;
+    for (let j = 1; j <= lookbackR; j++) if (arr[i + j] <= arr[i]) return false;
+    return true;
+  };
+  const isPivotHigh = (arr, i) => {
+    if (i < lookbackL || i >= arr.length - lookbackR) return false;
+    for (let j = 1; j <= lookbackL; j++) if (arr[i - j] > arr[i]) return false;
+    for (let j = 1; j <= lookbackR; j++) if (arr[i + j] >= arr[i]) return false;
+    return true;
+  };
+
+  const rsiVals = combined.map((c) => c.value);
+  const divergences = [];
+  let lastPL = null; // { rsi, price }
+  let lastPH = null;
+
+  for (let i = lookbackL; i < combined.length - lookbackR; i++) {
+    if (isPivotLow(rsiVals, i)) {
+      const price = combined[i].priceLow;
+      if (lastPL && price < lastPL.price && rsiVals[i] > lastPL.rsi) {
+        divergences.push({ date: combined[i].date, type: 'bull', value: rsiVals[i] });
+      }
+      lastPL = { rsi: rsiVals[i], price };
+    }
+    if (isPivotHigh(rsiVals, i)) {
+      const price = combined[i].priceHigh;
+      if (lastPH && price > lastPH.price && rsiVals[i] < lastPH.rsi) {
+        divergences.push({ date: combined[i].date, type: 'bear', value: rsiVals[i] });
+      }
+      lastPH = { rsi: rsiVals[i], price };
+    }
+  }
+  return divergences;
+};
+
+/**
+ * calculateGoldenDeathCross - จุดที่ MA เร็วตัด MA ช้า และช่วง (Zone) ระหว่างจุดตัด
+ * - Golden: เมื่อวาน fast <= slow และวันนี้ fast > slow
+ * - Death: เมื่อวาน fast >= slow และวันนี้ fast < slow
+ * @param {Array} data - แท่งราคา
+ * @param {Array} fastList - [{ date, value }] เช่น SMA(50)
+ * @param {Array} slowList - [{ date, value }] เช่น SMA(200)
+ * @returns {{ signals: [{ date, type, price }], zones: [{ start, end, type }] }}
+ */
+export const calculateGoldenDeathCross = (data, fastList, slowList) => {
+  if (!data || !fastList || !slowList) return { signals: [], zones: [] };
+
+  const fastMap = new Map(fastList.map((s) => [dateKey(s.date), s.value]));
+  const slowMap = new Map(slowList.map((s) => [dateKey(s.date), s.value]));
+
+  const signals = [];
+  const zones = [];
+  let zoneStart = null;
+  let zoneType = null; // 'golden' | 'death'
+
+  for (let i = 1; i < data.length; i++) {
+    const fast = fastMap.get(dateKey(data[i].date));
+    const slow = slowMap.get(dateKey(data[i].date));
+    const prevFast = fastMap.get(dateKey(data[i - 1].date));
+    const prevSlow = slowMap.get(dateKey(data[i - 1].date));
+    if (fast == null || slow == null || prevFast == null || prevSlow == null) continue;
+
+    let signalType = null;
+    if (prevFast <= prevSlow && fast > slow) signalType = 'golden';
+    else if (prevFast >= prevSlow && fast < slow) signalType = 'death';
+
+    if (signalType) {
+      signals.push({ date: data[i].date, type: signalType, price: data[i].close });
+      if (zoneStart) zones.push({ start: zoneStart, end: data[i].date, type: zoneType });
+      zoneStart = data[i].date;
+      zoneType = signalType;
+    } else if (!zoneStart) {
+      zoneStart = data[i].date;
+      zoneType = fast > slow ? 'golden' : 'death';
+    }
+  }
+
+  if (zoneStart && data.length > 0) {
+    zones.push({ start: zoneStart, end: data[data.length - 1].date, type: zoneType });
+  }
+  return { signals, zones };
+};
+
+// =====================================================
+// === กราฟเสริมของหน้า Indicators (Fibonacci, Heikin-Ashi, RSI Smoothing, High/Low) ===
+// =====================================================
+
+/**
+ * calculateFibonacci - ระดับ Fibonacci Retracement จากราคาปิดสูงสุด/ต่ำสุดของช่วง
+ * ระดับ = High - (High - Low) × เปอร์เซ็นต์ (61.8% = Golden Ratio)
+ * @param {Array} data - [{ date, close }]
+ * @returns {Object|null} - { high, low, levels: [{ level, value, color }] }
+ */
+export const calculateFibonacci = (data) => {
+  if (!Array.isArray(data) || data.length < 2) return null;
+  const closes = data.map((d) => d.close).filter((v) => typeof v === 'number');
+  if (closes.length < 2) return null;
+  const high = Math.max(...closes);
+  const low = Math.min(...closes);
+  const diff = high - low;
+
+  // สีแดง = Low, สีน้ำเงิน = High, สีทอง = Golden Ratio
+  const levels = [
+    { level: '100% (Low)', value: low, color: '#ff5252' },
+    { level: '78.6%', value: high - diff * 0.786, color: '#ffb74d' },
+    { level: '61.8%', value: high - diff * 0.618, color: '#ffd740' },
+    { level: '50%', value: high - diff * 0.5, color: '#aeea00' },
+    { level: '38.2%', value: high - diff * 0.382, color: '#ffd740' },
+    { level: '23.6%', value: high - diff * 0.236, color: '#ffb74d' },
+    { level: '0% (High)', value: high, color: '#448aff' },
+  ];
+  return { high, low, levels };
+};
+
+/**
+ * calculateHeikinAshi - แท่งเทียน Heikin-Ashi
+ * - HA Close = (Open + High + Low + Close) / 4
+ * - HA Open  = (HA Open ก่อนหน้า + HA Close ก่อนหน้า) / 2 (แท่งแรกใช้ (Open + Close) / 2)
+ * - HA High/Low = max/min(High/Low, HA Open, HA Close)
+ * HA Open อ้างอิงแท่งก่อนหน้าเสมอ → ต้องคำนวณจากข้อมูลทั้งช่วง, แท่งที่ไม่มี Open/High/Low ใช้ราคาปิดแทน
+ * @param {Array} data - [{ date, open, high, low, close }]
+ * @returns {Array} - [{ date, open, high, low, close }]
+ */
+export const calculateHeikinAshi = (data) => {
+  if (!Array.isArray(data) || data.length === 0) return [];
+  const result = [];
+  let prev = null;
+  for (const row of data) {
+    const close = row.close;
+    const open = row.open ?? close;
+    const high = row.high ?? Math.max(open, close);
+    const low = row.low ?? Math.min(open, close);
+
+    const haClose = (open + high + low + close) / 4;
+    const haOpen = prev ? (prev.open + prev.close) / 2 : (open + close) / 2;
+    const ha = {
+      date: row.date,
+      open: haOpen,
+      high: Math.max(high, haOpen, haClose),
+      low: Math.min(low, haOpen, haClose),
+      close: haClose,
+    };
+    result.push(ha);
+    prev = ha;
+  }
+  return result;
+};
+
+export const RSI_SMOOTHING_TYPES = ['SMA', 'EMA', 'SMA + Bollinger Bands'];
+
+/**
+ * calculateRSISmoothing - เส้นค่าเฉลี่ย (และแถบ Bollinger) ของ RSI เพื่อลด Noise
+ * @param {Array} rsiData - [{ date, value }] (จาก calculateRSI)
+ * @param {string} type - 'SMA' | 'EMA' | 'SMA + Bollinger Bands'
+ * @param {number} length - period ของเส้นค่าเฉลี่ย
+ * @param {number} mult - ตัวคูณ SD ของแถบ (เฉพาะ 'SMA + Bollinger Bands')
+ * @returns {Array} - rsiData + { smoothing, smoothingUpper?, smoothingLower? }
+ */
+export const calculateRSISmoothing = (rsiData, type, length, mult) => {
+  if (!rsiData || rsiData.length < length || !RSI_SMOOTHING_TYPES.includes(type)) return rsiData;
+  const values = rsiData.map((d) => d.value);
+
+  if (type === 'SMA + Bollinger Bands') {
+    const { upper, middle, lower } = bollingerSeries(values, length, mult);
+    return rsiData.map((d, i) => (middle[i] === null
+      ? { ...d, smoothing: null }
+      : { ...d, smoothing: middle[i], smoothingUpper: upper[i], smoothingLower: lower[i] }));
+  }
+  const ma = type === 'EMA' ? emaSeries(values, length) : smaSeries(values, length);
+  return rsiData.map((d, i) => ({ ...d, smoothing: ma[i] }));
+};
+
+/**
+ * calculatePeakPoints - จุดสูงสุด/ต่ำสุดของแต่ละสัปดาห์/เดือน/ปี (ใช้ High/Low ถ้ามี ไม่งั้นใช้ราคาปิด)
+ * จัดกลุ่มตามเวลาท้องถิ่น (ตรงกับ Label บนกราฟ)
+ * @param {Array} data - [{ date, high, low, close }]
+ * @param {string} periodType - 'week' | 'month' | 'year'
+ * @returns {Array} - [{ date, type: 'weeklyHigh'|'weeklyLow'|'monthlyHigh'|..., value }]
+ */
+export const calculatePeakPoints = (data, periodType) => {
+  if (!Array.isArray(data) || data.length === 0) return [];
+
+  const periodKey = (date) => {
+    const d = new Date(date);
+    if (periodType === 'week') {
+      const onejan = new Date(d.getFullYear(), 0, 1);
+      return `${d.getFullYear()}-W${Math.ceil((((d - onejan) / 86400000) + onejan.getDay() + 1) / 7)}`;
+    }
+    if (periodType === 'month') return `${d.getFullYear()}-${d.getMonth() + 1}`;
+    return `${d.getFullYear()}`;
+  };
+  const highOf = (item) => item.high ?? item.close;
+  const lowOf = (item) => item.low ?? item.close;
+
+  const groups = new Map(); // periodKey → { highItem, lowItem }
+  for (const item of data) {
+    const key = periodKey(item.date);
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { highItem: item, lowItem: item });
+      continue;
+    }
+    if (highOf(item) > highOf(group.highItem)) group.highItem = item;
+    if (lowOf(item) < lowOf(group.lowItem)) group.lowItem = item;
+  }
+
+  const prefix = { week: 'weekly', month: 'monthly', year: 'yearly' }[periodType];
+  const peaks = [];
+  for (const { highItem, lowItem } of groups.values()) {
+    peaks.push({ date: highItem.date, type: `${prefix}High`, value: highOf(highItem) });
+    peaks.push({ date: lowItem.date, type: `${prefix}Low`, value: lowOf(lowItem) });
+  }
+  return peaks;
+};
+
+// =====================================================
+// === Study Registry (?studies=rsi:14,macd:12:26:9,bb:20:2) ===
+// =====================================================
+
+// period ต้องเป็นจำนวนเต็ม, mult เป็นทศนิยมได้
+const PERIOD = { min: 1, max: 500, integer: true };
+const MULTIPLIER = { min: 0.1, max: 10, integer: false };
+
+// Markers → Array aligned กับแท่ง: type ที่เป็นขาขึ้น = 1, อื่น = -1, ไม่มี = null
+const markerSignal = (bars, markers, upType) => {
+  const byDate = new Map(markers.map((m) => [dateKey(m.date), m.type === upType ? 1 : -1]));
+  return bars.map((bar) => byDate.get(dateKey(bar.date)) ?? null);
+};
+
+/**
+ * STUDIES - Study ที่ขอได้ผ่าน ?studies=
+ * - params: ชื่อ/ค่าเริ่มต้น/ขอบเขตของพารามิเตอร์ (เรียงตามลำดับใน Spec)
+ * - warmup: จำนวนแท่งก่อนหน้าที่ต้องใช้ก่อนได้ค่าแรก
+ * - anchored: ค่าสะสมจากแท่งแรก → คิดตั้งแต่ anchorIndex ของ computeStudies (ไม่ขึ้นกับ Warm-up ของ Study อื่น)
+ * - compute: (bars, params) → { series: { name: Array (aligned) }, markers? }
+ */
+export const STUDIES = {
+  sma: {
+    params: [{ name: 'period', default: 20, ...PERIOD }],
+    warmup: ({ period }) => period,
+    compute: (bars, { period }) => ({ series: { value: smaSeries(closesOf(bars), period) } }),
+  },
+  ema: {
+    params: [{ name: 'period', default: 20, ...PERIOD }],
+    warmup: ({ period }) => period * 3, // EMA ยังขึ้นกับ Seed จนผ่านไปหลายเท่าของ period
+    compute: (bars, { period }) => ({ series: { value: emaSeries(closesOf(bars), period) } }),
+  },
+  wma: {
+    params: [{ name: 'period', default: 20, ...PERIOD }],
+    warmup: ({ period }) => period,
+    compute: (bars, { period }) => ({ series: { value: wmaSeries(closesOf(bars), period) } }),
+  },
+  hma: {
+    params: [{ name: 'period', default: 20, ...PERIOD }],
+    warmup: ({ period }) => period + Math.floor(Math.sqrt(period)),
+    compute: (bars, { period }) => ({ series: { value: hmaSeries(closesOf(bars), period) } }),
+  },
+  rsi: {
+    params: [{ name: 'period', default: 14, ...PERIOD }],
+    warmup: ({ period }) => period * 3,
+    compute: (bars, { period }) => ({ series: { value: rsiSeries(closesOf(bars), period) } }),
+  },
+  macd: {
+    params: [
+      { name: 'fast', default: 12, ...PERIOD },
+      { name: 'slow', default: 26, ...PERIOD },
+      { name: 'signal', default: 9, ...PERIOD },
+    ],
+    warmup: ({ fast, slow, signal }) => Math.max(fast, slow) * 3 + signal,
+    compute: (bars, { fast, slow, signal }) => ({ series: macdSeries(closesOf(bars), fast, slow, signal) }),
+  },
+  bb: {
+    params: [
+      { name: 'period', default: 20, ...PERIOD },
+      { name: 'mult', default: 2, ...MULTIPLIER },
+    ],
+    warmup: ({ period }) => period,
+    compute: (bars, { period, mult }) => ({ series: bollingerSeries(closesOf(bars), period, mult) }),
+  },
+  atr: {
+    params: [{ name: 'period', default: 14, ...PERIOD }],
+    warmup: ({ period }) => period * 3,
+    compute: (bars, { period }) => ({ series: { value: atrSeries(bars, period) } }),
+  },
+  stoch: {
+    params: [
+      { name: 'kPeriod', default: 14, ...PERIOD },
+      { name: 'smoothK', default: 3, ...PERIOD },
+      { name: 'dPeriod', default: 3, ...PERIOD },
+    ],
+    warmup: ({ kPeriod, smoothK, dPeriod }) => kPeriod + smoothK + dPeriod,
+    compute: (bars, { kPeriod, smoothK, dPeriod }) => ({ series: stochasticSeries(bars, kPeriod, smoothK, dPeriod) }),
+  },
+  adx: {
+    params: [{ name: 'period', default: 14, ...PERIOD }],
+    warmup: ({ period }) => period * 4,
+    compute: (bars, { period }) => ({ series: adxSeries(bars, period) }),
+  },
+  // OBV / VWAP สะสมจากแท่งแรกที่ส่งเข้ามา → ค่าขึ้นกับจุดเริ่ม (ไม่ใช้ Warm-up, เริ่มที่ anchorIndex)
+  obv: {
+    params: [],
+    warmup: () => 0,
+    anchored: true,
+    compute: (bars) => ({ series: { value: obvSeries(bars) } }),
+  },
+  vwap: {
+    params: [],
+    warmup: () => 0,
+    anchored: true,
+    compute: (bars) => ({ series: { value: vwapSeries(bars) } }),
+  },
+  ichimoku: {
+    params: [
+      { name: 'tenkan', default: 9, ...PERIOD },
+      { name: 'kijun', default: 26, ...PERIOD },
+      { name: 'senkou', default: 52, ...PERIOD },
+      { name: 'displacement', default: 26, ...PERIOD },
+    ],
+    warmup: ({ tenkan, kijun, senkou, displacement }) => Math.max(tenkan, kijun, senkou) + displacement,
+    compute: (bars, { tenkan, kijun, senkou, displacement }) => ({
+      series: ichimokuSeries(bars, tenkan, kijun, senkou, displacement),
+    }),
+  },
+  supertrend: {
+    params: [
+      { name: 'period', default: 10, ...PERIOD },
+      { name: 'mult', default: 3, ...MULTIPLIER },
+    ],
+    warmup: ({ period }) => period * 3,
+    compute: (bars, { period, mult }) => ({ series: supertrendSeries(bars, period, mult) }),
+  },
+  // Squeeze Momentum: series.squeeze = 1 (on) / -1 (off) / 0 (ไม่มี Squeeze)
+  squeeze: {
+    params: [
+      { name: 'bbLength', default: 20, ...PERIOD },
+      { name: 'bbMult', default: 2, ...MULTIPLIER },
+      { name: 'kcLength', default: 20, ...PERIOD },
+      { name: 'kcMult', default: 1.5, ...MULTIPLIER },
+    ],
+    warmup: ({ bbLength, kcLength }) => Math.max(bbLength, kcLength * 2),
+    compute: (bars, { bbLength, bbMult, kcLength, kcMult }) => ({
+      series: squeezeSeries(bars, bbLength, bbMult, kcLength, kcMult),
+    }),
+  },
+  // RSI Divergence: series.signal = 1 (bull) / -1 (bear) / null
+  divergence: {
+    params: [
+      { name: 'period', default: 14, ...PERIOD },
+      { name: 'lookbackLeft', default: 5, ...PERIOD },
+      { name: 'lookbackRight', default: 5, ...PERIOD },
+    ],
+    warmup: ({ period, lookbackLeft }) => period * 3 + lookbackLeft,
+    compute: (bars, { period, lookbackLeft, lookbackRight }) => {
+      const markers = calculateDivergence(calculateRSI(bars, period), bars, lookbackLeft, lookbackRight);
+      return { series: { signal: markerSignal(bars, markers, 'bull') }, markers };
+    },
+  },
+  // Golden/Death Cross ของ SMA: series.signal = 1 (golden) / -1 (death) / null
+  cross: {
+    params: [
+      { name: 'fast', default: 50, ...PERIOD },
+      { name: 'slow', default: 200, ...PERIOD },
+    ],
+    warmup: ({ fast, slow }) => Math.max(fast, slow) + 1,
+    compute: (bars, { fast, slow }) => {
+      const { signals } = calculateGoldenDeathCross(bars, calculateSMA(bars, fast), calculateSMA(bars, slow));
+      return {
+        series: { signal: markerSignal(bars, signals, 'golden') },
+        markers: signals.map(({ date, type }) => ({ date, type })),
+      };
+    },
+  },
+};
+
+export const MAX_STUDIES_PER_REQUEST = 10;
+
+/**
+ * parseStudiesParam - ตีความ ?studies=
+ * @param {string} raw - เช่น 'rsi:14,macd:12:26:9,bb:20:2'
+ * @returns {Array<{ id, type, params }>} - id = Spec ที่เติมค่าเริ่มต้นครบแล้ว (เช่น 'rsi' → 'rsi:14')
+ * @throws {Error} - Study ที่ไม่รู้จัก, พารามิเตอร์เกิน/ผิดรูปแบบ/นอกขอบเขต
+ */
+export const parseStudiesParam = (raw) => {
+  const specs = String(raw || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (specs.length === 0) {
+    throw new Error(`Missing studies. Use e.g. ?studies=rsi:14,macd:12:26:9,bb:20:2 (available: ${Object.keys(STUDIES).join(', ')}).`);
+  }
+
+  const studies = new Map(); // id → study (Spec ซ้ำนับครั้งเดียว)
+  for (const spec of specs) {
+    const [name, ...values] = spec.split(':');
+    const type = name.toLowerCase();
+    const definition = Object.hasOwn(STUDIES, type) ? STUDIES[type] : null;
+    if (!definition) {
+      throw new Error(`Unknown study '${name}'. Available: ${Object.keys(STUDIES).join(', ')}.`);
+    }
+    if (values.length > definition.params.length) {
+      throw new Error(`Study '${type}' takes at most ${definition.params.length} parameter(s): ${definition.params.map((p) => p.name).join(':')}.`);
+    }
+
+    const params = {};
+    definition.params.forEach((param, i) => {
+      const text = values[i];
+      const value = text === undefined || text === '' ? param.default : Number(text);
+      const valid = Number.isFinite(value)
+        && value >= param.min && value <= param.max
+        && (!param.integer || Number.isInteger(value));
+      if (!valid) {
+        throw new Error(`Invalid ${type} ${param.name} '${text}'. Use ${param.integer ? 'an integer' : 'a number'} between ${param.min} and ${param.max}.`);
+      }
+      params[param.name] = value;
+    });
+
+    const id = [type, ...definition.params.map((p) => params[p.name])].join(':');
+    studies.set(id, { id, type, params });
+  }
+
+  if (studies.size > MAX_STUDIES_PER_REQUEST) {
+    throw new Error(`Too many studies (${studies.size}). Maximum is ${MAX_STUDIES_PER_REQUEST} per request.`);
+  }
+  return [...studies.values()];
+};
+
+/**
+ * studiesWarmup - จำนวนแท่งก่อนช่วงที่ขอที่ต้องดึงมาเพิ่ม เพื่อให้ค่าแรกในช่วงไม่เป็น null
+ * @param {Array} studies - ผลลัพธ์จาก parseStudiesParam
+ * @returns {number}
+ */
+export const studiesWarmup = (studies) =>
+  studies.reduce((max, { type, params }) => Math.max(max, STUDIES[type].warmup(params)), 0);
+
+/**
+ * computeStudies - คำนวณทุก Study บนแท่งชุดเดียวกัน
+ * @param {Array} bars - แท่งราคาเรียงจากเก่า → ใหม่ [{ date, open, high, low, close, volume }]
+ * @param {Array} studies - ผลลัพธ์จาก parseStudiesParam
+ * @param {object} [options]
+ * @param {number} [options.anchorIndex=0] - แท่งแรกของช่วงที่ขอ: Study แบบ anchored เริ่มสะสมที่นี่ (ก่อนหน้า = null)
+ * @returns {Array<{ id, type, params, series, markers? }>} - ทุก series ยาวเท่า bars
+ */
+export const computeStudies = (bars, studies, { anchorIndex = 0 } = {}) =>
+  studies.map(({ id, type, params }) => {
+    const definition = STUDIES[type];
+    if (!definition.anchored || anchorIndex <= 0) return { id, type, params, ...definition.compute(bars, params) };
+    const { series, ...rest } = definition.compute(bars.slice(anchorIndex), params);
+    const padding = new Array(Math.min(anchorIndex, bars.length)).fill(null);
+    return {
+      id,
+      type,
+      params,
+      ...rest,
+      series: Object.fromEntries(Object.entries(series).map(([name, values]) => [name, [...padding, ...values]])),
+    };
+  });
@@ -0,0 +1,317 @@
+/**
+ * =====================================================
+ * shared/indicators.test.js - ทดสอบสูตร Indicator กับค่าอ้างอิง (npm test)
+ * =====================================================
+ *
+ * ค่าที่คาดไว้อยู่ใน fixtures/indicators.json:
+ * - RSI / EMA / SMA: ชุดข้อมูลตัวอย่างของ StockCharts
+ * - WMA, HMA, MACD, Bollinger Bands, ATR, Stochastic, ADX, OBV, VWAP, Ichimoku, Supertrend,
+ *   Golden/Death Cross, Divergence, Heikin-Ashi, Fibonacci: กรณีที่คำนวณด้วยมือได้
+ * - Squeeze Momentum: คำนวณแยกด้วยสูตรต้นฉบับของ LazyBear
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  smaSeries,
+  emaSeries,
+  wmaSeries,
+  hmaSeries,
+  rsiSeries,
+  macdSeries,
+  bollingerSeries,
+  atrSeries,
+  stochasticSeries,
+  adxSeries,
+  obvSeries,
+  vwapSeries,
+  ichimokuSeries,
+  supertrendSeries,
+  squeezeSeries,
+  hasHighLow,
+  calculateSMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+  calculateDivergence,
+  calculateGoldenDeathCross,
+  calculateFibonacci,
+  calculateHeikinAshi,
+  calculateRSISmoothing,
+  calculatePeakPoints,
+  parseStudiesParam,
+  computeStudies,
+} from './indicators.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/indicators.json', import.meta.url), 'utf8'));
+
+const assertClose = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+// ตรวจทั้งช่วง Warm-up (null) และค่าที่คาดไว้ตั้งแต่ firstIndex
+const assertSeries = (series, { firstIndex, expected, tolerance }) => {
+  assert.equal(series.length, firstIndex + expected.length);
+  series.slice(0, firstIndex).forEach((v, i) => assert.equal(v, null, `index ${i} should be warm-up`));
+  expected.forEach((value, i) => assertClose(series[firstIndex + i], value, tolerance, `index ${firstIndex + i}`));
+};
+
+const toBars = (dates, closes) => closes.map((close, i) => ({ date: dates ? dates[i] : `2024-01-${String(i + 1).padStart(2, '0')}`, close }));
+const toPoints = (dates, values) => values.map((value, i) => ({ date: dates[i], value }));
+
+describe('moving averages', () => {
+  test('smaSeries matches the StockCharts sample', () => {
+    const { closes, period } = fixtures.sma;
+    assertSeries(smaSeries(closes, period), fixtures.sma);
+  });
+
+  test('emaSeries matches the StockCharts sample', () => {
+    const { closes, period } = fixtures.ema;
+    assertSeries(emaSeries(closes, period), fixtures.ema);
+  });
+
+  test('wmaSeries weights the latest value most', () => {
+    const { closes, period } = fixtures.wma;
+    assertSeries(wmaSeries(closes, period), fixtures.wma);
+  });
+
+  test('hmaSeries has no lag on a linear series', () => {
+    const { closes, period } = fixtures.hma;
+    assertSeries(hmaSeries(closes, period), fixtures.hma);
+  });
+
+  test('emaSeries skips leading nulls', () => {
+    const series = emaSeries([null, null, 1, 2, 3], 3);
+    assert.deepEqual(series, [null, null, null, null, 2]);
+  });
+
+  test('calculateSMA returns only bars with a value', () => {
+    const { closes, period, expected } = fixtures.sma;
+    const points = calculateSMA(toBars(null, closes), period);
+    assert.equal(points.length, expected.length);
+    assert.equal(points[0].date, '2024-01-10');
+  });
+
+  test('returns all nulls when there are not enough values', () => {
+    assert.deepEqual(smaSeries([1, 2], 3), [null, null]);
+    assert.deepEqual(emaSeries([1, 2], 3), [null, null]);
+  });
+});
+
+describe('RSI', () => {
+  test('rsiSeries matches the StockCharts sample (Wilder smoothing)', () => {
+    const { closes, period } = fixtures.rsi;
+    assertSeries(rsiSeries(closes, period), fixtures.rsi);
+  });
+
+  test('flat and rising prices', () => {
+    assert.equal(rsiSeries([5, 5, 5, 5], 3)[3], 50);
+    assert.equal(rsiSeries([1, 2, 3, 4], 3)[3], 100);
+  });
+
+  test('calculateRSISmoothing adds SMA and bands of the RSI', () => {
+    const { closes, period, expected } = fixtures.bollinger;
+    const rsi = toPoints(toBars(null, closes).map((b) => b.date), closes);
+    const smoothed = calculateRSISmoothing(rsi, 'SMA + Bollinger Bands', period, fixtures.bollinger.mult);
+    const last = smoothed[smoothed.length - 1];
+    assert.equal(smoothed[0].smoothing, null);
+    assertClose(last.smoothing, expected.middle, 1e-6, 'smoothing');
+    assertClose(last.smoothingUpper, expected.upper, 1e-6, 'smoothingUpper');
+    assertClose(last.smoothingLower, expected.lower, 1e-6, 'smoothingLower');
+  });
+
+  test('calculateRSISmoothing leaves data unchanged for unknown types', () => {
+    const rsi = calculateRSI(toBars(null, fixtures.rsi.closes), 14);
+    assert.equal(calculateRSISmoothing(rsi, 'None', 14, 2), rsi);
+  });
+});
+
+describe('MACD', () => {
+  const { length, fast, slow, signal, firstMacdIndex, firstSignalIndex } = fixtures.macd;
+  const closes = Array.from({ length }, (_, i) => i);
+
+  test('macdSeries on a linear series converges to the analytic lag', () => {
+    const result = macdSeries(closes, fast, slow, signal);
+    assert.equal(result.macd[firstMacdIndex - 1], null);
+    assert.equal(result.signal[firstSignalIndex - 1], null);
+    assertClose(result.macd[length - 1], fixtures.macd.expectedMacd, 1e-3, 'macd');
+    assertClose(result.signal[length - 1], fixtures.macd.expectedSignal, 1e-2, 'signal');
+    assertClose(result.histogram[length - 1], fixtures.macd.expectedHistogram, 1e-2, 'histogram');
+  });
+
+  test('calculateMACD histogram starts once the signal line exists', () => {
+    const result = calculateMACD(toBars(null, closes.map((c) => c + 1)), fast, slow, signal);
+    assert.equal(result.macdLine.length, length - firstMacdIndex);
+    assert.equal(result.histogram.length, length - firstSignalIndex);
+  });
+});
+
+describe('Bollinger Bands', () => {
+  const { closes, period, mult, expected } = fixtures.bollinger;
+
+  test('bollingerSeries uses the population standard deviation', () => {
+    const { upper, middle, lower } = bollingerSeries(closes, period, mult);
+    assertClose(middle[period - 1], expected.middle, 1e-6, 'middle');
+    assertClose(upper[period - 1], expected.upper, 1e-6, 'upper');
+    assertClose(lower[period - 1], expected.lower, 1e-6, 'lower');
+  });
+
+  test('calculateBollingerBands returns { date, upper, middle, lower }', () => {
+    const [band] = calculateBollingerBands(toBars(null, closes), period, mult);
+    assert.equal(band.date, '2024-01-05');
+    assertClose(band.upper, expected.upper, 1e-6, 'upper');
+  });
+});
+
+describe('high/low/volume studies', () => {
+  test('atrSeries uses Wilder smoothing of the true range', () => {
+    const { bars, period } = fixtures.atr;
+    assertSeries(atrSeries(bars, period), fixtures.atr);
+  });
+
+  test('atrSeries falls back to close-to-close ranges without highs and lows', () => {
+    const { closes, period } = fixtures.atr.closesOnly;
+    const bars = toBars(null, closes);
+    assert.equal(hasHighLow(bars), false);
+    assertSeries(atrSeries(bars, period), fixtures.atr.closesOnly);
+  });
+
+  test('stochasticSeries', () => {
+    const { closes, kPeriod, smoothK, dPeriod, expectedK, expectedD } = fixtures.stochastic;
+    const { k, d } = stochasticSeries(toBars(null, closes), kPeriod, smoothK, dPeriod);
+    assert.deepEqual(k, expectedK);
+    assert.deepEqual(d, expectedD);
+  });
+
+  test('adxSeries on a steady uptrend', () => {
+    const { length, period, firstDIIndex, firstAdxIndex } = fixtures.adx;
+    const bars = Array.from({ length }, (_, i) => ({ high: i + 1, low: i, close: i + 0.5 }));
+    const { plusDI, minusDI, adx } = adxSeries(bars, period);
+    assert.equal(plusDI[firstDIIndex - 1], null);
+    assert.equal(adx[firstAdxIndex - 1], null);
+    assertClose(plusDI[length - 1], fixtures.adx.expectedPlusDI, 1e-6, '+DI');
+    assertClose(minusDI[length - 1], fixtures.adx.expectedMinusDI, 1e-9, '-DI');
+    assertClose(adx[length - 1], fixtures.adx.expectedAdx, 1e-9, 'ADX');
+  });
+
+  test('obvSeries accumulates signed volume and is empty without volume', () => {
+    const { closes, volumes, expected } = fixtures.obv;
+    assert.deepEqual(obvSeries(closes.map((close, i) => ({ close, volume: volumes[i] }))), expected);
+    assert.deepEqual(obvSeries(toBars(null, [1, 2])), [null, null]);
+  });
+
+  test('vwapSeries anchored and reset per day', () => {
+    const { bars, expectedAnchored, expectedDaily } = fixtures.vwap;
+    assert.deepEqual(vwapSeries(bars), expectedAnchored);
+    assert.deepEqual(vwapSeries(bars, true), expectedDaily);
+  });
+
+  test('ichimokuSeries shifts the cloud forward and the lagging span back', () => {
+    const { length, tenkan, kijun, senkou, displacement, expected } = fixtures.ichimoku;
+    const bars = toBars(null, Array.from({ length }, (_, i) => i));
+    assert.deepEqual(ichimokuSeries(bars, tenkan, kijun, senkou, displacement), expected);
+  });
+
+  test('supertrendSeries flips direction when the close breaks the band', () => {
+    const { closes, period, mult, expectedDirection, expectedValue } = fixtures.supertrend;
+    const { value, direction } = supertrendSeries(toBars(null, closes), period, mult);
+    assert.deepEqual(direction, expectedDirection);
+    value.forEach((v, i) => (expectedValue[i] === null
+      ? assert.equal(v, null)
+      : assertClose(v, expectedValue[i], 1e-9, `index ${i}`)));
+  });
+
+  test('squeezeSeries detects the squeeze and its release with linreg momentum', () => {
+    const { bars, bbLength, bbMult, kcLength, kcMult, expectedSqueeze, expectedValue } = fixtures.squeeze;
+    const { value, squeeze } = squeezeSeries(bars, bbLength, bbMult, kcLength, kcMult);
+    assert.deepEqual(squeeze, expectedSqueeze);
+    value.forEach((v, i) => (expectedValue[i] === null
+      ? assert.equal(v, null)
+      : assertClose(v, expectedValue[i], 1e-4, `index ${i}`)));
+  });
+});
+
+describe('signals', () => {
+  test('calculateGoldenDeathCross finds crosses and zones', () => {
+    const { dates, closes, fast, slow, expectedSignals, expectedZones } = fixtures.goldenDeathCross;
+    const result = calculateGoldenDeathCross(toBars(dates, closes), toPoints(dates, fast), toPoints(dates, slow));
+    assert.deepEqual(result.signals, expectedSignals);
+    assert.deepEqual(result.zones, expectedZones);
+  });
+
+  test('calculateDivergence finds bullish and bearish divergences', () => {
+    const { dates, lookbackLeft, lookbackRight, bullish, bearish } = fixtures.divergence;
+    for (const { rsi, closes, expected } of [bullish, bearish]) {
+      const result = calculateDivergence(toPoints(dates, rsi), toBars(dates, closes), lookbackLeft, lookbackRight);
+      assert.deepEqual(result, expected);
+    }
+  });
+});
+
+describe('chart helpers', () => {
+  test('calculateHeikinAshi', () => {
+    const { bars, expected } = fixtures.heikinAshi;
+    assert.deepEqual(calculateHeikinAshi(bars), expected);
+  });
+
+  test('calculateFibonacci', () => {
+    const { closes, expected } = fixtures.fibonacci;
+    const result = calculateFibonacci(toBars(null, closes));
+    assert.equal(result.high, expected.high);
+    assert.equal(result.low, expected.low);
+    for (const { level, value } of result.levels) assertClose(value, expected.levels[level], 1e-9, level);
+  });
+
+  test('calculatePeakPoints picks the high and low bar of each month', () => {
+    const bars = [
+      { date: '2024-01-02T12:00:00', high: 5, low: 1, close: 3 },
+      { date: '2024-01-20T12:00:00', high: 7, low: 2, close: 4 },
+      { date: '2024-02-05T12:00:00', close: 6 },
+    ];
+    assert.deepEqual(calculatePeakPoints(bars, 'month'), [
+      { date: '2024-01-20T12:00:00', type: 'monthlyHigh', value: 7 },
+      { date: '2024-01-02T12:00:00', type: 'monthlyLow', value: 1 },
+      { date: '2024-02-05T12:00:00', type: 'monthlyHigh', value: 6 },
+      { date: '2024-02-05T12:00:00', type: 'monthlyLow', value: 6 },
+    ]);
+  });
+});
+
+describe('study registry', () => {
+  test('parseStudiesParam normalizes ids and applies defaults', () => {
+    const studies = parseStudiesParam('rsi,macd:8:21:5');
+    assert.deepEqual(studies.map((s) => s.id), ['rsi:14', 'macd:8:21:5']);
+    assert.deepEqual(parseStudiesParam('squeeze,stoch').map((s) => s.id), ['squeeze:20:2:20:1.5', 'stoch:14:3:3']);
+  });
+
+  test('parseStudiesParam rejects unknown studies', () => {
+    assert.throws(() => parseStudiesParam('foo'));
+  });
+
+  test('computeStudies matches the series functions', () => {
+    const bars = toBars(null, fixtures.rsi.closes);
+    const [rsi] = computeStudies(bars, parseStudiesParam('rsi:14'));
+    assertSeries(rsi.series.value, fixtures.rsi);
+  });
+
+  test('computeStudies anchors cumulative studies at anchorIndex', () => {
+    const bars = [10, 11, 9, 12, 13, 12, 14].map((close, i) => ({
+      date: `2024-01-${String(i + 1).padStart(2, '0')}`, high: close + 1, low: close - 1, close, volume: 100 * (i + 1),
+    }));
+    const inRange = bars.slice(3);
+    const studies = parseStudiesParam('obv,vwap');
+
+    // แท่ง Warm-up ที่มาเพิ่ม (จาก Study อื่น) ไม่เปลี่ยนค่าในช่วงที่ขอ
+    const anchored = computeStudies(bars, studies, { anchorIndex: 3 });
+    const alone = computeStudies(inRange, studies);
+    anchored.forEach((study, i) => {
+      for (const [name, values] of Object.entries(study.series)) {
+        assert.deepEqual(values.slice(0, 3), [null, null, null]);
+        assert.deepEqual(values.slice(3), alone[i].series[name], `${study.id} ${name}`);
+      }
+    });
+    assert.deepEqual(anchored[0].series.value.slice(3), obvSeries(inRange));
+    assert.notDeepEqual(computeStudies(bars, studies)[1].series.value.slice(3), alone[1].series.value);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * =====================================================
+ * shared/optimizer.js - หาพารามิเตอร์ของชุดสัญญาณแบบ Walk-forward (ใช้ร่วม Frontend Worker + Backend)
+ * =====================================================
+ *
+ * **ขั้นตอน:**
+ * 1. สร้างชุดพารามิเตอร์: buildParamGrid (ทุกจุดบน Grid) หรือ sampleParams (สุ่มจุดบน Grid เดียวกัน, seed คงที่)
+ *    ชุดที่ไม่ผ่าน SIGNAL_SETS[id].valid (เช่น fast ≥ slow) ถูกตัดออก
+ * 2. แบ่งช่วงทดสอบเป็นหน้าต่าง In-sample (IS) ตามด้วย Out-of-sample (OOS) เลื่อนทีละ OOS แท่ง (walkForwardWindows)
+ * 3. ทุกหน้าต่าง: เลือกชุดที่คะแนน IS ดีที่สุด แล้ววัดผลชุดนั้นในช่วง OOS ถัดไป (ไม่เคยเห็นข้อมูล OOS ตอนเลือก)
+ * 4. ต่อผล OOS ทุกช่วงเป็นเส้น Equity เดียว (เงินทุนทบต่อกัน) เทียบ Buy & Hold ของช่วง OOS ทั้งหมด
+ *
+ * สัญญาณของแต่ละชุดคำนวณครั้งเดียวบนแท่งทั้งหมดแล้วตัดใช้ตามหน้าต่าง (Indicator ไม่ใช้ข้อมูลอนาคต)
+ * แต่ละช่วงปิดสถานะที่ราคาปิดแท่งสุดท้ายของช่วง (เหมือน runBacktest)
+ */
+
+import { SIGNAL_SETS, resolveSignalParams, runBacktest, summarizeEquity, summarizeTrades } from './backtest.js';
+
+export const MAX_OPTIMIZER_COMBOS = 2000;
+// จำนวนครั้งที่ลองสุ่มต่อ 1 ชุดที่ต้องการ (กันวนไม่จบเมื่อ Grid เล็กกว่าจำนวนที่ขอ)
+const SAMPLE_ATTEMPTS = 20;
+
+/**
+ * OPTIMIZER_OBJECTIVES - คะแนนที่ใช้เลือกพารามิเตอร์ (มากกว่า = ดีกว่า)
+ * score: stats.strategy ของ runBacktest → number
+ */
+export const OPTIMIZER_OBJECTIVES = {
+  totalReturn: { label: 'Total Return', score: (stats) => stats.totalReturn },
+  returnToDrawdown: {
+    label: 'Return / Max Drawdown',
+    score: (stats) => (stats.maxDrawdown > 0 ? stats.totalReturn / stats.maxDrawdown : stats.totalReturn),
+  },
+};
+
+// ค่าบน Grid ของพารามิเตอร์หนึ่งตัว (ไม่ระบุช่วง = ค่าเดียวตาม fixed/ค่าเริ่มต้น)
+const axisValues = (setId, param, range, fixedValue) => {
+  if (!range) return [fixedValue];
+  const min = Number(range.min);
+  const max = Number(range.max);
+  const step = Number(range.step);
+  const inBounds = (v) => Number.isFinite(v) && v >= param.min && v <= param.max && (!param.integer || Number.isInteger(v));
+  if (!inBounds(min) || !inBounds(max) || min > max) {
+    throw new Error(`Invalid ${setId} ${param.name} range. Use ${param.integer ? 'integers' : 'numbers'} between ${param.min} and ${param.max} with min ≤ max.`);
+  }
+  if (!(step > 0) || (param.integer && !Number.isInteger(step))) {
+    throw new Error(`Invalid ${setId} ${param.name} step '${range.step}'. Use a positive ${param.integer ? 'integer' : 'number'}.`);
+  }
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(10)));
+};
+
+const paramAxes = (setId, ranges = {}, fixed = {}) => {
+  if (!Object.hasOwn(SIGNAL_SETS, setId)) {
+    throw new Error(`Unknown signal set '${setId}'. Available: ${Object.keys(SIGNAL_SETS).join(', ')}.`);
+  }
+  const base = resolveSignalParams(setId, fixed);
+  return SIGNAL_SETS[setId].params.map((param) => ({
+    name: param.name,
+    values: axisValues(setId, param, ranges[param.name], base[param.name]),
+  }));
+};
+
+const isValidParams = (setId, params) => !SIGNAL_SETS[setId].valid || SIGNAL_SETS[setId].valid(params);
+
+/**
+ * countParamGrid - จำนวนจุดบน Grid (ก่อนตัดชุดที่ไม่ผ่าน valid) ใช้เตือนก่อนรัน
+ */
+export const countParamGrid = (setId, ranges, fixed) =>
+  paramAxes(setId, ranges, fixed).reduce((total, axis) => total * axis.values.length, 1);
+
+/**
+ * buildParamGrid - ทุกชุดพารามิเตอร์บน Grid
+ * @param {string} setId - key ของ SIGNAL_SETS
+ * @param {object} ranges - { fast: { min, max, step }, ... } (พารามิเตอร์ที่ไม่ระบุใช้ค่าคงที่)
+ * @param {object} [fixed] - ค่าของพารามิเตอร์ที่ไม่ได้ Optimize (ไม่ระบุ = ค่าเริ่มต้น)
+ * @returns {Array<object>} - [{ fast: 10, slow: 50 }, ...]
+ * @throws {Error} - ช่วงผิดรูปแบบ หรือจำนวนชุดเกิน MAX_OPTIMIZER_COMBOS
+ */
+export const buildParamGrid = (setId, ranges, fixed) => {
+  const axes = paramAxes(setId, ranges, fixed);
+  const total = axes.reduce((count, axis) => count * axis.values.length, 1);
+  if (total > MAX_OPTIMIZER_COMBOS) {
+    throw new Error(`The grid has ${total} combinations. Maximum is ${MAX_OPTIMIZER_COMBOS}; use larger steps or random search.`);
+  }
+  const combos = axes.reduce(
+    (acc, axis) => acc.flatMap((combo) => axis.values.map((value) => ({ ...combo, [axis.name]: value }))),
+    [{}]
+  );
+  return combos.filter((params) => isValidParams(setId, params));
+};
+
+// Mulberry32: ตัวสุ่มที่กำหนด seed ได้ → ผลซ้ำได้ทุกครั้ง
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * sampleParams - สุ่มชุดพารามิเตอร์ไม่ซ้ำจาก Grid เดียวกับ buildParamGrid (ใช้เมื่อ Grid ใหญ่เกินไป)
+ * @param {string} setId
+ * @param {object} ranges
+ * @param {object} options
+ * @param {number} options.samples - จำนวนชุดที่ต้องการ (ไม่เกิน MAX_OPTIMIZER_COMBOS)
+ * @param {number} [options.seed=1]
+ * @param {object} [options.fixed]
+ */
+export const sampleParams = (setId, ranges, { samples, seed = 1, fixed } = {}) => {
+  if (!Number.isInteger(samples) || samples < 1 || samples > MAX_OPTIMIZER_COMBOS) {
+    throw new Error(`Invalid sample count '${samples}'. Use an integer between 1 and ${MAX_OPTIMIZER_COMBOS}.`);
+  }
+  const axes = paramAxes(setId, ranges, fixed);
+  const random = seededRandom(seed);
+  const picked = new Map();
+  for (let attempt = 0; attempt < samples * SAMPLE_ATTEMPTS && picked.size < samples; attempt++) {
+    const params = Object.fromEntries(axes.map((axis) => [axis.name, axis.values[Math.floor(random() * axis.values.length)]]));
+    const key = axes.map((axis) => params[axis.name]).join(':');
+    if (!picked.has(key) && isValidParams(setId, params)) picked.set(key, params);
+  }
+  return [...picked.values()];
+};
+
+/**
+ * walkForwardWindows - หน้าต่าง IS/OOS แบบเลื่อน (Rolling) เป็น Index ของแท่ง (ช่วงแบบ [start, end))
+ * @param {number} barCount - จำนวนแท่งทั้งหมด (รวม Warm-up)
+ * @param {object} options
+ * @param {number} [options.startIndex=0] - แท่งแรกของช่วงทดสอบ
+ * @param {number} options.inSample - จำนวนแท่งของช่วง IS
+ * @param {number} options.outSample - จำนวนแท่งของช่วง OOS (= ระยะเลื่อน)
+ * @returns {Array<{ trainStart, trainEnd, testStart, testEnd }>} - ช่วง OOS สุดท้ายอาจสั้นกว่า outSample
+ */
+export const walkForwardWindows = (barCount, { startIndex = 0, inSample, outSample }) => {
+  if (!Number.isInteger(inSample) || inSample < 2 || !Number.isInteger(outSample) || outSample < 2) {
+    throw new Error('In-sample and out-of-sample lengths must be integers of at least 2 bars.');
+  }
+  const windows = [];
+  for (let trainStart = Math.max(0, startIndex); trainStart + inSample + 2 <= barCount; trainStart += outSample) {
+    const testStart = trainStart + inSample;
+    windows.push({ trainStart, trainEnd: testStart, testStart, testEnd: Math.min(testStart + outSample, barCount) });
+  }
+  if (windows.length === 0) {
+    throw new Error(`Not enough bars for one walk-forward window (${inSample} in-sample + 2 out-of-sample bars needed).`);
+  }
+  return windows;
+};
+
+/**
+ * runWalkForward - Optimize ชุดสัญญาณเดียวแบบ Walk-forward
+ * @param {Array} bars - แท่งราคาเรียงจากเก่า → ใหม่ (รวม Warm-up ก่อน startIndex)
+ * @param {object} options
+ * @param {string} options.setId - key ของ SIGNAL_SETS
+ * @param {Array<object>} options.combos - ผลจาก buildParamGrid / sampleParams
+ * @param {number} options.inSample / options.outSample / options.startIndex - ดู walkForwardWindows
+ * @param {string} [options.objective='totalReturn'] - key ของ OPTIMIZER_OBJECTIVES
+ * @param {number} [options.initialCapital=100000]
+ * @param {number} [options.commission] / [options.vat] - ส่งต่อให้ runBacktest
+ * @param {Function} [options.onProgress] - (done, total) เรียกหลังทดสอบแต่ละหน้าต่าง
+ * @returns {{
+ *   windows: [{ trainStartDate, testStartDate, testEndDate, params, inSampleScore, outSampleScore, outSampleReturn }],
+ *   results: [{ params, score, scores }],   // คะแนน IS เฉลี่ยทุกหน้าต่าง (ใช้วาด Heatmap)
+ *   equity: [{ date, strategy, buyHold }],  // เฉพาะช่วง OOS ต่อกัน
+ *   stats: { strategy, buyHold }
+ * }}
+ */
+export const runWalkForward = (bars, {
+  setId,
+  combos,
+  inSample,
+  outSample,
+  startIndex = 0,
+  objective = 'totalReturn',
+  initialCapital = 100000,
+  commission,
+  vat,
+  onProgress,
+} = {}) => {
+  if (!Object.hasOwn(OPTIMIZER_OBJECTIVES, objective)) {
+    throw new Error(`Unknown objective '${objective}'. Available: ${Object.keys(OPTIMIZER_OBJECTIVES).join(', ')}.`);
+  }
+  if (!Array.isArray(combos) || combos.length === 0) throw new Error('No parameter combinations to test.');
+  if (combos.length > MAX_OPTIMIZER_COMBOS) {
+    throw new Error(`Too many combinations (${combos.length}). Maximum is ${MAX_OPTIMIZER_COMBOS}.`);
+  }
+  const windows = walkForwardWindows(bars.length, { startIndex, inSample, outSample });
+  const { score } = OPTIMIZER_OBJECTIVES[objective];
+  const fees = { commission, vat };
+
+  const candidates = combos.map((params) => {
+    const sets = [{ id: setId, params }];
+    return { params, sets, signals: SIGNAL_SETS[setId].generate(bars, resolveSignalParams(setId, params)), scores: [] };
+  });
+  // ทดสอบช่วง [start, end) ด้วยสัญญาณที่คำนวณไว้แล้ว
+  const backtestRange = (candidate, start, end, capital) => runBacktest(bars.slice(0, end), {
+    sets: candidate.sets,
+    generated: [candidate.signals.slice(0, end)],
+    startIndex: start,
+    initialCapital: capital,
+    ...fees,
+  });
+
+  let capital = initialCapital;
+  const oosEquity = [];
+  const oosTrades = [];
+  const windowResults = windows.map((window, w) => {
+    let best = null;
+    for (const candidate of candidates) {
+      const value = score(backtestRange(candidate, window.trainStart, window.trainEnd, initialCapital).stats.strategy);
+      candidate.scores.push(value);
+      if (!best || value > best.value) best = { candidate, value };
+    }
+
+    const oos = backtestRange(best.candidate, window.testStart, window.testEnd, capital);
+    capital = oos.stats.strategy.finalEquity;
+    oosEquity.push(...oos.equity);
+    oosTrades.push(...oos.trades);
+    if (onProgress) onProgress(w + 1, windows.length);
+
+    return {
+      trainStartDate: bars[window.trainStart].date,
+      testStartDate: bars[window.testStart].date,
+      testEndDate: bars[window.testEnd - 1].date,
+      params: best.candidate.params,
+      inSampleScore: best.value,
+      outSampleScore: score(oos.stats.strategy),
+      outSampleReturn: oos.stats.strategy.totalReturn,
+    };
+  });
+
+  // Buy & Hold ตลอดช่วง OOS ทั้งหมด (ไม่ขึ้นกับสัญญาณ)
+  const firstTest = windows[0].testStart;
+  const lastTest = windows[windows.length - 1].testEnd;
+  const hold = backtestRange(candidates[0], firstTest, lastTest, initialCapital);
+  const equity = oosEquity.map((row, i) => ({ date: row.date, strategy: row.strategy, buyHold: hold.equity[i].buyHold }));
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    windows: windowResults,
+    results: candidates.map(({ params, scores }) => ({ params, score: mean(scores), scores })),
+    equity,
+    stats: {
+      strategy: {
+        ...summarizeEquity(equity.map((e) => ({ date: e.date, value: e.strategy })), initialCapital),
+        ...summarizeTrades(oosTrades),
+      },
+      buyHold: hold.stats.buyHold,
+    },
+  };
+};
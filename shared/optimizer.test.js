@@ -0,0 +1,96 @@
+/**
+ * =====================================================
+ * shared/optimizer.test.js - ทดสอบ Grid/Random Search และหน้าต่าง Walk-forward (npm test)
+ * =====================================================
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildParamGrid,
+  countParamGrid,
+  sampleParams,
+  walkForwardWindows,
+  runWalkForward,
+} from './optimizer.js';
+import { runBacktest } from './backtest.js';
+
+// ราคาแกว่งเป็นรอบ 8 แท่ง (ขึ้น 4 ลง 4) × 5 รอบ, ราคาเปิด = ราคาปิดก่อนหน้า
+const CLOSES = Array.from({ length: 40 }, (_, i) => 10 + [0, 1, 2, 3, 4, 3, 2, 1][i % 8] + i * 0.05);
+const BARS = CLOSES.map((close, i) => ({
+  date: new Date(Date.UTC(2024, 0, 1 + i)),
+  open: i === 0 ? close : CLOSES[i - 1],
+  close,
+}));
+const NO_FEES = { commission: 0, vat: 0, initialCapital: 1000 };
+
+describe('parameter search', () => {
+  test('buildParamGrid crosses the ranges and drops invalid pairs', () => {
+    const grid = buildParamGrid('smaCross', { fast: { min: 1, max: 3, step: 1 }, slow: { min: 2, max: 3, step: 1 } });
+    assert.deepEqual(grid, [{ fast: 1, slow: 2 }, { fast: 1, slow: 3 }, { fast: 2, slow: 3 }]);
+    assert.equal(countParamGrid('smaCross', { fast: { min: 1, max: 3, step: 1 }, slow: { min: 2, max: 3, step: 1 } }), 6);
+  });
+
+  test('parameters without a range stay fixed', () => {
+    const grid = buildParamGrid('rsiThreshold', { lower: { min: 20, max: 30, step: 10 } }, { period: 7 });
+    assert.deepEqual(grid, [{ period: 7, lower: 20, upper: 70 }, { period: 7, lower: 30, upper: 70 }]);
+  });
+
+  test('rejects bad ranges and oversized grids', () => {
+    assert.throws(() => buildParamGrid('smaCross', { fast: { min: 0, max: 5, step: 1 } }), /Invalid smaCross fast range/);
+    assert.throws(() => buildParamGrid('smaCross', { fast: { min: 1, max: 5, step: 0.5 } }), /Invalid smaCross fast step/);
+    assert.throws(
+      () => buildParamGrid('smaCross', { fast: { min: 1, max: 100, step: 1 }, slow: { min: 1, max: 100, step: 1 } }),
+      /10000 combinations/
+    );
+    assert.throws(() => buildParamGrid('foo', {}), /Unknown signal set/);
+  });
+
+  test('sampleParams is reproducible, unique and valid', () => {
+    const ranges = { lower: { min: 10, max: 50, step: 5 }, upper: { min: 50, max: 90, step: 5 } };
+    const first = sampleParams('rsiThreshold', ranges, { samples: 15, seed: 42 });
+    assert.deepEqual(sampleParams('rsiThreshold', ranges, { samples: 15, seed: 42 }), first);
+    assert.equal(first.length, 15);
+    assert.equal(new Set(first.map((p) => `${p.lower}:${p.upper}`)).size, 15);
+    assert.ok(first.every((p) => p.lower < p.upper));
+  });
+});
+
+describe('walk-forward', () => {
+  test('windows roll forward by the out-of-sample length', () => {
+    assert.deepEqual(walkForwardWindows(20, { startIndex: 2, inSample: 6, outSample: 4 }), [
+      { trainStart: 2, trainEnd: 8, testStart: 8, testEnd: 12 },
+      { trainStart: 6, trainEnd: 12, testStart: 12, testEnd: 16 },
+      { trainStart: 10, trainEnd: 16, testStart: 16, testEnd: 20 },
+    ]);
+    assert.throws(() => walkForwardWindows(5, { inSample: 6, outSample: 4 }), /Not enough bars/);
+  });
+
+  test('picks the best in-sample combination for every window', () => {
+    const combos = buildParamGrid('smaCross', { fast: { min: 1, max: 2, step: 1 }, slow: { min: 2, max: 4, step: 1 } });
+    const { windows, results } = runWalkForward(BARS, { setId: 'smaCross', combos, startIndex: 4, inSample: 16, outSample: 8, ...NO_FEES });
+    assert.equal(windows.length, 3);
+    windows.forEach((window, w) => {
+      const best = Math.max(...results.map((r) => r.scores[w]));
+      assert.equal(window.inSampleScore, best);
+    });
+  });
+
+  test('out-of-sample equity compounds window by window', () => {
+    const params = { fast: 1, slow: 2 };
+    const progress = [];
+    const { windows, equity, stats } = runWalkForward(BARS, {
+      setId: 'smaCross', combos: [params], startIndex: 4, inSample: 16, outSample: 8, ...NO_FEES,
+      onProgress: (done, total) => progress.push(`${done}/${total}`),
+    });
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+    assert.equal(equity.length, 40 - 20);
+
+    // ช่วง OOS แรกเท่ากับการ Backtest ช่วงเดียวกันโดยตรง
+    const direct = runBacktest(BARS.slice(0, 28), { sets: [{ id: 'smaCross', params }], startIndex: 20, ...NO_FEES });
+    assert.equal(windows[0].outSampleReturn, direct.stats.strategy.totalReturn);
+    const compounded = windows.reduce((value, w) => value * (1 + w.outSampleReturn), 1000);
+    assert.ok(Math.abs(stats.strategy.finalEquity - compounded) < 1e-6, `${stats.strategy.finalEquity} vs ${compounded}`);
+    assert.equal(equity[0].strategy, 1000); // แท่งแรกของ OOS ยังไม่มีคำสั่ง
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * =====================================================
+ * shared/portfolio.js - พอร์ตจริงจากรายการซื้อ/ขาย/ปันผล/ค่าธรรมเนียม
+ * =====================================================
+ *
+ * **รายการ (Transaction):**
+ * { id, date: 'YYYY-MM-DD', type: 'buy'|'sell'|'dividend'|'fee', ticker, currency,
+ *   shares, price, fee, amount, fxRate, note }
+ * - buy/sell: shares × price, fee = ค่าคอมมิชชั่น + VAT ของรายการนั้น (ดู tradeFee ใน backtest.js)
+ * - dividend: amount = เงินปันผลสุทธิที่ได้รับ, fee: amount = ค่าธรรมเนียมอื่น (เช่น ค่ารักษาบัญชี) ticker ไม่บังคับ
+ * - fxRate = อัตรา currency → THB ของวันที่ทำรายการ (THB = 1, ไม่ระบุ = ใช้อัตราปัจจุบันแทน)
+ *
+ * **วิธีคิดต้นทุน:** ถัวเฉลี่ย (Average Cost) รวมค่าธรรมเนียมซื้อ
+ * - ขาย: กำไรที่รับรู้ = (มูลค่าขาย - ค่าธรรมเนียมขาย) - ต้นทุนเฉลี่ย × จำนวนที่ขาย
+ * - ต้นทุนเป็นบาทใช้อัตราของวันซื้อ, มูลค่าขายใช้อัตราของวันขาย → กำไรเป็นบาทรวมผลของอัตราแลกเปลี่ยนแล้ว
+ * - กำไรที่ยังไม่รับรู้เป็นบาท = มูลค่าตลาด × อัตราปัจจุบัน - ต้นทุนเป็นบาท
+ */
+
+export const PORTFOLIO_VERSION = 1;
+export const MAX_TRANSACTIONS = 5000;
+export const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'fee'];
+export const BASE_CURRENCY = 'THB';
+
+// คอลัมน์ของไฟล์ CSV (ลำดับตอน Export, Import อ่านตามชื่อหัวคอลัมน์)
+export const CSV_COLUMNS = ['date', 'type', 'ticker', 'currency', 'shares', 'price', 'fee', 'amount', 'fxRate', 'note'];
+
+const TICKER_PATTERN = /^[A-Z0-9.-]{1,20}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NOTE_LENGTH = 200;
+// เศษทศนิยมจากการขายทีละส่วน (เช่น 0.1 + 0.2) ไม่นับเป็นหุ้นคงเหลือ
+const SHARE_EPSILON = 1e-9;
+
+/**
+ * guessCurrency - สกุลเงินเริ่มต้นจากชื่อหุ้น (กติกาเดียวกับหน้า Indicators: .BK = THB, อื่นๆ = USD)
+ * @param {string} ticker
+ * @returns {string}
+ */
+export const guessCurrency = (ticker) => (String(ticker || '').toUpperCase().endsWith('.BK') ? 'THB' : 'USD');
+
+const isValidDate = (text) => {
+  if (!DATE_PATTERN.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+};
+
+// ช่องว่าง/ไม่มี = fallback, อื่นๆ ต้องเป็นตัวเลข
+const readNumber = (raw, field, path, fallback) => {
+  if (raw === undefined || raw === null || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) throw new Error(`Invalid ${field} '${raw}' at ${path}. Use a number.`);
+  return value;
+};
+
+/**
+ * parseTransaction - ตรวจและแปลงรายการหนึ่งรายการ (ตัวเลขที่เป็นข้อความแปลงให้, ฟิลด์ที่ไม่รู้จักถูกตัดทิ้ง)
+ * @param {object} raw
+ * @param {string} [path] - ตำแหน่งที่ใส่ในข้อความ Error
+ * @returns {object} - Transaction ครบทุกฟิลด์ (ฟิลด์ที่ไม่ใช้กับ type นั้นเป็น 0)
+ * @throws {Error} - ข้อความภาษาอังกฤษที่ระบุตำแหน่ง เช่น "Invalid shares '-5' at transactions[2]. ..."
+ */
+export const parseTransaction = (raw, path = 'transaction') => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`Missing transaction at ${path}.`);
+
+  const type = String(raw.type || '').trim().toLowerCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new Error(`Unknown type '${raw.type ?? ''}' at ${path}. Use ${TRANSACTION_TYPES.join(', ')}.`);
+  }
+
+  const date = String(raw.date || '').trim().slice(0, 10);
+  if (!isValidDate(date)) throw new Error(`Invalid date '${raw.date ?? ''}' at ${path}. Use YYYY-MM-DD.`);
+
+  const ticker = String(raw.ticker || '').trim().toUpperCase();
+  if (ticker ? !TICKER_PATTERN.test(ticker) : type !== 'fee') {
+    throw new Error(`Invalid ticker '${raw.ticker ?? ''}' at ${path}.`);
+  }
+
+  const currency = String(raw.currency || (ticker ? guessCurrency(ticker) : BASE_CURRENCY)).trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) throw new Error(`Invalid currency '${raw.currency}' at ${path}. Use a 3-letter code.`);
+
+  const tx = {
+    id: String(raw.id || '').trim(),
+    date,
+    type,
+    ticker,
+    currency,
+    shares: 0,
+    price: 0,
+    fee: 0,
+    amount: 0,
+    fxRate: null,
+    note: String(raw.note || '').trim().slice(0, MAX_NOTE_LENGTH),
+  };
+
+  if (type === 'buy' || type === 'sell') {
+    tx.shares = readNumber(raw.shares, 'shares', path, NaN);
+    if (!(tx.shares > 0)) throw new Error(`Invalid shares '${raw.shares ?? ''}' at ${path}. Use a number above 0.`);
+    tx.price = readNumber(raw.price, 'price', path, NaN);
+    if (!(tx.price >= 0)) throw new Error(`Invalid price '${raw.price ?? ''}' at ${path}. Use a number of 0 or more.`);
+    tx.fee = readNumber(raw.fee, 'fee', path, 0);
+    if (tx.fee < 0) throw new Error(`Invalid fee '${raw.fee}' at ${path}. Use a number of 0 or more.`);
+  } else {
+    tx.amount = readNumber(raw.amount, 'amount', path, NaN);
+    if (!(tx.amount > 0)) throw new Error(`Invalid amount '${raw.amount ?? ''}' at ${path}. Use a number above 0.`);
+  }
+
+  if (currency === BASE_CURRENCY) {
+    tx.fxRate = 1;
+  } else {
+    tx.fxRate = readNumber(raw.fxRate, 'fxRate', path, null);
+    if (tx.fxRate !== null && !(tx.fxRate > 0)) throw new Error(`Invalid fxRate '${raw.fxRate}' at ${path}. Use a number above 0.`);
+  }
+  return tx;
+};
+
+/**
+ * sortTransactions - เรียงตามวันที่ (วันเดียวกันคงลำดับเดิม → ซื้อแล้วขายในวันเดียวกันได้)
+ * @param {Array} transactions
+ * @returns {Array} - Array ใหม่
+ */
+export const sortTransactions = (transactions) => transactions
+  .map((tx, index) => ({ tx, index }))
+  .sort((a, b) => (a.tx.date < b.tx.date ? -1 : a.tx.date > b.tx.date ? 1 : a.index - b.index))
+  .map(({ tx }) => tx);
+
+/**
+ * parsePortfolio - ตรวจพอร์ตทั้งก้อน (JSON string, { version, transactions } หรือ Array ของรายการ)
+ * id ที่ขาดหรือซ้ำถูกสร้างใหม่, รายการถูกเรียงตามวันที่
+ * @returns {{ version, transactions }}
+ * @throws {Error} - รูปแบบผิด, รายการผิด หรือขายเกินจำนวนที่ถือ (ดู computePortfolio)
+ */
+export const parsePortfolio = (raw) => {
+  let data = raw;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      throw new Error('Portfolio is not valid JSON.');
+    }
+  }
+  if (Array.isArray(data)) data = { version: PORTFOLIO_VERSION, transactions: data };
+  if (data === null || typeof data !== 'object' || !Array.isArray(data.transactions)) {
+    throw new Error('Portfolio must be a JSON object with a transactions array.');
+  }
+  const version = data.version ?? PORTFOLIO_VERSION;
+  if (version !== PORTFOLIO_VERSION) throw new Error(`Unsupported portfolio version '${version}'. Expected ${PORTFOLIO_VERSION}.`);
+  if (data.transactions.length > MAX_TRANSACTIONS) {
+    throw new Error(`Too many transactions (${data.transactions.length}). Maximum is ${MAX_TRANSACTIONS}.`);
+  }
+
+  const seen = new Set();
+  const transactions = data.transactions.map((item, i) => {
+    const tx = parseTransaction(item, `transactions[${i}]`);
+    let id = tx.id || `${tx.date}-${i + 1}`;
+    for (let n = 2; seen.has(id); n++) id = `${tx.id || tx.date}-${i + 1}-${n}`;
+    seen.add(id);
+    return { ...tx, id };
+  });
+  const sorted = sortTransactions(transactions);
+  computePortfolio(sorted); // ตรวจการขายเกินจำนวนที่ถือ
+  return { version: PORTFOLIO_VERSION, transactions: sorted };
+};
+
+// บวกค่าที่อาจเป็น null (ไม่มีอัตราแลกเปลี่ยน) → null ติดไปตลอด
+const addKnown = (a, b) => (a === null || b === null ? null : a + b);
+const times = (value, rate) => (rate === null || rate === undefined ? null : value * rate);
+
+const emptyPosition = (ticker, currency) => ({
+  ticker,
+  currency,
+  shares: 0,
+  costBasis: 0,
+  costBasisThb: 0,
+  realizedPnl: 0,
+  realizedPnlThb: 0,
+  dividends: 0,
+  dividendsThb: 0,
+  fees: 0,
+  feesThb: 0,
+});
+
+/**
+ * computePortfolio - สถานะพอร์ตจากรายการทั้งหมด
+ * @param {Array} transactions - ผลจาก parseTransaction (ไม่ต้องเรียงมาก่อน)
+ * @param {object} [market]
+ * @param {Object<string, number>} [market.prices] - ราคาล่าสุด { [ticker]: price } (สกุลเงินของหุ้น)
+ * @param {Object<string, number>} [market.fxRates] - อัตราปัจจุบัน { [currency]: rate → THB }
+ * @returns {{
+ *   positions: Array,   // ทุกหุ้นที่เคยมีรายการ (รวมที่ขายหมดแล้ว shares = 0) เรียงตามมูลค่าเป็นบาท
+ *   allocation: { byTicker: [{ key, valueThb, weight }], byCurrency: [{ key, valueThb, weight }] },
+ *   totals: { marketValueThb, costBasisThb, unrealizedPnlThb, realizedPnlThb, dividendsThb, tradingFeesThb, otherFeesThb, totalPnlThb },
+ *   missingPrices: string[], missingFx: string[]
+ * }}
+ *   position = { ticker, currency, shares, avgCost, costBasis, costBasisThb, price, marketValue, marketValueThb,
+ *                unrealizedPnl, unrealizedPnlThb, realizedPnl, realizedPnlThb, dividends, dividendsThb, fees, feesThb, weight }
+ *   ค่าเป็นบาทที่ไม่มีอัตราแลกเปลี่ยน (ไม่มีทั้ง fxRate ของรายการและอัตราปัจจุบัน) = null และไม่ถูกรวมใน totals
+ *   หุ้นที่ไม่มีราคาล่าสุด: สัดส่วนคิดจากต้นทุน, กำไรที่ยังไม่รับรู้ = null
+ * @throws {Error} - ขายเกินจำนวนที่ถือ หรือหุ้นตัวเดียวกันใช้หลายสกุลเงิน
+ */
+export const computePortfolio = (transactions, { prices = {}, fxRates = {} } = {}) => {
+  const currentFx = (currency) => (currency === BASE_CURRENCY ? 1 : (fxRates[currency] > 0 ? fxRates[currency] : null));
+  const positions = new Map();
+  let otherFeesThb = 0;
+  const missingFx = new Set();
+
+  for (const tx of sortTransactions(transactions)) {
+    const fx = tx.fxRate ?? currentFx(tx.currency);
+    if (fx === null) missingFx.add(tx.currency);
+
+    if (tx.type === 'fee') {
+      // ไม่มีอัตรา → ข้ามเฉพาะรายการนี้ (แจ้งผ่าน missingFx) ค่าธรรมเนียมอื่นที่รู้ค่ายังถูกรวม
+      otherFeesThb += times(tx.amount, fx) ?? 0;
+      continue;
+    }
+
+    if (!positions.has(tx.ticker)) positions.set(tx.ticker, emptyPosition(tx.ticker, tx.currency));
+    const pos = positions.get(tx.ticker);
+    if (pos.currency !== tx.currency) {
+      throw new Error(`${tx.ticker} on ${tx.date} is in ${tx.currency} but earlier transactions use ${pos.currency}.`);
+    }
+
+    if (tx.type === 'dividend') {
+      pos.dividends += tx.amount;
+      pos.dividendsThb = addKnown(pos.dividendsThb, times(tx.amount, fx));
+      continue;
+    }
+
+    const value = tx.shares * tx.price;
+    pos.fees += tx.fee;
+    pos.feesThb = addKnown(pos.feesThb, times(tx.fee, fx));
+
+    if (tx.type === 'buy') {
+      pos.shares += tx.shares;
+      pos.costBasis += value + tx.fee;
+      pos.costBasisThb = addKnown(pos.costBasisThb, times(value + tx.fee, fx));
+      continue;
+    }
+
+    // sell
+    if (tx.shares > pos.shares + SHARE_EPSILON) {
+      throw new Error(`${tx.ticker} on ${tx.date} sells ${tx.shares} shares but only ${Number(pos.shares.toFixed(6))} are held.`);
+    }
+    const portion = Math.min(tx.shares / pos.shares, 1);
+    const soldCost = pos.costBasis * portion;
+    const soldCostThb = pos.costBasisThb === null ? null : pos.costBasisThb * portion;
+    const proceeds = value - tx.fee;
+    pos.realizedPnl += proceeds - soldCost;
+    pos.realizedPnlThb = addKnown(pos.realizedPnlThb, addKnown(times(proceeds, fx), soldCostThb === null ? null : -soldCostThb));
+    pos.shares -= tx.shares;
+    pos.costBasis -= soldCost;
+    pos.costBasisThb = soldCostThb === null ? null : pos.costBasisThb - soldCostThb;
+    if (pos.shares <= SHARE_EPSILON) {
+      pos.shares = 0;
+      pos.costBasis = 0;
+      pos.costBasisThb = pos.costBasisThb === null ? null : 0;
+    }
+  }
+
+  const missingPrices = [];
+  const results = [...positions.values()].map((pos) => {
+    const open = pos.shares > 0;
+    const price = Number.isFinite(prices[pos.ticker]) ? prices[pos.ticker] : null;
+    if (open && price === null) missingPrices.push(pos.ticker);
+    const fx = currentFx(pos.currency);
+    if (open && fx === null) missingFx.add(pos.currency);
+
+    const marketValue = open ? (price === null ? null : pos.shares * price) : 0;
+    const marketValueThb = marketValue === null ? null : times(marketValue, fx);
+    return {
+      ...pos,
+      avgCost: open ? pos.costBasis / pos.shares : null,
+      price,
+      marketValue,
+      marketValueThb,
+      unrealizedPnl: marketValue === null ? null : marketValue - pos.costBasis,
+      unrealizedPnlThb: marketValueThb === null || pos.costBasisThb === null ? null : marketValueThb - pos.costBasisThb,
+      // มูลค่าที่ใช้คิดสัดส่วน: ไม่มีราคาล่าสุดใช้ต้นทุน
+      allocationThb: open ? (marketValueThb ?? times(pos.costBasis, fx)) : 0,
+    };
+  });
+
+  const allocatedThb = results.reduce((sum, pos) => sum + (pos.allocationThb ?? 0), 0);
+  const weightOf = (valueThb) => (allocatedThb > 0 && valueThb !== null ? valueThb / allocatedThb : null);
+  const byCurrency = new Map();
+  for (const pos of results) {
+    if (!(pos.allocationThb > 0)) continue;
+    byCurrency.set(pos.currency, (byCurrency.get(pos.currency) || 0) + pos.allocationThb);
+  }
+
+  const positionsOut = results
+    .map(({ allocationThb, ...pos }) => ({ ...pos, weight: pos.shares > 0 ? weightOf(allocationThb) : null }))
+    .sort((a, b) => (b.weight ?? -1) - (a.weight ?? -1) || a.ticker.localeCompare(b.ticker));
+
+  const sumOf = (field) => results.reduce((sum, pos) => sum + (pos[field] ?? 0), 0);
+  const totals = {
+    marketValueThb: sumOf('marketValueThb'),
+    costBasisThb: sumOf('costBasisThb'),
+    unrealizedPnlThb: sumOf('unrealizedPnlThb'),
+    realizedPnlThb: sumOf('realizedPnlThb'),
+    dividendsThb: sumOf('dividendsThb'),
+    tradingFeesThb: sumOf('feesThb'),
+    otherFeesThb,
+  };
+  totals.totalPnlThb = totals.unrealizedPnlThb + totals.realizedPnlThb + totals.dividendsThb - totals.otherFeesThb;
+
+  const toSlices = (entries) => entries
+    .map(([key, valueThb]) => ({ key, valueThb, weight: weightOf(valueThb) }))
+    .sort((a, b) => b.valueThb - a.valueThb);
+
+  return {
+    positions: positionsOut,
+    allocation: {
+      byTicker: toSlices(results.filter((pos) => pos.allocationThb > 0).map((pos) => [pos.ticker, pos.allocationThb])),
+      byCurrency: toSlices([...byCurrency.entries()]),
+    },
+    totals,
+    missingPrices,
+    missingFx: [...missingFx].sort(),
+  };
+};
+
+// =====================================================
+// === Import / Export (JSON และ CSV) ===
+// =====================================================
+
+/**
+ * portfolioToJson - ข้อความ JSON สำหรับ Export (Import กลับด้วย parsePortfolio)
+ * @param {Array} transactions
+ * @returns {string}
+ */
+export const portfolioToJson = (transactions) => JSON.stringify({ version: PORTFOLIO_VERSION, transactions }, null, 2);
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * portfolioToCsv - ข้อความ CSV (หัวคอลัมน์ตาม CSV_COLUMNS, ฟิลด์ที่ไม่ใช้กับ type นั้นเว้นว่าง)
+ * @param {Array} transactions
+ * @returns {string}
+ */
+export const portfolioToCsv = (transactions) => {
+  const rows = transactions.map((tx) => {
+    const trade = tx.type === 'buy' || tx.type === 'sell';
+    const cells = {
+      ...tx,
+      shares: trade ? tx.shares : '',
+      price: trade ? tx.price : '',
+      fee: trade ? tx.fee : '',
+      amount: trade ? '' : tx.amount,
+    };
+    return CSV_COLUMNS.map((column) => csvCell(cells[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+// แยกแถว/ช่องของ CSV (รองรับ "..." ที่มี , " และขึ้นบรรทัดใหม่)
+const splitCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((c) => c.trim() !== ''));
+};
+
+/**
+ * parsePortfolioCsv - CSV → Array ของรายการดิบ (ยังไม่ตรวจ, ส่งต่อให้ parsePortfolio)
+ * อ่านคอลัมน์ตามชื่อหัว (ไม่สนตัวพิมพ์เล็กใหญ่), คอลัมน์ที่ไม่รู้จักถูกข้าม
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+export const parsePortfolioCsv = (text) => {
+  const [header, ...rows] = splitCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('CSV file is empty.');
+  const columns = header.map((name) => CSV_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase()) || null);
+  for (const required of ['date', 'type']) {
+    if (!columns.includes(required)) throw new Error(`CSV header is missing the '${required}' column. Expected: ${CSV_COLUMNS.join(',')}.`);
+  }
+  return rows.map((cells) => Object.fromEntries(
+    columns.flatMap((column, i) => (column ? [[column, (cells[i] ?? '').trim()]] : [])),
+  ));
+};
+
+/**
+ * parsePortfolioFile - เนื้อหาไฟล์ที่ Import (JSON จาก portfolioToJson หรือ CSV จาก portfolioToCsv)
+ * @param {string} text
+ * @returns {{ version, transactions }}
+ */
+export const parsePortfolioFile = (text) => {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return parsePortfolio(trimmed);
+  return parsePortfolio(parsePortfolioCsv(trimmed));
+};
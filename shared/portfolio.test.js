@@ -0,0 +1,208 @@
+/**
+ * =====================================================
+ * shared/portfolio.test.js - ทดสอบต้นทุนเฉลี่ย กำไรขาดทุน และ Import/Export ของพอร์ต (npm test)
+ * =====================================================
+ *
+ * ตัวเลขทุกกรณีคิดด้วยมือได้ (ต้นทุนเฉลี่ยรวมค่าธรรมเนียมซื้อ, อัตรา USD → THB กำหนดเอง)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTransaction,
+  parsePortfolio,
+  computePortfolio,
+  portfolioToCsv,
+  portfolioToJson,
+  parsePortfolioFile,
+} from './portfolio.js';
+
+const tx = (fields) => parseTransaction(fields);
+const buy = (date, ticker, shares, price, extra = {}) => tx({ date, type: 'buy', ticker, shares, price, ...extra });
+const sell = (date, ticker, shares, price, extra = {}) => tx({ date, type: 'sell', ticker, shares, price, ...extra });
+const position = (portfolio, ticker) => portfolio.positions.find((pos) => pos.ticker === ticker);
+
+describe('parseTransaction', () => {
+  test('normalises fields and fills defaults', () => {
+    assert.deepEqual(tx({ date: '2024-03-01', type: 'BUY', ticker: ' ptt.bk ', shares: '100', price: '33.5', extra: 1 }), {
+      id: '',
+      date: '2024-03-01',
+      type: 'buy',
+      ticker: 'PTT.BK',
+      currency: 'THB',
+      shares: 100,
+      price: 33.5,
+      fee: 0,
+      amount: 0,
+      fxRate: 1,
+      note: '',
+    });
+    assert.equal(tx({ date: '2024-03-01', type: 'dividend', ticker: 'AAPL', amount: 12 }).currency, 'USD');
+    assert.equal(tx({ date: '2024-03-01', type: 'fee', amount: 50 }).currency, 'THB');
+  });
+
+  test('rejects bad values with the field and position', () => {
+    assert.throws(() => parseTransaction({ date: '2024-02-30', type: 'buy', ticker: 'PTT.BK', shares: 1, price: 1 }, 'transactions[0]'),
+      /Invalid date '2024-02-30' at transactions\[0\]/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'swap', ticker: 'PTT.BK' }), /Unknown type 'swap'/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'sell', ticker: 'PTT.BK', shares: -5, price: 1 }), /Invalid shares '-5'/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'buy', ticker: 'PTT.BK', shares: 5, price: 'abc' }), /Invalid price 'abc'/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'dividend', ticker: 'PTT.BK' }), /Invalid amount/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'dividend', amount: 5 }), /Invalid ticker/);
+    assert.throws(() => tx({ date: '2024-01-01', type: 'buy', ticker: 'AAPL', shares: 1, price: 1, fxRate: 0 }), /Invalid fxRate/);
+  });
+});
+
+describe('computePortfolio', () => {
+  test('average cost includes buy fees and sells realise against it', () => {
+    const portfolio = computePortfolio([
+      buy('2024-01-02', 'PTT.BK', 100, 10, { fee: 1 }),
+      buy('2024-02-01', 'PTT.BK', 100, 20, { fee: 1 }),
+      sell('2024-03-01', 'PTT.BK', 50, 30, { fee: 1 }),
+    ], { prices: { 'PTT.BK': 25 } });
+    const pos = position(portfolio, 'PTT.BK');
+
+    // ต้นทุนเฉลี่ย (1001 + 2001) / 200 = 15.01 → กำไรที่รับรู้ = (1500 - 1) - 15.01 × 50 = 748.5
+    assert.equal(pos.shares, 150);
+    assert.ok(Math.abs(pos.avgCost - 15.01) < 1e-9);
+    assert.ok(Math.abs(pos.realizedPnl - 748.5) < 1e-9);
+    assert.ok(Math.abs(pos.costBasis - 2251.5) < 1e-9);
+    assert.equal(pos.marketValue, 3750);
+    assert.ok(Math.abs(pos.unrealizedPnl - 1498.5) < 1e-9);
+    assert.equal(pos.fees, 3);
+  });
+
+  test('THB P&L uses the trade-date rate for cost and the current rate for value', () => {
+    const portfolio = computePortfolio([
+      buy('2024-01-02', 'AAPL', 10, 100, { fxRate: 30 }),
+      sell('2024-06-03', 'AAPL', 5, 120, { fxRate: 35 }),
+    ], { prices: { AAPL: 110 }, fxRates: { USD: 33 } });
+    const pos = position(portfolio, 'AAPL');
+
+    assert.equal(pos.realizedPnl, 100);
+    assert.equal(pos.realizedPnlThb, 600 * 35 - 15000); // 6000: กำไรจากราคา + ค่าเงินบาทอ่อน
+    assert.equal(pos.costBasisThb, 15000);
+    assert.equal(pos.marketValueThb, 550 * 33);
+    assert.equal(pos.unrealizedPnlThb, 18150 - 15000);
+    assert.equal(portfolio.totals.totalPnlThb, 6000 + 3150);
+  });
+
+  test('dividends and account fees count towards total P&L', () => {
+    const portfolio = computePortfolio([
+      buy('2024-01-02', 'PTT.BK', 100, 10),
+      tx({ date: '2024-04-10', type: 'dividend', ticker: 'PTT.BK', amount: 120 }),
+      tx({ date: '2024-05-01', type: 'dividend', ticker: 'AAPL', amount: 2, fxRate: 36 }),
+      tx({ date: '2024-06-01', type: 'fee', amount: 20 }),
+    ], { prices: { 'PTT.BK': 11 } });
+
+    assert.equal(position(portfolio, 'PTT.BK').dividendsThb, 120);
+    assert.equal(position(portfolio, 'AAPL').shares, 0);
+    assert.deepEqual(
+      { dividends: portfolio.totals.dividendsThb, fees: portfolio.totals.otherFeesThb, total: portfolio.totals.totalPnlThb },
+      { dividends: 192, fees: 20, total: 100 + 192 - 20 },
+    );
+  });
+
+  test('allocation by ticker and currency, unpriced holdings use cost', () => {
+    const portfolio = computePortfolio([
+      buy('2024-01-02', 'PTT.BK', 100, 30),
+      buy('2024-01-02', 'AOT.BK', 100, 60),
+      buy('2024-01-02', 'AAPL', 10, 100, { fxRate: 30 }),
+    ], { prices: { 'PTT.BK': 30, AAPL: 150 }, fxRates: { USD: 40 } });
+
+    // PTT 3000, AOT 6000 (ต้นทุน), AAPL 1500 × 40 = 60000
+    assert.deepEqual(portfolio.missingPrices, ['AOT.BK']);
+    assert.equal(position(portfolio, 'AOT.BK').unrealizedPnlThb, null);
+    assert.deepEqual(portfolio.allocation.byTicker.map((slice) => slice.key), ['AAPL', 'AOT.BK', 'PTT.BK']);
+    assert.deepEqual(portfolio.allocation.byCurrency.map((slice) => [slice.key, slice.valueThb]), [['USD', 60000], ['THB', 9000]]);
+    const weights = portfolio.allocation.byTicker.reduce((sum, slice) => sum + slice.weight, 0);
+    assert.ok(Math.abs(weights - 1) < 1e-12);
+    assert.equal(portfolio.positions[0].ticker, 'AAPL');
+  });
+
+  test('falls back to the current rate and reports currencies without one', () => {
+    const withCurrent = computePortfolio([buy('2024-01-02', 'AAPL', 1, 100)], { prices: { AAPL: 100 }, fxRates: { USD: 35 } });
+    assert.equal(position(withCurrent, 'AAPL').costBasisThb, 3500);
+    assert.deepEqual(withCurrent.missingFx, []);
+
+    const without = computePortfolio([buy('2024-01-02', 'AAPL', 1, 100)], { prices: { AAPL: 100 } });
+    assert.equal(position(without, 'AAPL').marketValueThb, null);
+    assert.deepEqual(without.missingFx, ['USD']);
+    assert.equal(without.totals.marketValueThb, 0);
+  });
+
+  test('a fee without a rate is reported but keeps the other known fees', () => {
+    const portfolio = computePortfolio([
+      tx({ date: '2024-01-02', type: 'fee', amount: 20 }),
+      tx({ date: '2024-01-03', type: 'fee', amount: 1, currency: 'USD' }),
+      tx({ date: '2024-01-04', type: 'fee', amount: 2, currency: 'USD', fxRate: 35 }),
+    ]);
+    assert.deepEqual(portfolio.missingFx, ['USD']);
+    assert.equal(portfolio.totals.otherFeesThb, 20 + 70);
+    assert.equal(portfolio.totals.totalPnlThb, -90);
+  });
+
+  test('rejects selling more than held and mixing currencies', () => {
+    assert.throws(() => computePortfolio([
+      buy('2024-01-02', 'PTT.BK', 100, 10),
+      sell('2024-01-03', 'PTT.BK', 150, 10),
+    ]), /PTT\.BK on 2024-01-03 sells 150 shares but only 100 are held/);
+    // เรียงตามวันที่ก่อนคิด → ขายก่อนซื้อก็ผิด
+    assert.throws(() => computePortfolio([
+      buy('2024-01-05', 'PTT.BK', 100, 10),
+      sell('2024-01-03', 'PTT.BK', 10, 10),
+    ]), /only 0 are held/);
+    assert.throws(() => computePortfolio([
+      buy('2024-01-02', 'SONY', 1, 10, { currency: 'JPY' }),
+      buy('2024-01-03', 'SONY', 1, 10, { currency: 'USD' }),
+    ]), /SONY on 2024-01-03 is in USD but earlier transactions use JPY/);
+  });
+
+  test('a full exit leaves no residual shares or cost', () => {
+    const portfolio = computePortfolio([
+      buy('2024-01-02', 'AAPL', 0.3, 100, { fxRate: 30 }),
+      sell('2024-01-03', 'AAPL', 0.1, 110, { fxRate: 30 }),
+      sell('2024-01-04', 'AAPL', 0.2, 120, { fxRate: 30 }),
+    ], { fxRates: { USD: 30 } });
+    const pos = position(portfolio, 'AAPL');
+    assert.deepEqual([pos.shares, pos.costBasis, pos.costBasisThb, pos.weight], [0, 0, 0, null]);
+    assert.deepEqual(portfolio.missingPrices, []);
+  });
+});
+
+describe('parsePortfolio and import/export', () => {
+  const raw = [
+    { id: 'b', date: '2024-02-01', type: 'sell', ticker: 'PTT.BK', shares: 10, price: 35, fee: 0.59 },
+    { id: 'a', date: '2024-01-15', type: 'buy', ticker: 'PTT.BK', shares: 100, price: 33, fee: 5.54, note: 'first lot, "core"' },
+    { id: 'a', date: '2024-03-01', type: 'dividend', ticker: 'AAPL', amount: 2.4, fxRate: 36.1 },
+    { date: '2024-03-02', type: 'fee', amount: 50 },
+  ];
+
+  test('sorts by date and makes ids unique', () => {
+    const { version, transactions } = parsePortfolio(raw);
+    assert.equal(version, 1);
+    assert.deepEqual(transactions.map((t) => t.id), ['a', 'b', 'a-3-2', '2024-03-02-4']);
+    assert.throws(() => parsePortfolio({ version: 2, transactions: [] }), /Unsupported portfolio version '2'/);
+    assert.throws(() => parsePortfolio('{oops'), /not valid JSON/);
+    assert.throws(() => parsePortfolio([{ date: '2024-01-01', type: 'sell', ticker: 'PTT.BK', shares: 1, price: 1 }]), /only 0 are held/);
+  });
+
+  test('JSON and CSV exports import back unchanged', () => {
+    const { transactions } = parsePortfolio(raw);
+    assert.deepEqual(parsePortfolioFile(portfolioToJson(transactions)).transactions, transactions);
+
+    const csv = portfolioToCsv(transactions);
+    assert.equal(csv.split('\n')[0], 'date,type,ticker,currency,shares,price,fee,amount,fxRate,note');
+    assert.match(csv, /"first lot, ""core"""/);
+    // CSV ไม่มี id → สร้างใหม่ตามวันที่
+    const fromCsv = parsePortfolioFile(`\uFEFF${csv}\r\n`).transactions;
+    const withoutId = (list) => list.map((t) => ({ ...t, id: '' }));
+    assert.deepEqual(withoutId(fromCsv), withoutId(transactions));
+  });
+
+  test('CSV import matches headers by name and reports missing columns', () => {
+    const { transactions } = parsePortfolioFile('Type,Date,Ticker,Shares,Price,Broker\nbuy,2024-01-02,aot.bk,100,60,x\n');
+    assert.deepEqual([transactions[0].ticker, transactions[0].shares, transactions[0].price], ['AOT.BK', 100, 60]);
+    assert.throws(() => parsePortfolioFile('ticker,shares\nPTT.BK,1'), /missing the 'date' column/);
+  });
+});
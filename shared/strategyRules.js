@@ -0,0 +1,350 @@
+/**
+ * =====================================================
+ * shared/strategyRules.js - กลยุทธ์ที่ผู้ใช้กำหนดเงื่อนไขเอง (JSON) → สัญญาณซื้อ/ขาย
+ * =====================================================
+ *
+ * **รูปแบบ (version 1):**
+ * {
+ *   "version": 1,
+ *   "name": "RSI dip in uptrend",
+ *   "entry": { "logic": "and", "conditions": [
+ *     { "left": { "series": "rsi", "params": { "period": 14 } }, "op": "<", "right": { "value": 30 } },
+ *     { "left": { "series": "close" }, "op": ">", "right": { "series": "sma", "params": { "period": 200 } } }
+ *   ] },
+ *   "exit": { "logic": "or", "conditions": [
+ *     { "left": { "series": "close" }, "op": "<", "right": { "series": "atrStop", "params": { "period": 22, "mult": 3 } } }
+ *   ] }
+ * }
+ * - Operand = Series จาก RULE_SERIES (+ params ที่ขาดใช้ค่าเริ่มต้น) หรือค่าคงที่ { "value": 30 }
+ * - op ดู RULE_OPERATORS: > < >= <= เทียบในแท่งเดียวกัน, crossAbove/crossBelow เทียบกับแท่งก่อนหน้าด้วย
+ * - รายการใน conditions ที่มี logic/conditions คือกลุ่มย่อย (ซ้อนได้ลึก MAX_GROUP_DEPTH ชั้น)
+ * - Series ที่ยังไม่มีค่า (Warm-up) → เงื่อนไขเป็นเท็จ
+ *
+ * **สัญญาณ (evaluateStrategy):** ไม่ถือ + entry จริง → ซื้อ (1), ถือ + exit จริง → ขาย (-1)
+ * → Array รูปแบบเดียวกับ SIGNAL_SETS ใน backtest.js
+ */
+
+import { STUDIES, atrSeries } from './indicators.js';
+
+export const STRATEGY_VERSION = 1;
+export const MAX_RULE_CONDITIONS = 20;
+export const MAX_GROUP_DEPTH = 3;
+const MAX_NAME_LENGTH = 60;
+
+// ขอบเขตเดียวกับ STUDIES ใน indicators.js
+const PERIOD = { min: 1, max: 500, integer: true };
+const MULTIPLIER = { min: 0.1, max: 10, integer: false };
+
+// Series จาก STUDIES: ใช้พารามิเตอร์/Warm-up/สูตรเดียวกับ ?studies= ของ API
+const fromStudy = (label, study, output) => ({
+  label,
+  params: STUDIES[study].params,
+  warmup: STUDIES[study].warmup,
+  compute: (bars, params) => STUDIES[study].compute(bars, params).series[output],
+});
+
+// ราคาของแท่ง: Open/High/Low ที่ขาดใช้ราคาปิด (เหมือน Studies), Volume ที่ขาด = null
+const fromBar = (label, key) => ({
+  label,
+  params: [],
+  warmup: () => 0,
+  compute: (bars) => bars.map((bar) => {
+    if (Number.isFinite(bar[key])) return bar[key];
+    return key === 'volume' ? null : bar.close;
+  }),
+});
+
+/**
+ * chandelierStop - จุด Stop แบบ ATR (Chandelier Exit ฝั่ง Long)
+ * = High สูงสุดของ period แท่ง - mult × ATR(period)
+ */
+const chandelierStop = (bars, { period, mult }) => {
+  const atr = atrSeries(bars, period);
+  return bars.map((_, i) => {
+    if (atr[i] === null || i < period - 1) return null;
+    let highest = -Infinity;
+    for (let j = i - period + 1; j <= i; j++) highest = Math.max(highest, bars[j].high ?? bars[j].close);
+    return highest - mult * atr[i];
+  });
+};
+
+/**
+ * RULE_SERIES - Series ที่ใช้เป็น Operand ได้
+ * - params/warmup: รูปแบบเดียวกับ STUDIES
+ * - compute: (bars, params) → Array ยาวเท่า bars
+ */
+export const RULE_SERIES = {
+  close: fromBar('Close', 'close'),
+  open: fromBar('Open', 'open'),
+  high: fromBar('High', 'high'),
+  low: fromBar('Low', 'low'),
+  volume: fromBar('Volume', 'volume'),
+  sma: fromStudy('SMA', 'sma', 'value'),
+  ema: fromStudy('EMA', 'ema', 'value'),
+  wma: fromStudy('WMA', 'wma', 'value'),
+  hma: fromStudy('HMA', 'hma', 'value'),
+  rsi: fromStudy('RSI', 'rsi', 'value'),
+  macd: fromStudy('MACD', 'macd', 'macd'),
+  macdSignal: fromStudy('MACD Signal', 'macd', 'signal'),
+  macdHist: fromStudy('MACD Histogram', 'macd', 'histogram'),
+  bbUpper: fromStudy('BB Upper', 'bb', 'upper'),
+  bbMiddle: fromStudy('BB Middle', 'bb', 'middle'),
+  bbLower: fromStudy('BB Lower', 'bb', 'lower'),
+  atr: fromStudy('ATR', 'atr', 'value'),
+  atrStop: {
+    label: 'ATR Stop',
+    params: [
+      { name: 'period', default: 22, ...PERIOD },
+      { name: 'mult', default: 3, ...MULTIPLIER },
+    ],
+    warmup: ({ period }) => period * 3,
+    compute: chandelierStop,
+  },
+  stochK: fromStudy('Stoch %K', 'stoch', 'k'),
+  stochD: fromStudy('Stoch %D', 'stoch', 'd'),
+  adx: fromStudy('ADX', 'adx', 'adx'),
+  plusDI: fromStudy('+DI', 'adx', 'plusDI'),
+  minusDI: fromStudy('-DI', 'adx', 'minusDI'),
+  obv: fromStudy('OBV', 'obv', 'value'),
+  vwap: fromStudy('VWAP', 'vwap', 'value'),
+  supertrend: fromStudy('Supertrend', 'supertrend', 'value'),
+  squeeze: fromStudy('Squeeze Momentum', 'squeeze', 'value'),
+};
+
+/**
+ * RULE_OPERATORS - ตัวเปรียบเทียบของเงื่อนไข
+ * test: (ค่าซ้าย, ค่าขวา, ค่าซ้ายแท่งก่อน, ค่าขวาแท่งก่อน) → boolean
+ */
+export const RULE_OPERATORS = {
+  '>': { label: '>', test: (a, b) => a > b },
+  '<': { label: '<', test: (a, b) => a < b },
+  '>=': { label: '≥', test: (a, b) => a >= b },
+  '<=': { label: '≤', test: (a, b) => a <= b },
+  crossAbove: { label: 'crosses above', cross: true, test: (a, b, prevA, prevB) => prevA <= prevB && a > b },
+  crossBelow: { label: 'crosses below', cross: true, test: (a, b, prevA, prevB) => prevA >= prevB && a < b },
+};
+
+export const RULE_LOGIC = ['and', 'or'];
+
+// ตัวอย่างจากคำขอของทีม: RSI < 30 และราคาอยู่เหนือ SMA 200 → ซื้อ, ราคาหลุด ATR Stop → ขาย
+export const EXAMPLE_STRATEGY = {
+  version: STRATEGY_VERSION,
+  name: 'RSI dip in uptrend',
+  entry: {
+    logic: 'and',
+    conditions: [
+      { left: { series: 'rsi', params: { period: 14 } }, op: '<', right: { value: 30 } },
+      { left: { series: 'close' }, op: '>', right: { series: 'sma', params: { period: 200 } } },
+    ],
+  },
+  exit: {
+    logic: 'or',
+    conditions: [
+      { left: { series: 'close' }, op: '<', right: { series: 'atrStop', params: { period: 22, mult: 3 } } },
+    ],
+  },
+};
+
+const isGroup = (node) => node !== null && typeof node === 'object' && ('logic' in node || 'conditions' in node);
+
+// เงื่อนไขทั้งหมดในกลุ่ม (รวมกลุ่มย่อย)
+const collectConditions = (group) =>
+  group.conditions.flatMap((node) => (isGroup(node) ? collectConditions(node) : [node]));
+
+// พารามิเตอร์ของ Series: ขาด → ค่าเริ่มต้น, ผิดรูปแบบ/นอกขอบเขต → Error (ข้อความเดียวกับ parseStudiesParam)
+const parseParams = (id, raw) => Object.fromEntries(RULE_SERIES[id].params.map((param) => {
+  const text = raw?.[param.name];
+  const value = text === undefined || text === null || text === '' ? param.default : Number(text);
+  const valid = Number.isFinite(value)
+    && value >= param.min && value <= param.max
+    && (!param.integer || Number.isInteger(value));
+  if (!valid) {
+    throw new Error(`Invalid ${id} ${param.name} '${text}'. Use ${param.integer ? 'an integer' : 'a number'} between ${param.min} and ${param.max}.`);
+  }
+  return [param.name, value];
+}));
+
+const parseOperand = (raw, path) => {
+  if (raw === null || typeof raw !== 'object') throw new Error(`Missing operand at ${path}.`);
+  if ('value' in raw) {
+    const value = Number(raw.value);
+    if (raw.value === '' || raw.value === null || !Number.isFinite(value)) throw new Error(`Invalid value '${raw.value}' at ${path}. Use a number.`);
+    return { value };
+  }
+  if (!Object.hasOwn(RULE_SERIES, raw.series)) {
+    throw new Error(`Unknown series '${raw.series}' at ${path}. Available: ${Object.keys(RULE_SERIES).join(', ')}.`);
+  }
+  const params = parseParams(raw.series, raw.params);
+  return Object.keys(params).length ? { series: raw.series, params } : { series: raw.series };
+};
+
+const parseCondition = (raw, path) => {
+  if (!Object.hasOwn(RULE_OPERATORS, raw?.op)) {
+    throw new Error(`Unknown operator '${raw?.op}' at ${path}. Available: ${Object.keys(RULE_OPERATORS).join(', ')}.`);
+  }
+  const left = parseOperand(raw.left, `${path}.left`);
+  const right = parseOperand(raw.right, `${path}.right`);
+  if ('value' in left && 'value' in right) throw new Error(`Condition at ${path} compares two constants.`);
+  return { left, op: raw.op, right };
+};
+
+const parseGroup = (raw, path, depth, counter) => {
+  if (raw === null || typeof raw !== 'object') throw new Error(`Missing condition group at ${path}.`);
+  const logic = raw.logic ?? 'and';
+  if (!RULE_LOGIC.includes(logic)) throw new Error(`Invalid logic '${logic}' at ${path}. Use 'and' or 'or'.`);
+  if (!Array.isArray(raw.conditions)) throw new Error(`Missing conditions array at ${path}.`);
+
+  const conditions = raw.conditions.map((node, i) => {
+    const nodePath = `${path}.conditions[${i}]`;
+    if (isGroup(node)) {
+      if (depth >= MAX_GROUP_DEPTH) throw new Error(`Groups nest at most ${MAX_GROUP_DEPTH} levels deep (${nodePath}).`);
+      return parseGroup(node, nodePath, depth + 1, counter);
+    }
+    counter.count += 1;
+    return parseCondition(node, nodePath);
+  });
+  return { logic, conditions };
+};
+
+/**
+ * parseStrategy - ตรวจและจัดรูปแบบกลยุทธ์ (เติม params ที่ขาด, ตัดฟิลด์ที่ไม่รู้จัก)
+ * @param {object|string} raw - Object หรือข้อความ JSON
+ * @returns {{ version, name, entry, exit }}
+ * @throws {Error} - JSON ผิดรูปแบบ, Series/Operator ที่ไม่รู้จัก, พารามิเตอร์นอกขอบเขต, เงื่อนไขเกินจำนวน
+ */
+export const parseStrategy = (raw) => {
+  let definition = raw;
+  if (typeof raw === 'string') {
+    try {
+      definition = JSON.parse(raw);
+    } catch {
+      throw new Error('Strategy is not valid JSON.');
+    }
+  }
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Strategy must be a JSON object with entry and exit groups.');
+  }
+  const version = definition.version ?? STRATEGY_VERSION;
+  if (version !== STRATEGY_VERSION) throw new Error(`Unsupported strategy version '${version}'. Expected ${STRATEGY_VERSION}.`);
+
+  const counter = { count: 0 };
+  const entry = parseGroup(definition.entry, 'entry', 1, counter);
+  const exit = parseGroup(definition.exit ?? { conditions: [] }, 'exit', 1, counter);
+  if (!collectConditions(entry).length) throw new Error('The entry group needs at least one condition.');
+  if (counter.count > MAX_RULE_CONDITIONS) {
+    throw new Error(`Too many conditions (${counter.count}). Maximum is ${MAX_RULE_CONDITIONS}.`);
+  }
+
+  const name = String(definition.name ?? '').trim().slice(0, MAX_NAME_LENGTH) || 'Untitled strategy';
+  return { version, name, entry, exit };
+};
+
+/**
+ * strategyWarmup - จำนวนแท่งก่อนหน้าที่ Series ในกลยุทธ์ต้องใช้ (ค่ามากสุด)
+ * @param {object} strategy - ผลลัพธ์จาก parseStrategy
+ */
+export const strategyWarmup = (strategy) =>
+  [...collectConditions(strategy.entry), ...collectConditions(strategy.exit)]
+    .flatMap(({ left, right }) => [left, right])
+    .filter((operand) => operand.series)
+    .reduce((max, { series, params }) => Math.max(max, RULE_SERIES[series].warmup(params ?? {})), 0);
+
+/**
+ * evaluateStrategy - ประเมินเงื่อนไขทุกแท่งแล้วสร้างสัญญาณ
+ * @param {Array} bars - แท่งราคาเรียงจากเก่า → ใหม่ [{ date, open, high, low, close, volume }]
+ * @param {object} strategy - ผลลัพธ์จาก parseStrategy
+ * @returns {{ entry: boolean[], exit: boolean[], signals: Array<1|-1|null> }}
+ */
+export const evaluateStrategy = (bars, strategy) => {
+  // Series + params เดียวกันที่ใช้หลายเงื่อนไขคำนวณครั้งเดียว
+  const cache = new Map();
+  const seriesOf = (operand) => {
+    if ('value' in operand) return null;
+    const definition = RULE_SERIES[operand.series];
+    const params = operand.params ?? {};
+    const key = [operand.series, ...definition.params.map((p) => params[p.name])].join(':');
+    if (!cache.has(key)) cache.set(key, definition.compute(bars, params));
+    return cache.get(key);
+  };
+  const valueAt = (operand, series, i) => (series ? series[i] : operand.value);
+
+  const evalCondition = ({ left, op, right }) => {
+    const leftSeries = seriesOf(left);
+    const rightSeries = seriesOf(right);
+    const { test, cross } = RULE_OPERATORS[op];
+    return bars.map((_, i) => {
+      const a = valueAt(left, leftSeries, i);
+      const b = valueAt(right, rightSeries, i);
+      if (a === null || a === undefined || b === null || b === undefined) return false;
+      if (!cross) return test(a, b);
+      if (i === 0) return false;
+      const prevA = valueAt(left, leftSeries, i - 1);
+      const prevB = valueAt(right, rightSeries, i - 1);
+      if (prevA === null || prevA === undefined || prevB === null || prevB === undefined) return false;
+      return test(a, b, prevA, prevB);
+    });
+  };
+
+  // กลุ่มว่าง → เท็จทุกแท่ง (เช่น ไม่มีเงื่อนไขขาย = ถือจนจบ)
+  const evalGroup = (group) => {
+    const parts = group.conditions.map((node) => (isGroup(node) ? evalGroup(node) : evalCondition(node)));
+    if (!parts.length) return bars.map(() => false);
+    return bars.map((_, i) => (group.logic === 'or' ? parts.some((p) => p[i]) : parts.every((p) => p[i])));
+  };
+
+  const entry = evalGroup(strategy.entry);
+  const exit = evalGroup(strategy.exit);
+  let holding = false;
+  const signals = bars.map((_, i) => {
+    if (!holding && entry[i]) {
+      holding = true;
+      return 1;
+    }
+    if (holding && exit[i]) {
+      holding = false;
+      return -1;
+    }
+    return null;
+  });
+  return { entry, exit, signals };
+};
+
+/**
+ * describeOperand / describeCondition - ข้อความอ่านง่าย เช่น 'RSI(14) < 30'
+ */
+export const describeOperand = (operand) => {
+  if ('value' in operand) return String(operand.value);
+  const { label, params } = RULE_SERIES[operand.series];
+  return params.length ? `${label}(${params.map((p) => operand.params?.[p.name] ?? p.default).join(', ')})` : label;
+};
+
+export const describeCondition = ({ left, op, right }) =>
+  `${describeOperand(left)} ${RULE_OPERATORS[op].label} ${describeOperand(right)}`;
+
+// Base64URL ของข้อความ UTF-8 (ชื่อกลยุทธ์เป็นภาษาไทยได้)
+const toBase64Url = (text) => {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (code) => {
+  const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)));
+};
+
+/**
+ * encodeStrategy / decodeStrategy - แปลงกลยุทธ์เป็นข้อความสำหรับ URL (?strategy=) และกลับ
+ * @throws {Error} - decodeStrategy: ลิงก์เสียหรือกลยุทธ์ไม่ผ่าน parseStrategy
+ */
+export const encodeStrategy = (strategy) => toBase64Url(JSON.stringify(strategy));
+
+export const decodeStrategy = (code) => {
+  let json;
+  try {
+    json = fromBase64Url(String(code || ''));
+  } catch {
+    throw new Error('Strategy link is corrupted.');
+  }
+  return parseStrategy(json);
+};
@@ -0,0 +1,120 @@
+/**
+ * =====================================================
+ * shared/strategyRules.test.js - ทดสอบกลยุทธ์แบบกำหนดเงื่อนไขเอง (npm test)
+ * =====================================================
+ *
+ * ใช้ราคาปิด 10 แท่งชุดเดียวกับ backtest.test.js → สัญญาณตรวจด้วยมือได้
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXAMPLE_STRATEGY,
+  MAX_GROUP_DEPTH,
+  parseStrategy,
+  strategyWarmup,
+  evaluateStrategy,
+  describeCondition,
+  encodeStrategy,
+  decodeStrategy,
+} from './strategyRules.js';
+import { SIGNAL_SETS } from './backtest.js';
+
+const CLOSES = [10, 9, 8, 9, 10, 11, 12, 11, 10, 9];
+const BARS = CLOSES.map((close, i) => ({ date: `2024-01-${String(i + 1).padStart(2, '0')}`, close }));
+
+const close = { series: 'close' };
+const when = (left, op, right) => ({ left, op, right });
+const strategy = (entry, exit = []) => parseStrategy({
+  entry: { logic: 'and', conditions: entry },
+  exit: { logic: 'or', conditions: exit },
+});
+
+describe('parseStrategy', () => {
+  test('fills defaults, converts numbers and drops unknown fields', () => {
+    const parsed = parseStrategy({
+      entry: { conditions: [{ left: { series: 'rsi' }, op: '<', right: { value: '30' }, note: 'x' }] },
+    });
+    assert.deepEqual(parsed, {
+      version: 1,
+      name: 'Untitled strategy',
+      entry: { logic: 'and', conditions: [{ left: { series: 'rsi', params: { period: 14 } }, op: '<', right: { value: 30 } }] },
+      exit: { logic: 'and', conditions: [] },
+    });
+  });
+
+  test('rejects invalid definitions with the offending path', () => {
+    const entryWith = (condition) => ({ entry: { conditions: [condition] } });
+    assert.throws(() => parseStrategy('{'), /not valid JSON/);
+    assert.throws(() => parseStrategy({ entry: { conditions: [] } }), /at least one condition/);
+    assert.throws(() => parseStrategy(entryWith(when({ series: 'foo' }, '>', { value: 1 }))), /Unknown series 'foo' at entry\.conditions\[0\]\.left/);
+    assert.throws(() => parseStrategy(entryWith(when(close, '!=', { value: 1 }))), /Unknown operator/);
+    assert.throws(() => parseStrategy(entryWith(when({ series: 'sma', params: { period: 0 } }, '>', close))), /Invalid sma period '0'/);
+    assert.throws(() => parseStrategy(entryWith(when({ value: 1 }, '>', { value: 2 }))), /two constants/);
+
+    let deep = when(close, '>', { value: 1 });
+    for (let i = 0; i <= MAX_GROUP_DEPTH; i++) deep = { logic: 'and', conditions: [deep] };
+    assert.throws(() => parseStrategy({ entry: deep }), /nest at most/);
+  });
+
+  test('warm-up and description come from the series', () => {
+    const example = parseStrategy(EXAMPLE_STRATEGY);
+    assert.equal(strategyWarmup(example), 200); // SMA 200
+    assert.equal(describeCondition(example.entry.conditions[0]), 'RSI(14) < 30');
+    assert.equal(describeCondition(example.exit.conditions[0]), 'Close < ATR Stop(22, 3)');
+  });
+});
+
+describe('evaluateStrategy', () => {
+  test('buys on entry while flat and sells on exit while long', () => {
+    const { signals } = evaluateStrategy(BARS, strategy(
+      [when(close, '>', { value: 10 })],
+      [when(close, '<', { value: 10 })]
+    ));
+    assert.deepEqual(signals, [null, null, null, null, null, 1, null, null, null, -1]);
+  });
+
+  test('cross operators match the SMA Cross signal set', () => {
+    const sma2 = { series: 'sma', params: { period: 2 } };
+    const { signals } = evaluateStrategy(BARS, strategy(
+      [when(close, 'crossAbove', sma2)],
+      [when(close, 'crossBelow', sma2)]
+    ));
+    assert.deepEqual(signals, SIGNAL_SETS.smaCross.generate(BARS, { fast: 1, slow: 2 }));
+  });
+
+  test('nested groups combine with and/or', () => {
+    const { entry, signals } = evaluateStrategy(BARS, strategy(
+      [{
+        logic: 'or',
+        conditions: [
+          when(close, '<', { value: 9 }),
+          { logic: 'and', conditions: [when(close, '>', { value: 11 }), when(close, '<', { value: 13 })] },
+        ],
+      }],
+      [when(close, '>=', { value: 12 })]
+    ));
+    assert.deepEqual(entry, [false, false, true, false, false, false, true, false, false, false]);
+    assert.deepEqual(signals, [null, null, 1, null, null, null, -1, null, null, null]);
+  });
+
+  test('conditions are false during the warm-up', () => {
+    const { entry } = evaluateStrategy(BARS, strategy([when(close, '>', { series: 'sma', params: { period: 5 } })]));
+    assert.deepEqual(entry.slice(0, 4), [false, false, false, false]);
+    assert.equal(entry[5], true); // 11 > SMA5 (9.4)
+  });
+});
+
+describe('share links', () => {
+  test('encodeStrategy round-trips through URL-safe text', () => {
+    const original = parseStrategy({ ...EXAMPLE_STRATEGY, name: 'ซื้อย่อ' });
+    const code = encodeStrategy(original);
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeStrategy(code), original);
+  });
+
+  test('decodeStrategy rejects corrupted links', () => {
+    assert.throws(() => decodeStrategy('%%%'), /corrupted/);
+    assert.throws(() => decodeStrategy(encodeStrategy({ entry: { conditions: [] } })), /at least one condition/);
+  });
+});
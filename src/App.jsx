@@ -5,7 +5,10 @@ import HomePage from './pages/HomePage';
 import AboutPage from './pages/CalculatorPage';
 import IndicatorsPage from './pages/IndicatorsPage';
 import Layout from './Component/Layout';
+import DisplayCurrencyProvider from './Component/DisplayCurrencyProvider';
 import ReturnCalculator from './pages/Return Calculator';
+import BacktestPage from './pages/BacktestPage';
+import PortfolioPage from './pages/PortfolioPage';
 
 // หน้า 404 ใช้ .page-container และสีจาก theme
 function NotFoundPage() {
@@ -31,15 +34,19 @@ function NotFoundPage() {
 function App() {
   return (
     <Router>
-      <Layout>
-        <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/about" element={<AboutPage />} />
-          <Route path="/Indicator" element={<IndicatorsPage />} />
-          <Route path="/return-calculator" element={<ReturnCalculator />} />
-          <Route path="*" element={<NotFoundPage />} />
-        </Routes>
-      </Layout>
+      <DisplayCurrencyProvider>
+        <Layout>
+          <Routes>
+            <Route path="/" element={<HomePage />} />
+            <Route path="/about" element={<AboutPage />} />
+            <Route path="/Indicator" element={<IndicatorsPage />} />
+            <Route path="/return-calculator" element={<ReturnCalculator />} />
+            <Route path="/backtest" element={<BacktestPage />} />
+            <Route path="/portfolio" element={<PortfolioPage />} />
+            <Route path="*" element={<NotFoundPage />} />
+          </Routes>
+        </Layout>
+      </DisplayCurrencyProvider>
     </Router>
   );
 }
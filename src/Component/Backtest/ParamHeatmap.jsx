@@ -0,0 +1,105 @@
+/**
+ * =====================================================
+ * ParamHeatmap.jsx - Heatmap ของคะแนน In-sample ตามพารามิเตอร์ 2 ตัว
+ * =====================================================
+ *
+ * - เลือกพารามิเตอร์แกน X / Y ได้ ช่องที่มีหลายชุด (พารามิเตอร์อื่นต่างกัน) แสดงคะแนนที่ดีที่สุด
+ * - สี: เขียว = คะแนนบวก, แดง = คะแนนลบ, เข้มตามขนาดเทียบกับค่าสูงสุดในตาราง
+ * - ช่องว่าง = ไม่ได้ทดสอบ (ไม่ผ่านเงื่อนไข เช่น fast ≥ slow หรือไม่ถูกสุ่ม)
+ * พื้นที่ราบที่ให้ผลดีใกล้ๆ กันน่าเชื่อถือกว่าจุดเด่นจุดเดียว (จุดเดียวมักเป็น Overfitting)
+ *
+ * **Props:**
+ * @param {Array<{ params, score }>} results - ผลจาก runWalkForward
+ * @param {string[]} paramNames - ชื่อพารามิเตอร์ของชุดสัญญาณ (เรียงตาม SIGNAL_SETS)
+ * @param {Function} formatScore - แปลงคะแนนเป็นข้อความ
+ */
+
+import React, { useState, useMemo } from 'react';
+
+const cellColor = (score, maxAbs) => {
+  if (!Number.isFinite(score) || maxAbs === 0) return 'transparent';
+  const alpha = 0.15 + 0.75 * Math.min(Math.abs(score) / maxAbs, 1);
+  return score >= 0 ? `rgba(0, 200, 83, ${alpha.toFixed(2)})` : `rgba(255, 23, 68, ${alpha.toFixed(2)})`;
+};
+
+const uniqueSorted = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+export default React.memo(function ParamHeatmap({ results = [], paramNames = [], formatScore = String }) {
+  // ค่าเริ่มต้น: พารามิเตอร์ 2 ตัวแรกที่มีหลายค่า
+  const varying = paramNames.filter(name => uniqueSorted(results.map(r => r.params[name])).length > 1);
+  const [xChoice, setXChoice] = useState(null);
+  const [yChoice, setYChoice] = useState(null);
+  const xParam = xChoice && paramNames.includes(xChoice) ? xChoice : (varying[0] || paramNames[0]);
+  const yParam = yChoice && paramNames.includes(yChoice) ? yChoice : (varying.find(name => name !== xParam) || null);
+
+  const grid = useMemo(() => {
+    const xs = uniqueSorted(results.map(r => r.params[xParam]));
+    const ys = yParam ? uniqueSorted(results.map(r => r.params[yParam])) : [null];
+    const cells = new Map();
+    let best = null;
+    for (const r of results) {
+      const key = `${r.params[xParam]}|${yParam ? r.params[yParam] : ''}`;
+      if (!cells.has(key) || r.score > cells.get(key)) cells.set(key, r.score);
+      if (!best || r.score > best.score) best = r;
+    }
+    const maxAbs = Math.max(0, ...[...cells.values()].filter(Number.isFinite).map(Math.abs));
+    return { xs, ys, cells, maxAbs, best };
+  }, [results, xParam, yParam]);
+
+  if (!results.length) return null;
+
+  const bestKey = grid.best ? `${grid.best.params[xParam]}|${yParam ? grid.best.params[yParam] : ''}` : '';
+
+  return (
+    <div className="param-heatmap">
+      <div className="param-heatmap-axes">
+        <label>
+          แกน X
+          <select value={xParam} onChange={e => setXChoice(e.target.value)}>
+            {paramNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          แกน Y
+          <select value={yParam || ''} onChange={e => setYChoice(e.target.value || null)}>
+            <option value="">-</option>
+            {paramNames.filter(name => name !== xParam).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="backtest-table-wrapper">
+        <table className="param-heatmap-table">
+          <thead>
+            <tr>
+              <th>{yParam ? `${yParam} \\ ${xParam}` : xParam}</th>
+              {grid.xs.map(x => <th key={x}>{x}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {/* ค่ามากอยู่บน (เหมือนแกน Y ของกราฟ) */}
+            {[...grid.ys].reverse().map(y => (
+              <tr key={y ?? 'row'}>
+                <th>{y ?? ''}</th>
+                {grid.xs.map(x => {
+                  const key = `${x}|${y ?? ''}`;
+                  const score = grid.cells.get(key);
+                  return (
+                    <td
+                      key={key}
+                      className={key === bestKey ? 'best' : ''}
+                      style={{ background: cellColor(score, grid.maxAbs) }}
+                      title={score === undefined ? 'ไม่ได้ทดสอบ' : `${xParam} ${x}${yParam ? `, ${yParam} ${y}` : ''}: ${formatScore(score)}`}
+                    >
+                      {score === undefined ? '' : formatScore(score)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+});
@@ -0,0 +1,226 @@
+/**
+ * =====================================================
+ * WalkForwardPanel.jsx - ตั้งค่า Walk-forward Optimization ของหน้า Backtest
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * เลือกชุดสัญญาณ 1 ชุด, ช่วงของพารามิเตอร์ที่จะค้นหา (min / max / step) หรือค่าคงที่,
+ * วิธีค้นหา (Grid ทุกจุด / สุ่มจากจุดบน Grid), คะแนนที่ใช้เลือก และความยาวหน้าต่าง In-sample / Out-of-sample
+ *
+ * หุ้น ช่วงวันที่ การปรับราคา เงินทุน และค่าธรรมเนียมใช้ค่าจากฟอร์ม Backtest ด้านบน (ผู้เรียกเติมให้ใน onRun)
+ *
+ * **Props:**
+ * @param {Function} onRun - (config) => void, config = { setId, method, ranges, fixed, samples, seed, inSample, outSample, objective }
+ * @param {Function} onCancel - ยกเลิกงานที่กำลังรัน
+ * @param {boolean} loading
+ * @param {{ done, total }|null} progress - จำนวนหน้าต่างที่ทดสอบเสร็จ
+ */
+
+import React, { useState } from 'react';
+import { SIGNAL_SETS } from '../../../shared/backtest';
+import { OPTIMIZER_OBJECTIVES, MAX_OPTIMIZER_COMBOS, countParamGrid } from '../../../shared/optimizer';
+
+const DEFAULT_SET_ID = 'smaCross';
+const DEFAULT_SAMPLES = 200;
+// 1 ปี In-sample → 1 ไตรมาส Out-of-sample (แท่งรายวัน)
+const DEFAULT_IN_SAMPLE = 252;
+const DEFAULT_OUT_SAMPLE = 63;
+
+// ช่วงเริ่มต้น: ค่าเริ่มต้น ± 3 step (step ≈ 20% ของค่าเริ่มต้น)
+const defaultRange = (param) => {
+  const step = param.integer ? Math.max(1, Math.round(param.default / 5)) : 0.5;
+  return {
+    min: Math.max(param.min, param.default - step * 3),
+    max: Math.min(param.max, param.default + step * 3),
+    step
+  };
+};
+
+// { [setId]: { [param]: { optimize, min, max, step, value } } } — พารามิเตอร์ 2 ตัวแรกถูกเลือกให้ค้นหา
+const createParamConfig = () => Object.fromEntries(Object.entries(SIGNAL_SETS).map(([id, set]) => [
+  id,
+  Object.fromEntries(set.params.map((param, i) => [
+    param.name,
+    { optimize: i < 2, ...defaultRange(param), value: param.default }
+  ]))
+]));
+
+// แปลงค่าในฟอร์มเป็น ranges / fixed ของ shared/optimizer.js
+const toSearchSpace = (paramConfig) => {
+  const ranges = {};
+  const fixed = {};
+  for (const [name, config] of Object.entries(paramConfig)) {
+    if (config.optimize) ranges[name] = { min: Number(config.min), max: Number(config.max), step: Number(config.step) };
+    else fixed[name] = config.value;
+  }
+  return { ranges, fixed };
+};
+
+export default function WalkForwardPanel({ onRun, onCancel, loading, progress }) {
+  const [setId, setSetId] = useState(DEFAULT_SET_ID);
+  const [paramConfig, setParamConfig] = useState(createParamConfig);
+  const [method, setMethod] = useState('grid');
+  const [samples, setSamples] = useState(DEFAULT_SAMPLES);
+  const [seed, setSeed] = useState(1);
+  const [objective, setObjective] = useState('totalReturn');
+  const [inSample, setInSample] = useState(DEFAULT_IN_SAMPLE);
+  const [outSample, setOutSample] = useState(DEFAULT_OUT_SAMPLE);
+
+  const updateParam = (name, patch) => setParamConfig(prev => ({
+    ...prev,
+    [setId]: { ...prev[setId], [name]: { ...prev[setId][name], ...patch } }
+  }));
+
+  const { ranges, fixed } = toSearchSpace(paramConfig[setId]);
+  let gridSize = null;
+  let spaceError = '';
+  try {
+    if (Object.keys(ranges).length === 0) throw new Error('เลือกพารามิเตอร์ที่จะค้นหาอย่างน้อย 1 ตัว');
+    gridSize = countParamGrid(setId, ranges, fixed);
+  } catch (err) {
+    spaceError = err.message;
+  }
+  const tooLarge = method === 'grid' && gridSize > MAX_OPTIMIZER_COMBOS;
+
+  const handleRun = () => onRun({
+    setId,
+    method,
+    ranges,
+    fixed,
+    samples: Number(samples),
+    seed: Number(seed),
+    inSample: Number(inSample),
+    outSample: Number(outSample),
+    objective
+  });
+
+  return (
+    <div className="stock-history-form walk-forward">
+      <h2>Walk-forward Optimization</h2>
+      <p className="backtest-note">
+        หาพารามิเตอร์ที่ดีที่สุดในช่วง In-sample แล้ววัดผลในช่วง Out-of-sample ถัดไปที่ไม่ได้ใช้เลือก เลื่อนไปเรื่อยๆ จนจบช่วงวันที่
+        — ผล Out-of-sample ที่ต่อกันคือผลที่คาดหวังได้จริงกว่าผลของชุดที่ดีที่สุดในอดีต
+      </p>
+
+      <div className="calculator-form backtest-options">
+        <div className="form-group">
+          <label htmlFor="wfSet">ชุดสัญญาณ</label>
+          <select id="wfSet" className="stockname-input" value={setId} onChange={e => setSetId(e.target.value)}>
+            {Object.entries(SIGNAL_SETS).map(([id, set]) => <option key={id} value={id}>{set.label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="wfObjective">เลือกชุดที่ดีที่สุดจาก</label>
+          <select id="wfObjective" className="stockname-input" value={objective} onChange={e => setObjective(e.target.value)}>
+            {Object.entries(OPTIMIZER_OBJECTIVES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="wfInSample">In-sample (แท่ง)</label>
+          <input id="wfInSample" type="number" min={2} className="stockname-input" value={inSample} onChange={e => setInSample(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="wfOutSample">Out-of-sample (แท่ง)</label>
+          <input id="wfOutSample" type="number" min={2} className="stockname-input" value={outSample} onChange={e => setOutSample(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="wfMethod">วิธีค้นหา</label>
+          <select id="wfMethod" className="stockname-input" value={method} onChange={e => setMethod(e.target.value)}>
+            <option value="grid">Grid (ทุกจุด)</option>
+            <option value="random">Random (สุ่มจุดบน Grid)</option>
+          </select>
+        </div>
+        {method === 'random' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="wfSamples">จำนวนชุดที่สุ่ม</label>
+              <input id="wfSamples" type="number" min={1} max={MAX_OPTIMIZER_COMBOS} className="stockname-input" value={samples} onChange={e => setSamples(e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="wfSeed">Seed (เลขเดิม = ผลเดิม)</label>
+              <input id="wfSeed" type="number" className="stockname-input" value={seed} onChange={e => setSeed(e.target.value)} />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="backtest-table-wrapper">
+        <table className="backtest-table optimizer-ranges">
+          <thead>
+            <tr>
+              <th>พารามิเตอร์</th>
+              <th>ค้นหา</th>
+              <th>Min</th>
+              <th>Max</th>
+              <th>Step</th>
+              <th>ค่าคงที่</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SIGNAL_SETS[setId].params.map(param => {
+              const config = paramConfig[setId][param.name];
+              const step = param.integer ? 1 : 0.1;
+              return (
+                <tr key={param.name}>
+                  <td>{param.name}</td>
+                  <td>
+                    <input type="checkbox" checked={config.optimize} onChange={e => updateParam(param.name, { optimize: e.target.checked })} />
+                  </td>
+                  {['min', 'max', 'step'].map(field => (
+                    <td key={field}>
+                      <input
+                        type="number"
+                        step={step}
+                        disabled={!config.optimize}
+                        aria-label={`${param.name} ${field}`}
+                        value={config[field]}
+                        onChange={e => updateParam(param.name, { [field]: e.target.value })}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <input
+                      type="number"
+                      step={step}
+                      min={param.min}
+                      max={param.max}
+                      disabled={config.optimize}
+                      aria-label={`${param.name} value`}
+                      value={config.value}
+                      onChange={e => updateParam(param.name, { value: e.target.value })}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="backtest-note">
+        {spaceError || (
+          <>
+            Grid มี {gridSize.toLocaleString()} จุด
+            {tooLarge && ` — เกิน ${MAX_OPTIMIZER_COMBOS.toLocaleString()} จุด ให้เพิ่ม Step หรือใช้ Random`}
+            {method === 'random' && ` — สุ่ม ${Math.min(Number(samples) || 0, gridSize).toLocaleString()} ชุด`}
+            {SIGNAL_SETS[setId].valid && ' (ชุดที่ขัดกัน เช่น fast ≥ slow จะถูกข้าม)'}
+          </>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="optimizer-progress">
+          <span>
+            กำลังทดสอบ...
+            {progress && ` หน้าต่าง ${progress.done}/${progress.total}`}
+          </span>
+          <button type="button" className="range-button" onClick={onCancel}>ยกเลิก</button>
+        </div>
+      ) : (
+        <button type="button" className="history-submit" disabled={Boolean(spaceError) || tooLarge} onClick={handleRun}>
+          เริ่ม Optimize
+        </button>
+      )}
+    </div>
+  );
+}
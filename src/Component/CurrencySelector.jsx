@@ -0,0 +1,29 @@
+/**
+ * =====================================================
+ * CurrencySelector.jsx - ตัวเลือกสกุลเงินที่ใช้แสดงราคา (มุมขวาบนของ Layout)
+ * =====================================================
+ */
+
+import React from 'react';
+import { DISPLAY_CURRENCIES, useDisplayCurrency } from '../utils/displayCurrency';
+
+function CurrencySelector() {
+  const { displayCurrency, setDisplayCurrency } = useDisplayCurrency();
+
+  return (
+    <label className="display-currency-select">
+      <span>แสดงราคาเป็น</span>
+      <select
+        value={displayCurrency}
+        onChange={e => setDisplayCurrency(e.target.value)}
+        aria-label="สกุลเงินที่ใช้แสดงราคา"
+      >
+        {DISPLAY_CURRENCIES.map(option => (
+          <option key={option.code} value={option.code}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default CurrencySelector;
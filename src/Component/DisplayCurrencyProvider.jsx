@@ -0,0 +1,34 @@
+/**
+ * =====================================================
+ * DisplayCurrencyProvider.jsx - สกุลเงินที่ใช้แสดงราคา (ใช้ร่วมทุกหน้า)
+ * =====================================================
+ *
+ * ครอบทั้งแอป (App.jsx) → หน้าไหนก็อ่านค่าได้ด้วย useDisplayCurrency()
+ * ค่าที่เลือกถูกจำไว้ใน localStorage (เปิดเว็บใหม่ยังเป็นสกุลเดิม)
+ *
+ * **Props:**
+ * @param {ReactNode} children
+ */
+
+import React, { useMemo, useState } from 'react';
+import { DisplayCurrencyContext, loadDisplayCurrency, saveDisplayCurrency } from '../utils/displayCurrency';
+
+function DisplayCurrencyProvider({ children }) {
+  const [displayCurrency, setCurrency] = useState(loadDisplayCurrency);
+
+  const value = useMemo(() => ({
+    displayCurrency,
+    setDisplayCurrency: (code) => {
+      setCurrency(code);
+      saveDisplayCurrency(code);
+    }
+  }), [displayCurrency]);
+
+  return (
+    <DisplayCurrencyContext.Provider value={value}>
+      {children}
+    </DisplayCurrencyContext.Provider>
+  );
+}
+
+export default DisplayCurrencyProvider;
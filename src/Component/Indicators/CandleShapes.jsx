@@ -0,0 +1,79 @@
+/**
+ * =====================================================
+ * CandleShapes.jsx - รูปทรงแท่งเทียน/แท่ง OHLC สำหรับ Recharts
+ * =====================================================
+ *
+ * **หลักการ:**
+ * Recharts ไม่มีกราฟแท่งเทียนในตัว เราจึงใช้ <Bar> แบบ Range (dataKey คืนค่า [low, high])
+ * แล้ววาดรูปเองผ่าน prop `shape`:
+ * - Recharts คำนวณให้แล้วว่า y = พิกเซลของ high, y + height = พิกเซลของ low
+ * - ราคา open/close แปลงเป็นพิกเซลด้วยการเทียบสัดส่วนระหว่าง high กับ low
+ *
+ * แต่ละแถวต้องมี `candle: { open, high, low, close }` (PriceChart เตรียมไว้ให้)
+ * เพื่อให้ใช้ได้ทั้งแท่งเทียนปกติและ Heikin-Ashi
+ */
+
+import React from 'react';
+
+export const CANDLE_UP_COLOR = '#26a69a';   // แท่งขึ้น (close >= open)
+export const CANDLE_DOWN_COLOR = '#ef5350'; // แท่งลง (close < open)
+
+// แปลงราคาเป็นพิกเซลภายในช่วง [high → y, low → y + height]
+const toPixel = (value, candle, y, height) => {
+  const range = candle.high - candle.low;
+  if (!range) return y + height / 2; // แท่งแบน (high = low)
+  return y + ((candle.high - value) / range) * height;
+};
+
+/**
+ * CandleShape - แท่งเทียน: ไส้เทียน (wick) จาก high ถึง low + ตัวเทียน (body) จาก open ถึง close
+ */
+export function CandleShape({ x, y, width, height, payload }) {
+  const candle = payload?.candle;
+  if (!candle || ![x, y, width, height].every(Number.isFinite)) return null;
+
+  const isUp = candle.close >= candle.open;
+  const color = isUp ? CANDLE_UP_COLOR : CANDLE_DOWN_COLOR;
+  const cx = x + width / 2;
+  const openY = toPixel(candle.open, candle, y, height);
+  const closeY = toPixel(candle.close, candle, y, height);
+  const bodyTop = Math.min(openY, closeY);
+  const bodyHeight = Math.max(1, Math.abs(closeY - openY)); // อย่างน้อย 1px ให้เห็น Doji
+  const bodyWidth = Math.max(1, width * 0.8);
+
+  return (
+    <g>
+      <line x1={cx} x2={cx} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect
+        x={cx - bodyWidth / 2}
+        y={bodyTop}
+        width={bodyWidth}
+        height={bodyHeight}
+        fill={color}
+        stroke={color}
+      />
+    </g>
+  );
+}
+
+/**
+ * OhlcBarShape - แท่ง OHLC แบบตะวันตก: เส้นตั้ง high-low + ขีดซ้าย = open, ขีดขวา = close
+ */
+export function OhlcBarShape({ x, y, width, height, payload }) {
+  const candle = payload?.candle;
+  if (!candle || ![x, y, width, height].every(Number.isFinite)) return null;
+
+  const color = candle.close >= candle.open ? CANDLE_UP_COLOR : CANDLE_DOWN_COLOR;
+  const cx = x + width / 2;
+  const tick = Math.max(2, width * 0.4);
+  const openY = toPixel(candle.open, candle, y, height);
+  const closeY = toPixel(candle.close, candle, y, height);
+
+  return (
+    <g stroke={color} strokeWidth={1.5}>
+      <line x1={cx} x2={cx} y1={y} y2={y + height} />
+      <line x1={cx - tick} x2={cx} y1={openY} y2={openY} />
+      <line x1={cx} x2={cx + tick} y1={closeY} y2={closeY} />
+    </g>
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * =====================================================
+ * IndicatorSettingsPanel.jsx - ตั้งค่าพารามิเตอร์ของ Indicators
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * ส่วนหนึ่งของ Panel "⚙️ Indicators" ในหน้า Indicators ให้ผู้ใช้:
+ * - เพิ่ม/ลบเส้นค่าเฉลี่ย เลือกชนิด (SMA/EMA/WMA/HMA), period และสี
+ * - ปรับ Bollinger Bands (period, ตัวคูณ SD)
+ * - ปรับ RSI (length, Smoothing, Divergence Lookback)
+ * - ปรับพารามิเตอร์ของ ATR / Stochastic / ADX / Ichimoku / Supertrend / Squeeze Momentum (ช่องสร้างจาก STUDIES[id].params)
+ *
+ * ทุกการเปลี่ยนแปลงส่งค่าใหม่ทั้งก้อนผ่าน onChange (ผู้เรียกเก็บลง localStorage และคำนวณกราฟใหม่จากแท่งเดิม)
+ *
+ * **Props:**
+ * @param {Object} settings - ค่าปัจจุบัน (ดู DEFAULT_INDICATOR_SETTINGS)
+ * @param {Function} onChange - (settings) => void
+ * @param {Function} onReset - คืนค่าเริ่มต้นทั้งหมด
+ */
+
+import React, { useState } from 'react';
+import { RSI_SMOOTHING_TYPES, STUDIES } from '../../../shared/indicators';
+import {
+  MA_TYPES, MAX_MA_LINES, STUDY_SETTING_IDS, SETTING_LIMITS, clampSetting, studyParamKind, createMaLine
+} from '../../utils/indicatorSettings';
+
+// ชื่อที่แสดงของ Study และพารามิเตอร์ (ชื่อพารามิเตอร์ที่ไม่อยู่ในนี้แสดงตามชื่อใน STUDIES)
+const STUDY_LABELS = {
+  atr: 'ATR',
+  stoch: 'Stochastic',
+  adx: 'ADX / DMI',
+  ichimoku: 'Ichimoku',
+  supertrend: 'Supertrend',
+  squeeze: 'Squeeze'
+};
+const PARAM_LABELS = {
+  period: 'Period',
+  mult: '× ATR',
+  kPeriod: '%K',
+  smoothK: 'Smooth %K',
+  dPeriod: '%D',
+  tenkan: 'Tenkan',
+  kijun: 'Kijun',
+  senkou: 'Senkou B',
+  displacement: 'Displacement',
+  bbLength: 'BB Length',
+  bbMult: 'BB × SD',
+  kcLength: 'KC Length',
+  kcMult: 'KC × Range'
+};
+
+/**
+ * NumberField - ช่องตัวเลขที่ยอมให้พิมพ์ค่าชั่วคราว (เช่น ช่องว่าง) ได้
+ * ส่งค่าออกเมื่อค่าที่พิมพ์อยู่ในขอบเขต, ออกจากช่องแล้วกลับไปแสดงค่าจริง
+ */
+function NumberField({ value, kind, onCommit, label }) {
+  const [draft, setDraft] = useState(null);
+  const [min, max, integer] = SETTING_LIMITS[kind];
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    const num = Number(text);
+    if (text !== '' && Number.isFinite(num) && num >= min && num <= max && (!integer || Number.isInteger(num))) {
+      onCommit(num);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      className="setting-number"
+      aria-label={label}
+      min={min}
+      max={max}
+      step={integer ? 1 : 0.1}
+      value={draft ?? String(value)}
+      onChange={handleChange}
+      onBlur={() => {
+        const next = draft === null ? value : clampSetting(draft, kind, value);
+        if (next !== value) onCommit(next);
+        setDraft(null);
+      }}
+    />
+  );
+}
+
+export default React.memo(function IndicatorSettingsPanel({ settings, onChange, onReset }) {
+  const { maLines, bb, rsi, studies } = settings;
+
+  const updateMaLine = (id, patch) => onChange({
+    ...settings,
+    maLines: maLines.map(line => (line.id === id ? { ...line, ...patch } : line))
+  });
+  const removeMaLine = (id) => onChange({ ...settings, maLines: maLines.filter(line => line.id !== id) });
+  const addMaLine = () => onChange({ ...settings, maLines: [...maLines, createMaLine(maLines)] });
+
+  const updateBb = (patch) => onChange({ ...settings, bb: { ...bb, ...patch } });
+  const updateRsi = (patch) => onChange({ ...settings, rsi: { ...rsi, ...patch } });
+  const updateDivergence = (patch) => updateRsi({ divergence: { ...rsi.divergence, ...patch } });
+  const updateStudy = (id, patch) => onChange({ ...settings, studies: { ...studies, [id]: { ...studies[id], ...patch } } });
+
+  return (
+    <>
+      <div className="panel-section">
+        <div className="section-title">〰️ Moving Averages</div>
+        <div className="ma-lines">
+          {maLines.map(line => (
+            <div key={line.id} className="ma-line-row">
+              <input
+                type="color"
+                className="setting-color"
+                aria-label="สีเส้น"
+                value={line.color}
+                onChange={(e) => updateMaLine(line.id, { color: e.target.value })}
+              />
+              <select
+                className="setting-select"
+                aria-label="ชนิดเส้นค่าเฉลี่ย"
+                value={line.type}
+                onChange={(e) => updateMaLine(line.id, { type: e.target.value })}
+              >
+                {MA_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <NumberField label="Period" kind="period" value={line.period} onCommit={(period) => updateMaLine(line.id, { period })} />
+              <button type="button" className="setting-remove" onClick={() => removeMaLine(line.id)} title="ลบเส้นนี้">✕</button>
+            </div>
+          ))}
+          {maLines.length === 0 && <div className="setting-hint">ยังไม่มีเส้นค่าเฉลี่ย</div>}
+        </div>
+        <button type="button" className="setting-add" onClick={addMaLine} disabled={maLines.length >= MAX_MA_LINES}>
+          + เพิ่มเส้น ({maLines.length}/{MAX_MA_LINES})
+        </button>
+      </div>
+
+      <div className="panel-section">
+        <div className="section-title">🛠 Parameters</div>
+        <div className="settings-grid">
+          <label className="setting-field">
+            <span>BB Period</span>
+            <NumberField label="BB Period" kind="period" value={bb.period} onCommit={(period) => updateBb({ period })} />
+          </label>
+          <label className="setting-field">
+            <span>BB × SD</span>
+            <NumberField label="BB Multiplier" kind="mult" value={bb.mult} onCommit={(mult) => updateBb({ mult })} />
+          </label>
+          <label className="setting-field">
+            <span>RSI Length</span>
+            <NumberField label="RSI Length" kind="period" value={rsi.length} onCommit={(length) => updateRsi({ length })} />
+          </label>
+          <label className="setting-field">
+            <span>RSI Smoothing</span>
+            <select className="setting-select" value={rsi.smoothingType} onChange={(e) => updateRsi({ smoothingType: e.target.value })}>
+              {RSI_SMOOTHING_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          <label className="setting-field">
+            <span>Smoothing Length</span>
+            <NumberField label="Smoothing Length" kind="period" value={rsi.smoothingLength} onCommit={(smoothingLength) => updateRsi({ smoothingLength })} />
+          </label>
+          <label className="setting-field">
+            <span>RSI Band × SD</span>
+            <NumberField label="RSI Band Multiplier" kind="mult" value={rsi.bbMultiplier} onCommit={(bbMultiplier) => updateRsi({ bbMultiplier })} />
+          </label>
+          <label className="setting-field setting-check">
+            <input
+              type="checkbox"
+              checked={rsi.divergence.enabled}
+              onChange={(e) => updateDivergence({ enabled: e.target.checked })}
+            />
+            <span>RSI Divergence</span>
+          </label>
+          <label className="setting-field">
+            <span>Lookback ซ้าย</span>
+            <NumberField label="Divergence Lookback Left" kind="lookback" value={rsi.divergence.lookbackLeft} onCommit={(lookbackLeft) => updateDivergence({ lookbackLeft })} />
+          </label>
+          <label className="setting-field">
+            <span>Lookback ขวา</span>
+            <NumberField label="Divergence Lookback Right" kind="lookback" value={rsi.divergence.lookbackRight} onCommit={(lookbackRight) => updateDivergence({ lookbackRight })} />
+          </label>
+        </div>
+      </div>
+
+      <div className="panel-section">
+        <div className="section-title">🧮 Studies</div>
+        <div className="settings-grid">
+          {STUDY_SETTING_IDS.flatMap(id => STUDIES[id].params.map(param => {
+            const label = `${STUDY_LABELS[id]} ${PARAM_LABELS[param.name] || param.name}`;
+            return (
+              <label key={`${id}-${param.name}`} className="setting-field">
+                <span>{label}</span>
+                <NumberField
+                  label={label}
+                  kind={studyParamKind(param)}
+                  value={studies[id][param.name]}
+                  onCommit={(value) => updateStudy(id, { [param.name]: value })}
+                />
+              </label>
+            );
+          }))}
+        </div>
+        <button type="button" className="setting-reset" onClick={onReset}>คืนค่าเริ่มต้น</button>
+      </div>
+    </>
+  );
+});
@@ -7,10 +7,10 @@
  * Component หลักสำหรับแสดงกราฟราคาหุ้นพร้อม Technical Indicators
  * 
  * **Features:**
- * - Price Line: เส้นราคาปิดรายวัน
- * - SMA (10, 50, 100, 200): ค่าเฉลี่ยเคลื่อนที่แบบธรรมดา
- * - EMA (50, 100, 200): ค่าเฉลี่ยเคลื่อนที่แบบเลขชี้กำลัง
+ * - Price Series: เลือกรูปแบบได้ (chartType) — เส้น, พื้นที่, แท่งเทียน, แท่ง OHLC, Heikin-Ashi
+ * - เส้นค่าเฉลี่ย (SMA/EMA/WMA/HMA): ผู้ใช้กำหนดชนิด, period และสีเองได้ (maLines)
  * - Bollinger Bands: แถบราคาบน-ล่าง (ส่วนเบี่ยงเบนมาตรฐาน)
+ * - VWAP, Ichimoku Cloud และ Supertrend (Overlay ที่ใช้ High/Low/Volume)
  * - Signals: จุดสัญญาณซื้อ/ขาย (RSI Cross, Golden/Death Cross, MACD)
  * - Fibonacci Retracement: เส้น Fibonacci Levels
  * - High/Low Peaks: จุดราคาสูงสุด/ต่ำสุด
@@ -18,25 +18,43 @@
  * **Props:**
  * @param {Array} data - ข้อมูลราคารายวัน พร้อม Indicators
  * @param {Array} signals - จุดสัญญาณต่างๆ
+ * @param {Array} maLines - เส้นค่าเฉลี่ย [{ key, label, color }] (key = ฟิลด์ในแถวของ data)
  * @param {Object} visible - ตัวเลือกแสดง/ซ่อน Indicators
+ * @param {boolean} hasHighLow - false = Overlay ที่ใช้ High/Low คำนวณจากราคาปิดแทน (แสดงหมายเหตุ)
  * @param {string} currency - สกุลเงิน (THB, USD)
+ * @param {string} chartType - 'line' | 'area' | 'candle' | 'ohlc' | 'heikinAshi'
+ *   (แบบที่ต้องใช้ OHLC จะถอยกลับเป็น 'line' ถ้าข้อมูลไม่มี open/high/low)
  */
 
 import React, { useMemo } from 'react';
 import {
-  ResponsiveContainer, ComposedChart, Line, ReferenceLine, ReferenceDot,
+  ResponsiveContainer, ComposedChart, Line, Area, Bar, ReferenceLine, ReferenceDot,
   CartesianGrid, Legend, YAxis, ReferenceArea
 } from 'recharts';
 import { chartMargin, renderCommonXAxis, commonTooltip, formatPriceTick, getPaddedDomain } from './common.jsx';
+import { CandleShape, OhlcBarShape } from './CandleShapes.jsx';
+
+// รูปแบบกราฟที่ต้องใช้ข้อมูล OHLC ครบ
+const OHLC_CHART_TYPES = ['candle', 'ohlc', 'heikinAshi'];
+
+// ดึงค่า OHLC ของแถวตามรูปแบบกราฟ (Heikin-Ashi ใช้ฟิลด์ ha* ที่คำนวณจากข้อมูลเต็มช่วง)
+const pickCandle = (row, chartType) => {
+  const candle = chartType === 'heikinAshi'
+    ? { open: row.haOpen, high: row.haHigh, low: row.haLow, close: row.haClose }
+    : { open: row.open, high: row.high, low: row.low, close: row.close };
+  return Object.values(candle).every(Number.isFinite) ? candle : null;
+};
 
 // React.memo ป้องกัน re-render เมื่อ props ไม่เปลี่ยน (Performance optimization)
 export default React.memo(function PriceChart({
   data = [],                    // ข้อมูลราคารายวัน + indicators
+  maLines = [],                 // เส้นค่าเฉลี่ยที่ผู้ใช้ตั้งค่า
   signals = [],                 // สัญญาณ RSI Cross
   smaSignals = [],              // สัญญาณ SMA Cross
   goldenDeathSignals = [],      // สัญญาณ Golden/Death Cross
   goldenDeathZones = [],        // โซนพื้นหลัง Golden/Death
   macdStrategySignals = [],     // สัญญาณ MACD Strategy
+  ruleSignals = [],             // จุดซื้อ/ขายของกลยุทธ์ที่ผู้ใช้สร้าง (Panel 🧩 Strategy)
   highLowPeaks = [],            // จุด High/Low ของแต่ละช่วงเวลา
   fibonacci,                    // ข้อมูล Fibonacci Retracement
   syncId,                       // ID สำหรับ sync zoom/pan กับกราฟอื่น
@@ -44,8 +62,25 @@ export default React.memo(function PriceChart({
   padPct,                       // % padding ของแกน Y
   wrapperClassName = '',        // CSS class เพิ่มเติม
   currency = '',                // สกุลเงิน (THB/USD)
-  visible = {}                  // ตัวเลือกแสดง/ซ่อน indicators
+  visible = {},                 // ตัวเลือกแสดง/ซ่อน indicators
+  hasHighLow = true,            // ข้อมูลมี High/Low ครบหรือไม่
+  chartType = 'line'            // รูปแบบกราฟราคา
 }) {
+  // === ตรวจว่ามีข้อมูล OHLC หรือไม่ (ถ้าไม่มี → ถอยกลับไปใช้เส้นราคาปิด) ===
+  const hasOhlc = useMemo(() => (data || []).some(d => pickCandle(d, 'candle')), [data]);
+  const needsOhlc = OHLC_CHART_TYPES.includes(chartType);
+  const effectiveType = needsOhlc && !hasOhlc ? 'line' : chartType;
+  const isCandleMode = OHLC_CHART_TYPES.includes(effectiveType);
+
+  // === เตรียมแถวสำหรับแท่งเทียน: candle = OHLC ที่จะวาด, candleRange = [low, high] ให้ Bar ===
+  const chartRows = useMemo(() => {
+    if (!isCandleMode) return data;
+    return (data || []).map(d => {
+      const candle = pickCandle(d, effectiveType);
+      return { ...d, candle, candleRange: candle ? [candle.low, candle.high] : null };
+    });
+  }, [data, isCandleMode, effectiveType]);
+
   // === คำนวณจุด Overbought/Oversold (ราคาทะลุ Bollinger Bands) ===
   const obos = useMemo(() => (data || [])
     .filter(d => d.bbUpper != null && (d.close > d.bbUpper || d.close < d.bbLower)) // กรองเฉพาะจุดที่ทะลุ BB
@@ -59,24 +94,26 @@ export default React.memo(function PriceChart({
 
   // === รวม Fibonacci levels เข้าไปในการคำนวณ Y-Axis Domain ===
   // เพื่อให้เส้น Fibonacci แสดงอยู่ในกราฟเสมอ (ไม่ตกนอกขอบ)
-  const fibLevels = (visible.fib && fibonacci?.levels) ? fibonacci.levels.map(l => l.value) : [];
+  const fibLevels = useMemo(
+    () => ((visible.fib && fibonacci?.levels) ? fibonacci.levels.map(l => l.value) : []),
+    [visible.fib, fibonacci]
+  );
 
   // === รวบรวมค่าทั้งหมดที่จะแสดงในกราฟ เพื่อคำนวณขอบเขตแกน Y ===
   const domainValues = useMemo(() => [
-    ...(data || []).flatMap(d => [
+    ...(chartRows || []).flatMap(d => [
       d.close,                                  // ราคาปิด (แสดงเสมอ)
+      d.candle?.high ?? null,                   // ไส้เทียนบน (โหมดแท่งเทียน)
+      d.candle?.low ?? null,                    // ไส้เทียนล่าง (โหมดแท่งเทียน)
       visible.bb ? d.bbUpper : null,            // Bollinger Band บน
       visible.bb ? d.bbLower : null,            // Bollinger Band ล่าง
-      visible.sma ? d.sma10 : null,             // SMA 10
-      visible.sma ? d.sma50 : null,             // SMA 50
-      visible.sma ? d.sma100 : null,            // SMA 100
-      visible.sma ? d.sma200 : null,            // SMA 200
-      visible.ema ? d.ema50 : null,             // EMA 50
-      visible.ema ? d.ema100 : null,            // EMA 100
-      visible.ema ? d.ema200 : null             // EMA 200
+      ...(visible.ma ? maLines.map(line => d[line.key]) : []), // เส้นค่าเฉลี่ย
+      visible.vwap ? d.vwap : null,             // VWAP
+      ...(visible.ichimoku ? [d.ichiTenkan, d.ichiKijun, d.ichiSpanA, d.ichiSpanB, d.ichiChikou] : []), // Ichimoku
+      ...(visible.supertrend ? [d.stUp, d.stDown] : []) // Supertrend
     ]),
     ...fibLevels                                // เพิ่ม Fibonacci levels
-  ].filter(v => typeof v === 'number'), [data, visible, fibonacci, padPct]);
+  ].filter(v => typeof v === 'number'), [chartRows, visible, maLines, fibLevels]);
 
   // คำนวณ Y-Axis Min/Max พร้อม padding (default 6%)
   const [yMin, yMax] = useMemo(() => getPaddedDomain(domainValues, padPct ?? 0.06), [domainValues, padPct]);
@@ -88,8 +125,20 @@ export default React.memo(function PriceChart({
   return (
     <div className={wrapperClasses}>
       <h3>Price Action & Indicators</h3>
+      {needsOhlc && !hasOhlc && (
+        <div className="chart-info">ไม่มีข้อมูล Open/High/Low สำหรับช่วงนี้ — แสดงเป็นเส้นราคาปิดแทน</div>
+      )}
+      {!hasHighLow && (visible.ichimoku || visible.supertrend || visible.vwap) && (
+        <div className="chart-info">ไม่มีข้อมูล High/Low — VWAP, Ichimoku และ Supertrend คำนวณจากราคาปิดแทน</div>
+      )}
       <ResponsiveContainer width="100%" height={height || 380}>
-        <ComposedChart data={data} margin={chartMargin} syncId={syncId}>
+        <ComposedChart data={chartRows} margin={chartMargin} syncId={syncId}>
+          <defs>
+            <linearGradient id="priceAreaFill" x1="0" y1="0" x2="0" y2="1">
+              <stop offset="0%" stopColor="#90caf9" stopOpacity={0.35} />
+              <stop offset="100%" stopColor="#90caf9" stopOpacity={0.02} />
+            </linearGradient>
+          </defs>
           <CartesianGrid strokeDasharray="3 3" stroke="#404040" />
           {renderCommonXAxis()}
           <YAxis
@@ -108,17 +157,35 @@ export default React.memo(function PriceChart({
           {/* แถบล่าง: ขอบเขตราคาถูก (Oversold zone) */}
           {visible.bb && <Line yAxisId="left" dataKey="bbLower" name="Lower BB" stroke="#64b5f6" strokeDasharray="4 2" dot={false} strokeWidth={1.5} isAnimationActive={false} />}
 
-          {/* === SMA (Simple Moving Average) - ค่าเฉลี่ยเคลื่อนที่แบบธรรมดา === */}
-          {visible.sma && <Line yAxisId="left" dataKey="sma10" name="SMA 10" stroke="#e91e63" strokeWidth={2.5} dot={false} isAnimationActive={false} />}   {/* ชมพู - ระยะสั้น */}
-          {visible.sma && <Line yAxisId="left" dataKey="sma50" name="SMA 50" stroke="#00bcd4" strokeWidth={2.5} dot={false} isAnimationActive={false} />}   {/* ฟ้า - ระยะกลาง */}
-          {visible.sma && <Line yAxisId="left" dataKey="sma100" name="SMA 100" stroke="#ffc107" strokeWidth={2.5} dot={false} isAnimationActive={false} />} {/* เหลือง - ระยะกลาง-ยาว */}
-          {visible.sma && <Line yAxisId="left" dataKey="sma200" name="SMA 200" stroke="#4caf50" strokeWidth={2.5} dot={false} isAnimationActive={false} />} {/* เขียว - ระยะยาว */}
+          {/* === เส้นค่าเฉลี่ย (SMA/EMA/WMA/HMA) ตามที่ผู้ใช้ตั้งค่า === */}
+          {/* EMA/WMA/HMA ตอบสนองต่อราคาเร็วกว่า SMA เพราะให้น้ำหนักกับข้อมูลล่าสุดมากกว่า */}
+          {visible.ma && maLines.map(line => (
+            <Line key={line.key} yAxisId="left" dataKey={line.key} name={line.label} stroke={line.color} strokeWidth={2.5} dot={false} isAnimationActive={false} />
+          ))}
+
+          {/* === Ichimoku Cloud (เมฆเขียว = Span A อยู่บน, เมฆแดง = Span B อยู่บน) === */}
+          {visible.ichimoku && (
+            <>
+              <Area yAxisId="left" dataKey="ichiCloudUp" name="Kumo Up" stroke="none" fill="#43a047" fillOpacity={0.15} legendType="none" isAnimationActive={false} />
+              <Area yAxisId="left" dataKey="ichiCloudDown" name="Kumo Down" stroke="none" fill="#e53935" fillOpacity={0.15} legendType="none" isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="ichiSpanA" name="Senkou A" stroke="#66bb6a" strokeWidth={1} dot={false} isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="ichiSpanB" name="Senkou B" stroke="#ef5350" strokeWidth={1} dot={false} isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="ichiTenkan" name="Tenkan" stroke="#2962ff" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="ichiKijun" name="Kijun" stroke="#b71c1c" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="ichiChikou" name="Chikou" stroke="#43a047" strokeWidth={1} strokeDasharray="2 2" dot={false} isAnimationActive={false} />
+            </>
+          )}
+
+          {/* === VWAP (Intraday เริ่มนับใหม่ทุกวัน, รายวันสะสมทั้งช่วง) === */}
+          {visible.vwap && <Line yAxisId="left" dataKey="vwap" name="VWAP" stroke="#ff9800" strokeWidth={2} strokeDasharray="6 3" dot={false} isAnimationActive={false} />}
 
-          {/* === EMA (Exponential Moving Average) - ค่าเฉลี่ยเคลื่อนที่แบบเลขชี้กำลัง === */}
-          {/* EMA ตอบสนองต่อราคาเร็วกว่า SMA เพราะให้น้ำหนักกับข้อมูลล่าสุดมากกว่า */}
-          {visible.ema && <Line yAxisId="left" dataKey="ema50" name="EMA 50" stroke="#ff6f00" strokeWidth={2.5} dot={false} isAnimationActive={false} />}   {/* ส้ม */}
-          {visible.ema && <Line yAxisId="left" dataKey="ema100" name="EMA 100" stroke="#00897b" strokeWidth={2.5} dot={false} isAnimationActive={false} />} {/* เขียวเข้ม */}
-          {visible.ema && <Line yAxisId="left" dataKey="ema200" name="EMA 200" stroke="#7b1fa2" strokeWidth={2.5} dot={false} isAnimationActive={false} />} {/* ม่วง */}
+          {/* === Supertrend (เขียว = ขาขึ้น เส้นอยู่ใต้ราคา, แดง = ขาลง เส้นอยู่เหนือราคา) === */}
+          {visible.supertrend && (
+            <>
+              <Line yAxisId="left" dataKey="stUp" name="Supertrend ↑" stroke="#00c853" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line yAxisId="left" dataKey="stDown" name="Supertrend ↓" stroke="#ff1744" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </>
+          )}
 
           {/* === Peak High/Low Markers - จุดราคาสูงสุด/ต่ำสุดของแต่ละช่วงเวลา === */}
           {/* Weekly High/Low: จุดสูง/ต่ำของแต่ละสัปดาห์ */}
@@ -175,8 +242,30 @@ export default React.memo(function PriceChart({
             ))
           }
 
-          {/* === เส้นราคาปิด (Price Line) === */}
-          <Line yAxisId="left" dataKey="close" name="Close Price" stroke="#cececeff" strokeWidth={3} dot={false} isAnimationActive={false} />
+          {/* === Price Series ตามรูปแบบที่เลือก === */}
+          {/* Line: เส้นราคาปิด (ค่าเริ่มต้น) */}
+          {effectiveType === 'line' && (
+            <Line yAxisId="left" dataKey="close" name="Close Price" stroke="#cececeff" strokeWidth={3} dot={false} isAnimationActive={false} />
+          )}
+          {/* Area: เส้นราคาปิดพร้อมพื้นที่ไล่สี */}
+          {effectiveType === 'area' && (
+            <Area yAxisId="left" dataKey="close" name="Close Price" stroke="#90caf9" strokeWidth={2} fill="url(#priceAreaFill)" dot={false} isAnimationActive={false} />
+          )}
+          {/* Candlestick / Heikin-Ashi: Bar แบบ Range [low, high] + วาดรูปเอง */}
+          {(effectiveType === 'candle' || effectiveType === 'heikinAshi') && (
+            <Bar
+              yAxisId="left"
+              dataKey="candleRange"
+              name={effectiveType === 'heikinAshi' ? 'Heikin-Ashi' : 'Candles'}
+              fill="#26a69a"
+              shape={CandleShape}
+              isAnimationActive={false}
+            />
+          )}
+          {/* OHLC Bars: เส้นตั้ง high-low + ขีด open/close */}
+          {effectiveType === 'ohlc' && (
+            <Bar yAxisId="left" dataKey="candleRange" name="OHLC Bars" fill="#26a69a" shape={OhlcBarShape} isAnimationActive={false} />
+          )}
 
           {/* Tooltip และ Legend */}
           {commonTooltip(currency)}
@@ -296,7 +385,7 @@ export default React.memo(function PriceChart({
 
           {/* === SMA Cross Signals (สัญญาณ SMA ตัดกัน) === */}
           {/* เช่น SMA 50 ตัด SMA 200 = Golden/Death Cross */}
-          {visible.sma && smaSignals.map((s, i) => {
+          {visible.ma && smaSignals.map((s, i) => {
             const pt = data?.find(d => d.date === s.date);
             if (!pt) return null;
             const isGoldenPair = s.pair === '50/200';  // คู่ 50/200 สำคัญที่สุด
@@ -320,6 +409,32 @@ export default React.memo(function PriceChart({
             return <ReferenceDot key={`macd-strat-${i}-${s.date}`} yAxisId="left" x={s.date} y={pt.close} r={9} fill={fill} stroke="#fff" label={{ value: label, fill: '#fff', fontSize: 10, textAnchor: 'middle', dy: 4 }} />;
           })}
 
+          {/* === Custom Strategy Signals (กลยุทธ์ที่ผู้ใช้สร้าง) === */}
+          {/* รูปข้าวหลามตัด: ฟ้า = Buy (ป้ายใต้จุด), ส้ม = Sell (ป้ายเหนือจุด) */}
+          {visible.strategy && ruleSignals.map((s, i) => {
+            const hasPoint = data?.some(d => d.date === s.date);
+            if (!hasPoint) return null;
+            const isBuy = s.type === 'buy';
+            return (
+              <ReferenceDot
+                key={`rule-${i}-${s.date}`}
+                yAxisId="left"
+                x={s.date}
+                y={s.price}
+                r={8}
+                fill={isBuy ? '#2979ff' : '#ff9100'}
+                shape={({ cx, cy, fill }) => (
+                  <g>
+                    <polygon points={`${cx},${cy - 8} ${cx + 8},${cy} ${cx},${cy + 8} ${cx - 8},${cy}`} fill={fill} stroke="#ffffff" strokeWidth="1.5" />
+                    <text x={cx} y={cy} dy={isBuy ? 22 : -14} textAnchor="middle" fill={fill} fontSize={11} fontWeight="bold" style={{ textShadow: '0 0 3px #000' }}>
+                      {isBuy ? 'BUY' : 'SELL'}
+                    </text>
+                  </g>
+                )}
+              />
+            );
+          })}
+
           {/* === Overbought/Oversold Markers (จุดทะลุ Bollinger Bands) === */}
           {/* OB = Overbought (ราคาแพงเกินไป), OS = Oversold (ราคาถูกเกินไป) */}
           {visible.bb && obos.map((o, i) => (
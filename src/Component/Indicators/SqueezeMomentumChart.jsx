@@ -0,0 +1,95 @@
+import React, { useMemo } from 'react';
+import { ResponsiveContainer, ComposedChart, CartesianGrid, YAxis, ReferenceLine, Bar, Cell, Line } from 'recharts';
+import { chartMargin, renderCommonXAxis, commonTooltip } from './common.jsx';
+
+/**
+ * SqueezeMomentumChart - Squeeze Momentum (แบบ LazyBear)
+ * - แท่ง Momentum: บวก = เขียวสว่าง (เพิ่มขึ้น) / เขียวเข้ม (ลดลง), ลบ = แดงสว่าง (ลดลง) / แดงเข้ม (เพิ่มขึ้น)
+ * - จุดบนเส้น 0: ดำ = Squeeze On (BB อยู่ใน Keltner), เทา = Squeeze Off (เพิ่งคลาย), น้ำเงิน = ไม่มี Squeeze
+ * ใช้แถวเดียวกับกราฟราคา (ฟิลด์ sqzValue, sqzState) → แกน X ตรงกับกราฟราคาและ sync ผ่าน syncId ได้
+ */
+
+// สีตามสคริปต์ต้นฉบับ (lime / green / red / maroon)
+const BAR_COLORS = {
+  upRising: '#00e676',
+  upFalling: '#1b5e20',
+  downFalling: '#ff1744',
+  downRising: '#800000'
+};
+const DOT_COLORS = { 1: '#000000', '-1': '#9e9e9e', 0: '#2962ff' };
+
+// จุดสถานะ Squeeze บนเส้น 0 (ไม่วาดในช่วง Warm-up)
+const renderSqueezeDot = ({ cx, cy, payload, index }) => {
+  const state = payload?.sqzState;
+  if (state === null || state === undefined || !Number.isFinite(cx) || !Number.isFinite(cy)) {
+    return <g key={`sqz-dot-${index}`} />;
+  }
+  return <circle key={`sqz-dot-${index}`} cx={cx} cy={cy} r={3} fill={DOT_COLORS[state]} stroke="#616161" strokeWidth={0.5} />;
+};
+
+// React.memo ป้องกัน re-render ที่ไม่จำเป็น
+export default React.memo(function SqueezeMomentumChart({ data = [], syncId, height, wrapperClassName = '', currency = '' }) {
+  const wrapperClasses = ['chart-wrapper', wrapperClassName].filter(Boolean).join(' ');
+
+  // แถวสำหรับกราฟ: sqzZero = 0 ทุกแถวที่มีสถานะ → ใช้วาดจุดบนเส้น 0
+  const chartRows = useMemo(
+    () => (Array.isArray(data) ? data : []).map(row => ({ ...row, sqzZero: row.sqzState === null || row.sqzState === undefined ? null : 0 })),
+    [data]
+  );
+  const values = useMemo(() => chartRows.map(d => d.sqzValue).filter(v => Number.isFinite(v)), [chartRows]);
+
+  // แกน Y สมมาตรรอบ 0 (padding 15%)
+  const pad = values.length ? Math.max(...values.map(v => Math.abs(v))) * 1.15 || 1 : 1;
+
+  // สีแท่ง: เทียบกับแท่งก่อนหน้า (แท่งแรกที่มีค่าเทียบกับ 0 เหมือน nz() ของ Pine)
+  const barCells = useMemo(() => chartRows.map((row, idx) => {
+    const val = row.sqzValue ?? 0;
+    const prev = chartRows[idx - 1]?.sqzValue ?? 0;
+    const fill = val > 0
+      ? (val > prev ? BAR_COLORS.upRising : BAR_COLORS.upFalling)
+      : (val < prev ? BAR_COLORS.downFalling : BAR_COLORS.downRising);
+    return <Cell key={`sqz-bar-${idx}`} fill={fill} />;
+  }), [chartRows]);
+
+  if (!values.length) {
+    return <div className={wrapperClasses || 'chart-placeholder'} style={{ padding: 20 }}>No Squeeze Momentum data</div>;
+  }
+
+  return (
+    <div className={wrapperClasses}>
+      <h3>Squeeze Momentum</h3>
+      <ResponsiveContainer width="100%" minWidth={280} height={height || 300}>
+        <ComposedChart data={chartRows} margin={chartMargin} syncId={syncId}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+          {renderCommonXAxis()}
+          <YAxis
+            yAxisId="left"
+            tick={{ fill: 'var(--color-text-secondary)', fontSize: 11 }}
+            tickFormatter={v => (Number.isFinite(v) ? v.toFixed(2) : '')}
+            width={44}
+            domain={[-pad, pad]}
+          />
+          {commonTooltip(currency)}
+          <ReferenceLine yAxisId="left" y={0} stroke="var(--color-border)" strokeWidth={1.2} />
+
+          <Bar yAxisId="left" dataKey="sqzValue" name="Squeeze Momentum" barSize={8} isAnimationActive={false}>
+            {barCells}
+          </Bar>
+
+          {/* เส้นโปร่งใสที่ 0 ใช้วาดจุดสถานะ Squeeze */}
+          <Line
+            yAxisId="left"
+            dataKey="sqzZero"
+            name="Squeeze"
+            stroke="none"
+            dot={renderSqueezeDot}
+            activeDot={false}
+            legendType="none"
+            tooltipType="none"
+            isAnimationActive={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+});
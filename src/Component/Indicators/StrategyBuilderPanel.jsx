@@ -0,0 +1,290 @@
+/**
+ * =====================================================
+ * StrategyBuilderPanel.jsx - สร้างกลยุทธ์ซื้อ/ขายจากเงื่อนไขของ Indicators
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * Panel "🧩 Strategy" ในหน้า Indicators ให้ผู้ใช้:
+ * - ประกอบเงื่อนไขซื้อ (Entry) / ขาย (Exit) จาก Series ใน RULE_SERIES, ตัวเปรียบเทียบ และ AND/OR (ซ้อนกลุ่มได้)
+ * - แก้ไขเป็น JSON ได้โดยตรง (รูปแบบดู shared/strategyRules.js)
+ * - บันทึกด้วยชื่อใน localStorage และคัดลอกลิงก์ (?strategy=) ไปแชร์
+ * - เปิด/ปิดการแสดงจุดซื้อ/ขายบนกราฟราคา
+ *
+ * ทุกการแก้ไขตรวจด้วย parseStrategy ก่อน → ผ่านแล้วจึงส่งออกทาง onApply (กราฟแสดงกลยุทธ์ล่าสุดที่ถูกต้องเสมอ)
+ *
+ * **Props:**
+ * @param {Object} strategy - กลยุทธ์ที่ใช้อยู่ (ผลลัพธ์จาก parseStrategy)
+ * @param {Function} onApply - (strategy) => void
+ * @param {boolean} visible - แสดงจุดซื้อ/ขายบนกราฟอยู่หรือไม่
+ * @param {Function} onToggleVisible - สลับการแสดงบนกราฟ
+ * @param {Array} signals - จุดซื้อ/ขายบนแท่งที่โหลดไว้ (ใช้แสดงจำนวน)
+ * @param {number} barCount - จำนวนแท่งที่โหลดไว้ (0 = ยังไม่ได้โหลด)
+ * @param {string} [notice] - ข้อความจากการเปิดลิงก์ที่ใช้ไม่ได้
+ */
+
+import React, { useState } from 'react';
+import {
+  RULE_SERIES, RULE_OPERATORS, MAX_GROUP_DEPTH, EXAMPLE_STRATEGY, parseStrategy, strategyWarmup
+} from '../../../shared/strategyRules';
+import {
+  loadSavedStrategies, saveSavedStrategies, upsertSavedStrategy, removeSavedStrategy, getStrategyShareUrl
+} from '../../utils/savedStrategies';
+
+const NUMBER_OPERAND = 'value';
+const SERIES_IDS = Object.keys(RULE_SERIES);
+const isGroup = (node) => 'conditions' in node;
+
+// เงื่อนไขใหม่: ราคาปิดอยู่เหนือ SMA 50
+const createCondition = () => ({ left: { series: 'close' }, op: '>', right: { series: 'sma', params: { period: 50 } } });
+const createGroup = () => ({ logic: 'and', conditions: [createCondition()] });
+
+const defaultParams = (id) => Object.fromEntries(RULE_SERIES[id].params.map(param => [param.name, param.default]));
+
+/**
+ * OperandEditor - เลือก Series (+ พารามิเตอร์) หรือค่าคงที่
+ * ค่าที่พิมพ์เก็บเป็นข้อความใน Draft แล้วให้ parseStrategy แปลง/ตรวจขอบเขต
+ */
+function OperandEditor({ operand, onChange, label }) {
+  const kind = NUMBER_OPERAND in operand ? NUMBER_OPERAND : operand.series;
+
+  const changeKind = (next) => onChange(next === NUMBER_OPERAND
+    ? { value: 0 }
+    : { series: next, params: defaultParams(next) });
+
+  return (
+    <span className="strategy-operand">
+      <select className="setting-select" aria-label={label} value={kind} onChange={(e) => changeKind(e.target.value)}>
+        <option value={NUMBER_OPERAND}>Number</option>
+        {SERIES_IDS.map(id => <option key={id} value={id}>{RULE_SERIES[id].label}</option>)}
+      </select>
+      {kind === NUMBER_OPERAND ? (
+        <input
+          type="number"
+          className="setting-number strategy-value"
+          aria-label={`${label} value`}
+          value={operand.value}
+          onChange={(e) => onChange({ value: e.target.value })}
+        />
+      ) : RULE_SERIES[kind].params.map(param => (
+        <input
+          key={param.name}
+          type="number"
+          className="setting-number strategy-param"
+          aria-label={`${label} ${param.name}`}
+          title={param.name}
+          min={param.min}
+          max={param.max}
+          step={param.integer ? 1 : 0.1}
+          value={operand.params?.[param.name] ?? param.default}
+          onChange={(e) => onChange({ ...operand, params: { ...operand.params, [param.name]: e.target.value } })}
+        />
+      ))}
+    </span>
+  );
+}
+
+function ConditionRow({ condition, onChange, onRemove }) {
+  return (
+    <div className="strategy-condition">
+      <OperandEditor label="ค่าซ้าย" operand={condition.left} onChange={(left) => onChange({ ...condition, left })} />
+      <select
+        className="setting-select"
+        aria-label="ตัวเปรียบเทียบ"
+        value={condition.op}
+        onChange={(e) => onChange({ ...condition, op: e.target.value })}
+      >
+        {Object.entries(RULE_OPERATORS).map(([op, { label }]) => <option key={op} value={op}>{label}</option>)}
+      </select>
+      <OperandEditor label="ค่าขวา" operand={condition.right} onChange={(right) => onChange({ ...condition, right })} />
+      <button type="button" className="setting-remove" onClick={onRemove} aria-label="ลบเงื่อนไข">✕</button>
+    </div>
+  );
+}
+
+/**
+ * GroupEditor - กลุ่มเงื่อนไขที่รวมด้วย AND/OR (เรียกตัวเองสำหรับกลุ่มย่อย)
+ */
+function GroupEditor({ group, depth, onChange, onRemove }) {
+  const updateNode = (index, node) => onChange({
+    ...group,
+    conditions: group.conditions.map((item, i) => (i === index ? node : item))
+  });
+  const removeNode = (index) => onChange({ ...group, conditions: group.conditions.filter((_, i) => i !== index) });
+  const addNode = (node) => onChange({ ...group, conditions: [...group.conditions, node] });
+
+  return (
+    <div className="strategy-group">
+      <div className="strategy-group-header">
+        <select
+          className="setting-select"
+          aria-label="การรวมเงื่อนไข"
+          value={group.logic}
+          onChange={(e) => onChange({ ...group, logic: e.target.value })}
+        >
+          <option value="and">ALL of (AND)</option>
+          <option value="or">ANY of (OR)</option>
+        </select>
+        {onRemove && <button type="button" className="setting-remove" onClick={onRemove} aria-label="ลบกลุ่ม">✕</button>}
+      </div>
+
+      {group.conditions.map((node, index) => (isGroup(node) ? (
+        <GroupEditor
+          key={index}
+          group={node}
+          depth={depth + 1}
+          onChange={(next) => updateNode(index, next)}
+          onRemove={() => removeNode(index)}
+        />
+      ) : (
+        <ConditionRow
+          key={index}
+          condition={node}
+          onChange={(next) => updateNode(index, next)}
+          onRemove={() => removeNode(index)}
+        />
+      )))}
+      {group.conditions.length === 0 && <div className="setting-hint">ยังไม่มีเงื่อนไข</div>}
+
+      <div className="strategy-group-actions">
+        <button type="button" className="setting-add" onClick={() => addNode(createCondition())}>+ Condition</button>
+        {depth < MAX_GROUP_DEPTH && (
+          <button type="button" className="setting-add" onClick={() => addNode(createGroup())}>+ Group</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(function StrategyBuilderPanel({
+  strategy, onApply, visible, onToggleVisible, signals = [], barCount = 0, notice = ''
+}) {
+  const [draft, setDraft] = useState(strategy);       // ค่าที่กำลังแก้ (อาจยังไม่ผ่าน parseStrategy)
+  const [error, setError] = useState(notice);
+  const [jsonText, setJsonText] = useState(null);     // null = แสดง JSON ของ Draft
+  const [saved, setSaved] = useState(loadSavedStrategies);
+  const [copied, setCopied] = useState(false);
+
+  // แก้ Draft แล้วส่งออกเมื่อผ่านการตรวจ (ไม่ผ่าน → แสดง Error, กราฟยังใช้กลยุทธ์เดิม)
+  const commitDraft = (next) => {
+    setDraft(next);
+    setJsonText(null);
+    setCopied(false);
+    try {
+      onApply(parseStrategy(next));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applyJson = () => {
+    try {
+      const parsed = parseStrategy(jsonText ?? '');
+      setDraft(parsed);
+      setJsonText(null);
+      setError('');
+      onApply(parsed);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateSaved = (list) => {
+    setSaved(list);
+    saveSavedStrategies(list);
+  };
+
+  const loadSaved = (name) => {
+    const found = saved.find(item => item.name === name);
+    if (found) commitDraft(found);
+  };
+
+  const copyLink = async () => {
+    const url = getStrategyShareUrl(strategy);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      window.prompt('คัดลอกลิงก์นี้', url);
+    }
+  };
+
+  const buyCount = signals.filter(s => s.type === 'buy').length;
+  const sellCount = signals.length - buyCount;
+  const warmup = strategyWarmup(strategy);
+  const isSaved = saved.some(item => item.name === strategy.name);
+
+  return (
+    <>
+      <div className="panel-section">
+        <div className="section-title">🧩 Strategy</div>
+        <div className="strategy-toolbar">
+          <input
+            type="text"
+            className="setting-number strategy-name"
+            aria-label="ชื่อกลยุทธ์"
+            maxLength={60}
+            value={draft.name}
+            onChange={(e) => commitDraft({ ...draft, name: e.target.value })}
+          />
+          <select className="setting-select" aria-label="กลยุทธ์ที่บันทึกไว้" value="" onChange={(e) => loadSaved(e.target.value)}>
+            <option value="">📂 Saved ({saved.length})</option>
+            {saved.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+          <button type="button" className="setting-add" disabled={Boolean(error)} onClick={() => updateSaved(upsertSavedStrategy(saved, strategy))}>
+            💾 Save
+          </button>
+          <button type="button" className="setting-remove" disabled={!isSaved} onClick={() => updateSaved(removeSavedStrategy(saved, strategy.name))}>
+            🗑 Delete
+          </button>
+          <button type="button" className="setting-add" disabled={Boolean(error)} onClick={copyLink}>
+            {copied ? '✅ Copied' : '🔗 Copy link'}
+          </button>
+        </div>
+
+        <div className="toggles-grid strategy-status">
+          <div className={`toggle-card ${visible ? 'active' : ''}`} onClick={onToggleVisible}>
+            <span className="toggle-label">Show signals on chart</span>
+            <div className="switch" />
+          </div>
+          {barCount > 0 && (
+            <span className="setting-hint">
+              Buy {buyCount} · Sell {sellCount} บน {barCount} แท่ง
+              {barCount <= warmup && ` (ต้องใช้อย่างน้อย ${warmup} แท่งก่อนเงื่อนไขจะมีค่าครบ)`}
+            </span>
+          )}
+        </div>
+        {error && <div className="strategy-error">⚠️ {error}</div>}
+      </div>
+
+      <div className="panel-section">
+        <div className="section-title">🟢 Entry (Buy)</div>
+        <GroupEditor group={draft.entry} depth={1} onChange={(entry) => commitDraft({ ...draft, entry })} />
+      </div>
+
+      <div className="panel-section">
+        <div className="section-title">🔴 Exit (Sell)</div>
+        <GroupEditor group={draft.exit} depth={1} onChange={(exit) => commitDraft({ ...draft, exit })} />
+        <div className="setting-hint">ไม่มีเงื่อนไขขาย = ถือจนจบช่วง</div>
+      </div>
+
+      <div className="panel-section">
+        <div className="section-title">{'{ }'} JSON</div>
+        <textarea
+          className="strategy-json"
+          aria-label="JSON ของกลยุทธ์"
+          spellCheck={false}
+          rows={8}
+          value={jsonText ?? JSON.stringify(draft, null, 2)}
+          onChange={(e) => setJsonText(e.target.value)}
+        />
+        <div className="strategy-group-actions">
+          <button type="button" className="setting-add" disabled={jsonText === null} onClick={applyJson}>Apply JSON</button>
+          <button type="button" className="setting-reset" onClick={() => commitDraft(EXAMPLE_STRATEGY)}>
+            ↺ Example
+          </button>
+        </div>
+      </div>
+    </>
+  );
+});
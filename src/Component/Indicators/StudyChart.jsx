@@ -0,0 +1,95 @@
+/**
+ * =====================================================
+ * StudyChart.jsx - กราฟย่อยของ Study แบบเส้น (Stochastic, ADX/DMI, ATR, OBV)
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * ใช้แถวเดียวกับกราฟราคา (ตัดตาม Zoom Window เดียวกัน) → แกน X ตรงกันทุกแท่ง
+ * และส่ง syncId เดียวกัน → Tooltip/เส้นชี้เลื่อนไปพร้อมกราฟราคาและ Volume
+ *
+ * **Props:**
+ * @param {string} title - หัวกราฟ
+ * @param {Array} data - แถวของกราฟราคา (มีฟิลด์ของ Study อยู่แล้ว)
+ * @param {Array} lines - [{ key, name, color, width?, dashed? }]
+ * @param {Array} referenceLines - เส้นระดับคงที่ [{ y, color, label? }] (เช่น 20/80 ของ Stochastic)
+ * @param {Array} domain - ขอบเขตแกน Y (ค่าเริ่มต้น auto)
+ * @param {Function} tickFormatter - จัดรูปแบบตัวเลขบนแกน Y
+ * @param {string} note - ข้อความแจ้งเหนือกราฟ (เช่น คำนวณจากราคาปิดแทน High/Low)
+ * @param {string} syncId - ID สำหรับ sync กับกราฟอื่น
+ */
+
+import React, { useMemo } from 'react';
+import { ResponsiveContainer, ComposedChart, Line, ReferenceLine, YAxis, CartesianGrid, Legend } from 'recharts';
+import { chartMargin, renderCommonXAxis, commonTooltip, formatPriceTick } from './common.jsx';
+
+export default React.memo(function StudyChart({
+  title,
+  data = [],
+  lines = [],
+  referenceLines = [],
+  domain = ['auto', 'auto'],
+  tickFormatter = formatPriceTick,
+  note,
+  syncId,
+  height,
+  wrapperClassName = '',
+  currency = ''
+}) {
+  const wrapperClasses = ['chart-wrapper', wrapperClassName].filter(Boolean).join(' ');
+  // ยังไม่มีค่าเลยในช่วงที่แสดง (เช่น ช่วง Warm-up หรือไม่มี Volume สำหรับ OBV)
+  const hasValues = useMemo(
+    () => (data || []).some(row => lines.some(line => Number.isFinite(row[line.key]))),
+    [data, lines]
+  );
+
+  if (!data || !Array.isArray(data) || data.length === 0 || !hasValues) {
+    return <div className={wrapperClasses || 'chart-placeholder'} style={{ padding: 20 }}>No {title} data</div>;
+  }
+
+  return (
+    <div className={wrapperClasses}>
+      <h3>{title}</h3>
+      {note && <div className="chart-info">{note}</div>}
+      <ResponsiveContainer width="100%" minWidth={280} height={height || 260}>
+        <ComposedChart data={data} margin={chartMargin} syncId={syncId}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+          {renderCommonXAxis()}
+          <YAxis
+            yAxisId="left"
+            domain={domain}
+            tick={{ fill: 'var(--color-text-secondary)', fontSize: 11 }}
+            tickFormatter={tickFormatter}
+            width={60}
+          />
+          {commonTooltip(currency)}
+          <Legend />
+
+          {referenceLines.map(ref => (
+            <ReferenceLine
+              key={`ref-${ref.y}`}
+              yAxisId="left"
+              y={ref.y}
+              stroke={ref.color || 'var(--color-border)'}
+              strokeDasharray="4 4"
+              label={ref.label ? { value: ref.label, position: 'insideRight', fill: ref.color, fontSize: 10 } : undefined}
+            />
+          ))}
+
+          {lines.map(line => (
+            <Line
+              key={line.key}
+              yAxisId="left"
+              dataKey={line.key}
+              name={line.name}
+              stroke={line.color}
+              strokeWidth={line.width || 1.8}
+              strokeDasharray={line.dashed ? '4 2' : undefined}
+              dot={false}
+              isAnimationActive={false}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+});
@@ -10,7 +10,7 @@
  * **ฟังก์ชัน/Components ที่มี:**
  * 1. chartMargin - กำหนด margin เริ่มต้นของกราฟ
  * 2. renderCommonXAxis - สร้าง X-Axis พร้อมการตั้งค่ามาตรฐาน (วันที่เอียง)
- * 3. commonTooltip - Tooltip ที่รองรับสกุลเงิน (THB, USD) และจัดรูปแบบอัตโนมัติ
+ * 3. commonTooltip - Tooltip ที่รองรับสกุลเงิน (THB, USD) และจัดรูปแบบอัตโนมัติ (รวมถึง O/H/L/C ของแท่งเทียน)
  * 4. formatPriceTick - จัดรูปแบบตัวเลขสำหรับ Y-Axis (ทศนิยมแบบอัจฉริยะ)
  * 5. getPaddedDomain - คำนวณ min/max พร้อม padding เพื่อไม่ให้กราฟชนขอบ
  */
@@ -39,8 +39,14 @@ export const commonTooltip = (currency) => (
       border: '1px solid var(--color-border)'
     }}
     labelStyle={{ color: 'var(--color-accent)', fontWeight: 'bold' }}
-    formatter={(value, name) => {
+    formatter={(value, name, item) => {
       const seriesName = name || '';
+      // แท่งเทียน/แท่ง OHLC: value เป็น [low, high] → แสดง O/H/L/C จาก payload.candle แทน
+      const candle = item?.payload?.candle;
+      if (Array.isArray(value) && candle) {
+        const fmt = (v) => formatPriceTick(v);
+        return [`O ${fmt(candle.open)}  H ${fmt(candle.high)}  L ${fmt(candle.low)}  C ${fmt(candle.close)}`, seriesName];
+      }
       const isNumber = typeof value === 'number' && Number.isFinite(value);
       const lower = seriesName.toLowerCase();
       const excludeKeywords = ['sma', 'ema', 'rsi', 'macd', 'histogram', 'volume', 'bb', 'bollinger', 'smoothing', 'signal'];
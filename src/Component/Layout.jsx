@@ -11,6 +11,7 @@
  * ```
  * Layout
  * ├── Hamburger Button (Toggle Sidebar)
+ * ├── CurrencySelector (สกุลเงินที่ใช้แสดงราคา ทุกหน้า)
  * ├── Sidebar (Navigation Menu)
  * └── Main Content (children)
  * ```
@@ -21,6 +22,7 @@
 
 import React, { useState } from 'react';
 import Sidebar from './Sidebar';
+import CurrencySelector from './CurrencySelector';
 import '../css/Layout.css'; // นำเข้า CSS สำหรับ Layout
 
 // Layout หลักของแอป มีปุ่ม toggle และ overlay สำหรับปิด sidebar
@@ -44,6 +46,8 @@ function Layout({ children }) {
         <span className="hamburger-bar"></span>
         <span className="hamburger-bar"></span>
       </button>
+      {/* สกุลเงินที่ใช้แสดงราคา (ค่าจาก DisplayCurrencyProvider) */}
+      <CurrencySelector />
       {/* Sidebar รับ prop isOpen และ onClose */}
       <Sidebar isOpen={isSidebarOpen} onClose={toggleSidebar} />
 
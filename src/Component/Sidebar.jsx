@@ -28,6 +28,8 @@ const menuItems = [
   { path: '/about', label: 'คำนวนกำไรขาดทุน', icon: '💵' },
   { path: '/return-calculator', label: 'คำนวนปันผลย้อนหลัง', icon: '💰' },
   { path: '/indicator', label: 'Indicator', icon: '📊' },
+  { path: '/backtest', label: 'Backtest', icon: '🧪' },
+  { path: '/portfolio', label: 'พอร์ตของฉัน', icon: '💼' },
 ];
 
 function Sidebar({ isOpen, onClose }) {
@@ -1,33 +1,39 @@
 // src/components/StockTable.jsx
 import React from 'react';
 
-// improved currency heuristic
-const getCurrencyForTicker = (sym) => {
-  if (!sym) return '';
-  const s = sym.trim().toUpperCase();
-  if (s.endsWith('.BK')) return 'THB';
-  // Treat 4-letter tickers as US (AAPL, MSFT, etc.)
-  if (s.length === 4 && /^[A-Z0-9]{4}$/.test(s)) return 'USD';
-  // Short tickers (<=3) usually Thai in your app (PTT, SCC, KBANK)
-  if (s.length <= 3 && /^[A-Z0-9]{1,3}$/.test(s)) return 'THB';
-  // fallback
-  return 'USD';
+const currencyLabel = (code) => (code === 'THB' ? 'บาท' : (code || 'USD'));
+
+// คำอธิบายอัตราที่ใช้แปลง (fxApproximate = วันนั้นอยู่ก่อนอัตรารายวันแรก → ใช้อัตราของ fxDate แทน)
+const fxTitle = (row) => {
+  if (!row.fxRate) return undefined;
+  if (row.fxApproximate) return `ประมาณ: ใช้อัตราแรกที่มี @ ${row.fxRate} (${row.fxDate})`;
+  return `@ ${row.fxRate}${row.fxDate ? ` (${row.fxDate})` : ''}`;
 };
 
-const StockTable = ({ data, currency }) => (
+// originalCurrency: ส่งมาเมื่อราคาถูกแปลงเป็นสกุลเงินที่เลือก → แสดงราคาเดิมอีกคอลัมน์
+const StockTable = ({ data, currency, originalCurrency }) => (
   <div className="table-container">
+    {data.some(row => row.fxApproximate) && (
+      <p className="stock-table-note">≈ ราคาประมาณ: วันที่อยู่ก่อนอัตราแลกเปลี่ยนรายวันแรก แปลงด้วยอัตราแรกที่มี</p>
+    )}
     <table className="stock-table">
       <thead>
         <tr>
           <th>วันที่</th>
-          <th>ราคาปิด ({currency === 'THB' ? 'บาท' : (currency || 'USD')})</th>
+          <th>ราคาปิด ({currencyLabel(currency)})</th>
+          {originalCurrency && <th>ราคาเดิม ({currencyLabel(originalCurrency)})</th>}
         </tr>
       </thead>
       <tbody>
         {data.map(row => (
           <tr key={row.date}>
             <td>{row.displayDate || row.date}</td>
-            <td>{typeof row.close === 'number' ? row.close.toFixed(2) : '-'}</td>
+            <td title={fxTitle(row)}>
+              {typeof row.close === 'number' ? `${row.fxApproximate ? '≈ ' : ''}${row.close.toFixed(2)}` : '-'}
+            </td>
+            {originalCurrency && (
+              <td>{typeof row.originalClose === 'number' ? row.originalClose.toFixed(2) : '-'}</td>
+            )}
           </tr>
         ))}
       </tbody>
@@ -35,4 +41,4 @@ const StockTable = ({ data, currency }) => (
   </div>
 );
 
-export default StockTable;
\ No newline at end of file
+export default StockTable;
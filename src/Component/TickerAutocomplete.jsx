@@ -0,0 +1,157 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import '../css/TickerAutocomplete.css';
+import { apiFetch } from '../utils/api';
+
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_LIMIT = 8;
+
+// ผลค้นหาที่เคยดึงแล้ว (ใช้ร่วมทุกหน้า) → พิมพ์ลบแล้วพิมพ์ใหม่ไม่ต้องยิง API ซ้ำ
+const searchCache = new Map();
+
+async function fetchSuggestions(query) {
+  const key = query.toUpperCase();
+  if (searchCache.has(key)) return searchCache.get(key);
+  const params = new URLSearchParams({ q: query, limit: String(SEARCH_LIMIT) });
+  const response = await apiFetch(`/api/search?${params.toString()}`);
+  const results = response?.results || [];
+  searchCache.set(key, results);
+  return results;
+}
+
+/**
+ * TickerAutocomplete - ช่องกรอกชื่อหุ้นพร้อมรายการแนะนำจาก /api/search
+ * ใช้แทนช่องกรอกชื่อหุ้นเดิมใน HomePage, CalculatorPage และ IndicatorsPage
+ * @param {Object} props
+ * @param {string} props.value - ข้อความในช่อง (Controlled)
+ * @param {Function} props.onChange - (text) => void เมื่อพิมพ์
+ * @param {Function} [props.onSelect] - (entry) => void เมื่อเลือกรายการ { symbol, name, exchange, currency, type }
+ * @param {string} [props.className] - class ของ <input> (ใช้สไตล์เดิมของแต่ละหน้า)
+ */
+function TickerAutocomplete({ value, onChange, onSelect, className = '', placeholder, id, required = false }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const skipNextSearch = useRef(false); // ไม่ค้นซ้ำหลังเลือกรายการ (value เปลี่ยนเป็น Symbol ที่เลือก)
+  const listId = useId();
+
+  useEffect(() => {
+    if (skipNextSearch.current) {
+      skipNextSearch.current = false;
+      return undefined;
+    }
+    const query = value.trim();
+    if (!query) {
+      setSuggestions([]);
+      setOpen(false);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const results = await fetchSuggestions(query);
+        if (cancelled) return;
+        setSuggestions(results);
+        setActiveIndex(-1);
+        setOpen(true);
+      } catch {
+        // ค้นไม่ได้ก็ยังพิมพ์ Symbol เองได้ตามเดิม
+        if (!cancelled) setSuggestions([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    // ยกเลิกระหว่างค้น (พิมพ์ต่อ/ล้างช่อง) → ปิด Spinner ด้วย ไม่งั้นค้างถ้ารอบถัดไปไม่ได้ค้น
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setLoading(false);
+    };
+  }, [value]);
+
+  const selectSuggestion = (entry) => {
+    skipNextSearch.current = true;
+    onChange(entry.symbol);
+    onSelect?.(entry);
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      // Enter บนรายการ = เลือก (ไม่ Submit ฟอร์ม), Enter เฉยๆ = Submit ตามเดิม
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showList = open && value.trim() !== '';
+
+  return (
+    <div className="ticker-autocomplete">
+      <input
+        type="text"
+        id={id}
+        className={className}
+        value={value}
+        placeholder={placeholder}
+        required={required}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        onChange={e => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => suggestions.length > 0 && setOpen(true)}
+        onBlur={() => setOpen(false)}
+      />
+      {loading && <span className="ticker-autocomplete-spinner" aria-hidden="true" />}
+
+      {showList && (
+        <ul className="ticker-autocomplete-list" id={listId} role="listbox">
+          {suggestions.length === 0 && !loading && (
+            <li className="ticker-autocomplete-empty">ไม่พบในรายชื่อหุ้น — กดค้นหาด้วย Symbol นี้ได้เลย</li>
+          )}
+          {suggestions.map((entry, index) => (
+            <li
+              key={entry.symbol}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`ticker-autocomplete-option${index === activeIndex ? ' active' : ''}`}
+              // onMouseDown (ไม่ใช่ onClick) เพื่อให้เลือกได้ก่อน input blur ปิดรายการ
+              onMouseDown={e => {
+                e.preventDefault();
+                selectSuggestion(entry);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="ticker-autocomplete-symbol">{entry.symbol}</span>
+              <span className="ticker-autocomplete-name">{entry.name}</span>
+              <span className="ticker-autocomplete-meta">
+                {[entry.exchange, entry.currency].filter(Boolean).join(' · ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TickerAutocomplete;
@@ -0,0 +1,79 @@
+/**
+ * =====================================================
+ * useBacktest.js - ดึงแท่งราคา (รวม Warm-up) แล้วจำลองการเทรดด้วย shared/backtest.js
+ * =====================================================
+ *
+ * - ดึงแท่งรายวันย้อนไปก่อนวันเริ่มตามจำนวนแท่งที่ชุดสัญญาณต้องใช้ (เหมือน /api/indicators/:ticker)
+ *   → สัญญาณแรกในช่วงทดสอบคำนวณจากเส้นที่นิ่งแล้ว
+ * - ยกเลิก Request ก่อนหน้าเมื่อกดทดสอบซ้ำ (AbortController)
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+import { backtestWarmup, runBacktest } from '../../shared/backtest';
+
+// จำนวนวันตามปฏิทินต่อแท่งรายวัน (5 วันทำการ / 7 วัน) เท่ากับ INDICATOR_DAYS_PER_BAR['1d'] ของ Backend
+const DAYS_PER_BAR = 7 / 5;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * fetchBacktestBars - ดึงแท่งรายวันของช่วงทดสอบพร้อม Warm-up (ใช้ร่วมกับ useOptimizer)
+ * @param {object} options - { ticker, startDate, endDate, adjust, warmup (จำนวนแท่ง), signal (AbortSignal) }
+ * @returns {Promise<{ bars, startIndex, currency }>} - startIndex = แท่งแรกตั้งแต่ startDate
+ */
+export async function fetchBacktestBars({ ticker, startDate, endDate, adjust, warmup, signal }) {
+  const warmupDays = Math.ceil(warmup * DAYS_PER_BAR) + 10;
+  const loadFrom = new Date(new Date(startDate).getTime() - warmupDays * MS_PER_DAY).toISOString().split('T')[0];
+  const params = new URLSearchParams({ startDate: loadFrom, endDate, fields: 'ohlcv', adjust });
+  const response = await apiFetch(`/api/stock/history/${ticker}?${params.toString()}`, { signal });
+
+  const bars = (Array.isArray(response) ? response : (response.history || []))
+    .map(item => ({ ...item, date: new Date(item.date) }))
+    .sort((a, b) => a.date - b.date);
+  const startIndex = bars.findIndex(bar => bar.date >= new Date(startDate));
+  if (startIndex < 0) throw new Error('ไม่มีข้อมูลราคาในช่วงที่เลือก');
+
+  return {
+    bars,
+    startIndex,
+    currency: response.currency || (ticker.endsWith('.BK') ? 'THB' : 'USD')
+  };
+}
+
+/**
+ * useBacktest - State ของผลการทดสอบ + ฟังก์ชัน run
+ * @returns {{ result, loading, error, run }}
+ *   run({ ticker, startDate, endDate, adjust, sets, combine, initialCapital, commission, vat })
+ *   result = ผลจาก runBacktest + { ticker, currency }
+ */
+export function useBacktest() {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  const run = useCallback(async ({ ticker, startDate, endDate, adjust, sets, combine, initialCapital, commission, vat }) => {
+    if (abortRef.current) abortRef.current.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const { bars, startIndex, currency } = await fetchBacktestBars({
+        ticker, startDate, endDate, adjust, warmup: backtestWarmup(sets), signal: controller.signal
+      });
+      const backtest = runBacktest(bars, { sets, combine, startIndex, initialCapital, commission, vat });
+      setResult({ ...backtest, ticker, currency });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError(err?.message || 'เกิดข้อผิดพลาด');
+      setResult(null);
+    } finally {
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }, []);
+
+  return { result, loading, error, run };
+}
@@ -0,0 +1,247 @@
+/**
+ * =====================================================
+ * useIndicators.js - ดึงแท่งราคาแล้วคำนวณข้อมูลกราฟของหน้า Indicators
+ * =====================================================
+ *
+ * เดิม Pipeline ทั้งหมดอยู่ใน handleSubmit ของ IndicatorsPage.jsx
+ * (และสร้าง Map ของทุก Indicator ใหม่ในทุกแถว → O(n²))
+ * ตอนนี้ Hook นี้ทำหน้าที่แทน:
+ * - ยกเลิก Request ก่อนหน้าเมื่อกดวิเคราะห์ซ้ำ (AbortController)
+ * - คำนวณด้วย shared/indicators.js (สูตรเดียวกับ /api/indicators/:ticker) ใน workers/indicators.worker.js
+ *   แท่งส่งเข้าไปเป็น Float64Array และ Series กลับมาเป็น Float64Array (Transferable) → Main Thread แค่ประกอบแถวของกราฟ
+ * - Indicator บนกราฟราคาใช้ Series ที่เรียงตาม Index ของแท่ง → ไม่ต้องจับคู่ด้วยวันที่
+ * - Worker เก็บแท่งที่ดึงมาแล้วไว้ → เปลี่ยนพารามิเตอร์ (settings) แล้วคำนวณใหม่เฉพาะกลุ่มที่เปลี่ยน (utils/indicatorSeries.js)
+ *   โดยไม่ต้องดึงใหม่ ระหว่างรอผล กราฟแสดงค่าเดิมต่อไป
+ * - กลยุทธ์แบบกำหนดเงื่อนไขเอง (shared/strategyRules.js) คำนวณแยกจาก chartData → แก้เงื่อนไขแล้วไม่ต้องคำนวณกราฟใหม่ทั้งหมด
+ */
+
+import { useState, useRef, useCallback, useMemo, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { getMaLabel } from '../utils/indicatorSettings';
+import { packBars, valueAt } from '../utils/indicatorSeries';
+import { evaluateStrategy } from '../../shared/strategyRules';
+
+// จำนวนแท่งขั้นต่ำ (MACD 26 + Signal 9)
+const MIN_BARS = 35;
+
+/**
+ * formatBarLabel - แปลงเวลาของแท่งราคาเป็น Label บนแกน X
+ * @param {Date} date - เวลาของแท่ง
+ * @param {boolean} intraday - true = แสดงเวลา (ชม:นาที) ด้วย
+ * @returns {string} - เช่น '15 ม.ค. 2567' หรือ '15 ม.ค. 67 10:30'
+ *
+ * หมายเหตุ: Label นี้ใช้เป็น key จับคู่ข้อมูลข้ามกราฟ (signals, zones, peaks)
+ * ทุกจุดจึงต้องใช้ฟังก์ชันเดียวกันนี้
+ */
+const formatBarLabel = (date, intraday = false) => (intraday
+  ? date.toLocaleString('th-TH', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' })
+  : date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' }));
+
+/**
+ * assembleChartData - รวมผลของทุกกลุ่มจาก indicators.worker.js เป็นข้อมูลกราฟ
+ * @param {object} source - { bars, labels } ของหุ้นที่โหลดล่าสุด (labels = Label ของแต่ละแท่ง)
+ * @param {object} computed - { groups, settings } groups = { [groupKey]: output } ดู indicatorGroups ใน utils/indicatorSeries.js
+ * @returns {object} - { price, volume, maLines, hasHighLow, rsi, rsiDivergences, macd, fibonacci, goldenDeathSignals, goldenDeathZones, highLowPeaks }
+ *   แถวของ price มีค่าเส้นค่าเฉลี่ยในฟิลด์ maLines[i].key (เช่น ma_ma1)
+ *   และค่าของ Studies (atr, stochK/D, adx, plusDI, minusDI, obv, vwap, ichi*, stUp/stDown, sqzValue/sqzState) เรียงตาม Index เดียวกัน
+ *   hasHighLow = false → ATR/Stochastic/ADX/VWAP/Ichimoku/Supertrend คำนวณจากราคาปิดแทน High/Low
+ */
+export function assembleChartData({ bars, labels }, { groups, settings }) {
+  const base = groups.bars;
+  const rowSeries = Object.values(groups).flatMap(group => Object.entries(group.rows || {}));
+  const atLabel = ({ index, ...marker }) => ({ ...marker, date: labels[index] });
+
+  const price = bars.map((row, idx) => {
+    const point = {
+      date: labels[idx],
+      open: row.open ?? null,
+      high: row.high ?? null,
+      low: row.low ?? null,
+      close: row.close,
+      volume: row.volume || 0
+    };
+    for (const [field, values] of rowSeries) point[field] = valueAt(values, idx);
+    // เมฆ [ล่าง, บน] แยกสีตามเส้นที่อยู่ด้านบน (Span A บน = เมฆขาขึ้น)
+    const { ichiSpanA: spanA, ichiSpanB: spanB } = point;
+    const hasCloud = spanA != null && spanB != null;
+    point.ichiCloudUp = hasCloud && spanA >= spanB ? [spanB, spanA] : null;
+    point.ichiCloudDown = hasCloud && spanA < spanB ? [spanA, spanB] : null;
+    point.isUp = idx === 0 || row.close >= (bars[idx - 1]?.close || row.close);
+    return point;
+  });
+
+  // RSI / MACD เริ่มหลังช่วง Warm-up (แถวเฉพาะแท่งที่มีค่า)
+  const rsi = [];
+  const rsiSeries = groups.rsi.rsi;
+  const macd = [];
+  for (let idx = 0; idx < bars.length; idx++) {
+    const value = valueAt(rsiSeries.value, idx);
+    if (value !== null) {
+      rsi.push({
+        date: labels[idx],
+        value,
+        smoothing: valueAt(rsiSeries.smoothing, idx),
+        smoothingUpper: valueAt(rsiSeries.smoothingUpper, idx),
+        smoothingLower: valueAt(rsiSeries.smoothingLower, idx)
+      });
+    }
+    const histogram = valueAt(base.macdHistogram, idx);
+    if (histogram !== null) macd.push({ date: labels[idx], histogram });
+  }
+
+  return {
+    price,
+    volume: price,
+    maLines: settings.maLines.map(line => ({ key: `ma_${line.id}`, label: getMaLabel(line), color: line.color })),
+    hasHighLow: base.hasHighLow,
+    rsi,
+    rsiDivergences: groups.rsi.rsiDivergences.map(atLabel),
+    macd,
+    fibonacci: base.fibonacci,
+    goldenDeathSignals: base.goldenDeathSignals.map(atLabel),
+    goldenDeathZones: base.goldenDeathZones.map(zone => ({ ...zone, start: labels[zone.start], end: labels[zone.end] })),
+    highLowPeaks: base.highLowPeaks.map(atLabel)
+  };
+}
+
+/**
+ * buildStrategySignals - จุดซื้อ/ขายของกลยุทธ์บนแท่งที่โหลดไว้
+ * @param {Array} sorted - แท่งราคาเรียงตามเวลา
+ * @param {object} strategy - ผลลัพธ์จาก parseStrategy
+ * @param {boolean} intraday - ใช้จัดรูปแบบ Label ให้ตรงกับแถวของกราฟ
+ * @returns {Array<{ date, type: 'buy'|'sell', price }>}
+ */
+export function buildStrategySignals(sorted, strategy, intraday = false) {
+  const { signals } = evaluateStrategy(sorted, strategy);
+  return signals.flatMap((signal, idx) => (signal === null ? [] : [{
+    date: formatBarLabel(sorted[idx].date, intraday),
+    type: signal === 1 ? 'buy' : 'sell',
+    price: sorted[idx].close
+  }]));
+}
+
+/**
+ * useIndicators - State ของข้อมูลกราฟ + ฟังก์ชัน run สำหรับโหลดหุ้น
+ * @param {object} settings - พารามิเตอร์ของ Indicators (เปลี่ยนแล้ว Worker คำนวณใหม่เฉพาะกลุ่มที่เปลี่ยนจากแท่งเดิม)
+ * @param {object|null} [strategy] - กลยุทธ์ที่แสดงบนกราฟ (null = ไม่แสดง)
+ * @returns {{ chartData, strategySignals, loading, error, setError, run }}
+ *   run({ ticker, startDate, endDate, interval, adjust, intraday })
+ *   → Promise<{ currency, rangeClamped, adjust } | null> (null = ล้มเหลวหรือถูกยกเลิกโดย Request ใหม่)
+ *   loading = true ตั้งแต่เริ่มดึงจนผลคำนวณชุดแรกของหุ้นนั้นกลับมา
+ */
+export function useIndicators(settings, strategy = null) {
+  const [source, setSource] = useState(null); // { generation, bars, labels, intraday } ของหุ้นที่โหลดล่าสุด
+  const [computed, setComputed] = useState(null); // { generation, groups, settings } ผลล่าสุดจาก Worker
+  const [fetching, setFetching] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+  const workerRef = useRef(null);
+  // generation = ลำดับการโหลดแท่ง (ผลของแท่งชุดเก่าถูกทิ้ง), busy/pending = ส่งงานทีละชุด งานที่รอเก็บแค่ settings ล่าสุด
+  const jobRef = useRef({ generation: 0, busy: false, pending: null, groups: {} });
+
+  const flush = useCallback(() => {
+    const job = jobRef.current;
+    if (job.busy || !job.pending || !workerRef.current) return;
+    workerRef.current.postMessage({ type: 'compute', generation: job.generation, settings: job.pending });
+    job.pending = null;
+    job.busy = true;
+  }, []);
+
+  useEffect(() => {
+    const job = jobRef.current;
+    const worker = new Worker(new URL('../workers/indicators.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      job.busy = false;
+      if (data.generation === job.generation) {
+        if (data.type === 'error') {
+          setError(data.message);
+        } else {
+          // กลุ่มที่ไม่เปลี่ยนใช้ผลเดิม, กลุ่มที่ไม่อยู่ใน settings แล้ว (เช่น ลบเส้นค่าเฉลี่ย) ถูกทิ้ง
+          job.groups = Object.fromEntries(data.keys.map(key => [key, data.changed[key] || job.groups[key]]));
+          setComputed({ generation: data.generation, groups: job.groups, settings: data.settings });
+        }
+      }
+      flush();
+    };
+    worker.onerror = (event) => {
+      job.busy = false;
+      setError(event.message || 'Indicator calculation failed.');
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      job.busy = false;
+    };
+  }, [flush]);
+
+  // แท่งใหม่หรือ settings เปลี่ยน → ส่งคำนวณ (ถ้า Worker ยังไม่ว่าง รอส่ง settings ล่าสุดเมื่อผลก่อนหน้ากลับมา)
+  useEffect(() => {
+    if (!source) return;
+    jobRef.current.pending = settings;
+    flush();
+  }, [source, settings, flush]);
+
+  const chartData = useMemo(
+    () => (source && computed?.generation === source.generation ? assembleChartData(source, computed) : {}),
+    [source, computed]
+  );
+
+  const strategySignals = useMemo(
+    () => (source && strategy ? buildStrategySignals(source.bars, strategy, source.intraday) : []),
+    [source, strategy]
+  );
+
+  const run = useCallback(async ({ ticker, startDate, endDate, interval, adjust, intraday }) => {
+    if (abortRef.current) abortRef.current.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setFetching(true);
+    setError('');
+
+    try {
+      // fields=ohlcv → ได้ open/high/low มาด้วย (ใช้กับ Divergence และ High/Low Peaks)
+      const params = new URLSearchParams({ startDate, endDate, fields: 'ohlcv', interval, adjust });
+      const response = await apiFetch(`/api/stock/history/${ticker}?${params.toString()}`, { signal: controller.signal });
+
+      // รองรับ Backend รุ่นเก่าที่ตอบเป็น Array
+      const rawHistory = Array.isArray(response) ? response : (response.history || []);
+      const sorted = rawHistory
+        .map(item => ({ ...item, date: new Date(item.date) }))
+        .sort((a, b) => a.date - b.date);
+
+      if (sorted.length < MIN_BARS) {
+        throw new Error(`ข้อมูลย้อนหลังต้องอย่างน้อย ${MIN_BARS} แท่ง`);
+      }
+
+      const job = jobRef.current;
+      job.generation += 1;
+      job.groups = {};
+      const { bars, transfer } = packBars(sorted);
+      workerRef.current?.postMessage({ type: 'load', generation: job.generation, bars, intraday }, transfer);
+      setSource({
+        generation: job.generation,
+        bars: sorted,
+        labels: sorted.map(row => formatBarLabel(row.date, intraday)),
+        intraday
+      });
+      return {
+        currency: response.currency || (ticker.endsWith('.BK') ? 'THB' : 'USD'),
+        rangeClamped: Boolean(response.rangeClamped),
+        adjust: response.adjust || null
+      };
+    } catch (err) {
+      // ถูกยกเลิกโดย Request ใหม่ → ไม่ต้องแสดง Error/ล้างกราฟ
+      if (controller.signal.aborted) return null;
+      setError(err?.message || 'เกิดข้อผิดพลาด');
+      setSource(null);
+      return null;
+    } finally {
+      if (abortRef.current === controller) setFetching(false);
+    }
+  }, []);
+
+  const computing = Boolean(source) && computed?.generation !== source.generation && !error;
+  return { chartData, strategySignals, loading: fetching || computing, error, setError, run };
+}
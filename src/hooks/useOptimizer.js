@@ -0,0 +1,92 @@
+/**
+ * =====================================================
+ * useOptimizer.js - ดึงแท่งราคาแล้วส่ง Walk-forward Optimization ไปรันใน Web Worker
+ * =====================================================
+ *
+ * - Warm-up คิดจากค่าสูงสุดของทุกช่วงพารามิเตอร์ (เส้นยาวสุดที่จะทดสอบต้องมีค่าตั้งแต่วันเริ่ม)
+ * - รันใหม่/ยกเลิก/ออกจากหน้า → ยกเลิก Request และปิด Worker เดิมทันที
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { backtestWarmup } from '../../shared/backtest';
+import { fetchBacktestBars } from './useBacktest';
+
+/**
+ * useOptimizer - State ของผล Optimize + ฟังก์ชัน run / cancel
+ * @returns {{ result, progress, loading, error, run, cancel }}
+ *   run({ ticker, startDate, endDate, adjust, setId, method, ranges, fixed, samples, seed,
+ *         inSample, outSample, objective, initialCapital, commission, vat })
+ *   result = ผลจาก runWalkForward + { ticker, currency, setId, objective, combos }
+ *   progress = { done, total } (จำนวนหน้าต่าง Walk-forward ที่เสร็จแล้ว)
+ */
+export function useOptimizer() {
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const jobRef = useRef(null); // { controller, worker } ของงานล่าสุด
+
+  const stopJob = useCallback(() => {
+    if (!jobRef.current) return;
+    jobRef.current.controller.abort();
+    jobRef.current.worker?.terminate();
+    jobRef.current = null;
+  }, []);
+
+  const cancel = useCallback(() => {
+    stopJob();
+    setLoading(false);
+    setProgress(null);
+  }, [stopJob]);
+
+  // ออกจากหน้า → ปิด Worker ที่ค้างอยู่
+  useEffect(() => stopJob, [stopJob]);
+
+  const run = useCallback(async ({ ticker, startDate, endDate, adjust, ...options }) => {
+    stopJob();
+    const job = { controller: new AbortController(), worker: null };
+    jobRef.current = job;
+
+    setLoading(true);
+    setError('');
+    setProgress(null);
+
+    try {
+      const maxParams = { ...options.fixed };
+      for (const [name, range] of Object.entries(options.ranges)) maxParams[name] = range.max;
+      const { bars, startIndex, currency } = await fetchBacktestBars({
+        ticker, startDate, endDate, adjust,
+        warmup: backtestWarmup([{ id: options.setId, params: maxParams }]),
+        signal: job.controller.signal
+      });
+      if (jobRef.current !== job) return;
+
+      const message = await new Promise((resolve, reject) => {
+        job.worker = new Worker(new URL('../workers/optimizer.worker.js', import.meta.url), { type: 'module' });
+        job.worker.onmessage = ({ data }) => {
+          if (data.type === 'progress') setProgress({ done: data.done, total: data.total });
+          else resolve(data);
+        };
+        job.worker.onerror = (event) => reject(new Error(event.message || 'Optimization worker failed.'));
+        job.worker.postMessage({ ...options, bars, startIndex });
+      });
+      if (jobRef.current !== job) return;
+      if (message.type === 'error') throw new Error(message.message);
+
+      setResult({ ...message.result, ticker, currency, setId: options.setId, objective: options.objective, combos: message.combos });
+    } catch (err) {
+      if (jobRef.current !== job) return;
+      setError(err?.message || 'เกิดข้อผิดพลาด');
+      setResult(null);
+    } finally {
+      if (jobRef.current === job) {
+        job.worker?.terminate();
+        jobRef.current = null;
+        setLoading(false);
+        setProgress(null);
+      }
+    }
+  }, [stopJob]);
+
+  return { result, progress, loading, error, run, cancel };
+}
@@ -0,0 +1,117 @@
+/**
+ * =====================================================
+ * usePortfolioMarket.js - ราคาล่าสุดและอัตราแลกเปลี่ยนของหุ้นในพอร์ต
+ * =====================================================
+ *
+ * - ราคาจาก /api/stock/quotes (ครั้งละไม่เกิน QUOTE_BATCH_SIZE ตัว)
+ * - อัตรา → THB ปัจจุบันจาก /api/forex/:from/:to, อัตราย้อนหลังของวันทำรายการจาก /api/forex/history
+ *   (ใช้ Cache ร่วมกับ utils/displayCurrency.js)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+import { fetchFxRate, fetchFxHistory, findRateForDate } from '../utils/displayCurrency';
+import { BASE_CURRENCY } from '../../shared/portfolio';
+
+// เท่ากับ BATCH_QUOTE_MAX_SYMBOLS ของ Backend
+const QUOTE_BATCH_SIZE = 25;
+// ถอยหลังเผื่อวันหยุดยาว → วันที่ไม่มีอัตราใช้อัตราวันทำการก่อนหน้า
+const FX_LOOKBACK_DAYS = 10;
+
+const shiftDate = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * fetchQuotes - ราคาล่าสุดของหลายหุ้น
+ * @param {string[]} tickers
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ prices: Object<string, number>, failed: string[] }>}
+ */
+export async function fetchQuotes(tickers, signal) {
+  const prices = {};
+  const failed = [];
+  for (let i = 0; i < tickers.length; i += QUOTE_BATCH_SIZE) {
+    const symbols = tickers.slice(i, i + QUOTE_BATCH_SIZE);
+    const response = await apiFetch(`/api/stock/quotes?symbols=${encodeURIComponent(symbols.join(','))}`, { signal });
+    for (const result of response.results || []) {
+      const price = Number(result.quote?.currentPrice);
+      if (result.ok && Number.isFinite(price)) prices[result.symbol] = price;
+      else failed.push(result.symbol);
+    }
+  }
+  return { prices, failed };
+}
+
+/**
+ * fillHistoricalFxRates - เติม fxRate (→ THB) ของวันที่ทำรายการให้รายการสกุลเงินต่างประเทศที่ยังไม่มี
+ * ดึงอัตรารายวันครั้งเดียวต่อสกุลเงินตามช่วงวันที่ของรายการ, หาไม่ได้ปล่อยว่าง (computePortfolio ใช้อัตราปัจจุบันแทน)
+ * @param {Array} transactions
+ * @returns {Promise<Array>} - Array ใหม่
+ */
+export async function fillHistoricalFxRates(transactions) {
+  const missing = transactions.filter(tx => tx.currency !== BASE_CURRENCY && tx.fxRate === null);
+  const ratesByCurrency = new Map();
+  for (const currency of new Set(missing.map(tx => tx.currency))) {
+    const dates = missing.filter(tx => tx.currency === currency).map(tx => tx.date).sort();
+    const rates = await fetchFxHistory(currency, BASE_CURRENCY, shiftDate(dates[0], -FX_LOOKBACK_DAYS), dates[dates.length - 1])
+      .catch(() => []);
+    ratesByCurrency.set(currency, rates);
+  }
+  return transactions.map(tx => {
+    const rates = ratesByCurrency.get(tx.currency);
+    if (!rates || tx.fxRate !== null) return tx;
+    // อัตราโดยประมาณ (วันทำรายการอยู่ก่อนข้อมูลทั้งหมด) ไม่ใช้ → ปล่อยให้ใช้อัตราปัจจุบันตามเดิม
+    const found = findRateForDate(rates, tx.date);
+    return found && !found.approximate && found.rate > 0 ? { ...tx, fxRate: found.rate } : tx;
+  });
+}
+
+/**
+ * usePortfolioMarket - ราคาและอัตราแลกเปลี่ยนปัจจุบันของหุ้นที่ยังถืออยู่
+ * @param {Array<{ ticker, currency }>} holdings
+ * @returns {{ prices, fxRates, failed, loading, error, updatedAt, refresh }}
+ *   failed = หุ้นที่หาราคาไม่ได้, refresh() = ดึงราคาใหม่ (อัตราแลกเปลี่ยนใช้ Cache ของรอบนี้)
+ */
+export function usePortfolioMarket(holdings) {
+  const [state, setState] = useState({ prices: {}, fxRates: {}, failed: [], updatedAt: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  const tickers = [...new Set(holdings.map(h => h.ticker))].sort().join(',');
+  const currencies = [...new Set(holdings.map(h => h.currency))].filter(c => c !== BASE_CURRENCY).sort().join(',');
+
+  useEffect(() => {
+    if (!tickers) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+
+    Promise.all([
+      fetchQuotes(tickers.split(','), controller.signal),
+      Promise.all((currencies ? currencies.split(',') : []).map(currency =>
+        fetchFxRate(currency, BASE_CURRENCY).then(rate => [currency, rate]).catch(() => [currency, null])))
+    ]).then(([{ prices, failed }, rates]) => {
+      if (controller.signal.aborted) return;
+      setState({
+        prices,
+        fxRates: Object.fromEntries(rates.filter(([, rate]) => rate > 0)),
+        failed,
+        updatedAt: new Date()
+      });
+    }).catch(err => {
+      if (!controller.signal.aborted) setError(err?.message || 'เกิดข้อผิดพลาด');
+    }).finally(() => {
+      if (!controller.signal.aborted) setLoading(false);
+    });
+
+    return () => controller.abort();
+  }, [tickers, currencies, refreshCount]);
+
+  const refresh = useCallback(() => setRefreshCount(count => count + 1), []);
+
+  return { ...state, loading: Boolean(tickers) && loading, error, refresh };
+}
@@ -0,0 +1,435 @@
+/**
+ * =====================================================
+ * BacktestPage.jsx - ทดสอบกลยุทธ์ย้อนหลังจากสัญญาณของหน้า Indicators
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * เลือกหุ้น ช่วงวันที่ และชุดสัญญาณ (Golden/Death Cross, SMA Cross, MACD Cross, RSI Threshold, RSI Divergence หรือหลายชุดรวมกัน)
+ * แล้วจำลองการซื้อขายด้วยค่าคอมมิชชั่น + VAT แบบเดียวกับหน้าคำนวณกำไรขาดทุน
+ *
+ * **ผลลัพธ์:**
+ * - ผลตอบแทนรวม, CAGR, Max Drawdown, Win Rate, Profit Factor เทียบกับ Buy & Hold
+ * - กราฟ Equity ของกลยุทธ์เทียบ Buy & Hold
+ * - รายการเทรดทั้งหมด
+ *
+ * **Walk-forward Optimization:**
+ * ค้นหาพารามิเตอร์ของชุดสัญญาณ 1 ชุดใน Web Worker (ใช้หุ้น ช่วงวันที่ เงินทุน และค่าธรรมเนียมเดียวกับฟอร์มด้านบน)
+ * แสดงผล Out-of-sample เทียบ Buy & Hold, พารามิเตอร์ที่เลือกในแต่ละหน้าต่าง และ Heatmap คะแนน In-sample
+ *
+ * กติกาการจำลองอยู่ใน shared/backtest.js (ส่งคำสั่งที่ราคาเปิดของแท่งถัดไป, ซื้อเต็มจำนวนเงินสด)
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ResponsiveContainer, LineChart, Line, CartesianGrid, YAxis, Legend } from 'recharts';
+import '../css/App.css';
+import '../css/CalculatorPage.css';
+import '../css/BacktestPage.css';
+import TickerAutocomplete from '../Component/TickerAutocomplete';
+import { renderCommonXAxis, commonTooltip, chartMargin, formatPriceTick } from '../Component/Indicators/common';
+import { PRESET_RANGES, getPresetRange, parseISODate } from '../utils/dateRanges';
+import { ADJUST_OPTIONS } from '../utils/priceAdjust';
+import { useBacktest } from '../hooks/useBacktest';
+import { useOptimizer } from '../hooks/useOptimizer';
+import WalkForwardPanel from '../Component/Backtest/WalkForwardPanel';
+import ParamHeatmap from '../Component/Backtest/ParamHeatmap';
+import { SIGNAL_SETS, DEFAULT_COMMISSION, DEFAULT_VAT } from '../../shared/backtest';
+import { OPTIMIZER_OBJECTIVES } from '../../shared/optimizer';
+
+// ค่าเริ่มต้นของฟอร์ม
+const BACKTEST_PRESET_ID = '5y';
+// ช่วงสั้นกว่า 1 เดือนมีแท่งน้อยเกินกว่าจะเกิดสัญญาณ
+const BACKTEST_PRESETS = PRESET_RANGES.filter(option => !['1d', '5d'].includes(option.id));
+const DEFAULT_CAPITAL = 100000;
+const COMBINE_OPTIONS = [
+  { id: 'any', label: 'ชุดใดชุดหนึ่งให้ถือ' },
+  { id: 'all', label: 'ทุกชุดต้องให้ถือ' }
+];
+
+// พารามิเตอร์เริ่มต้นของทุกชุดสัญญาณ { goldenDeath: { fast: 50, slow: 200 }, ... }
+const DEFAULT_SIGNAL_PARAMS = Object.fromEntries(Object.entries(SIGNAL_SETS).map(([id, set]) => [
+  id,
+  Object.fromEntries(set.params.map(param => [param.name, param.default]))
+]));
+
+const formatDate = (date) => new Date(date).toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' });
+const formatMoney = (v) => (Number.isFinite(v) ? v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '-');
+const formatPercent = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : '-');
+const formatProfitFactor = (v) => {
+  if (v === Infinity) return '∞';
+  return Number.isFinite(v) ? v.toFixed(2) : '-';
+};
+const formatRatio = (v) => (Number.isFinite(v) ? v.toFixed(2) : '-');
+const formatParams = (params) => Object.entries(params).map(([name, value]) => `${name} ${value}`).join(', ');
+const getCurrencyLabel = (currency) => (!currency || currency === 'THB' ? 'บาท' : currency);
+
+// แถวของกราฟ Equity (วันที่เป็น Label)
+const toEquityRows = (equity = []) => equity.map(row => ({
+  date: formatDate(row.date),
+  strategy: row.strategy,
+  buyHold: row.buyHold
+}));
+
+// ตารางสถิติกลยุทธ์เทียบ Buy & Hold (ใช้ทั้งผล Backtest และผล Out-of-sample)
+const buildStatRows = (stats) => (stats ? [
+  { label: 'มูลค่าสุดท้าย', strategy: formatMoney(stats.strategy.finalEquity), buyHold: formatMoney(stats.buyHold.finalEquity) },
+  { label: 'ผลตอบแทนรวม', strategy: formatPercent(stats.strategy.totalReturn), buyHold: formatPercent(stats.buyHold.totalReturn) },
+  { label: 'CAGR', strategy: formatPercent(stats.strategy.cagr), buyHold: formatPercent(stats.buyHold.cagr) },
+  { label: 'Max Drawdown', strategy: formatPercent(-stats.strategy.maxDrawdown), buyHold: formatPercent(-stats.buyHold.maxDrawdown) },
+  { label: 'จำนวนเทรด', strategy: stats.strategy.trades, buyHold: '-' },
+  { label: 'Win Rate', strategy: formatPercent(stats.strategy.winRate), buyHold: '-' },
+  { label: 'Profit Factor', strategy: formatProfitFactor(stats.strategy.profitFactor), buyHold: '-' }
+] : []);
+
+function StatsTable({ rows }) {
+  return (
+    <table className="backtest-table backtest-stats">
+      <thead>
+        <tr>
+          <th />
+          <th>กลยุทธ์</th>
+          <th>Buy &amp; Hold</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.label}>
+            <td>{row.label}</td>
+            <td>{row.strategy}</td>
+            <td>{row.buyHold}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function EquityChart({ rows, currency }) {
+  return (
+    <ResponsiveContainer width="100%" height={360}>
+      <LineChart data={rows} margin={chartMargin}>
+        <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+        {renderCommonXAxis()}
+        <YAxis tick={{ fill: 'var(--color-text-secondary)', fontSize: 11 }} tickFormatter={formatPriceTick} width={70} domain={['auto', 'auto']} />
+        {commonTooltip(currency)}
+        <Legend />
+        <Line dataKey="strategy" name="กลยุทธ์" stroke="#00e676" strokeWidth={2} dot={false} isAnimationActive={false} />
+        <Line dataKey="buyHold" name="Buy & Hold" stroke="#90caf9" strokeWidth={2} dot={false} isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+export default function BacktestPage() {
+  // === State: ฟอร์ม ===
+  const initialRange = getPresetRange(BACKTEST_PRESET_ID) || { start: '', end: '' };
+  const [inputSymbol, setInputSymbol] = useState('');
+  const [startDate, setStartDate] = useState(initialRange.start);
+  const [endDate, setEndDate] = useState(initialRange.end);
+  const [selectedPreset, setSelectedPreset] = useState(initialRange.start ? BACKTEST_PRESET_ID : null);
+  const [priceAdjust, setPriceAdjust] = useState('total'); // Total Return: รวมเงินปันผล → เทียบ Buy & Hold ได้ตรง
+  const [selectedSets, setSelectedSets] = useState(['goldenDeath']);
+  const [signalParams, setSignalParams] = useState(DEFAULT_SIGNAL_PARAMS);
+  const [combine, setCombine] = useState('any');
+  const [initialCapital, setInitialCapital] = useState(DEFAULT_CAPITAL);
+  const [commissionRate, setCommissionRate] = useState(DEFAULT_COMMISSION);
+  const [vatRate, setVatRate] = useState(DEFAULT_VAT);
+  const [formError, setFormError] = useState('');
+  const [optimizerFormError, setOptimizerFormError] = useState('');
+
+  const { result, loading, error, run } = useBacktest();
+  const optimizer = useOptimizer();
+
+  const toggleSet = (id) => setSelectedSets(prev => (
+    prev.includes(id) ? prev.filter(setId => setId !== id) : [...prev, id]
+  ));
+  const updateParam = (id, name, value) => setSignalParams(prev => ({ ...prev, [id]: { ...prev[id], [name]: value } }));
+
+  // ตรวจค่าที่ใช้ร่วมกันทั้ง Backtest และ Optimize → { error } หรือค่าที่แปลงแล้ว
+  const validateCommon = () => {
+    const ticker = inputSymbol.trim().toUpperCase();
+    const start = parseISODate(startDate);
+    const end = parseISODate(endDate);
+    const capital = Number(initialCapital);
+    const commission = Number(commissionRate);
+    const vat = Number(vatRate);
+
+    if (!ticker) return { error: 'กรุณากรอกชื่อหุ้น' };
+    if (!start || !end || start > end) return { error: 'กรุณาเลือกช่วงวันที่ให้ถูกต้อง' };
+    if (!(capital > 0)) return { error: 'เงินทุนต้องมากกว่า 0' };
+    if (!(commission >= 0) || !(vat >= 0)) return { error: 'ค่าคอมมิชชั่นและ VAT ต้องไม่ติดลบ' };
+    return { ticker, startDate, endDate, adjust: priceAdjust, initialCapital: capital, commission, vat };
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (selectedSets.length === 0) return setFormError('กรุณาเลือกชุดสัญญาณอย่างน้อย 1 ชุด');
+    const { error: commonError, ...common } = validateCommon();
+    if (commonError) return setFormError(commonError);
+
+    run({
+      ...common,
+      sets: selectedSets.map(id => ({ id, params: signalParams[id] })),
+      combine
+    });
+  };
+
+  const handleOptimize = (config) => {
+    setOptimizerFormError('');
+    const { error: commonError, ...common } = validateCommon();
+    if (commonError) return setOptimizerFormError(commonError);
+    if (!(config.inSample >= 2) || !(config.outSample >= 2)) return setOptimizerFormError('ความยาวหน้าต่างต้องอย่างน้อย 2 แท่ง');
+    optimizer.run({ ...common, ...config });
+  };
+
+  const equityRows = useMemo(() => toEquityRows(result?.equity), [result]);
+  const statRows = buildStatRows(result?.stats);
+
+  // === ผล Walk-forward ===
+  const optimized = optimizer.result;
+  const optimizedEquityRows = useMemo(() => toEquityRows(optimized?.equity), [optimized]);
+  const optimizedStatRows = buildStatRows(optimized?.stats);
+  const formatScore = optimized?.objective === 'returnToDrawdown' ? formatRatio : formatPercent;
+
+  return (
+    <div className="page-container calculator-page backtest-page">
+      <h1>Strategy Backtest</h1>
+      <p>
+        ทดสอบว่าถ้าซื้อขายตามสัญญาณจากหน้า Indicators จะได้ผลตอบแทนเท่าไร เทียบกับการซื้อถือไว้ (Buy &amp; Hold) <br />
+        <span style={{ color: '#f7ca18', fontWeight: 600 }}>ส่งคำสั่งที่ราคาเปิดของวันถัดจากสัญญาณ และหักค่าคอมมิชชั่น + VAT ทุกครั้ง</span>
+      </p>
+
+      <form className="stock-history-form" onSubmit={handleSubmit}>
+        <h2>ตั้งค่าการทดสอบ</h2>
+        <div className="history-grid">
+          <TickerAutocomplete value={inputSymbol} onChange={setInputSymbol} placeholder="ชื่อหุ้น เช่น PTT" />
+          <div className="date-range-row">
+            <label className="date-label">
+              จาก
+              <input
+                type="date"
+                value={startDate}
+                max={endDate || undefined}
+                onChange={e => {
+                  setStartDate(e.target.value);
+                  setSelectedPreset(null);
+                }}
+              />
+            </label>
+            <label className="date-label">
+              ถึง
+              <input
+                type="date"
+                value={endDate}
+                min={startDate || undefined}
+                onChange={e => {
+                  setEndDate(e.target.value);
+                  setSelectedPreset(null);
+                }}
+              />
+            </label>
+          </div>
+          <div className="preset-buttons">
+            {BACKTEST_PRESETS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                className={`range-button${selectedPreset === option.id ? ' active' : ''}`}
+                onClick={() => {
+                  const range = option.getRange();
+                  setStartDate(range.start);
+                  setEndDate(range.end);
+                  setSelectedPreset(option.id);
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="preset-buttons">
+            {ADJUST_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                className={`range-button${priceAdjust === option.id ? ' active' : ''}`}
+                onClick={() => setPriceAdjust(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* ชุดสัญญาณ + พารามิเตอร์ */}
+        <div className="signal-sets">
+          {Object.entries(SIGNAL_SETS).map(([id, set]) => (
+            <div key={id} className={`signal-set ${selectedSets.includes(id) ? 'active' : ''}`}>
+              <label className="signal-set-title">
+                <input type="checkbox" checked={selectedSets.includes(id)} onChange={() => toggleSet(id)} />
+                {set.label}
+              </label>
+              <div className="signal-set-params">
+                {set.params.map(param => (
+                  <label key={param.name}>
+                    {param.name}
+                    <input
+                      type="number"
+                      min={param.min}
+                      max={param.max}
+                      step={param.integer ? 1 : 0.1}
+                      value={signalParams[id][param.name]}
+                      onChange={e => updateParam(id, param.name, e.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="calculator-form backtest-options">
+          <div className="form-group">
+            <label htmlFor="combine">รวมหลายชุดสัญญาณ</label>
+            <select id="combine" className="stockname-input" value={combine} onChange={e => setCombine(e.target.value)}>
+              {COMBINE_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="initialCapital">เงินทุนเริ่มต้น (สกุลเงินของหุ้น)</label>
+            <input id="initialCapital" type="number" className="stockname-input" value={initialCapital} onChange={e => setInitialCapital(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="commission">ค่าคอมมิชชั่น (สัดส่วน)</label>
+            <input id="commission" type="number" step="0.0001" className="stockname-input" value={commissionRate} onChange={e => setCommissionRate(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="vat">VAT (สัดส่วน)</label>
+            <input id="vat" type="number" step="0.01" className="stockname-input" value={vatRate} onChange={e => setVatRate(e.target.value)} />
+          </div>
+        </div>
+
+        <button type="submit" className="history-submit" disabled={loading}>
+          {loading ? 'กำลังทดสอบ...' : 'เริ่มทดสอบ'}
+        </button>
+        {(formError || error) && <div className="error-message" style={{ marginTop: 12 }}>{formError || error}</div>}
+      </form>
+
+      {result && (
+        <div className="results-container">
+          <h2>ผลการทดสอบ {result.ticker} ({getCurrencyLabel(result.currency)})</h2>
+
+          <StatsTable rows={statRows} />
+
+          <div className="chart-container">
+            <h3>Equity Curve</h3>
+            <EquityChart rows={equityRows} currency={result.currency} />
+          </div>
+
+          <h3>รายการเทรด ({result.trades.length})</h3>
+          {result.trades.length === 0 ? (
+            <div className="backtest-note">ไม่มีสัญญาณซื้อในช่วงที่เลือก</div>
+          ) : (
+            <div className="backtest-table-wrapper">
+              <table className="backtest-table">
+                <thead>
+                  <tr>
+                    <th>ซื้อ</th>
+                    <th>ราคาซื้อ</th>
+                    <th>ขาย</th>
+                    <th>ราคาขาย</th>
+                    <th>จำนวนหุ้น</th>
+                    <th>ค่าธรรมเนียม</th>
+                    <th>กำไร/ขาดทุน</th>
+                    <th>%</th>
+                    <th>แท่ง</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.trades.map(trade => (
+                    <tr key={`${trade.entryDate}-${trade.exitDate}`}>
+                      <td>{formatDate(trade.entryDate)}</td>
+                      <td>{formatPriceTick(trade.entryPrice)}</td>
+                      <td>{formatDate(trade.exitDate)}{trade.exitReason === 'end' ? ' (สิ้นสุดช่วง)' : ''}</td>
+                      <td>{formatPriceTick(trade.exitPrice)}</td>
+                      <td>{trade.shares.toLocaleString()}</td>
+                      <td>{formatMoney(trade.fees)}</td>
+                      <td className={trade.pnl >= 0 ? 'text-success' : 'text-danger'}>{formatMoney(trade.pnl)}</td>
+                      <td className={trade.pnl >= 0 ? 'text-success' : 'text-danger'}>{formatPercent(trade.returnPct)}</td>
+                      <td>{trade.barsHeld}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <WalkForwardPanel
+        onRun={handleOptimize}
+        onCancel={optimizer.cancel}
+        loading={optimizer.loading}
+        progress={optimizer.progress}
+      />
+      {(optimizerFormError || optimizer.error) && (
+        <div className="error-message" style={{ marginTop: 12 }}>{optimizerFormError || optimizer.error}</div>
+      )}
+
+      {optimized && (
+        <div className="results-container">
+          <h2>
+            ผล Walk-forward {optimized.ticker} — {SIGNAL_SETS[optimized.setId].label} ({getCurrencyLabel(optimized.currency)})
+          </h2>
+          <div className="backtest-note">
+            ทดสอบ {optimized.combos.toLocaleString()} ชุดพารามิเตอร์ × {optimized.windows.length} หน้าต่าง — ตัวเลขด้านล่างเป็นผลช่วง Out-of-sample ต่อกันเท่านั้น
+          </div>
+
+          <StatsTable rows={optimizedStatRows} />
+
+          <div className="chart-container">
+            <h3>Equity Curve (Out-of-sample)</h3>
+            <EquityChart rows={optimizedEquityRows} currency={optimized.currency} />
+          </div>
+
+          <h3>หน้าต่าง Walk-forward</h3>
+          <div className="backtest-table-wrapper">
+            <table className="backtest-table">
+              <thead>
+                <tr>
+                  <th>In-sample ตั้งแต่</th>
+                  <th>Out-of-sample</th>
+                  <th>พารามิเตอร์ที่เลือก</th>
+                  <th>คะแนน IS</th>
+                  <th>คะแนน OOS</th>
+                  <th>ผลตอบแทน OOS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {optimized.windows.map(win => (
+                  <tr key={win.testStartDate}>
+                    <td>{formatDate(win.trainStartDate)}</td>
+                    <td>{formatDate(win.testStartDate)} – {formatDate(win.testEndDate)}</td>
+                    <td>{formatParams(win.params)}</td>
+                    <td>{formatScore(win.inSampleScore)}</td>
+                    <td className={win.outSampleScore >= 0 ? 'text-success' : 'text-danger'}>{formatScore(win.outSampleScore)}</td>
+                    <td className={win.outSampleReturn >= 0 ? 'text-success' : 'text-danger'}>{formatPercent(win.outSampleReturn)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3>Heatmap คะแนน In-sample เฉลี่ย ({OPTIMIZER_OBJECTIVES[optimized.objective]?.label})</h3>
+          <ParamHeatmap
+            results={optimized.results}
+            paramNames={SIGNAL_SETS[optimized.setId].params.map(param => param.name)}
+            formatScore={formatScore}
+          />
+        </div>
+      )}
+
+      <Link to="/" className="primary-button back-button">← กลับสู่หน้าหลัก</Link>
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 // src/pages/CalculatorPage.jsx
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import '../css/App.css';
 import '../css/CalculatorPage.css';
 import StockChart from '../Component/StockChart';
+import TickerAutocomplete from '../Component/TickerAutocomplete';
 import {
   PRESET_RANGES,
   DEFAULT_PRESET_ID,
@@ -13,10 +14,12 @@ import {
   parseISODate
 } from '../utils/dateRanges';
 import { apiFetch } from '../utils/api';
+import { ADJUST_OPTIONS, DEFAULT_ADJUST } from '../utils/priceAdjust';
+import { useDisplayCurrency, resolveTargetCurrency, useFxRates, convertCloses } from '../utils/displayCurrency';
+// ค่าคอมมิชชั่น/VAT มาตรฐานและสูตรค่าธรรมเนียม ใช้ร่วมกับหน้า Backtest
+import { DEFAULT_COMMISSION, DEFAULT_VAT, tradeFee } from '../../shared/backtest';
 
 // --- Default ค่าเริ่มต้น ---
-const DEFAULT_COMMISSION = 0.00157; // ค่าคอมมิชชั่นมาตรฐาน
-const DEFAULT_VAT = 0.07;           // VAT มาตรฐาน
 const DEFAULT_RISK_PERCENT = 2;     // % ความเสี่ยงเริ่มต้น
 
 function CalculatorPage() {
@@ -33,12 +36,35 @@ function CalculatorPage() {
   const [startDate, setStartDate] = useState(initialRange.start);
   const [endDate, setEndDate] = useState(initialRange.end);
   const [selectedPreset, setSelectedPreset] = useState(initialRange.start ? DEFAULT_PRESET_ID : null);
-  const [history, setHistory] = useState([]); // ข้อมูลราคาหุ้นย้อนหลัง
-  const [currency, setCurrency] = useState(''); // display currency (what UI shows)
+  const [priceAdjust, setPriceAdjust] = useState(DEFAULT_ADJUST); // การปรับราคา Split / ปันผล
+  const [rawHistory, setRawHistory] = useState([]); // ข้อมูลราคาหุ้นย้อนหลัง (สกุลเงินเดิม)
   const [originalCurrency, setOriginalCurrency] = useState(''); // currency from backend (original)
-  const [fxRate, setFxRate] = useState(1); // <-- FX rate used to convert to THB
+  const [fetched, setFetched] = useState({ id: 0, start: '', end: '' }); // ช่วงวันที่ของข้อมูลที่ดึงล่าสุด
   const [error, setError] = useState(''); // error message
 
+  // --- สกุลเงินที่แสดง (ตั้งที่ Layout) ---
+  // ราคาทุกช่อง (ซื้อ/SL/TP/งบประมาณ) อยู่ในสกุลเงินนี้ → ไม่ต้องแปลงตอนกรอก
+  const { displayCurrency } = useDisplayCurrency();
+  const targetCurrency = resolveTargetCurrency(displayCurrency, originalCurrency);
+  const fx = useFxRates(originalCurrency, targetCurrency, fetched.start, fetched.end);
+  const history = useMemo(() => convertCloses(rawHistory, fx, originalCurrency), [rawHistory, fx, originalCurrency]);
+  const currency = fx.converted ? targetCurrency : originalCurrency;
+  const currencyLabel = !currency || currency === 'THB' ? 'บาท' : currency;
+
+  // ตั้งราคาซื้อ/SL/TP จากข้อมูลที่ดึงมา หลังได้อัตราแลกเปลี่ยนแล้ว
+  // (ทำใหม่เมื่อดึงข้อมูลใหม่หรือเปลี่ยนสกุลเงินที่แสดง)
+  const prefillKey = history.length > 0 && !fx.loading ? `${fetched.id}_${currency}` : '';
+  const lastPrefillKey = useRef('');
+  useEffect(() => {
+    if (!prefillKey || lastPrefillKey.current === prefillKey) return;
+    lastPrefillKey.current = prefillKey;
+    const closes = history.map(d => d.close).filter(close => typeof close === 'number');
+    if (closes.length === 0) return;
+    setBuyPrice(closes[closes.length - 1]);
+    setStopLossPrice(Math.min(...closes));
+    setSellPrice(Math.max(...closes));
+  }, [prefillKey, history]);
+
   // --- Logic: คำนวณราคาที่ควรซื้อ, stoploss, เป้าหมายขาย ---
   // 1. คำนวณ stoploss จาก %risk ของงบประมาณ
   const calculatedStopLoss = useMemo(() => {
@@ -92,19 +118,19 @@ function CalculatorPage() {
     if (shares <= 0) return { error: "งบประมาณหรือความเสี่ยงไม่เพียงพอที่จะซื้ออย่างน้อย 1 หุ้น" };
 
     const actualBuyValue = shares * buy;
-    const feeBuy = (actualBuyValue * commission) * (1 + vat);
+    const feeBuy = tradeFee(actualBuyValue, commission, vat);
     const totalCost = actualBuyValue + feeBuy;
 
     // ขาย
     const grossSellValue = shares * sell;
-    const feeSell = (grossSellValue * commission) * (1 + vat);
+    const feeSell = tradeFee(grossSellValue, commission, vat);
     const netSellValue = grossSellValue - feeSell;
     const netProfit = netSellValue - totalCost;
     const profitPercent = (netProfit / totalCost) * 100;
 
     // Stop loss
     const grossStopValue = shares * stop;
-    const feeStop = (grossStopValue * commission) * (1 + vat);
+    const feeStop = tradeFee(grossStopValue, commission, vat);
     const netStopValue = grossStopValue - feeStop;
     const netLoss = netStopValue - totalCost;
     const lossPercent = (netLoss / totalCost) * 100;
@@ -191,50 +217,15 @@ function CalculatorPage() {
 
       // 2) Fetch history + currency from backend
       // Backend now returns { history: [...], currency: 'THB' }
-      const response = await fetchStockHistory(t, startDate, endDate);
+      const response = await fetchStockHistory(t, startDate, endDate, priceAdjust);
 
-      const rawHistory = Array.isArray(response) ? response : (response.history || []);
+      const rows = Array.isArray(response) ? response : (response.history || []);
       const apiCurrency = response.currency || (t.endsWith('.BK') ? 'THB' : 'USD');
 
-      // Update currency states
+      // เก็บราคาตามสกุลเงินเดิม → แปลงเป็นสกุลเงินที่แสดงด้วย useFxRates
       setOriginalCurrency(apiCurrency);
-
-      let rate = 1;
-      // If original is USD, we might want to convert to THB for display
-      // But user preference might vary. For now, match existing logic:
-      // If USD, check if we need conversion.
-
-      if (apiCurrency === 'USD') {
-        try {
-          const fx = await apiFetch('/api/forex/usd-thb');
-          rate = Number(fx.rate) || rate;
-        } catch (e) {
-          // fallback
-        }
-      }
-
-      setFxRate(rate);
-
-      // Decide display currency (if USD -> show THB with conversion, else show Original)
-      // Actually existing logic forced THB if USD.
-      const displayCurrency = apiCurrency === 'USD' ? 'THB' : apiCurrency;
-      setCurrency(displayCurrency);
-
-      // 3) Convert prices if needed
-      const converted = rawHistory.map(row => {
-        const orig = typeof row.close === 'number' ? Number(row.close) : null;
-        const conv = (orig !== null && apiCurrency === 'USD') ? Number((orig * rate).toFixed(4)) : orig;
-        return { ...row, originalClose: orig, originalCurrency: apiCurrency, close: conv };
-      });
-
-      setHistory(converted);
-      if (converted.length > 0) {
-        // ตั้งราคาซื้อ/SL/TP เป็นค่าที่แปลงเป็น THB แล้ว (ถ้ามี)
-        const last = converted[converted.length - 1];
-        setBuyPrice(last?.close ?? '');
-        setStopLossPrice(Math.min(...converted.map(d => d.close)));
-        setSellPrice(Math.max(...converted.map(d => d.close)));
-      }
+      setRawHistory(rows);
+      setFetched(prev => ({ id: prev.id + 1, start: startDate, end: endDate }));
     } catch (err) {
       setError(err.message);
     }
@@ -254,10 +245,9 @@ function CalculatorPage() {
         <h2>ดึงข้อมูลราคาหุ้นย้อนหลัง</h2>
         <form onSubmit={handleFetchHistory}>
           <div className="history-grid">
-            <input
-              type="text"
+            <TickerAutocomplete
               value={inputSymbol}
-              onChange={e => setInputSymbol(e.target.value)}
+              onChange={setInputSymbol}
               placeholder="ชื่อหุ้น เช่น PTT"
             />
             <div className="date-range-row">
@@ -303,6 +293,19 @@ function CalculatorPage() {
                 </button>
               ))}
             </div>
+            {/* การปรับราคา: ราคาจริง / ปรับ Split / Total Return */}
+            <div className="preset-buttons">
+              {ADJUST_OPTIONS.map(option => (
+                <button
+                  key={option.id}
+                  type="button"
+                  className={`range-button${priceAdjust === option.id ? ' active' : ''}`}
+                  onClick={() => setPriceAdjust(option.id)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
             <button type="submit" className="history-submit">ดึงราคาย้อนหลัง</button>
           </div>
         </form>
@@ -317,7 +320,9 @@ function CalculatorPage() {
             ราคาปิดช่วง {formatDisplayDate(startDate)} - {formatDisplayDate(endDate)} ({dateRangeInDays} วัน):
             {' '}
             {history.map(d => (
-              d.originalClose != null ? `${d.originalClose} ${d.originalCurrency} → ${d.close}` : `${d.close}`
+              d.fxRate != null
+                ? `${d.originalClose} ${d.originalCurrency} → ${d.close} (@${d.fxRate})`
+                : d.originalClose != null ? `${d.originalClose} ${d.originalCurrency} → ${d.close}` : `${d.close}`
             )).join(', ')}
           </div>
         )}
@@ -327,7 +332,7 @@ function CalculatorPage() {
       <div className="calculator-form">
         {/* ช่องกรอกงบประมาณ */}
         <div className="form-group">
-          <label htmlFor="budget">งบประมาณ (บาท)</label>
+          <label htmlFor="budget">งบประมาณ ({currencyLabel})</label>
           <input id="budget" type="number" className="stockname-input" value={budget} onChange={e => setBudget(e.target.value)} placeholder="100,000" />
         </div>
         {/* ช่องกรอกค่าคอมมิชชั่น */}
@@ -348,7 +353,9 @@ function CalculatorPage() {
         </div>
         {/* ช่องกรอกราคาซื้อ */}
         <div className="form-group">
-          <label htmlFor="buyPrice">ราคาเข้าซื้อ {originalCurrency ? `(${originalCurrency} → THB @ ${fxRate.toFixed(4)})` : '(บาท)'}</label>
+          <label htmlFor="buyPrice">
+            ราคาเข้าซื้อ {fx.converted ? `(${originalCurrency} → ${currency} @ ${fx.currentRate.toFixed(4)})` : `(${currencyLabel})`}
+          </label>
           <input
             id="buyPrice"
             type="number"
@@ -358,10 +365,9 @@ function CalculatorPage() {
               const v = e.target.value;
               const n = v === '' ? '' : Number(v);
               if (v === '' || Number.isNaN(n)) return setBuyPrice('');
-              const conv = currency === 'USD' ? Number((n * fxRate).toFixed(4)) : n;
-              setBuyPrice(conv);
+              setBuyPrice(n);
             }}
-            placeholder={currency ? `ใส่เป็น ${currency} จะถูกแปลงเป็น THB` : '10.50'}
+            placeholder={currency ? `ราคาเป็น ${currency}` : '10.50'}
             required
           />
         </div>
@@ -377,8 +383,7 @@ function CalculatorPage() {
               const v = e.target.value;
               const n = v === '' ? '' : Number(v);
               if (v === '' || Number.isNaN(n)) return setStopLossPrice('');
-              const conv = currency === 'USD' ? Number((n * fxRate).toFixed(4)) : n;
-              setStopLossPrice(conv);
+              setStopLossPrice(n);
             }}
             placeholder="คำนวณอัตโนมัติ"
           />
@@ -396,8 +401,7 @@ function CalculatorPage() {
               const v = e.target.value;
               const n = v === '' ? '' : Number(v);
               if (v === '' || Number.isNaN(n)) return setSellPrice('');
-              const conv = currency === 'USD' ? Number((n * fxRate).toFixed(4)) : n;
-              setSellPrice(conv);
+              setSellPrice(n);
             }}
             placeholder="คำนวณอัตโนมัติ"
           />
@@ -422,7 +426,7 @@ function CalculatorPage() {
               <div className="indicator-card">
                 <h3>เงินลงทุนทั้งหมด</h3>
                 <p className="indicator-value">{formatNumber(calculations.totalCost)}</p>
-                <span>บาท (รวมค่าธรรมเนียม)</span>
+                <span>{currencyLabel} (รวมค่าธรรมเนียม)</span>
               </div>
               {/* Risk:Reward Ratio */}
               <div className={`indicator-card ${getRRClassName(calculations.riskRewardRatio)}`}>
@@ -451,19 +455,19 @@ function CalculatorPage() {
               <div className="indicator-card">
                 <h3>ค่าธรรมเนียมซื้อ</h3>
                 <p className="indicator-value">{formatNumber(calculations.feeBuy)}</p>
-                <span>บาท</span>
+                <span>{currencyLabel}</span>
               </div>
               {/* ค่าธรรมเนียมขาย */}
               <div className="indicator-card">
                 <h3>ค่าธรรมเนียมขาย</h3>
                 <p className="indicator-value">{formatNumber(calculations.feeSell)}</p>
-                <span>บาท</span>
+                <span>{currencyLabel}</span>
               </div>
               {/* ค่าธรรมเนียม SL */}
               <div className="indicator-card">
                 <h3>ค่าธรรมเนียม SL</h3>
                 <p className="indicator-value">{formatNumber(calculations.feeStop)}</p>
-                <span>บาท</span>
+                <span>{currencyLabel}</span>
               </div>
             </div>
           </div>
@@ -496,13 +500,14 @@ function CalculatorPage() {
 export default CalculatorPage;
 
 // --- ดึงราคาหุ้นย้อนหลังจาก backend ---
-async function fetchStockHistory(symbol, startDate, endDate) {
+async function fetchStockHistory(symbol, startDate, endDate, adjust) {
   // ส่งสัญลักษณ์ตามที่ผู้ใช้กรอก (ปล่อย backend ตัดสินใจ .BK)
   const ticker = symbol.trim().toUpperCase();
 
   const params = new URLSearchParams();
   if (startDate) params.append('startDate', startDate);
   if (endDate) params.append('endDate', endDate);
+  if (adjust) params.append('adjust', adjust);
   const query = params.toString();
 
   const path = `/api/stock/history/${ticker}${query ? `?${query}` : ''}`;
@@ -5,6 +5,7 @@ import '../css/HomePage.css';
 import '../css/App.css';
 import StockChart from '../Component/StockChart';
 import StockTable from '../Component/StockTable';
+import TickerAutocomplete from '../Component/TickerAutocomplete';
 import {
   PRESET_RANGES,
   DEFAULT_PRESET_ID,
@@ -14,6 +15,7 @@ import {
   getDefaultRange
 } from '../utils/dateRanges';
 import { apiFetch } from '../utils/api';
+import { useDisplayCurrency, resolveTargetCurrency, useFxRates, convertCloses } from '../utils/displayCurrency';
 
 /**
  * ฟังก์ชันสำหรับดึงข้อมูลประวัติราคาหุ้นจาก Backend API
@@ -35,6 +37,7 @@ function HomePage() {
 
   // Input States
   const [inputSymbol, setInputSymbol] = useState('');
+  const [selectedSuggestion, setSelectedSuggestion] = useState(null); // รายการที่เลือกจาก Autocomplete (มี currency)
 
   // Date Range Logic
   const preferredRange = getPresetRange('3m');
@@ -55,8 +58,17 @@ function HomePage() {
   const [displayRange, setDisplayRange] = useState({ start: '', end: '' });
   const [currency, setCurrency] = useState(''); // <-- new: currency inferred from ticker
 
+  // สกุลเงินที่ใช้แสดง (ตั้งที่ Layout) → แปลงราคาปิดด้วยอัตราของแต่ละวัน
+  const { displayCurrency } = useDisplayCurrency();
+  const targetCurrency = resolveTargetCurrency(displayCurrency, currency);
+  const fx = useFxRates(currency, targetCurrency, displayRange.start, displayRange.end);
+
   // ─── 2. Computed Values (Memoization) ──────────────────────────────────────
 
+  // ราคาในสกุลเงินที่แสดง (ยังโหลดอัตราไม่เสร็จ/หาไม่ได้ → แสดงสกุลเดิม)
+  const displayHistory = useMemo(() => convertCloses(history, fx, currency), [history, fx, currency]);
+  const shownCurrency = fx.converted ? targetCurrency : currency;
+
   // คำนวณจำนวนวันที่เลือกในฟอร์ม (Real-time)
   const dateRangeInDays = useMemo(
     () => calculateDateRangeInDays(startDate, endDate),
@@ -69,14 +81,10 @@ function HomePage() {
     [displayRange.start, displayRange.end]
   );
 
-  // หาฟังก์ชันช่วยตัดสินค่าเงินจากสัญลักษณ์ (heuristic)
-  const getCurrencyForTicker = (sym) => {
-    if (!sym) return '';
-    const s = sym.trim().toUpperCase();
-    if (s.endsWith('.BK')) return 'THB';
-    // ถ้าเป็นสัญลักษณ์สั้น ๆ (ไทยมักเป็น 1-4 อักษร) ให้ถือเป็น THB
-    if (/^[A-Z]{1,4}$/.test(s)) return 'THB';
-    return 'USD';
+  // สกุลเงินสำรองเมื่อ API ไม่ส่งมา: ใช้จากรายชื่อหุ้นที่เลือกไว้ แล้วค่อยดูจาก .BK
+  const getFallbackCurrency = (sym) => {
+    if (selectedSuggestion?.symbol === sym && selectedSuggestion.currency) return selectedSuggestion.currency;
+    return sym.endsWith('.BK') ? 'THB' : 'USD';
   };
 
   // ฟอร์แมตวันที่สำหรับแสดงผล
@@ -133,7 +141,7 @@ function HomePage() {
 
       // รองรับ 2 รูปแบบ: Backend ใหม่ return { history, currency }, เก่า return []
       const rawHistory = Array.isArray(response) ? response : (response?.history || []);
-      const apiCurrency = response?.currency || getCurrencyForTicker(cleanSymbol);
+      const apiCurrency = response?.currency || getFallbackCurrency(cleanSymbol);
 
       // ตรวจสอบข้อมูลว่าง
       if (!rawHistory || rawHistory.length === 0) {
@@ -188,13 +196,12 @@ function HomePage() {
 
         {/* Input Group: Stock Symbol */}
         <div className="input-group">
-          <input
-            type="text"
+          <TickerAutocomplete
             id="stock-symbol"
-            placeholder="ชื่อหุ้น (เช่น PTT, AAPL)"
-            autoComplete="off"
+            placeholder="ชื่อหุ้นหรือชื่อบริษัท (เช่น PTT, AAPL, Apple)"
             value={inputSymbol}
-            onChange={e => setInputSymbol(e.target.value)}
+            onChange={setInputSymbol}
+            onSelect={setSelectedSuggestion}
             className="main-input"
           />
         </div>
@@ -295,12 +302,16 @@ function HomePage() {
           </div>
 
           <div className="chart-container">
-            <StockChart data={history} currency={currency} />
+            <StockChart data={displayHistory} currency={shownCurrency} />
           </div>
 
           <div className="dividend-table-wrapper" style={{ marginTop: '2rem' }}>
             <h3 style={{ marginBottom: '1rem', color: 'var(--theme-highlight)' }}>ตารางราคาปิดรายวัน</h3>
-            <StockTable data={history} currency={currency} />
+            <StockTable
+              data={displayHistory}
+              currency={shownCurrency}
+              originalCurrency={fx.converted ? currency : null}
+            />
           </div>
         </div>
       )}
@@ -12,12 +12,13 @@
  * 
  * **โครงสร้างไฟล์:**
  * 1. Section 1: Helper Functions (ฟังก์ชันช่วยเหลือ - parseDate, calculateDays, Presets)
- * 2. Section 2: Calculation Functions (คำนวณ Indicators - SMA, EMA, RSI, MACD, Bollinger Bands)
- * 3. Section 3: Main Component (IndicatorsPage)
+ * 2. Section 2: Main Component (IndicatorsPage)
  *    - State Management (จัดการ State)
  *    - Event Handlers (จัดการ Event)
- *    - Data Processing (ประมวลผลข้อมูล)
  *    - Rendering (แสดงผล UI)
+ *
+ * การดึงข้อมูลและคำนวณ Indicators อยู่ใน src/hooks/useIndicators.js (คำนวณใน src/workers/indicators.worker.js)
+ * สูตรทั้งหมดอยู่ใน shared/indicators.js (ใช้ร่วมกับ Backend /api/indicators/:ticker)
  * 
  * **Technical Indicators ที่รองรับ:**
  * - SMA (Simple Moving Average): ค่าเฉลี่ยเคลื่อนที่แบบธรรมดา
@@ -47,7 +48,7 @@
 import React, { useState, useCallback, useRef, useMemo } from 'react';
 
 // Link: สำหรับ navigation ไปหน้าอื่นโดยไม่ reload หน้า (เช่น ปุ่ม "กลับหน้าหลัก")
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 
 // Recharts: ไลบรารีสร้างกราฟที่ใช้ SVG
 // - ResponsiveContainer: ทำให้กราฟปรับขนาดตาม parent container
@@ -71,9 +72,6 @@ import {
 // CSS เฉพาะหน้า Indicators (glassmorphism, form, chart styles)
 import '../css/IndicatorsPage.css';
 
-// apiFetch: ฟังก์ชันกลางสำหรับเรียก API (จัดการ base URL, error handling)
-import { apiFetch } from '../utils/api';
-
 // === Sub-Components สำหรับแต่ละกราฟ ===
 // PriceChart: กราฟราคาหลัก (Recharts) พร้อม SMA/EMA/BB/Fibonacci overlays
 import PriceChart from '../Component/Indicators/PriceChart';
@@ -83,10 +81,42 @@ import VolumeChart from '../Component/Indicators/VolumeChart';
 import RsiChart from '../Component/Indicators/RsiChart';
 // MacdHistogramChart: กราฟ MACD Histogram (แท่งบวก/ลบ)
 import MacdHistogramChart from '../Component/Indicators/MacdHistogramChart';
+// StudyChart: กราฟย่อยแบบเส้นของ Stochastic / ADX / ATR / OBV (ใช้แถวเดียวกับกราฟราคา)
+import StudyChart from '../Component/Indicators/StudyChart';
+// SqueezeMomentumChart: Squeeze Momentum (แท่ง Momentum + จุดสถานะ Squeeze)
+import SqueezeMomentumChart from '../Component/Indicators/SqueezeMomentumChart';
 // ZoomControls: ปุ่มควบคุม Zoom (ซูมเข้า/ออก/รีเซ็ต) + ช่วงข้อมูลที่แสดง
 import ZoomControls from '../Component/Indicators/ZoomControls';
+// IndicatorSettingsPanel: ตั้งค่าเส้นค่าเฉลี่ย / BB / RSI / Studies ใน Panel ⚙️ Indicators
+import IndicatorSettingsPanel from '../Component/Indicators/IndicatorSettingsPanel';
+// StrategyBuilderPanel: สร้างกลยุทธ์จากเงื่อนไขของ Indicators แล้วแสดงจุดซื้อ/ขายบนกราฟ (Panel 🧩 Strategy)
+import StrategyBuilderPanel from '../Component/Indicators/StrategyBuilderPanel';
 // VerticalScaleSlider: ตัวเลื่อนปรับขนาดความสูงกราฟ (แนวตั้ง)
 import VerticalScaleSlider from '../Component/Indicators/VerticalScaleSlider';
+// TickerAutocomplete: ช่องกรอกชื่อหุ้นพร้อมรายการแนะนำ (/api/search)
+import TickerAutocomplete from '../Component/TickerAutocomplete';
+
+// priceAdjust: ตัวเลือกปรับราคา Split / ปันผล (?adjust=)
+import { ADJUST_OPTIONS, DEFAULT_ADJUST, getAdjustLabel } from '../utils/priceAdjust';
+
+// useIndicators: ดึงแท่งราคา + คำนวณ Indicators ทั้งหมดใน Web Worker (สูตรจาก shared/indicators.js ใช้ร่วมกับ Backend)
+import { useIndicators } from '../hooks/useIndicators';
+
+// indicatorSettings: พารามิเตอร์ที่ผู้ใช้ปรับได้ (เส้นค่าเฉลี่ย, BB, RSI) เก็บใน localStorage
+import { DEFAULT_INDICATOR_SETTINGS, loadIndicatorSettings, saveIndicatorSettings } from '../utils/indicatorSettings';
+
+// strategyRules: กลยุทธ์แบบกำหนดเงื่อนไขเอง (JSON), ?strategy= = ลิงก์ที่แชร์มา
+import { EXAMPLE_STRATEGY, parseStrategy, decodeStrategy } from '../../shared/strategyRules';
+import { STRATEGY_URL_PARAM } from '../utils/savedStrategies';
+
+// รูปแบบกราฟราคาที่เลือกได้ (ส่งต่อให้ PriceChart ผ่าน prop chartType)
+const CHART_TYPES = [
+  { id: 'line', label: 'Line' },
+  { id: 'area', label: 'Area' },
+  { id: 'candle', label: 'Candles' },
+  { id: 'ohlc', label: 'OHLC' },
+  { id: 'heikinAshi', label: 'Heikin-Ashi' },
+];
 
 // =====================================================
 // === SECTION 1: HELPER FUNCTIONS (ฟังก์ชันช่วยเหลือ) ===
@@ -123,6 +153,25 @@ const calculateDateRangeInDays = (start, end) => {
   return Math.floor((e - s) / (24 * 60 * 60 * 1000)) + 1; // คำนวณจำนวนวัน (24ชม × 60นาที × 60วิ × 1000ms)
 };
 
+/**
+ * INTERVAL_OPTIONS - ความถี่ของแท่งราคา (ส่งเป็น ?interval= ให้ Backend)
+ *
+ * - maxDays: ข้อมูล Intraday ย้อนหลังได้จำกัด (ตาม Provider) ถ้าช่วงที่เลือกยาวกว่านี้
+ *   Backend จะตัดวันเริ่มต้นให้เอง และส่ง rangeClamped: true กลับมา
+ * - 1wk/1mo/1q: Backend รวมแท่งรายวันเป็นแท่ง OHLCV ใหม่ (High/Low/Volume ครบ)
+ *   Indicators ทั้งหมดจึงคำนวณบนแท่งเหล่านี้ได้เหมือนแท่งรายวัน
+ */
+const INTERVAL_OPTIONS = [
+  { id: '1d', label: 'รายวัน', intraday: false, maxDays: null },
+  { id: '1wk', label: 'รายสัปดาห์', intraday: false, maxDays: null },
+  { id: '1mo', label: 'รายเดือน', intraday: false, maxDays: null },
+  { id: '1q', label: 'รายไตรมาส', intraday: false, maxDays: null },
+  { id: '1h', label: '1 ชม.', intraday: true, maxDays: 730 },
+  { id: '15m', label: '15 นาที', intraday: true, maxDays: 60 },
+  { id: '5m', label: '5 นาที', intraday: true, maxDays: 60 },
+  { id: '1m', label: '1 นาที', intraday: true, maxDays: 7 },
+];
+
 /**
  * PRESET_RANGES - ตัวเลือกช่วงเวลาที่ตั้งไว้ล่วงหน้า
  * 
@@ -201,601 +250,65 @@ const PRESET_RANGES = [
   },
 ];
 
-/**
- * RSI_SETTINGS - ค่าคงที่สำหรับการคำนวณ RSI และฟีเจอร์เสริม
- * 
- * ค่าเหล่านี้กำหนดพฤติกรรมของ RSI indicator ทั้งหมด:
- * - length: จำนวน period สำหรับคำนวณ RSI (ค่ามาตรฐาน = 14 วัน)
- * - smoothingType: วิธี Smoothing เส้น RSI ('SMA + Bollinger Bands' = เส้นเฉลี่ยพร้อมแถบ BB)
- * - smoothingLength: จำนวน period สำหรับ Smoothing (14 วัน)
- * - bbMultiplier: ตัวคูณส่วนเบี่ยงเบนมาตรฐานของ Bollinger Bands (2 = ±2σ)
- * - divergence: การตั้งค่า Divergence Detection
- *   - enabled: เปิด/ปิดการตรวจจับ Divergence
- *   - lookbackLeft/Right: จำนวนแท่งที่ดูย้อนหลัง/ไปข้างหน้าเพื่อหาจุด Pivot
- *   - rangeUpper/Lower: ขอบเขตบน/ล่างของ RSI ที่จะตรวจ Divergence
- */
-const RSI_SETTINGS = {
-  length: 14,                              // RSI period มาตรฐาน (Wilder ใช้ 14)
-  smoothingType: 'SMA + Bollinger Bands',  // ใช้ SMA + BB เป็น smoothing
-  smoothingLength: 14,                     // ความยาว SMA smoothing
-  bbMultiplier: 2,                         // BB = SMA ± 2 × Standard Deviation
-  divergence: {
-    enabled: true,          // เปิดใช้การตรวจจับ Divergence
-    lookbackLeft: 5,        // ดูย้อนหลัง 5 แท่งเพื่อยืนยัน Pivot
-    lookbackRight: 5,       // ดูไปอีก 5 แท่งเพื่อยืนยัน Pivot
-    rangeUpper: 60,         // ขอบบนของ RSI ที่ตรวจ Bearish Divergence
-    rangeLower: 5           // ขอบล่างของ RSI ที่ตรวจ Bullish Divergence
-  }
-};
-
-// =====================================================
-// === SECTION 2: CALCULATION FUNCTIONS (คำนวณ Indicators) ===
-// =====================================================
-
-/**
- * fetchStockHistory - ดึงข้อมูลราคาหุ้นย้อนหลังจาก Backend API
- * @param {string} symbol - ชื่อหุ้น (เช่น 'PTT', 'AAPL')
- * @param {string} startDate - วันเริ่มต้น (YYYY-MM-DD)
- * @param {string} endDate - วันสิ้นสุด (YYYY-MM-DD)
- * @returns {Promise<Object>} - { history: [...], currency: 'THB'|'USD' }
- */
-async function fetchStockHistory(symbol, startDate, endDate) {
-  const params = new URLSearchParams();           // สร้าง query string builder
-  if (startDate) params.append('startDate', startDate); // เพิ่ม startDate ถ้ามี
-  if (endDate) params.append('endDate', endDate);       // เพิ่ม endDate ถ้ามี
-  const query = params.toString();                // แปลงเป็น string "startDate=...&endDate=..."
-  return apiFetch(`/api/stock/history/${symbol}${query ? `?${query}` : ''}`); // เรียก API
-}
-
-/**
- * calculateSMA - คำนวณ Simple Moving Average (ค่าเฉลี่ยเคลื่อนที่แบบธรรมดา)
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @param {number} period - จำนวน period (เช่น 10, 50, 100, 200 วัน)
- * @returns {Array|null} - [{date, value}, ...] หรือ null ถ้าข้อมูลไม่พอ
- * 
- * สูตร: SMA = (ผลรวมราคาปิด N วัน) / N
- * ใช้เทคนิค Sliding Window: เพิ่มค่าใหม่เข้า + ลบค่าเก่าออก → O(n)
- */
-const calculateSMA = (data, period) => {
-  if (!Array.isArray(data) || data.length < period) return null; // ข้อมูลไม่พอ
-  const out = [];       // ผลลัพธ์ SMA
-  let sum = 0;          // ผลรวมสะสม (sliding window)
-  for (let i = 0; i < data.length; i++) {
-    sum += data[i].close;                          // เพิ่มราคาปิดวันปัจจุบัน
-    if (i >= period) sum -= data[i - period].close; // ลบราคาปิดที่หลุดออกจาก window
-    if (i >= period - 1) {                          // เมื่อมีข้อมูลครบ period แล้ว
-      out.push({
-        date: data[i].date,
-        value: sum / period                         // ค่าเฉลี่ย = ผลรวม / จำนวน period
-      });
-    }
-  }
-  return out;
-};
-
-/**
- * calculateEMA - คำนวณ Exponential Moving Average (ค่าเฉลี่ยเคลื่อนที่แบบเลขชี้กำลัง)
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @param {number} period - จำนวน period
- * @returns {Array|null} - [{date, value}, ...]
- * 
- * สูตร: EMA = ราคาปิดวันนี้ × k + EMA เมื่อวาน × (1-k)
- * โดยที่ k (smoothing factor) = 2 / (period + 1)
- * EMA ให้น้ำหนักกับข้อมูลล่าสุดมากกว่า SMA → ตอบสนองต่อราคาเร็วกว่า
- */
-const calculateEMA = (data, period) => {
-  if (!Array.isArray(data) || data.length < period) return null; // ข้อมูลไม่พอ
-  const out = [];                                                // ผลลัพธ์ EMA
-  const k = 2 / (period + 1);                                   // k = smoothing factor
-  // ค่า EMA เริ่มต้น = SMA ของ N วันแรก (เป็น seed value)
-  let ema = data.slice(0, period).reduce((s, d) => s + d.close, 0) / period;
-  for (let i = period - 1; i < data.length; i++) {
-    if (i > period - 1) {
-      // คำนวณ EMA: ราคาปิด × k + EMA ก่อนหน้า × (1-k)
-      ema = data[i].close * k + ema * (1 - k);
-    }
-    out.push({
-      date: data[i].date,
-      value: ema
-    });
-  }
-  return out;
-};
-
-/**
- * calculateRSI - คำนวณ Relative Strength Index (ดัชนีความแข็งแกร่งสัมพัทธ์)
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @param {number} period - จำนวน period (ค่าเริ่มต้น = 14)
- * @returns {Array|null} - [{date, value(0-100)}, ...]
- * 
- * สูตร: RSI = 100 - (100 / (1 + RS))
- * โดยที่ RS = Average Gain / Average Loss
- * 
- * ใช้วิธี Wilder Smoothing (exponential):
- * AvgGain = (AvgGain ก่อนหน้า × (period-1) + Gain ปัจจุบัน) / period
- * AvgLoss = (AvgLoss ก่อนหน้า × (period-1) + Loss ปัจจุบัน) / period
- * 
- * ค่า RSI:
- * - > 70: Overbought (ซื้อมากเกินไป → อาจจะลง)
- * - < 30: Oversold (ขายมากเกินไป → อาจจะขึ้น)
- */
-const calculateRSI = (data, period = 14) => {
-  if (!Array.isArray(data) || data.length < period + 1) return null; // ต้องมีอย่างน้อย period+1 จุด
-
-  // === ขั้นตอน 1: คำนวณ Price Change ของแต่ละวัน ===
-  const changes = [];
-  for (let i = 1; i < data.length; i++) {
-    changes.push(data[i].close - data[i - 1].close); // การเปลี่ยนแปลงราคา = วันนี้ - เมื่อวาน
-  }
-
-  const out = [];
-  let gains = 0, losses = 0;
-
-  // === ขั้นตอน 2: คำนวณ Average Gain/Loss เริ่มต้น (N วันแรก) ===
-  for (let i = 0; i < period; i++) {
-    if (changes[i] > 0) gains += changes[i];    // ถ้าราคาขึ้น → สะสม gain
-    else losses += -changes[i];                  // ถ้าราคาลง → สะสม loss (เป็นค่าบวก)
-  }
-  let avgGain = gains / period;  // ค่าเฉลี่ย gain เริ่มต้น
-  let avgLoss = losses / period; // ค่าเฉลี่ย loss เริ่มต้น
-
-  // === ขั้นตอน 3: คำนวณ RSI แต่ละวันด้วย Wilder Smoothing ===
-  for (let i = period; i < changes.length; i++) {
-    const change = changes[i];
-    if (change > 0) {
-      // วันนี้ราคาขึ้น: avgGain เพิ่ม, avgLoss ลดลง (decay)
-      avgGain = (avgGain * (period - 1) + change) / period;
-      avgLoss = (avgLoss * (period - 1)) / period;
-    } else {
-      // วันนี้ราคาลง: avgGain ลดลง (decay), avgLoss เพิ่ม
-      avgGain = (avgGain * (period - 1)) / period;
-      avgLoss = (avgLoss * (period - 1) - change) / period; // -change กลับเป็นค่าบวก
-    }
-    const rs = avgLoss === 0 ? 100 : avgGain / avgLoss; // RS = AvgGain/AvgLoss (ป้องกันหารศูนย์)
-    const rsi = 100 - (100 / (1 + rs));                  // แปลง RS เป็น RSI (0-100)
-    out.push({
-      date: data[i + 1].date,  // offset +1 เพราะ changes เริ่มต้นจาก index 1
-      value: rsi
-    });
-  }
-  return out;
-};
-
-/**
- * calculateMACD - คำนวณ Moving Average Convergence Divergence
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @param {number} fast - EMA เร็ว (ค่าเริ่มต้น = 12)
- * @param {number} slow - EMA ช้า (ค่าเริ่มต้น = 26)
- * @param {number} sig - Signal line period (ค่าเริ่มต้น = 9)
- * @returns {Object|null} - { macdLine, signalLine, histogram }
- * 
- * MACD ประกอบด้วย 3 ส่วน:
- * 1. MACD Line = EMA(12) - EMA(26)         → ทิศทาง momentum
- * 2. Signal Line = EMA(9) ของ MACD Line    → สัญญาณซื้อ/ขาย
- * 3. Histogram = MACD Line - Signal Line   → ความแรงของ momentum
- * 
- * สัญญาณ:
- * - MACD ตัด Signal จากล่างขึ้นบน → Bullish (ซื้อ)
- * - MACD ตัด Signal จากบนลงล่าง → Bearish (ขาย)
- */
-const calculateMACD = (data, fast = 12, slow = 26, sig = 9) => {
-  if (!Array.isArray(data) || data.length < slow + sig) return null; // ต้องมีข้อมูลอย่างน้อย slow+sig จุด
-
-  // === ขั้นตอน 1: คำนวณ EMA เร็ว (12) และ EMA ช้า (26) ===
-  const emaFast = calculateEMA(data, fast);
-  const emaSlow = calculateEMA(data, slow);
-  if (!emaFast || !emaSlow) return null;
-
-  // === ขั้นตอน 2: คำนวณ MACD Line = EMA Fast - EMA Slow ===
-  const macdLine = [];
-  const macdMap = new Map(emaFast.map(e => [e.date.getTime(), e.value])); // สร้าง Map สำหรับ lookup เร็ว
-  const slowMap = new Map(emaSlow.map(e => [e.date.getTime(), e.value]));
-  for (let i = slow - 1; i < data.length; i++) {
-    const ts = data[i].date.getTime();
-    const m = (macdMap.get(ts) ?? 0) - (slowMap.get(ts) ?? 0); // MACD = EMA Fast - EMA Slow
-    macdLine.push({ date: data[i].date, value: m });
-  }
-
-  // === ขั้นตอน 3: คำนวณ Signal Line = EMA(9) ของ MACD Line ===
-  // แปลง macdLine ให้มี .close เพื่อใช้กับ calculateEMA
-  const signalLine = calculateEMA(macdLine.map(m => ({ ...m, close: m.value })), sig);
-  if (!signalLine) return null;
-
-  // === ขั้นตอน 4: คำนวณ Histogram = MACD Line - Signal Line ===
-  const histogram = [];
-  const sigMap = new Map(signalLine.map(s => [s.date.getTime(), s.value]));
-  for (const ml of macdLine) {
-    const ts = ml.date.getTime();
-    const h = ml.value - (sigMap.get(ts) ?? 0); // Histogram = MACD - Signal
-    histogram.push({ date: ml.date, value: h });
-  }
-  return { macdLine, signalLine, histogram };
-};
-
-/**
- * calculateBollingerBands - คำนวณแถบ Bollinger Bands
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @param {number} period - จำนวน period (ค่าเริ่มต้น = 20)
- * @param {number} devs - จำนวนส่วนเบี่ยงเบนมาตรฐาน (ค่าเริ่มต้น = 2)
- * @returns {Array|null} - [{date, upper, middle, lower}, ...]
- * 
- * BB ประกอบด้วย 3 เส้น:
- * - Middle Band = SMA(20) → แนวรับแนวต้านกลาง
- * - Upper Band = Middle + 2σ → แนวต้านบน (ราคาแพง)
- * - Lower Band = Middle - 2σ → แนวรับล่าง (ราคาถูก)
- * σ = Standard Deviation ของราคาปิด N วัน
- * 
- * เมื่อแถบแคบ (squeeze) → ราคาจะเคลื่อนที่รุนแรง (breakout)
- * เมื่อราคาทะลุ Upper → อาจ Overbought, ทะลุ Lower → อาจ Oversold
- */
-const calculateBollingerBands = (data, period = 20, devs = 2) => {
-  if (!Array.isArray(data) || data.length < period) return null;
-  // ฟังก์ชันช่วยคำนวณ Standard Deviation
-  const calculateSD = arr => {
-    const mean = arr.reduce((s, v) => s + v, 0) / arr.length; // ค่าเฉลี่ย
-    return Math.sqrt(arr.reduce((s, v) => s + (v - mean) ** 2, 0) / arr.length); // √(Σ(x-μ)²/N)
-  };
-  const bb = [];
-  for (let i = period - 1; i < data.length; i++) {
-    const slice = data.slice(i - period + 1, i + 1).map(d => d.close); // ราคาปิด N วัน
-    const middle = slice.reduce((s, v) => s + v, 0) / period;          // Middle = SMA
-    const sd = calculateSD(slice);                                       // Standard Deviation
-    bb.push({
-      date: data[i].date,
-      upper: middle + devs * sd,  // Upper Band = Middle + 2σ
-      middle,                      // Middle Band = SMA(20)
-      lower: middle - devs * sd   // Lower Band = Middle - 2σ
-    });
-  }
-  return bb;
-};
-
-/**
- * resampleData - ลดจำนวนจุดข้อมูลเพื่อป้องกัน labels ซ้อนทับกัน
- * @param {Array} data - ข้อมูลต้นฉบับ
- * @param {number} maxPoints - จำนวนจุดสูงสุดที่ต้องการ (ค่าเริ่มต้น = 50)
- * @returns {Array} - ข้อมูลที่ถูก resample แล้ว
- * 
- * ใช้วิธี: เก็บทุกๆ N จุด (step) + จุดสุดท้ายเสมอ
- */
-const resampleData = (data, maxPoints = 50) => {
-  if (!Array.isArray(data) || data.length <= maxPoints) return data; // ไม่ต้อง resample
-  const step = Math.ceil(data.length / maxPoints);                   // คำนวณ step size
-  return data.filter((_, i) => i % step === 0 || i === data.length - 1); // เก็บทุก step + จุดสุดท้าย
-};
+// กราฟที่ใช้แถวเรียงตาม Index เดียวกับกราฟราคา (Price, Volume, Study Panes) ใช้ syncId นี้ร่วมกัน
+// → Tooltip และเส้นชี้ตำแหน่งเลื่อนไปพร้อมกันทุกกราฟ
+const CHART_SYNC_ID = 'indicators';
 
-/**
- * calculateFibonacci - คำนวณระดับ Fibonacci Retracement
- * @param {Array} data - ข้อมูลราคาหุ้น [{date, close}, ...]
- * @returns {Object|null} - { high, low, levels: [{level, value, color}, ...] }
- * 
- * Fibonacci Retracement ใช้หาแนวรับ-แนวต้านจากสัดส่วน Fibonacci:
- * - 0% (High): จุดสูงสุด → แนวต้านหลัก
- * - 23.6%, 38.2%, 50%, 61.8%, 78.6%: ระดับ retracement
- * - 100% (Low): จุดต่ำสุด → แนวรับหลัก
- * 
- * ระดับ 61.8% (Golden Ratio) เป็นระดับที่สำคัญที่สุด
- * สูตร: ระดับ = High - (High - Low) × เปอร์เซ็นต์
- */
-const calculateFibonacci = (data) => {
-  if (!Array.isArray(data) || data.length < 2) return null;
-  const closes = data.map(d => d.close).filter(v => typeof v === 'number'); // กรองเฉพาะตัวเลข
-  if (closes.length < 2) return null;
-  const high = Math.max(...closes);  // จุดสูงสุดในช่วง
-  const low = Math.min(...closes);   // จุดต่ำสุดในช่วง
-  const diff = high - low;           // ช่วงราคา (High - Low)
-
-  // กำหนดแต่ละระดับพร้อมสี (สีแดง = Low, สีน้ำเงิน = High, สีทอง = Golden Ratio)
-  const levels = [
-    { level: '100% (Low)', value: low, color: '#ff5252' },
-    { level: '78.6%', value: high - diff * 0.786, color: '#ffb74d' },
-    { level: '61.8%', value: high - diff * 0.618, color: '#ffd740' },   // Golden Ratio (สำคัญที่สุด)
-    { level: '50%', value: high - diff * 0.5, color: '#aeea00' },
-    { level: '38.2%', value: high - diff * 0.382, color: '#ffd740' },
-    { level: '23.6%', value: high - diff * 0.236, color: '#ffb74d' },
-    { level: '0% (High)', value: high, color: '#448aff' }
-  ];
-  return { high, low, levels };
-};
-
-// =====================================================
-// === RSI HELPERS (ฟังก์ชันช่วยสำหรับ RSI) ===
-// =====================================================
+// จัดรูปแบบตัวเลขใหญ่ (OBV) เช่น 1.2M, 350K
+const formatCompact = (v) => (Number.isFinite(v)
+  ? new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(v)
+  : '');
 
 /**
- * calculateStDev - คำนวณส่วนเบี่ยงเบนมาตรฐาน (Standard Deviation)
- * ใช้สำหรับ Bollinger Bands ของ RSI Smoothing
+ * STUDY_PANES - กราฟย่อยของ Studies (แสดงต่อจาก MACD ตามลำดับนี้)
+ * - key: ตรงกับ visibleIndicators[key]
+ * - needsHighLow: แสดงหมายเหตุเมื่อข้อมูลไม่มี High/Low (คำนวณจากราคาปิดแทน)
+ * - lines/referenceLines/domain/tickFormatter: ส่งต่อให้ StudyChart
  */
-const calculateStDev = (arr) => {
-  const mean = arr.reduce((s, v) => s + v, 0) / arr.length; // ค่าเฉลี่ย (μ)
-  return Math.sqrt(arr.reduce((s, v) => s + (v - mean) ** 2, 0) / arr.length); // √(Σ(x-μ)²/N)
-};
-
-/**
- * calculateRSISmoothing - เพิ่มเส้น Smoothing (MA) และ Bollinger Bands ลงบน RSI
- * @param {Array} rsiData - ข้อมูล RSI [{date, value}, ...]
- * @param {string} type - ประเภท Smoothing ('SMA', 'EMA', หรือ 'SMA + Bollinger Bands')
- * @param {number} length - ความยาว period ของ Smoothing
- * @param {number} mult - ตัวคูณ Standard Deviation สำหรับ BB (เช่น 2 = ±2σ)
- * @returns {Array} - RSI data เดิม + เพิ่ม fields: smoothing, smoothingUpper, smoothingLower
- * 
- * ฟังก์ชันนี้เพิ่ม "เส้นกลาง" ให้ RSI เพื่อลด noise:
- * - ถ้า type = 'SMA': เพิ่มเส้น SMA ของ RSI
- * - ถ้า type = 'EMA': เพิ่มเส้น EMA ของ RSI
- * - ถ้า type = 'SMA + Bollinger Bands': เพิ่มทั้ง SMA + แถบ BB ของ RSI
- */
-const calculateRSISmoothing = (rsiData, type, length, mult) => {
-  if (!rsiData || rsiData.length < length) return rsiData;
-  const values = rsiData.map(d => d.value);
-
-  // Calculate MA based on type
-  let maValues = [];
-  if (type === 'SMA' || type === 'SMA + Bollinger Bands') {
-    // Simple Moving Average
-    for (let i = 0; i < values.length; i++) {
-      if (i < length - 1) { maValues.push(null); continue; }
-      const slice = values.slice(i - length + 1, i + 1);
-      maValues.push(slice.reduce((a, b) => a + b, 0) / length);
-    }
-  } else if (type === 'EMA') {
-    // Exponential Moving Average
-    const k = 2 / (length + 1);
-    let ema = values.slice(0, length).reduce((a, b) => a + b, 0) / length;
-    for (let i = 0; i < values.length; i++) {
-      if (i < length - 1) { maValues.push(null); continue; }
-      if (i === length - 1) { maValues.push(ema); continue; }
-      ema = values[i] * k + ema * (1 - k);
-      maValues.push(ema);
-    }
-  }
-
-  // Attach to data
-  return rsiData.map((d, i) => {
-    const ma = maValues[i];
-    let bands = {};
-    if (type === 'SMA + Bollinger Bands' && ma !== null && i >= length - 1) {
-      const slice = values.slice(i - length + 1, i + 1);
-      const std = calculateStDev(slice);
-      bands = {
-        smoothingUpper: ma + std * mult,
-        smoothingLower: ma - std * mult
-      };
-    }
-    return { ...d, smoothing: ma, ...bands };
-  });
-};
-
-/**
- * calculateDivergence - ตรวจจับ RSI Divergence (การแยกตัวระหว่างราคากับ RSI)
- * @param {Array} rsiData - ข้อมูล RSI [{date, value}, ...]
- * @param {Array} priceData - ข้อมูลราคาหุ้น [{date, high, low, close}, ...]
- * @param {number} lookbackL - จำนวนแท่งดูย้อนหลังเพื่อหา Pivot (5)
- * @param {number} lookbackR - จำนวนแท่งดูไปข้างหน้าเพื่อยืนยัน Pivot (5)
- * @returns {Array} - [{date, type: 'bull'|'bear', value}, ...]
- * 
- * Divergence Types:
- * - Bullish: ราคาทำ Lower Low + RSI ทำ Higher Low → ราคาอาจกลับตัวขึ้น
- * - Bearish: ราคาทำ Higher High + RSI ทำ Lower High → ราคาอาจกลับตัวลง
- */
-// Need matched indices
-// Assumes rsiData and priceData are aligned by Date or can be joined.
-// Here we assume rsiData is derived from priceData and has same length/alignment approx.
-// Actually rsiData starts later. We need to map by date.
-
-const calculateDivergence = (rsiData, priceData, lookbackL = 5, lookbackR = 5) => {
-  if (!rsiData || !priceData) return [];
-
-  const priceMap = new Map(priceData.map(p => [p.date.getTime(), p]));
-  const combined = rsiData.map(r => {
-    const p = priceMap.get(r.date.getTime());
-    return { ...r, priceHigh: p?.high, priceLow: p?.low, priceClose: p?.close };
-  }).filter(d => d.priceClose !== undefined);
-
-  const divergences = [];
-
-  // Pivot detection helpers
-  const isPivotLow = (arr, i, lbL, lbR) => {
-    if (i < lbL || i >= arr.length - lbR) return false;
-    const val = arr[i];
-    for (let j = 1; j <= lbL; j++) if (arr[i - j] < val) return false; // Must be lower than left
-    for (let j = 1; j <= lbR; j++) if (arr[i + j] <= val) return false; // Must be lower than right
-    return true;
-  };
-
-  const isPivotHigh = (arr, i, lbL, lbR) => {
-    if (i < lbL || i >= arr.length - lbR) return false;
-    const val = arr[i];
-    for (let j = 1; j <= lbL; j++) if (arr[i - j] > val) return false; // Must be higher than left
-    for (let j = 1; j <= lbR; j++) if (arr[i + j] >= val) return false; // Must be higher than right
-    return true;
-  };
-
-  const rsiVals = combined.map(c => c.value);
-  const lowVals = combined.map(c => c.priceLow); // Using Low for Bullish
-  const highVals = combined.map(c => c.priceHigh); // Using High for Bearish (or Close if preferred, standard is High/Low)
-
-  let lastPL = null; // { index, rsi, price }
-  let lastPH = null;
-
-  for (let i = lookbackL; i < combined.length - lookbackR; i++) {
-    // Check Bullish (Pivot Low)
-    if (isPivotLow(rsiVals, i, lookbackL, lookbackR)) {
-      if (lastPL) {
-        // Check Divergence condition: Price Lower Low AND RSI Higher Low
-        if (lowVals[i] < lastPL.price && rsiVals[i] > lastPL.rsi) {
-          // Found Bullish Divergence
-          divergences.push({ date: combined[i].date, type: 'bull', value: rsiVals[i] });
-        }
-      }
-      lastPL = { index: i, rsi: rsiVals[i], price: lowVals[i] };
-    }
-
-    // Check Bearish (Pivot High)
-    if (isPivotHigh(rsiVals, i, lookbackL, lookbackR)) {
-      if (lastPH) {
-        // Check Divergence condition: Price Higher High AND RSI Lower High
-        if (highVals[i] > lastPH.price && rsiVals[i] < lastPH.rsi) {
-          // Found Bearish Divergence
-          divergences.push({ date: combined[i].date, type: 'bear', value: rsiVals[i] });
-        }
-      }
-      lastPH = { index: i, rsi: rsiVals[i], price: highVals[i] };
-    }
-  }
-
-  return divergences;
-};
-
-/**
- * calculateGoldenDeathCross - ตรวจหาจุด Golden Cross และ Death Cross
- * @param {Array} data - ข้อมูลราคาหุ้น
- * @param {Array} sma50List - SMA(50) data
- * @param {Array} sma200List - SMA(200) data
- * @returns {Object} - { signals: [{date, type, price}], zones: [{start, end, type}] }
- * 
- * - Golden Cross: SMA(50) ตัด SMA(200) จากล่างขึ้นบน → Bullish ระยะยาว
- * - Death Cross: SMA(50) ตัด SMA(200) จากบนลงล่าง → Bearish ระยะยาว
- */
-const calculateGoldenDeathCross = (data, sma50List, sma200List) => {
-  if (!data || !sma50List || !sma200List) return { signals: [], zones: [] };
-
-  const sma50Map = new Map(sma50List.map(s => [s.date.getTime(), s.value]));
-  const sma200Map = new Map(sma200List.map(s => [s.date.getTime(), s.value]));
-
-  const signals = [];
-  const zones = [];
-  let zoneStart = null;
-  let currentZoneType = null; // 'golden' or 'death'
-
-  // Iterate from the second point to allow comparison with previous
-  for (let i = 1; i < data.length; i++) {
-    const ts = data[i].date.getTime();
-    const prevTs = data[i - 1].date.getTime();
-
-    const sma50 = sma50Map.get(ts);
-    const sma200 = sma200Map.get(ts);
-    const prevSma50 = sma50Map.get(prevTs);
-    const prevSma200 = sma200Map.get(prevTs);
-
-    if (sma50 == null || sma200 == null || prevSma50 == null || prevSma200 == null) continue;
-
-    const isGolden = sma50 > sma200;
-    const isDeath = sma50 < sma200;
-
-    // Strict Crossover Check:
-    // Golden: Yesterday 50 <= 200 AND Today 50 > 200
-    // Death: Yesterday 50 >= 200 AND Today 50 < 200
-
-    let signalType = null;
-    if (prevSma50 <= prevSma200 && sma50 > sma200) {
-      signalType = 'golden';
-    } else if (prevSma50 >= prevSma200 && sma50 < sma200) {
-      signalType = 'death';
-    }
-
-    if (signalType) {
-      signals.push({
-        date: data[i].date,
-        type: signalType,
-        price: data[i].close
-      });
-
-      // Zone Management
-      if (zoneStart) {
-        zones.push({ start: zoneStart, end: data[i].date, type: currentZoneType });
-      }
-      zoneStart = data[i].date;
-      currentZoneType = signalType;
-    } else if (!zoneStart) {
-      // Initialize first zone based on current state if not started
-      zoneStart = data[i].date;
-      currentZoneType = isGolden ? 'golden' : 'death';
-    }
-  }
-
-  // Close final zone
-  if (zoneStart && data.length > 0) {
-    zones.push({ start: zoneStart, end: data[data.length - 1].date, type: currentZoneType });
+const STUDY_PANES = [
+  {
+    key: 'stoch',
+    title: 'Stochastic %K / %D',
+    needsHighLow: true,
+    domain: [0, 100],
+    lines: [
+      { key: 'stochK', name: '%K', color: '#2962ff' },
+      { key: 'stochD', name: '%D', color: '#ff6d00', dashed: true }
+    ],
+    referenceLines: [
+      { y: 80, color: '#ef5350', label: '80' },
+      { y: 20, color: '#26a69a', label: '20' }
+    ]
+  },
+  {
+    key: 'adx',
+    title: 'ADX / DMI',
+    needsHighLow: true,
+    domain: [0, 100],
+    lines: [
+      { key: 'adx', name: 'ADX', color: '#ffd54f', width: 2.2 },
+      { key: 'plusDI', name: '+DI', color: '#26a69a' },
+      { key: 'minusDI', name: '-DI', color: '#ef5350' }
+    ],
+    referenceLines: [{ y: 25, color: '#9e9e9e', label: 'Trend 25' }]
+  },
+  {
+    key: 'atr',
+    title: 'ATR (Average True Range)',
+    needsHighLow: true,
+    lines: [{ key: 'atr', name: 'ATR', color: '#ab47bc', width: 2 }]
+  },
+  {
+    key: 'obv',
+    title: 'OBV (On-Balance Volume)',
+    needsHighLow: false,
+    tickFormatter: formatCompact,
+    lines: [{ key: 'obv', name: 'OBV', color: '#26c6da', width: 2 }]
   }
-
-  return { signals, zones };
-};
-
-/**
- * calculatePeakPoints - หาจุดสูงสุด/ต่ำสุดของแต่ละช่วงเวลา (สัปดาห์/เดือน/ปี)
- * @param {Array} data - ข้อมูลราคาหุ้น
- * @param {string} periodType - 'week' | 'month' | 'year'
- * @returns {Array} - [{date, type: 'weeklyHigh'|'weeklyLow'|..., value}, ...]
- * 
- * ใช้แสดงจุด High/Low ของแต่ละช่วงเวลาเป็น marker บนกราฟราคา
- */
-const calculatePeakPoints = (data, periodType) => {
-  if (!Array.isArray(data) || data.length === 0) return [];
-
-  // Helper to get period key
-  const getPeriodKey = (date) => {
-    const d = new Date(date);
-    if (periodType === 'week') {
-      const onejan = new Date(d.getFullYear(), 0, 1);
-      const millis = d - onejan;
-      return `${d.getFullYear()}-W${Math.ceil((((millis / 86400000) + onejan.getDay() + 1) / 7))}`;
-    } else if (periodType === 'month') {
-      return `${d.getFullYear()}-${d.getMonth() + 1}`;
-    } else if (periodType === 'year') {
-      return `${d.getFullYear()}`;
-    }
-    return '';
-  };
-
-  // Group data by period
-  const groups = new Map();
-  data.forEach(item => {
-    const key = getPeriodKey(item.date);
-    if (!groups.has(key)) groups.set(key, []);
-    groups.get(key).push(item);
-  });
-
-  const peaks = [];
-  const typePrefix = periodType === 'week' ? 'weekly' : periodType === 'month' ? 'monthly' : 'yearly';
-
-  groups.forEach((items) => {
-    if (items.length === 0) return;
-
-    // Find the item with the highest close price
-    let highItem = items[0];
-    let lowItem = items[0];
-
-    items.forEach(item => {
-      const price = (item.high !== undefined && item.high !== null) ? item.high : item.close;
-      const lowPrice = (item.low !== undefined && item.low !== null) ? item.low : item.close;
-      const highItemPrice = (highItem.high !== undefined && highItem.high !== null) ? highItem.high : highItem.close;
-      const lowItemPrice = (lowItem.low !== undefined && lowItem.low !== null) ? lowItem.low : lowItem.close;
-
-      if (price > highItemPrice) highItem = item;
-      if (lowPrice < lowItemPrice) lowItem = item;
-    });
-
-    // Add peak markers (using formatted date string for chart matching)
-    const formatDate = (d) => d.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' });
-
-    peaks.push({
-      date: formatDate(highItem.date),
-      type: `${typePrefix}High`,
-      value: (highItem.high !== undefined && highItem.high !== null) ? highItem.high : highItem.close
-    });
-
-    peaks.push({
-      date: formatDate(lowItem.date),
-      type: `${typePrefix}Low`,
-      value: (lowItem.low !== undefined && lowItem.low !== null) ? lowItem.low : lowItem.close
-    });
-  });
-
-  return peaks;
-};
+];
 
 // =====================================================
-// === SECTION 3: MAIN COMPONENT (หน้าหลัก IndicatorsPage) ===
+// === SECTION 2: MAIN COMPONENT (หน้าหลัก IndicatorsPage) ===
 // =====================================================
 
 /**
@@ -813,25 +326,42 @@ export default function IndicatorsPage() {
   const [startDate, setStartDate] = useState(new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]); // วันเริ่มต้น (default = 90 วันก่อน)
   const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);   // วันสิ้นสุด (default = วันนี้)
   const [selectedPreset, setSelectedPreset] = useState(null); // preset ที่ถูกเลือก (null = กำหนดเอง)
+  const [barInterval, setBarInterval] = useState('1d');       // ความถี่แท่งราคา (ดู INTERVAL_OPTIONS)
+  const [priceAdjust, setPriceAdjust] = useState(DEFAULT_ADJUST); // การปรับราคา (none / split / total)
+
+  // === State: พารามิเตอร์ของ Indicators (เปลี่ยนแล้วคำนวณใหม่จากแท่งเดิม ไม่ต้องดึงข้อมูลใหม่) ===
+  const [indicatorSettings, setIndicatorSettings] = useState(loadIndicatorSettings);
+
+  // === State: กลยุทธ์แบบกำหนดเงื่อนไขเอง (เปิดจากลิงก์ ?strategy= → แสดงบนกราฟทันที) ===
+  const [searchParams] = useSearchParams();
+  const [sharedStrategy] = useState(() => {
+    const code = searchParams.get(STRATEGY_URL_PARAM);
+    if (!code) return { strategy: null, error: '' };
+    try {
+      return { strategy: decodeStrategy(code), error: '' };
+    } catch (err) {
+      return { strategy: null, error: `ลิงก์กลยุทธ์ใช้ไม่ได้: ${err.message}` };
+    }
+  });
+  const [strategy, setStrategy] = useState(() => sharedStrategy.strategy || parseStrategy(EXAMPLE_STRATEGY));
+  const [showStrategyPanel, setShowStrategyPanel] = useState(Boolean(sharedStrategy.strategy || sharedStrategy.error));
 
-  // === State: สถานะการทำงาน ===
-  const [loading, setLoading] = useState(false);   // กำลังโหลดข้อมูลอยู่หรือไม่
-  const [error, setError] = useState('');           // ข้อความ error (ว่าง = ไม่มี error)
+  // === State: สถานะการทำงาน + ข้อมูลกราฟทั้งหมด (price, volume, rsi, macd, etc.) ===
+  const { chartData, strategySignals, loading, error, setError, run } = useIndicators(indicatorSettings, strategy);
 
   // === State: ข้อมูลที่ประมวลผลแล้ว ===
-  const [displayRange, setDisplayRange] = useState({ start: '', end: '' }); // ช่วงวันที่ที่แสดงอยู่จริง
-  const [chartData, setChartData] = useState({});   // ข้อมูลกราฟทั้งหมด (price, volume, rsi, macd, etc.)
+  const [displayRange, setDisplayRange] = useState({ start: '', end: '', interval: '1d', clamped: false, adjust: DEFAULT_ADJUST, adjustFallback: false }); // ช่วงวันที่ที่แสดงอยู่จริง
   const [currency, setCurrency] = useState('');      // สกุลเงิน ('THB' หรือ 'USD')
 
   // === State: การตั้งค่า UI ===
   const [heightScale, setHeightScale] = useState(1.0);  // ตัวคูณความสูงกราฟ (VerticalScaleSlider)
   const [widthPct, setWidthPct] = useState(90);          // ความกว้างกราฟ (% ของ container)
   const [pricePadPct, setPricePadPct] = useState(0.06);  // padding ด้านบน/ล่างของกราฟราคา (6%)
+  const [chartType, setChartType] = useState('line');    // รูปแบบกราฟราคา (ดู CHART_TYPES)
 
   // === State: การแสดง/ซ่อน Indicators ===
   const [visibleIndicators, setVisibleIndicators] = useState({
-    sma: true,            // SMA (Simple Moving Average) — เปิดอยู่
-    ema: true,            // EMA (Exponential Moving Average) — เปิดอยู่
+    ma: true,             // เส้นค่าเฉลี่ย (SMA/EMA/WMA/HMA ตามที่ตั้งค่า) — เปิดอยู่
     bb: true,             // Bollinger Bands — เปิดอยู่
     fib: true,            // Fibonacci Retracement — เปิดอยู่
     goldenDeath: true,    // Golden/Death Cross — เปิดอยู่
@@ -840,9 +370,17 @@ export default function IndicatorsPage() {
     yearlyHighLow: false, // Yearly High/Low — ปิดอยู่
     volume: true,         // Volume Bars — เปิดอยู่
     rsi: true,            // RSI — เปิดอยู่
-    macd: true            // MACD — เปิดอยู่
+    macd: true,           // MACD — เปิดอยู่
+    squeeze: false,       // Squeeze Momentum — ปิดอยู่
+    vwap: false,          // VWAP — ปิดอยู่
+    ichimoku: false,      // Ichimoku Cloud — ปิดอยู่
+    supertrend: false,    // Supertrend — ปิดอยู่
+    stoch: false,         // Stochastic — ปิดอยู่
+    adx: false,           // ADX/DMI — ปิดอยู่
+    atr: false,           // ATR — ปิดอยู่
+    obv: false,           // OBV — ปิดอยู่
+    strategy: Boolean(sharedStrategy.strategy) // จุดซื้อ/ขายของกลยุทธ์ — เปิดเมื่อมาจากลิงก์ที่แชร์
   });
-  const abortRef = useRef(null);  // ref สำหรับ AbortController (ยกเลิก API request ก่อนหน้า)
   const [showIndicatorPanel, setShowIndicatorPanel] = useState(false); // เปิด/ปิด panel ตั้งค่า indicators
 
   // =====================================================
@@ -877,6 +415,13 @@ export default function IndicatorsPage() {
     setVisibleIndicators(prev => ({ ...prev, [key]: !prev[key] }));
   }, []);
 
+  const updateIndicatorSettings = useCallback((next) => {
+    setIndicatorSettings(next);
+    saveIndicatorSettings(next);
+  }, []);
+
+  const resetIndicatorSettings = useCallback(() => updateIndicatorSettings(DEFAULT_INDICATOR_SETTINGS), [updateIndicatorSettings]);
+
   const dateRangeInDays = calculateDateRangeInDays(startDate, endDate);
   const displayRangeInDays = calculateDateRangeInDays(displayRange.start, displayRange.end);
 
@@ -1127,11 +672,13 @@ export default function IndicatorsPage() {
   // useMemo: คำนวณใหม่เฉพาะเมื่อ zoomWindow หรือ chartData เปลี่ยน
   const slicedData = useMemo(() => {
     const { startIndex, endIndex } = zoomWindow;
+    // RSI เริ่มหลังแท่งแรกเท่ากับ RSI Length (ปรับได้) → เลื่อน Index ตามจำนวนแท่งที่ขาด
+    const rsiOffset = (chartData.price?.length || 0) - (chartData.rsi?.length || 0);
     return {
       price: chartData.price?.slice(startIndex, endIndex) || [],
       volume: chartData.volume?.slice(startIndex, endIndex) || [],
       rsi: chartData.rsi?.slice(
-        Math.max(0, startIndex - 14), // RSI ต้องการ 14 periods ก่อนหน้า
+        Math.max(0, startIndex - rsiOffset),
         endIndex
       ) || [],
       macd: chartData.macd?.slice(
@@ -1173,166 +720,29 @@ export default function IndicatorsPage() {
       return;
     }
 
-    setLoading(true);
-    setError('');
-
-    if (abortRef.current) {
-      try { abortRef.current.abort(); } catch (e) { /* ignore */ }
-    }
-    const controller = new AbortController();
-    abortRef.current = controller;
-
-    try {
-      // Fetch history (which now includes currency metadata)
-      const response = await apiFetch(
-        `/api/stock/history/${ticker}?startDate=${startDate}&endDate=${endDate}`,
-        { signal: controller.signal }
-      );
-
-      // Handle new response format { history, currency }
-      // Fallback for backward compatibility if backend returns array
-      const rawHistory = Array.isArray(response) ? response : (response.history || []);
-      const apiCurrency = response.currency || (ticker.endsWith('.BK') ? 'THB' : 'USD');
-
-      setCurrency(apiCurrency);
-
-      const normalized = rawHistory.map(item => ({ ...item, date: new Date(item.date) }));
-      const sorted = normalized.sort((a, b) => a.date - b.date);
-
-      if (sorted.length < 35) {
-        throw new Error('ข้อมูลย้อนหลังต้องอย่างน้อย 35 วัน');
-      }
-
-      // Calculate indicators
-      const sma10 = calculateSMA(sorted, 10);
-      const sma50 = calculateSMA(sorted, 50);
-      const sma100 = calculateSMA(sorted, 100);
-      const sma200 = calculateSMA(sorted, 200);
-
-      const ema50 = calculateEMA(sorted, 50);
-      const ema100 = calculateEMA(sorted, 100);
-      const ema200 = calculateEMA(sorted, 200);
-
-      const rsi = calculateRSI(sorted, 14);
-      const macd = calculateMACD(sorted);
-      const bb = calculateBollingerBands(sorted, 20, 2);
-      const fibonacci = calculateFibonacci(sorted);
-
-      // Merge into chart data
-      const priceData = sorted.map((row, idx) => {
-        const smaps = sma10 ? new Map(sma10.map(s => [s.date.getTime(), s.value])) : new Map();
-        const sma50s = sma50 ? new Map(sma50.map(s => [s.date.getTime(), s.value])) : new Map();
-        const sma100s = sma100 ? new Map(sma100.map(s => [s.date.getTime(), s.value])) : new Map();
-        const sma200s = sma200 ? new Map(sma200.map(s => [s.date.getTime(), s.value])) : new Map();
-
-        const ema50s = ema50 ? new Map(ema50.map(s => [s.date.getTime(), s.value])) : new Map();
-        const ema100s = ema100 ? new Map(ema100.map(s => [s.date.getTime(), s.value])) : new Map();
-        const ema200s = ema200 ? new Map(ema200.map(s => [s.date.getTime(), s.value])) : new Map();
-
-        const bbs = bb ? new Map(bb.map(b => [b.date.getTime(), b])) : new Map();
-
-        const ts = row.date.getTime();
-        const bbData = bbs.get(ts) || {};
-
-        return {
-          date: row.date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' }),
-          close: row.close,
-          volume: row.volume || 0,
-          sma10: smaps.get(ts),
-          sma50: sma50s.get(ts),
-          sma100: sma100s.get(ts),
-          sma200: sma200s.get(ts),
-          ema50: ema50s.get(ts),
-          ema100: ema100s.get(ts),
-          ema200: ema200s.get(ts),
-          bbUpper: bbData.upper,
-          bbMiddle: bbData.middle,
-          bbLower: bbData.lower,
-          isUp: idx === 0 || row.close >= (sorted[idx - 1]?.close || row.close)
-        };
-      });
-
-      // Calculate RSI Smoothing & Divergence
-      const rsiWithSmoothing = calculateRSISmoothing(
-        rsi,
-        RSI_SETTINGS.smoothingType,
-        RSI_SETTINGS.smoothingLength,
-        RSI_SETTINGS.bbMultiplier
-      );
-
-      const divergences = RSI_SETTINGS.divergence.enabled
-        ? calculateDivergence(rsi, sorted, RSI_SETTINGS.divergence.lookbackLeft, RSI_SETTINGS.divergence.lookbackRight)
-        : [];
-
-      const rsiData = rsiWithSmoothing ? rsiWithSmoothing.map(r => ({
-        date: r.date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' }),
-        value: r.value,
-        smoothing: r.smoothing,
-        smoothingUpper: r.smoothingUpper,
-        smoothingLower: r.smoothingLower
-      })) : [];
-
-      // Map divergences to display date
-      const divergenceData = divergences.map(d => ({
-        ...d,
-        date: d.date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' })
-      }));
-
-      const macdData = macd ? macd.histogram.map(h => ({
-        date: h.date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' }),
-        histogram: h.value
-      })) : [];
-
-      // Calculate Golden Cross / Death Cross
-      const goldenDeathResult = calculateGoldenDeathCross(sorted, sma50, sma200);
-      const goldenDeathSignals = goldenDeathResult.signals.map(s => ({
-        ...s,
-        date: s.date.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' })
-      }));
-      const goldenDeathZones = goldenDeathResult.zones.map(z => ({
-        ...z,
-        start: z.start.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' }),
-        end: z.end.toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' })
-      }));
-
-      // Calculate Weekly/Monthly/Yearly Peak Points (single markers at actual high/low)
-      const weeklyPeaks = calculatePeakPoints(sorted, 'week');
-      const monthlyPeaks = calculatePeakPoints(sorted, 'month');
-      const yearlyPeaks = calculatePeakPoints(sorted, 'year');
-
-      // Combine all peaks for easier passing to PriceChart
-      const allPeaks = [...weeklyPeaks, ...monthlyPeaks, ...yearlyPeaks];
-
-      // priceData is already good, no need for stepped HL mapping
-      const finalPriceData = priceData;
-
-      setChartData({
-        price: finalPriceData,
-        volume: finalPriceData,
-        rsi: rsiData,
-        rsiDivergences: divergenceData,
-        macd: macdData,
-        fibonacci: fibonacci,
-        goldenDeathSignals: goldenDeathSignals,
-        goldenDeathZones: goldenDeathZones,
-        highLowPeaks: allPeaks, // NEW: Peak markers for High-Low
-        priceResampled: resampleData(finalPriceData, 45),
-        volumeResampled: resampleData(finalPriceData, 45),
-        rsiResampled: resampleData(rsiData, 45),
-        macdResampled: resampleData(macdData, 45),
-      });
-
-      setDisplayRange({
-        start: startDate,
-        end: endDate,
-      });
-    } catch (err) {
-      setError(err?.message || 'เกิดข้อผิดพลาด');
-      setChartData({});
-    } finally {
-      setLoading(false);
-    }
-  }, [inputSymbol, startDate, endDate]);
+    // Label แกน X: Intraday ต้องมีเวลาด้วย ไม่งั้นแท่งในวันเดียวกันจะซ้ำกัน
+    const intraday = INTERVAL_OPTIONS.find(opt => opt.id === barInterval)?.intraday ?? false;
+    const result = await run({
+      ticker,
+      startDate,
+      endDate,
+      interval: barInterval,
+      adjust: priceAdjust,
+      intraday
+    });
+    if (!result) return;
+
+    setCurrency(result.currency);
+    setDisplayRange({
+      start: startDate,
+      end: endDate,
+      interval: barInterval,
+      clamped: result.rangeClamped,
+      adjust: result.adjust || DEFAULT_ADJUST,
+      // Backend ถอยกลับเป็น 'split' เมื่อไม่มีข้อมูล Split/ปันผล
+      adjustFallback: Boolean(result.adjust) && result.adjust !== priceAdjust,
+    });
+  }, [inputSymbol, startDate, endDate, barInterval, priceAdjust, run, setError]);
 
   return (
     <div
@@ -1351,10 +761,9 @@ export default function IndicatorsPage() {
       <form onSubmit={handleSubmit} className="indicator-form">
         <div className="form-group">
           <label className="form-label">📌 ชื่อหุ้น</label>
-          <input
-            type="text"
+          <TickerAutocomplete
             value={inputSymbol}
-            onChange={(e) => setInputSymbol(e.target.value)}
+            onChange={setInputSymbol}
             placeholder="เช่น PTT, AOT, AAPL"
             className="indicator-input"
             required
@@ -1392,6 +801,39 @@ export default function IndicatorsPage() {
           </label>
         </div>
 
+        <div className="preset-buttons-group">
+          <span className="preset-label">🕒 ความถี่แท่ง:</span>
+          <div className="preset-buttons">
+            {INTERVAL_OPTIONS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                className={`range-button ${barInterval === option.id ? 'active' : ''}`}
+                title={option.maxDays ? `ย้อนหลังได้สูงสุด ${option.maxDays} วัน` : undefined}
+                onClick={() => setBarInterval(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="preset-buttons-group">
+          <span className="preset-label">⚖️ ปรับราคา:</span>
+          <div className="preset-buttons">
+            {ADJUST_OPTIONS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                className={`range-button ${priceAdjust === option.id ? 'active' : ''}`}
+                onClick={() => setPriceAdjust(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
         <div className="preset-buttons-group">
           <span className="preset-label">⏱️ ช่วงเร็วเลือก:</span>
           <div className="preset-buttons">
@@ -1438,7 +880,14 @@ export default function IndicatorsPage() {
         <div className="charts-container" role="region" aria-label="กราฟเทคนิค">
           <div className="analysis-range-banner">
             📊 วิเคราะห์: <strong>{formatDisplayDate(displayRange.start)}</strong> ถึง <strong>{formatDisplayDate(displayRange.end)}</strong>
-            <span className="banner-days">({displayRangeInDays} วัน)</span>
+            <span className="banner-days">({displayRangeInDays} วัน · {INTERVAL_OPTIONS.find(opt => opt.id === displayRange.interval)?.label})</span>
+            <span className="banner-days"> · {getAdjustLabel(displayRange.adjust)}</span>
+            {displayRange.adjustFallback && (
+              <span className="banner-days"> — ไม่พบข้อมูล Split/ปันผล จึงแสดงราคาปรับ Split</span>
+            )}
+            {displayRange.clamped && (
+              <span className="banner-days"> — ข้อมูล Intraday ย้อนหลังได้จำกัด จึงแสดงเฉพาะช่วงล่าสุดที่มีข้อมูล</span>
+            )}
           </div>
 
           <div className="chart-controls">
@@ -1457,10 +906,51 @@ export default function IndicatorsPage() {
                 visibleEnd={zoomWindow.endIndex}
                 onZoomChange={(s, e) => setZoomWindow({ startIndex: s, endIndex: e })}
               />
+
+              {/* Chart Type Switch: Line / Area / Candles / OHLC / Heikin-Ashi */}
+              <div className="chart-type-switch" role="group" aria-label="รูปแบบกราฟราคา">
+                {CHART_TYPES.map(type => (
+                  <button
+                    key={type.id}
+                    type="button"
+                    className={`range-button ${chartType === type.id ? 'active' : ''}`}
+                    aria-pressed={chartType === type.id}
+                    onClick={() => setChartType(type.id)}
+                  >
+                    {type.label}
+                  </button>
+                ))}
+              </div>
             </div>
 
-            {/* --- Visibility Toggles (Collapsible Panel) --- */}
+            {/* --- Strategy Builder (Collapsible Panel) --- */}
             <div className="indicator-panel-wrapper" style={{ marginLeft: 'auto' }}>
+              <button
+                type="button"
+                onClick={() => setShowStrategyPanel(prev => !prev)}
+                className={`panel-trigger ${showStrategyPanel ? 'open' : ''}`}
+              >
+                <span style={{ transform: showStrategyPanel ? 'rotate(90deg)' : 'rotate(0)', transition: 'transform 0.2s' }}>▶</span>
+                🧩 Strategy{visibleIndicators.strategy ? ` (${strategySignals.length})` : ''}
+              </button>
+
+              {showStrategyPanel && (
+                <div className="modern-panel strategy-panel">
+                  <StrategyBuilderPanel
+                    strategy={strategy}
+                    onApply={setStrategy}
+                    visible={visibleIndicators.strategy}
+                    onToggleVisible={() => toggleIndicator('strategy')}
+                    signals={strategySignals}
+                    barCount={chartData.price?.length || 0}
+                    notice={sharedStrategy.error}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* --- Visibility Toggles (Collapsible Panel) --- */}
+            <div className="indicator-panel-wrapper">
               <button
                 type="button"
                 onClick={() => setShowIndicatorPanel(prev => !prev)}
@@ -1475,12 +965,14 @@ export default function IndicatorsPage() {
                   <div className="panel-section">
                     <div className="section-title">📉 Trend & Overlays</div>
                     <div className="toggles-grid">
-                      {['sma', 'ema', 'bb', 'goldenDeath'].map(key => {
+                      {['ma', 'bb', 'goldenDeath', 'vwap', 'ichimoku', 'supertrend'].map(key => {
                         const labels = {
-                          sma: 'SMA (Moving Avg)',
-                          ema: 'EMA (Exp Avg)',
+                          ma: 'Moving Averages',
                           bb: 'Bollinger Bands',
-                          goldenDeath: 'Golden/Death Cross'
+                          goldenDeath: 'Golden/Death Cross',
+                          vwap: 'VWAP',
+                          ichimoku: 'Ichimoku Cloud',
+                          supertrend: 'Supertrend'
                         };
                         return (
                           <div
@@ -1523,11 +1015,16 @@ export default function IndicatorsPage() {
                   <div className="panel-section">
                     <div className="section-title">📊 Oscillators & Vol</div>
                     <div className="toggles-grid">
-                      {['volume', 'rsi', 'macd'].map(key => {
+                      {['volume', 'rsi', 'macd', 'squeeze', 'stoch', 'adx', 'atr', 'obv'].map(key => {
                         const labels = {
                           volume: 'Volume Bars',
                           rsi: 'RSI (Relative Str)',
-                          macd: 'MACD Momentum'
+                          macd: 'MACD Momentum',
+                          squeeze: 'Squeeze Momentum',
+                          stoch: 'Stochastic',
+                          adx: 'ADX / DMI',
+                          atr: 'ATR (Volatility)',
+                          obv: 'OBV (Volume Flow)'
                         };
                         return (
                           <div
@@ -1542,6 +1039,12 @@ export default function IndicatorsPage() {
                       })}
                     </div>
                   </div>
+
+                  <IndicatorSettingsPanel
+                    settings={indicatorSettings}
+                    onChange={updateIndicatorSettings}
+                    onReset={resetIndicatorSettings}
+                  />
                 </div>
               )}
             </div>
@@ -1569,22 +1072,28 @@ export default function IndicatorsPage() {
               >
                 <PriceChart
                   data={slicedData.price}
+                  maLines={chartData.maLines}
+                  hasHighLow={chartData.hasHighLow}
+                  syncId={CHART_SYNC_ID}
                   height={priceHeight}
                   padPct={pricePadPct}
                   currency={currency}
                   visible={visibleIndicators}
+                  chartType={chartType}
                   fibonacci={slicedData.fibonacci}
                   signals={chartData.signals}
                   smaSignals={chartData.smaSignals}
                   goldenDeathSignals={slicedData.goldenDeathSignals}
                   goldenDeathZones={slicedData.goldenDeathZones}
                   macdStrategySignals={chartData.macdStrategySignals}
+                  ruleSignals={strategySignals}
                   highLowPeaks={slicedData.highLowPeaks}
                 />
 
                 {visibleIndicators.volume && (
                   <VolumeChart
                     data={slicedData.volume}
+                    syncId={CHART_SYNC_ID}
                     height={volumeHeight}
                   />
                 )}
@@ -1593,7 +1102,7 @@ export default function IndicatorsPage() {
                   <RsiChart
                     data={slicedData.rsi}
                     divergences={slicedData.rsiDivergences}
-                    smoothingLabel={RSI_SETTINGS.smoothingType}
+                    smoothingLabel={indicatorSettings.rsi.smoothingType}
                     height={rsiHeight}
                   />
                 )}
@@ -1604,6 +1113,30 @@ export default function IndicatorsPage() {
                     height={rsiHeight}
                   />
                 )}
+
+                {visibleIndicators.squeeze && (
+                  <SqueezeMomentumChart
+                    data={slicedData.price}
+                    syncId={CHART_SYNC_ID}
+                    height={rsiHeight}
+                  />
+                )}
+
+                {/* Study Panes: ใช้แถวของกราฟราคาที่ตัดตาม Zoom Window แล้ว → แกน X ตรงกับกราฟราคา */}
+                {STUDY_PANES.filter(pane => visibleIndicators[pane.key]).map(pane => (
+                  <StudyChart
+                    key={pane.key}
+                    title={pane.title}
+                    data={slicedData.price}
+                    lines={pane.lines}
+                    referenceLines={pane.referenceLines}
+                    domain={pane.domain}
+                    tickFormatter={pane.tickFormatter}
+                    note={pane.needsHighLow && !chartData.hasHighLow ? 'ไม่มีข้อมูล High/Low — คำนวณจากราคาปิดแทน' : undefined}
+                    syncId={CHART_SYNC_ID}
+                    height={volumeHeight}
+                  />
+                ))}
               </div>
 
               {/* ZoomControls already above, no navigator needed here */}
@@ -0,0 +1,501 @@
+/**
+ * =====================================================
+ * PortfolioPage.jsx - พอร์ตจริง: บันทึกรายการ, หุ้นที่ถือ, กำไรขาดทุนเป็นบาท และสัดส่วน
+ * =====================================================
+ *
+ * **จุดประสงค์:**
+ * บันทึกการซื้อ ขาย ปันผล และค่าธรรมเนียมอื่น แล้วสรุปหุ้นที่ถือ ต้นทุนเฉลี่ย
+ * กำไรที่รับรู้แล้ว/ยังไม่รับรู้เป็นบาท และสัดส่วนตามหุ้น/สกุลเงิน
+ *
+ * - ค่าธรรมเนียมซื้อขายคิดด้วยค่าคอมมิชชั่น + VAT แบบเดียวกับหน้าคำนวณกำไรขาดทุน (แก้ทับได้)
+ * - รายการสกุลเงินต่างประเทศเก็บอัตรา → THB ของวันทำรายการ (ไม่กรอก = ดึงจาก /api/forex/history ให้)
+ * - เก็บในเบราว์เซอร์ (utils/portfolioStorage.js), Export/Import เป็น JSON หรือ CSV
+ *
+ * สูตรทั้งหมดอยู่ใน shared/portfolio.js
+ */
+
+import React, { useState, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ResponsiveContainer, PieChart, Pie, Cell, Tooltip, Legend } from 'recharts';
+import '../css/App.css';
+import '../css/CalculatorPage.css';
+import '../css/PortfolioPage.css';
+import TickerAutocomplete from '../Component/TickerAutocomplete';
+import { formatDateToISO } from '../utils/dateRanges';
+import { DISPLAY_CURRENCIES, ORIGINAL_CURRENCY } from '../utils/displayCurrency';
+import { loadPortfolio, savePortfolio, createTransactionId } from '../utils/portfolioStorage';
+import { usePortfolioMarket, fillHistoricalFxRates } from '../hooks/usePortfolioMarket';
+import { DEFAULT_COMMISSION, DEFAULT_VAT, tradeFee } from '../../shared/backtest';
+import {
+  BASE_CURRENCY,
+  guessCurrency,
+  parseTransaction,
+  sortTransactions,
+  computePortfolio,
+  portfolioToJson,
+  portfolioToCsv,
+  parsePortfolioFile
+} from '../../shared/portfolio';
+
+const TRANSACTION_LABELS = { buy: 'ซื้อ', sell: 'ขาย', dividend: 'ปันผล', fee: 'ค่าธรรมเนียมอื่น' };
+const CURRENCY_OPTIONS = DISPLAY_CURRENCIES.map(option => option.code).filter(code => code !== ORIGINAL_CURRENCY);
+const PIE_COLORS = ['#22d3ee', '#f7ca18', '#00e676', '#e91e63', '#90caf9', '#ff6f00', '#7b1fa2', '#8d6e63', '#cddc39', '#f06292'];
+// ชิ้นที่เล็กกว่านี้รวมเป็น "อื่นๆ" ในกราฟวงกลมตามหุ้น
+const MAX_PIE_SLICES = 9;
+
+const EMPTY_FORM = { shares: '', price: '', fee: '', amount: '', fxRate: '', note: '' };
+
+const formatDate = (day) => new Date(`${day}T00:00:00`).toLocaleDateString('th-TH', { day: '2-digit', month: 'short', year: 'numeric' });
+const formatMoney = (v) => (Number.isFinite(v) ? v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '-');
+const formatShares = (v) => (Number.isFinite(v) ? v.toLocaleString(undefined, { maximumFractionDigits: 6 }) : '-');
+const formatPercent = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : '-');
+const pnlClass = (v) => (!Number.isFinite(v) || v === 0 ? '' : v > 0 ? 'text-success' : 'text-danger');
+
+// ดาวน์โหลดข้อความเป็นไฟล์ (แบบเดียวกับ downloadCSV ของหน้าปันผล)
+const downloadText = (text, fileName, type) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// ชิ้นเล็กรวมเป็น "อื่นๆ" ให้กราฟอ่านง่าย
+const toPieData = (slices) => {
+  const data = slices.slice(0, MAX_PIE_SLICES).map(slice => ({ name: slice.key, value: slice.valueThb, weight: slice.weight }));
+  const rest = slices.slice(MAX_PIE_SLICES);
+  if (rest.length) {
+    data.push({
+      name: `อื่นๆ (${rest.length})`,
+      value: rest.reduce((sum, slice) => sum + slice.valueThb, 0),
+      weight: rest.reduce((sum, slice) => sum + (slice.weight || 0), 0)
+    });
+  }
+  return data;
+};
+
+function AllocationPie({ title, slices }) {
+  const data = toPieData(slices);
+  return (
+    <div className="portfolio-pie">
+      <h3>{title}</h3>
+      <ResponsiveContainer width="100%" height={280}>
+        <PieChart>
+          <Pie data={data} dataKey="value" nameKey="name" innerRadius={55} outerRadius={95} isAnimationActive={false}>
+            {data.map((entry, i) => <Cell key={entry.name} fill={PIE_COLORS[i % PIE_COLORS.length]} />)}
+          </Pie>
+          <Tooltip formatter={(value, name, { payload }) => [`${formatMoney(value)} บาท (${formatPercent(payload.weight)})`, name]} />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default function PortfolioPage() {
+  // === State: รายการ (โหลดครั้งแรกจาก localStorage) ===
+  const [initial] = useState(loadPortfolio);
+  const [transactions, setTransactions] = useState(initial.transactions);
+  const [storageError, setStorageError] = useState(initial.error);
+
+  // === State: ฟอร์มเพิ่มรายการ ===
+  const [txType, setTxType] = useState('buy');
+  const [date, setDate] = useState(() => formatDateToISO(new Date()));
+  const [inputSymbol, setInputSymbol] = useState('');
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [fields, setFields] = useState(EMPTY_FORM);
+  const [commissionRate, setCommissionRate] = useState(DEFAULT_COMMISSION);
+  const [vatRate, setVatRate] = useState(DEFAULT_VAT);
+  const [formError, setFormError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const isTrade = txType === 'buy' || txType === 'sell';
+  const setField = (name, value) => setFields(prev => ({ ...prev, [name]: value }));
+
+  // ค่าธรรมเนียมอัตโนมัติ = มูลค่า × คอมมิชชั่น × (1 + VAT) (ช่องค่าธรรมเนียมว่าง = ใช้ค่านี้)
+  const tradeValue = Number(fields.shares) * Number(fields.price);
+  const autoFee = Number.isFinite(tradeValue) && tradeValue > 0
+    ? tradeFee(tradeValue, Number(commissionRate) || 0, Number(vatRate) || 0)
+    : 0;
+
+  // บันทึกทุกครั้งที่ผู้ใช้เปลี่ยนรายการ (ไม่บันทึกตอนโหลด → ข้อมูลที่อ่านไม่ได้ยังไม่ถูกเขียนทับ)
+  const commit = (next) => {
+    setTransactions(next);
+    savePortfolio(next);
+    setStorageError('');
+  };
+
+  // === พอร์ต: หุ้นที่ยังถือ → ดึงราคา/อัตรา → คำนวณเต็ม ===
+  const openHoldings = useMemo(() => {
+    try {
+      return computePortfolio(transactions).positions.filter(pos => pos.shares > 0);
+    } catch {
+      return [];
+    }
+  }, [transactions]);
+  const market = usePortfolioMarket(openHoldings);
+  const portfolio = useMemo(() => {
+    try {
+      return computePortfolio(transactions, { prices: market.prices, fxRates: market.fxRates });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [transactions, market.prices, market.fxRates]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    setNotice('');
+
+    let tx;
+    try {
+      tx = parseTransaction({
+        id: createTransactionId(),
+        date,
+        type: txType,
+        ticker: inputSymbol,
+        currency,
+        shares: isTrade ? fields.shares : '',
+        price: isTrade ? fields.price : '',
+        fee: isTrade ? (fields.fee === '' ? autoFee : fields.fee) : '',
+        amount: isTrade ? '' : fields.amount,
+        fxRate: fields.fxRate,
+        note: fields.note
+      });
+    } catch (err) {
+      return setFormError(err.message);
+    }
+
+    setSaving(true);
+    try {
+      if (tx.fxRate === null) [tx] = await fillHistoricalFxRates([tx]);
+      const next = sortTransactions([...transactions, tx]);
+      computePortfolio(next); // ขายเกินจำนวนที่ถือ / สกุลเงินไม่ตรงกับรายการเดิม
+      commit(next);
+      setFields(EMPTY_FORM);
+      setNotice(`บันทึก${TRANSACTION_LABELS[tx.type]} ${tx.ticker || ''} แล้ว${tx.currency !== BASE_CURRENCY && tx.fxRate === null ? ' (หาอัตราแลกเปลี่ยนของวันนั้นไม่ได้ ใช้อัตราปัจจุบันแทน)' : ''}`);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (id) => {
+    const next = transactions.filter(tx => tx.id !== id);
+    try {
+      computePortfolio(next);
+    } catch (err) {
+      return setFormError(`ลบไม่ได้: ${err.message}`);
+    }
+    commit(next);
+  };
+
+  const handleExport = (format) => {
+    const stamp = formatDateToISO(new Date());
+    if (format === 'csv') {
+      // BOM → Excel อ่านภาษาไทยในหมายเหตุได้
+      downloadText(`\uFEFF${portfolioToCsv(transactions)}`, `portfolio_${stamp}.csv`, 'text/csv;charset=utf-8;');
+    } else {
+      downloadText(portfolioToJson(transactions), `portfolio_${stamp}.json`, 'application/json');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // เลือกไฟล์เดิมซ้ำได้
+    if (!file) return;
+    setFormError('');
+    setNotice('');
+    try {
+      const imported = parsePortfolioFile(await file.text()).transactions;
+      if (transactions.length && !window.confirm(`แทนที่ ${transactions.length} รายการเดิมด้วย ${imported.length} รายการจากไฟล์?`)) return;
+      setSaving(true);
+      commit(await fillHistoricalFxRates(imported));
+      setNotice(`นำเข้า ${imported.length} รายการจาก ${file.name} แล้ว`);
+    } catch (err) {
+      setFormError(`นำเข้าไม่ได้: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('ลบรายการทั้งหมด? (Export เก็บไว้ก่อนได้)')) return;
+    commit([]);
+  };
+
+  const totals = portfolio.totals;
+  const summaryCards = totals ? [
+    { label: 'มูลค่าตลาด', value: totals.marketValueThb },
+    { label: 'ต้นทุนของหุ้นที่ถือ', value: totals.costBasisThb },
+    { label: 'กำไรที่ยังไม่รับรู้', value: totals.unrealizedPnlThb, pnl: true },
+    { label: 'กำไรที่รับรู้แล้ว', value: totals.realizedPnlThb, pnl: true },
+    { label: 'เงินปันผล', value: totals.dividendsThb, pnl: true },
+    { label: 'ค่าธรรมเนียมอื่น', value: -totals.otherFeesThb, pnl: true },
+    { label: 'กำไรรวม', value: totals.totalPnlThb, pnl: true }
+  ] : [];
+  const openPositions = portfolio.positions?.filter(pos => pos.shares > 0) || [];
+  const closedPositions = portfolio.positions?.filter(pos => pos.shares === 0) || [];
+  const newestFirst = [...transactions].reverse();
+
+  return (
+    <div className="page-container calculator-page portfolio-page">
+      <h1>พอร์ตของฉัน</h1>
+      <p>
+        บันทึกการซื้อ ขาย ปันผล และค่าธรรมเนียม แล้วดูต้นทุนเฉลี่ย กำไรขาดทุนเป็นบาท และสัดส่วนของพอร์ต <br />
+        <span style={{ color: '#f7ca18', fontWeight: 600 }}>ข้อมูลเก็บในเบราว์เซอร์นี้เท่านั้น — Export เก็บไว้เป็นระยะ</span>
+      </p>
+
+      <form className="stock-history-form" onSubmit={handleAdd}>
+        <h2>เพิ่มรายการ</h2>
+        <div className="preset-buttons">
+          {Object.entries(TRANSACTION_LABELS).map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              className={`range-button${txType === id ? ' active' : ''}`}
+              onClick={() => setTxType(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="calculator-form portfolio-form">
+          <div className="form-group">
+            <label htmlFor="txDate">วันที่</label>
+            <input id="txDate" type="date" className="stockname-input" value={date} max={formatDateToISO(new Date())} onChange={e => setDate(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>{txType === 'fee' ? 'หุ้น (ไม่บังคับ)' : 'หุ้น'}</label>
+            <TickerAutocomplete
+              value={inputSymbol}
+              onChange={(text) => {
+                setInputSymbol(text);
+                setCurrency(text ? guessCurrency(text) : BASE_CURRENCY);
+              }}
+              onSelect={(entry) => entry.currency && setCurrency(String(entry.currency).toUpperCase())}
+              placeholder="เช่น PTT.BK, AAPL"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="txCurrency">สกุลเงิน</label>
+            <select id="txCurrency" className="stockname-input" value={currency} onChange={e => setCurrency(e.target.value)}>
+              {[...new Set([...CURRENCY_OPTIONS, currency])].map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </div>
+
+          {isTrade ? (
+            <>
+              <div className="form-group">
+                <label htmlFor="txShares">จำนวนหุ้น</label>
+                <input id="txShares" type="number" min="0" step="any" className="stockname-input" value={fields.shares} onChange={e => setField('shares', e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="txPrice">ราคาต่อหุ้น</label>
+                <input id="txPrice" type="number" min="0" step="any" className="stockname-input" value={fields.price} onChange={e => setField('price', e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="txCommission">ค่าคอมมิชชั่น (สัดส่วน)</label>
+                <input id="txCommission" type="number" step="0.0001" className="stockname-input" value={commissionRate} onChange={e => setCommissionRate(e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="txVat">VAT (สัดส่วน)</label>
+                <input id="txVat" type="number" step="0.01" className="stockname-input" value={vatRate} onChange={e => setVatRate(e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="txFee">ค่าธรรมเนียมรวม (ว่าง = คำนวณให้)</label>
+                <input id="txFee" type="number" min="0" step="any" className="stockname-input" value={fields.fee} placeholder={autoFee.toFixed(2)} onChange={e => setField('fee', e.target.value)} />
+              </div>
+            </>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="txAmount">{txType === 'dividend' ? 'เงินปันผลสุทธิที่ได้รับ' : 'จำนวนเงิน'}</label>
+              <input id="txAmount" type="number" min="0" step="any" className="stockname-input" value={fields.amount} onChange={e => setField('amount', e.target.value)} />
+            </div>
+          )}
+
+          {currency !== BASE_CURRENCY && (
+            <div className="form-group">
+              <label htmlFor="txFx">อัตรา {currency} → THB (ว่าง = อัตราของวันนั้น)</label>
+              <input id="txFx" type="number" min="0" step="any" className="stockname-input" value={fields.fxRate} onChange={e => setField('fxRate', e.target.value)} />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="txNote">หมายเหตุ</label>
+            <input id="txNote" type="text" maxLength={200} className="stockname-input" value={fields.note} onChange={e => setField('note', e.target.value)} />
+          </div>
+        </div>
+
+        <button type="submit" className="history-submit" disabled={saving}>
+          {saving ? 'กำลังบันทึก...' : `บันทึก${TRANSACTION_LABELS[txType]}`}
+        </button>
+        {formError && <div className="error-message" style={{ marginTop: 12 }}>{formError}</div>}
+        {notice && <div className="portfolio-note">{notice}</div>}
+      </form>
+
+      <div className="portfolio-toolbar">
+        <button type="button" className="range-button" onClick={() => handleExport('json')} disabled={!transactions.length}>Export JSON</button>
+        <button type="button" className="range-button" onClick={() => handleExport('csv')} disabled={!transactions.length}>Export CSV</button>
+        <button type="button" className="range-button" onClick={() => fileInputRef.current?.click()} disabled={saving}>Import JSON/CSV</button>
+        <input ref={fileInputRef} type="file" accept=".json,.csv,application/json,text/csv" hidden onChange={handleImport} />
+        <button type="button" className="range-button" onClick={market.refresh} disabled={market.loading || !openHoldings.length}>
+          {market.loading ? 'กำลังโหลดราคา...' : 'อัปเดตราคา'}
+        </button>
+        <button type="button" className="range-button" onClick={handleClear} disabled={!transactions.length}>ลบทั้งหมด</button>
+      </div>
+      {storageError && <div className="error-message">อ่านพอร์ตที่บันทึกไว้ไม่ได้: {storageError}</div>}
+      {portfolio.error && <div className="error-message">{portfolio.error}</div>}
+
+      {transactions.length > 0 && totals && (
+        <div className="results-container">
+          <h2>ภาพรวมพอร์ต (บาท)</h2>
+          <div className="indicator-card-grid">
+            {summaryCards.map(card => (
+              <div key={card.label} className="indicator-card">
+                <h3>{card.label}</h3>
+                <p className={`indicator-value ${card.pnl ? pnlClass(card.value) : ''}`}>{formatMoney(card.value)}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="portfolio-note">
+            {market.updatedAt && `ราคา ณ ${market.updatedAt.toLocaleTimeString('th-TH')}`}
+            {market.error && ` — โหลดราคาไม่ได้: ${market.error}`}
+            {portfolio.missingPrices.length > 0 && ` — ไม่มีราคาล่าสุดของ ${portfolio.missingPrices.join(', ')} (สัดส่วนคิดจากต้นทุน)`}
+            {portfolio.missingFx.length > 0 && ` — ไม่มีอัตราแลกเปลี่ยนของ ${portfolio.missingFx.join(', ')} (ไม่รวมในยอดบาท)`}
+          </div>
+
+          {openPositions.length > 0 && (
+            <>
+              <h3>หุ้นที่ถืออยู่</h3>
+              <div className="portfolio-table-wrapper">
+                <table className="portfolio-table">
+                  <thead>
+                    <tr>
+                      <th>หุ้น</th>
+                      <th>จำนวน</th>
+                      <th>ต้นทุนเฉลี่ย</th>
+                      <th>ราคาล่าสุด</th>
+                      <th>มูลค่า</th>
+                      <th>มูลค่า (บาท)</th>
+                      <th>กำไรยังไม่รับรู้ (บาท)</th>
+                      <th>%</th>
+                      <th>รับรู้แล้ว (บาท)</th>
+                      <th>ปันผล (บาท)</th>
+                      <th>สัดส่วน</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {openPositions.map(pos => (
+                      <tr key={pos.ticker}>
+                        <td>{pos.ticker} <span className="portfolio-currency">{pos.currency}</span></td>
+                        <td>{formatShares(pos.shares)}</td>
+                        <td>{formatMoney(pos.avgCost)}</td>
+                        <td>{formatMoney(pos.price)}</td>
+                        <td>{formatMoney(pos.marketValue)}</td>
+                        <td>{formatMoney(pos.marketValueThb)}</td>
+                        <td className={pnlClass(pos.unrealizedPnlThb)}>{formatMoney(pos.unrealizedPnlThb)}</td>
+                        <td className={pnlClass(pos.unrealizedPnlThb)}>
+                          {formatPercent(pos.unrealizedPnlThb / pos.costBasisThb)}
+                        </td>
+                        <td className={pnlClass(pos.realizedPnlThb)}>{formatMoney(pos.realizedPnlThb)}</td>
+                        <td>{formatMoney(pos.dividendsThb)}</td>
+                        <td>{formatPercent(pos.weight)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="portfolio-pies">
+                <AllocationPie title="สัดส่วนตามหุ้น" slices={portfolio.allocation.byTicker} />
+                <AllocationPie title="สัดส่วนตามสกุลเงิน" slices={portfolio.allocation.byCurrency} />
+              </div>
+            </>
+          )}
+
+          {closedPositions.length > 0 && (
+            <>
+              <h3>ขายหมดแล้ว</h3>
+              <div className="portfolio-table-wrapper">
+                <table className="portfolio-table">
+                  <thead>
+                    <tr>
+                      <th>หุ้น</th>
+                      <th>กำไรที่รับรู้</th>
+                      <th>กำไรที่รับรู้ (บาท)</th>
+                      <th>ปันผล (บาท)</th>
+                      <th>ค่าธรรมเนียม (บาท)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {closedPositions.map(pos => (
+                      <tr key={pos.ticker}>
+                        <td>{pos.ticker} <span className="portfolio-currency">{pos.currency}</span></td>
+                        <td className={pnlClass(pos.realizedPnl)}>{formatMoney(pos.realizedPnl)}</td>
+                        <td className={pnlClass(pos.realizedPnlThb)}>{formatMoney(pos.realizedPnlThb)}</td>
+                        <td>{formatMoney(pos.dividendsThb)}</td>
+                        <td>{formatMoney(pos.feesThb)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <h3>รายการทั้งหมด ({transactions.length})</h3>
+          <div className="portfolio-table-wrapper">
+            <table className="portfolio-table">
+              <thead>
+                <tr>
+                  <th>วันที่</th>
+                  <th>ประเภท</th>
+                  <th>หุ้น</th>
+                  <th>จำนวน</th>
+                  <th>ราคา</th>
+                  <th>ค่าธรรมเนียม</th>
+                  <th>จำนวนเงิน</th>
+                  <th>อัตรา → THB</th>
+                  <th>หมายเหตุ</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {newestFirst.map(tx => {
+                  const trade = tx.type === 'buy' || tx.type === 'sell';
+                  return (
+                    <tr key={tx.id}>
+                      <td>{formatDate(tx.date)}</td>
+                      <td className={`portfolio-type ${tx.type}`}>{TRANSACTION_LABELS[tx.type]}</td>
+                      <td>{tx.ticker || '-'} <span className="portfolio-currency">{tx.currency}</span></td>
+                      <td>{trade ? formatShares(tx.shares) : '-'}</td>
+                      <td>{trade ? formatMoney(tx.price) : '-'}</td>
+                      <td>{trade ? formatMoney(tx.fee) : '-'}</td>
+                      <td>{formatMoney(trade ? tx.shares * tx.price : tx.amount)}</td>
+                      <td>{tx.currency === BASE_CURRENCY ? '-' : (tx.fxRate ?? 'ปัจจุบัน')}</td>
+                      <td className="portfolio-note-cell">{tx.note}</td>
+                      <td>
+                        <button type="button" className="portfolio-delete" onClick={() => handleDelete(tx.id)} aria-label="ลบรายการ" title="ลบรายการ">✕</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <Link to="/" className="primary-button back-button">← กลับสู่หน้าหลัก</Link>
+    </div>
+  );
+}
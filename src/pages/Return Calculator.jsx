@@ -3,6 +3,7 @@ import '../css/App.css'; // นำเข้าไฟล์สไตล์หล
 import '../css/ReturnCalculatorPage.css'; // นามเข้าไฟล์สไตล์เฉพาะของหน้าเครื่องคำนวณผลตอบแทน
 import { apiFetch } from '../utils/api';
 import DividendCalendar from '../Component/DividendCalendar'; // นำเข้า Component ปฏิทินปันผล
+import { useDisplayCurrency, resolveTargetCurrency, useFxRates } from '../utils/displayCurrency'; // สกุลเงินที่ใช้แสดง (ตั้งที่ Layout)
 
 /* ---------------------------
    Helpers: parsing & formatters 
@@ -79,6 +80,21 @@ const clampToTodayISO = (iso) => {
   return d.toISOString().slice(0, 10);
 };
 
+// ปันผลต่อหุ้นในสกุลเงินที่แสดง: ใช้ค่าที่ Backend แปลงไว้แล้วก่อน (อัตรา ณ วันจ่าย)
+// ไม่มี → แปลงเองด้วยอัตรารายวันจาก useFxRates, ยังไม่มีอัตรา → null
+// approximate = วันจ่ายอยู่ก่อนอัตรารายวันแรก (แปลงด้วยอัตราแรกที่มีแทน)
+const toDisplayAmount = (ev, source, target, fx) => {
+  const exact = (amount) => ({ amount, approximate: false });
+  const amt = toFiniteNumber(ev.amountPerShare);
+  if (amt === null || !target) return exact(null);
+  if (target === 'USD' && toFiniteNumber(ev.amountUSD) !== null) return exact(toFiniteNumber(ev.amountUSD));
+  if (target === 'THB' && toFiniteNumber(ev.amountTHB) !== null) return exact(toFiniteNumber(ev.amountTHB));
+  if (target === (ev.currency || source)) return exact(amt);
+  if (!fx.converted) return exact(null);
+  const { rate, approximate = false } = fx.rateFor(toISODate(ev.date));
+  return { amount: rate ? Number((amt * rate).toFixed(4)) : null, approximate: Boolean(rate) && approximate };
+};
+
 /* ---------------------------
    Small UI helpers 
    --------------------------- */
@@ -119,7 +135,7 @@ function Spinner({ size = 18 }) {
 
 // ฟังก์ชันสร้างข้อความรูปแบบ CSV จากข้อมูลเหตุการณ์เงินปันผลเพื่อใช้ดาวน์โหลด
 const generateCSV = (events = [], summaries = {}) => {
-  const header = ['date', 'amountPerShare', `currency(${summaries.currency || '-'})`, 'priceAtEvent', 'priceDate', 'yieldPercent', 'amountUSD'];
+  const header = ['date', 'amountPerShare', `currency(${summaries.currency || '-'})`, 'priceAtEvent', 'priceDate', 'yieldPercent', 'amountUSD', `amount(${summaries.targetCurrency || '-'})`];
   const rows = events.map((ev) => [
     formatISODate(ev.date),
     (toFiniteNumber(ev.amountPerShare) !== null) ? toFiniteNumber(ev.amountPerShare) : '',
@@ -128,6 +144,7 @@ const generateCSV = (events = [], summaries = {}) => {
     ev.priceDate ? formatISODate(ev.priceDate) : '',
     (toFiniteNumber(ev.yieldPercent) !== null) ? toFiniteNumber(ev.yieldPercent) : '',
     (toFiniteNumber(ev.amountUSD) !== null) ? toFiniteNumber(ev.amountUSD) : '',
+    (toFiniteNumber(ev.amountDisplay) !== null) ? toFiniteNumber(ev.amountDisplay) : '',
   ]);
   // รวม Header และ Rows เข้าด้วยกัน และทำการ Escape เครื่องหมายคำพูด
   const csv = [header.join(','), ...rows.map((r) => r.map((c) => `"${String(c).replace(/"/g, '""')}"`).join(','))].join('\n');
@@ -151,9 +168,6 @@ function ReturnCalculator() {
   const [loading, setLoading] = useState(false); // สถานะการโหลด
   const [error, setError] = useState(''); // เก็บข้อความแสดงข้อผิดพลาด
 
-  // ดึงรายการ events (เงินปันผล) ออกมา ถ้าไม่มีให้เป็น array ว่าง (ใช้ useMemo เพื่อลดการคำนวณซ้ำ)
-  const events = useMemo(() => (Array.isArray(result?.events) ? result.events : []), [result]);
-
   // คำนวณช่วงวันที่ที่ใช้ในการขอข้อมูล เพื่อใช้แสดงผลบน UI
   const requestedRange = useMemo(() => {
     const req = result?.quality?.requestedRange || result?.period;
@@ -162,6 +176,22 @@ function ReturnCalculator() {
     return { start, end };
   }, [result, startDate, endDate]);
 
+  // สกุลเงินที่แสดง: แปลงปันผลแต่ละครั้งด้วยอัตรา ณ วันจ่าย
+  const { displayCurrency } = useDisplayCurrency();
+  const sourceCurrency = result?.currency || '';
+  const targetCurrency = resolveTargetCurrency(displayCurrency, sourceCurrency);
+  const fx = useFxRates(sourceCurrency, targetCurrency, requestedRange.start, requestedRange.end);
+
+  // ดึงรายการ events (เงินปันผล) ออกมา ถ้าไม่มีให้เป็น array ว่าง (ใช้ useMemo เพื่อลดการคำนวณซ้ำ)
+  // amountDisplay = ปันผลต่อหุ้นในสกุลเงินที่แสดง (amountDisplayApproximate = แปลงด้วยอัตราโดยประมาณ)
+  const events = useMemo(() => {
+    const list = Array.isArray(result?.events) ? result.events : [];
+    return list.map((ev) => {
+      const { amount, approximate } = toDisplayAmount(ev, sourceCurrency, targetCurrency, fx);
+      return { ...ev, amountDisplay: amount, amountDisplayApproximate: approximate };
+    });
+  }, [result, sourceCurrency, targetCurrency, fx]);
+
   // ฟังก์ชันตรวจสอบว่าวันที่หนึ่งๆ อยู่ในช่วงที่เลือกหรือไม่
   const isWithinRange = (iso) => {
     const d = parseDateInput(iso);
@@ -180,10 +210,11 @@ function ReturnCalculator() {
     if (!events.length) {
       return {
         currency: result?.currency || '',
+        targetCurrency,
         inRangeCount: 0,
         totalEvents: 0,
         totalPerShare: null,
-        totalUSD: null,
+        totalDisplay: null,
         totalTHB: null,
         avgYield: null,
         medianYield: null,
@@ -205,10 +236,10 @@ function ReturnCalculator() {
 
     // ตัวแปรสะสมค่าต่างๆ
     let totalPerShare = 0;
-    let totalUSD = 0;
+    let totalDisplay = 0;
     let totalTHB = 0;
     let haveNative = false;
-    let haveUSD = false;
+    let haveDisplay = false;
     let haveTHB = false;
     const yields = [];
 
@@ -227,7 +258,7 @@ function ReturnCalculator() {
     // วนลูปคำนวณค่าจากรายการปันผลแต่ละครั้ง
     for (const ev of target) {
       const amt = toFiniteNumber(ev.amountPerShare);
-      const usd = toFiniteNumber(ev.amountUSD);
+      const shown = toFiniteNumber(ev.amountDisplay);
       const thb = toFiniteNumber(ev.amountTHB);
       const yld = toFiniteNumber(ev.yieldPercent);
       const d = parseDateInput(ev.date);
@@ -236,9 +267,9 @@ function ReturnCalculator() {
         totalPerShare += amt;
         haveNative = true;
       }
-      if (usd !== null) {
-        totalUSD += usd;
-        haveUSD = true;
+      if (shown !== null) {
+        totalDisplay += shown;
+        haveDisplay = true;
       }
       if (thb !== null) {
         totalTHB += thb;
@@ -257,9 +288,9 @@ function ReturnCalculator() {
 
         // เก็บข้อมูลสรุปรายปี
         const y = d.getFullYear();
-        const entry = yearMap.get(y) || { perShare: 0, usd: 0, thb: 0, count: 0 };
+        const entry = yearMap.get(y) || { perShare: 0, display: null, thb: 0, count: 0 };
         if (amt !== null) entry.perShare += amt;
-        if (usd !== null) entry.usd += usd;
+        if (shown !== null) entry.display = (entry.display || 0) + shown;
         if (thb !== null) entry.thb += thb;
         entry.count += 1;
         yearMap.set(y, entry);
@@ -283,10 +314,11 @@ function ReturnCalculator() {
 
     return {
       currency,
+      targetCurrency,
       inRangeCount: inRange.length,
       totalEvents: events.length,
       totalPerShare: haveNative ? Number(totalPerShare.toFixed(4)) : null,
-      totalUSD: haveUSD ? Number(totalUSD.toFixed(2)) : null,
+      totalDisplay: haveDisplay ? Number(totalDisplay.toFixed(2)) : null,
       totalTHB: haveTHB ? Number(totalTHB.toFixed(2)) : null,
       avgYield: avgYield !== null ? Number(avgYield.toFixed(2)) : null,
       medianYield: medianYield !== null ? Number(medianYield.toFixed(2)) : null,
@@ -297,7 +329,7 @@ function ReturnCalculator() {
       perYear,
       usedFallback,
     };
-  }, [events, result, requestedRange]);
+  }, [events, result, requestedRange, targetCurrency]);
 
   // ฟังก์ชันจัดการเมื่อผู้ใช้กดปุ่มค้นหา (Submit Form)
   const onSubmit = async (e) => {
@@ -497,11 +529,16 @@ function ReturnCalculator() {
             </div>
 
             <div className="summary-card">
-              <span className="label">รวมเป็น USD</span>
+              <span className="label">รวมเป็น {targetCurrency || '—'}</span>
               <strong className="value-large">
-                {formatNumber(summaries.totalUSD, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                {Number.isFinite(summaries.totalUSD) ? ' USD' : ''}
+                {formatNumber(summaries.totalDisplay, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                {Number.isFinite(summaries.totalDisplay) ? ` ${targetCurrency}` : ''}
               </strong>
+              {fx.loading && <span className="value-sub">กำลังโหลดอัตราแลกเปลี่ยน…</span>}
+              {fx.unavailable && <span className="value-sub">ไม่มีอัตราแลกเปลี่ยน {sourceCurrency}/{targetCurrency}</span>}
+              {events.some((ev) => ev.amountDisplayApproximate) && (
+                <span className="value-sub">≈ บางรายการก่อนอัตราแลกเปลี่ยนรายวันแรก ใช้อัตราแรกที่มี (ประมาณ)</span>
+              )}
             </div>
 
             <div className="summary-card">
@@ -548,7 +585,7 @@ function ReturnCalculator() {
                     <th>ปี</th>
                     <th>ครั้งที่จ่าย</th>
                     <th>รวม/หุ้น ({summaries.currency || '-'})</th>
-                    <th>รวม (USD)</th>
+                    <th>รวม ({targetCurrency || '-'})</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -557,7 +594,7 @@ function ReturnCalculator() {
                       <td>{row.year}</td>
                       <td>{row.count}</td>
                       <td>{formatNumber(row.perShare, { minimumFractionDigits: 2, maximumFractionDigits: 4 })}</td>
-                      <td>{formatNumber(row.usd, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                      <td>{formatNumber(row.display, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -578,7 +615,7 @@ function ReturnCalculator() {
                     <th>จำนวนต่อหุ้น ({summaries.currency || '—'})</th>
                     <th>ราคาปิดใกล้เคียง</th>
                     <th>Dividend Yield</th>
-                    <th>เป็น USD</th>
+                    <th>เป็น {targetCurrency || '—'}</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -600,9 +637,9 @@ function ReturnCalculator() {
 
                       <td>{formatPercent(ev.yieldPercent)}</td>
 
-                      <td>
-                        {Number.isFinite(ev.amountUSD)
-                          ? `${formatNumber(ev.amountUSD, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD`
+                      <td title={ev.amountDisplayApproximate ? 'ประมาณ: ใช้อัตราแลกเปลี่ยนแรกที่มี' : undefined}>
+                        {Number.isFinite(ev.amountDisplay)
+                          ? `${ev.amountDisplayApproximate ? '≈ ' : ''}${formatNumber(ev.amountDisplay, { minimumFractionDigits: 2, maximumFractionDigits: 4 })} ${targetCurrency}`
                           : '—'}
                       </td>
                     </tr>
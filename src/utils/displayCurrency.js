@@ -0,0 +1,174 @@
+// src/utils/displayCurrency.js
+// สกุลเงินที่ใช้แสดงราคา (ตั้งครั้งเดียวที่ Layout ใช้ทุกหน้า)
+// - ORIGINAL : แสดงตามสกุลเงินของหุ้น (ไม่แปลง)
+// - อื่นๆ     : แปลงด้วยอัตราของแต่ละวัน (/api/forex/history) ถ้าไม่มีใช้อัตราปัจจุบัน (/api/forex/:from/:to)
+
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { apiFetch } from './api';
+
+const ORIGINAL_CURRENCY = 'ORIGINAL';
+
+const DISPLAY_CURRENCIES = [
+  { code: ORIGINAL_CURRENCY, label: 'สกุลเงินเดิม' },
+  { code: 'THB', label: 'THB (บาท)' },
+  { code: 'USD', label: 'USD' },
+  { code: 'JPY', label: 'JPY' },
+  { code: 'HKD', label: 'HKD' },
+  { code: 'EUR', label: 'EUR' }
+];
+
+const DEFAULT_DISPLAY_CURRENCY = 'THB';
+const STORAGE_KEY = 'displayCurrency';
+
+const DisplayCurrencyContext = createContext({
+  displayCurrency: DEFAULT_DISPLAY_CURRENCY,
+  setDisplayCurrency: () => {}
+});
+
+const loadDisplayCurrency = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return DISPLAY_CURRENCIES.some(option => option.code === saved) ? saved : DEFAULT_DISPLAY_CURRENCY;
+  } catch {
+    return DEFAULT_DISPLAY_CURRENCY;
+  }
+};
+
+const saveDisplayCurrency = (code) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // Private mode: ใช้ได้แค่ในหน้านี้
+  }
+};
+
+const useDisplayCurrency = () => useContext(DisplayCurrencyContext);
+
+// สกุลเงินปลายทางของหุ้นที่มีสกุลเงิน source (ORIGINAL = ไม่แปลง)
+const resolveTargetCurrency = (displayCurrency, source) =>
+  (displayCurrency === ORIGINAL_CURRENCY || !source ? source : displayCurrency);
+
+// --- อัตราแลกเปลี่ยน (เก็บ Promise ไว้ใช้ร่วมทุกหน้า) ---
+const rateCache = new Map();
+
+const remember = (key, load) => {
+  if (!rateCache.has(key)) {
+    const promise = load().catch(err => {
+      rateCache.delete(key); // ล้มเหลวแล้วให้ลองใหม่ได้ครั้งหน้า
+      throw err;
+    });
+    rateCache.set(key, promise);
+  }
+  return rateCache.get(key);
+};
+
+async function fetchFxRate(from, to) {
+  return remember(`${from}${to}`, async () => {
+    const response = await apiFetch(`/api/forex/${from}/${to}`);
+    return Number(response.rate) || null;
+  });
+}
+
+// อัตรารายวัน → [{ date: 'YYYY-MM-DD', rate }]
+async function fetchFxHistory(from, to, startDate, endDate) {
+  return remember(`${from}${to}_${startDate || ''}_${endDate || ''}`, async () => {
+    const params = new URLSearchParams({ pair: `${from}${to}` });
+    if (startDate) params.append('startDate', startDate);
+    if (endDate) params.append('endDate', endDate);
+    const response = await apiFetch(`/api/forex/history?${params.toString()}`);
+    return response.rates || [];
+  });
+}
+
+// อัตราของวันนั้น: ราคาปิดล่าสุดที่ไม่เกินวันที่ (วันหยุดใช้วันทำการก่อนหน้า)
+// ก่อนข้อมูลแรกใช้ตัวแรกแทน → ติด approximate: true (date ยังเป็นวันของอัตรานั้น ไม่ใช่วันที่ขอ)
+function findRateForDate(rates, day) {
+  if (!rates.length) return null;
+  for (let i = rates.length - 1; i >= 0; i -= 1) {
+    if (rates[i].date <= day) return rates[i];
+  }
+  return { ...rates[0], approximate: true };
+}
+
+/**
+ * useFxRates - อัตรา from → to รายวันในช่วงวันที่ + อัตราปัจจุบันสำรอง
+ * @returns {{ converted, loading, unavailable, currentRate, rateFor: (day) => { rate, date, approximate? } }}
+ *   converted = false เมื่อไม่ต้องแปลง (สกุลเดียวกัน/ไม่รู้สกุล), กำลังโหลด หรือหาอัตราไม่ได้ (unavailable)
+ *   → แสดงสกุลเงินเดิมไปก่อน และ rateFor คืน rate 1
+ *   rateFor(day).date = null เมื่อใช้อัตราปัจจุบันแทน (ไม่มีอัตรารายวัน)
+ *   rateFor(day).approximate = true เมื่อวันนั้นอยู่ก่อนอัตรารายวันแรก (ใช้อัตราแรกแทน)
+ */
+function useFxRates(from, to, startDate, endDate) {
+  const key = from && to && from !== to ? `${from}${to}_${startDate || ''}_${endDate || ''}` : '';
+  const [state, setState] = useState({ key: '', rates: [], currentRate: null });
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let cancelled = false;
+    Promise.all([
+      fetchFxRate(from, to).catch(() => null),
+      fetchFxHistory(from, to, startDate, endDate).catch(() => [])
+    ]).then(([currentRate, rates]) => {
+      if (!cancelled) setState({ key, rates, currentRate });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, from, to, startDate, endDate]);
+
+  return useMemo(() => {
+    const identity = { converted: false, loading: false, unavailable: false, currentRate: 1, rateFor: () => ({ rate: 1, date: null }) };
+    if (!key) return identity;
+    if (state.key !== key) return { ...identity, loading: true };
+
+    const { rates, currentRate } = state;
+    if (!rates.length && !currentRate) return { ...identity, unavailable: true };
+    return {
+      converted: true,
+      loading: false,
+      unavailable: false,
+      currentRate: currentRate || rates[rates.length - 1].rate,
+      rateFor: (day) => findRateForDate(rates, day) || { rate: currentRate, date: null }
+    };
+  }, [key, state]);
+}
+
+/**
+ * convertCloses - แปลงราคาปิดของแต่ละแถวด้วยอัตราของวันนั้น
+ * เก็บ originalClose / fxRate / fxDate ไว้ในแถว (fxDate = null คือใช้อัตราปัจจุบัน)
+ * fxApproximate = true เมื่อแถวนั้นอยู่ก่อนอัตรารายวันแรก (fxDate เป็นวันของอัตราที่ใช้แทน)
+ */
+function convertCloses(rows, fx, sourceCurrency) {
+  return rows.map(row => {
+    const orig = typeof row.close === 'number' ? Number(row.close) : null;
+    if (!fx.converted || orig === null) {
+      return { ...row, originalClose: orig, originalCurrency: sourceCurrency };
+    }
+    const { rate, date, approximate = false } = fx.rateFor(String(row.date).slice(0, 10));
+    return {
+      ...row,
+      originalClose: orig,
+      originalCurrency: sourceCurrency,
+      close: rate ? Number((orig * rate).toFixed(4)) : null,
+      fxRate: rate,
+      fxDate: date,
+      fxApproximate: approximate
+    };
+  });
+}
+
+export {
+  ORIGINAL_CURRENCY,
+  DISPLAY_CURRENCIES,
+  DEFAULT_DISPLAY_CURRENCY,
+  DisplayCurrencyContext,
+  loadDisplayCurrency,
+  saveDisplayCurrency,
+  useDisplayCurrency,
+  resolveTargetCurrency,
+  fetchFxRate,
+  fetchFxHistory,
+  findRateForDate,
+  useFxRates,
+  convertCloses
+};
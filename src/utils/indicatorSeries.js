@@ -0,0 +1,244 @@
+// src/utils/indicatorSeries.js
+// Indicators ของหน้า Indicators แบ่งเป็นกลุ่ม (Group) ที่คำนวณแยกกันได้ ใช้ร่วมกันระหว่าง useIndicators และ indicators.worker.js
+// - แท่งราคาส่งเข้า Worker เป็น Float64Array (Transferable → ไม่ต้อง Copy)
+// - แต่ละกลุ่มมี signature จากพารามิเตอร์ของตัวเอง → เปลี่ยนพารามิเตอร์แล้วคำนวณใหม่เฉพาะกลุ่มที่ signature เปลี่ยน
+// - Series ที่ส่งกลับเป็น Float64Array เรียงตาม Index ของแท่ง (NaN = ไม่มีค่า / ช่วง Warm-up)
+// - Marker (Divergence, จุดตัด, High/Low) อ้างอิงแท่งด้วย index แทน Date
+
+import {
+  MOVING_AVERAGES,
+  bollingerSeries,
+  hasHighLow,
+  atrSeries,
+  stochasticSeries,
+  adxSeries,
+  obvSeries,
+  vwapSeries,
+  ichimokuSeries,
+  supertrendSeries,
+  squeezeSeries,
+  calculateSMA,
+  calculateRSI,
+  calculateMACD,
+  calculateDivergence,
+  calculateGoldenDeathCross,
+  calculateFibonacci,
+  calculateHeikinAshi,
+  calculateRSISmoothing,
+  calculatePeakPoints
+} from '../../shared/indicators';
+
+const BAR_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+/**
+ * toFloat64 - Array (null = ไม่มีค่า) → Float64Array (NaN = ไม่มีค่า)
+ * @param {Array<number|null>} values
+ * @returns {Float64Array}
+ */
+export const toFloat64 = (values) => {
+  const out = new Float64Array(values.length);
+  for (let i = 0; i < values.length; i++) out[i] = values[i] ?? NaN;
+  return out;
+};
+
+/**
+ * valueAt - ค่าของ Series ที่ Index (NaN/ไม่มี → null แบบเดียวกับ Series ของ shared/indicators.js)
+ * @param {Float64Array} values
+ * @param {number} idx
+ * @returns {number|null}
+ */
+export const valueAt = (values, idx) => {
+  const value = values[idx];
+  return Number.isNaN(value) || value === undefined ? null : value;
+};
+
+/**
+ * packBars - แท่งราคา → Float64Array ต่อฟิลด์ (เวลาเป็น epoch ms)
+ * @param {Array} sorted - [{ date: Date, open, high, low, close, volume }]
+ * @returns {{ bars: { time, open, high, low, close, volume }, transfer: ArrayBuffer[] }}
+ *   transfer = Buffer ที่ส่งเป็น Transferable ใน postMessage ได้
+ */
+export const packBars = (sorted) => {
+  const bars = { time: new Float64Array(sorted.length) };
+  for (const field of BAR_FIELDS) bars[field] = new Float64Array(sorted.length);
+  sorted.forEach((row, idx) => {
+    bars.time[idx] = row.date.getTime();
+    for (const field of BAR_FIELDS) bars[field][idx] = Number.isFinite(row[field]) ? row[field] : NaN;
+  });
+  return { bars, transfer: Object.values(bars).map(values => values.buffer) };
+};
+
+/**
+ * unpackBars - กลับเป็นแท่งราคาแบบที่ shared/indicators.js รับ (ฟิลด์ที่ไม่มีค่าเป็น null)
+ * @param {object} packed - bars จาก packBars
+ * @returns {Array<{ date: Date, open, high, low, close, volume }>}
+ */
+export const unpackBars = (packed) => Array.from(packed.time, (time, idx) => {
+  const row = { date: new Date(time) };
+  for (const field of BAR_FIELDS) row[field] = valueAt(packed[field], idx);
+  return row;
+});
+
+/**
+ * collectTransferables - Buffer ของ Float64Array ทั้งหมดใน Object (ลงไปใน Object ย่อย ไม่ลงใน Array)
+ * @param {object} value
+ * @param {ArrayBuffer[]} [out]
+ * @returns {ArrayBuffer[]}
+ */
+export const collectTransferables = (value, out = []) => {
+  if (value instanceof Float64Array) out.push(value.buffer);
+  else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const child of Object.values(value)) collectTransferables(child, out);
+  }
+  return out;
+};
+
+// [{ date, value }] ของ shared/indicators.js → Float64Array ตาม Index ของแท่ง
+const pointsToSeries = (points, length, indexOf, field = 'value') => {
+  const out = new Float64Array(length).fill(NaN);
+  for (const point of points || []) out[indexOf(point.date)] = point[field] ?? NaN;
+  return out;
+};
+
+// Marker ที่มี date → index
+const withIndex = ({ date, ...rest }, indexOf) => ({ ...rest, index: indexOf(date) });
+
+/**
+ * indicatorGroups - กลุ่มที่ต้องคำนวณสำหรับ settings ชุดหนึ่ง
+ * @param {object} settings - ดู DEFAULT_INDICATOR_SETTINGS ใน utils/indicatorSettings.js
+ * @returns {Array<{ key, signature, compute }>}
+ *   compute(bars, { intraday, indexOf }) → { rows?: { [field]: Float64Array }, ...ข้อมูลเฉพาะกลุ่ม }
+ *   rows = ฟิลด์ที่ใส่ลงในแถวของกราฟราคาโดยตรง
+ */
+export const indicatorGroups = (settings) => {
+  const { atr, stoch, adx, ichimoku, supertrend, squeeze } = settings.studies;
+  const { rsi } = settings;
+
+  return [
+    // ขึ้นกับแท่งราคาอย่างเดียว → คำนวณครั้งเดียวต่อการโหลด
+    {
+      key: 'bars',
+      signature: '',
+      compute: (bars, { intraday, indexOf }) => {
+        const heikinAshi = calculateHeikinAshi(bars);
+        const macd = calculateMACD(bars);
+        // Golden Cross / Death Cross (SMA 50 ตัด SMA 200)
+        const goldenDeath = calculateGoldenDeathCross(bars, calculateSMA(bars, 50), calculateSMA(bars, 200));
+        return {
+          rows: {
+            haOpen: toFloat64(heikinAshi.map(ha => ha.open)),
+            haHigh: toFloat64(heikinAshi.map(ha => ha.high)),
+            haLow: toFloat64(heikinAshi.map(ha => ha.low)),
+            haClose: toFloat64(heikinAshi.map(ha => ha.close)),
+            obv: toFloat64(obvSeries(bars)),
+            vwap: toFloat64(vwapSeries(bars, intraday)) // Intraday เริ่มนับใหม่ทุกวัน, รายวันขึ้นไปสะสมทั้งช่วง
+          },
+          hasHighLow: hasHighLow(bars),
+          fibonacci: calculateFibonacci(bars),
+          macdHistogram: pointsToSeries(macd?.histogram, bars.length, indexOf),
+          goldenDeathSignals: goldenDeath.signals.map(s => withIndex(s, indexOf)),
+          goldenDeathZones: goldenDeath.zones.map(({ start, end, type }) => ({ start: indexOf(start), end: indexOf(end), type })),
+          // จุด High/Low ของแต่ละสัปดาห์/เดือน/ปี
+          highLowPeaks: ['week', 'month', 'year'].flatMap(periodType => calculatePeakPoints(bars, periodType)).map(p => withIndex(p, indexOf))
+        };
+      }
+    },
+    // เส้นค่าเฉลี่ยแยกกลุ่มละเส้น → เพิ่ม/แก้เส้นเดียวไม่ต้องคำนวณเส้นอื่นใหม่
+    ...settings.maLines.map(line => ({
+      key: `ma_${line.id}`,
+      signature: `${line.type}:${line.period}`,
+      compute: (bars) => ({
+        rows: { [`ma_${line.id}`]: toFloat64(MOVING_AVERAGES[line.type](bars.map(row => row.close), line.period)) }
+      })
+    })),
+    {
+      key: 'bb',
+      signature: JSON.stringify(settings.bb),
+      compute: (bars) => {
+        const bb = bollingerSeries(bars.map(row => row.close), settings.bb.period, settings.bb.mult);
+        return { rows: { bbUpper: toFloat64(bb.upper), bbMiddle: toFloat64(bb.middle), bbLower: toFloat64(bb.lower) } };
+      }
+    },
+    {
+      key: 'atr',
+      signature: JSON.stringify(atr),
+      compute: (bars) => ({ rows: { atr: toFloat64(atrSeries(bars, atr.period)) } })
+    },
+    {
+      key: 'stoch',
+      signature: JSON.stringify(stoch),
+      compute: (bars) => {
+        const { k, d } = stochasticSeries(bars, stoch.kPeriod, stoch.smoothK, stoch.dPeriod);
+        return { rows: { stochK: toFloat64(k), stochD: toFloat64(d) } };
+      }
+    },
+    {
+      key: 'adx',
+      signature: JSON.stringify(adx),
+      compute: (bars) => {
+        const dmi = adxSeries(bars, adx.period);
+        return { rows: { adx: toFloat64(dmi.adx), plusDI: toFloat64(dmi.plusDI), minusDI: toFloat64(dmi.minusDI) } };
+      }
+    },
+    {
+      key: 'ichimoku',
+      signature: JSON.stringify(ichimoku),
+      compute: (bars) => {
+        const ichi = ichimokuSeries(bars, ichimoku.tenkan, ichimoku.kijun, ichimoku.senkou, ichimoku.displacement);
+        return {
+          rows: {
+            ichiTenkan: toFloat64(ichi.tenkan),
+            ichiKijun: toFloat64(ichi.kijun),
+            ichiSpanA: toFloat64(ichi.spanA),
+            ichiSpanB: toFloat64(ichi.spanB),
+            ichiChikou: toFloat64(ichi.chikou)
+          }
+        };
+      }
+    },
+    {
+      key: 'supertrend',
+      signature: JSON.stringify(supertrend),
+      compute: (bars) => {
+        const st = supertrendSeries(bars, supertrend.period, supertrend.mult);
+        // แยกเส้นตามทิศ → สีต่างกันและไม่ลากเส้นเชื่อมตอนกลับทิศ
+        return {
+          rows: {
+            stUp: toFloat64(st.value.map((v, idx) => (st.direction[idx] === 1 ? v : null))),
+            stDown: toFloat64(st.value.map((v, idx) => (st.direction[idx] === -1 ? v : null)))
+          }
+        };
+      }
+    },
+    {
+      key: 'squeeze',
+      signature: JSON.stringify(squeeze),
+      compute: (bars) => {
+        const sqz = squeezeSeries(bars, squeeze.bbLength, squeeze.bbMult, squeeze.kcLength, squeeze.kcMult);
+        // sqzState: 1 = Squeeze On, -1 = Off, 0 = ไม่มี Squeeze
+        return { rows: { sqzValue: toFloat64(sqz.value), sqzState: toFloat64(sqz.squeeze) } };
+      }
+    },
+    // RSI + Smoothing + Divergence
+    {
+      key: 'rsi',
+      signature: JSON.stringify(rsi),
+      compute: (bars, { indexOf }) => {
+        const rsiPoints = calculateRSI(bars, rsi.length);
+        const smoothed = calculateRSISmoothing(rsiPoints, rsi.smoothingType, rsi.smoothingLength, rsi.bbMultiplier) || [];
+        const divergences = rsi.divergence.enabled
+          ? calculateDivergence(rsiPoints, bars, rsi.divergence.lookbackLeft, rsi.divergence.lookbackRight)
+          : [];
+        return {
+          rsi: {
+            value: pointsToSeries(smoothed, bars.length, indexOf),
+            smoothing: pointsToSeries(smoothed, bars.length, indexOf, 'smoothing'),
+            smoothingUpper: pointsToSeries(smoothed, bars.length, indexOf, 'smoothingUpper'),
+            smoothingLower: pointsToSeries(smoothed, bars.length, indexOf, 'smoothingLower')
+          },
+          rsiDivergences: divergences.map(d => withIndex(d, indexOf))
+        };
+      }
+    }
+  ];
+};
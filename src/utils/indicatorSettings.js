@@ -0,0 +1,161 @@
+// src/utils/indicatorSettings.js
+// พารามิเตอร์ของ Indicators ที่ผู้ใช้ปรับได้ (หน้า Indicators) เก็บใน localStorage ของเบราว์เซอร์
+// - maLines: เส้นค่าเฉลี่ยบนกราฟราคา [{ id, type: SMA/EMA/WMA/HMA, period, color }]
+// - bb     : Bollinger Bands ของราคา { period, mult }
+// - rsi    : RSI + Smoothing + Divergence (เดิมคือ RSI_SETTINGS ใน IndicatorsPage)
+// - studies: พารามิเตอร์ของ ATR/Stochastic/ADX/Ichimoku/Supertrend/Squeeze Momentum (ชื่อและขอบเขตตาม STUDIES ใน shared/indicators.js)
+// เปลี่ยนค่าแล้วคำนวณใหม่จากแท่งเดิม ไม่ต้องดึงข้อมูลใหม่
+
+import { MOVING_AVERAGES, RSI_SMOOTHING_TYPES, STUDIES } from '../../shared/indicators';
+
+const MA_TYPES = Object.keys(MOVING_AVERAGES);
+const MAX_MA_LINES = 10;
+
+// Study ที่ปรับพารามิเตอร์ได้ในหน้า Indicators (OBV/VWAP ไม่มีพารามิเตอร์)
+const STUDY_SETTING_IDS = ['atr', 'stoch', 'adx', 'ichimoku', 'supertrend', 'squeeze'];
+
+// ขอบเขตของแต่ละค่า [min, max, integer]
+const SETTING_LIMITS = {
+  period: [1, 500, true],
+  mult: [0.1, 10, false],
+  lookback: [1, 50, true]
+};
+
+// สีของเส้นที่เพิ่มใหม่ (วนตามลำดับ)
+const MA_COLORS = ['#e91e63', '#00bcd4', '#ffc107', '#4caf50', '#ff6f00', '#00897b', '#7b1fa2', '#8d6e63', '#cddc39', '#f06292'];
+
+const DEFAULT_INDICATOR_SETTINGS = {
+  maLines: [
+    { id: 'ma1', type: 'SMA', period: 10, color: '#e91e63' },   // ชมพู - ระยะสั้น
+    { id: 'ma2', type: 'SMA', period: 50, color: '#00bcd4' },   // ฟ้า - ระยะกลาง
+    { id: 'ma3', type: 'SMA', period: 100, color: '#ffc107' },  // เหลือง - ระยะกลาง-ยาว
+    { id: 'ma4', type: 'SMA', period: 200, color: '#4caf50' },  // เขียว - ระยะยาว
+    { id: 'ma5', type: 'EMA', period: 50, color: '#ff6f00' },   // ส้ม
+    { id: 'ma6', type: 'EMA', period: 100, color: '#00897b' },  // เขียวเข้ม
+    { id: 'ma7', type: 'EMA', period: 200, color: '#7b1fa2' }   // ม่วง
+  ],
+  bb: { period: 20, mult: 2 },                 // BB = SMA(20) ± 2 × Standard Deviation
+  rsi: {
+    length: 14,                                // RSI period มาตรฐาน (Wilder ใช้ 14)
+    smoothingType: 'SMA + Bollinger Bands',    // 'SMA' | 'EMA' | 'SMA + Bollinger Bands'
+    smoothingLength: 14,                       // ความยาวเส้น Smoothing
+    bbMultiplier: 2,                           // แถบของ RSI = Smoothing ± 2 × SD
+    divergence: {
+      enabled: true,
+      lookbackLeft: 5,                         // จำนวนแท่งทางซ้ายที่ใช้ยืนยัน Pivot
+      lookbackRight: 5,                        // จำนวนแท่งทางขวาที่ใช้ยืนยัน Pivot
+      rangeUpper: 60,
+      rangeLower: 5
+    }
+  },
+  // { atr: { period: 14 }, stoch: { kPeriod: 14, smoothK: 3, dPeriod: 3 }, ... } จากค่าเริ่มต้นใน STUDIES
+  studies: Object.fromEntries(STUDY_SETTING_IDS.map(id => [
+    id,
+    Object.fromEntries(STUDIES[id].params.map(param => [param.name, param.default]))
+  ]))
+};
+
+const STORAGE_KEY = 'indicatorSettings';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// ค่านอกขอบเขตถูกบีบให้อยู่ในขอบเขต ค่าที่ไม่ใช่ตัวเลขใช้ค่าเริ่มต้น
+const clampSetting = (value, kind, fallback) => {
+  const [min, max, integer] = SETTING_LIMITS[kind];
+  const num = Number(value);
+  if (value === null || value === '' || !Number.isFinite(num)) return fallback;
+  const clamped = Math.min(Math.max(num, min), max);
+  return integer ? Math.round(clamped) : clamped;
+};
+
+// พารามิเตอร์ของ Study: จำนวนเต็มใช้ขอบเขตของ period, ทศนิยมใช้ของ mult (ตรงกับ PERIOD/MULTIPLIER ใน STUDIES)
+const studyParamKind = (param) => (param.integer ? 'period' : 'mult');
+
+const sanitizeMaLine = (line, index) => ({
+  id: typeof line?.id === 'string' && line.id ? line.id : `ma${index + 1}`,
+  type: MA_TYPES.includes(line?.type) ? line.type : 'SMA',
+  period: clampSetting(line?.period, 'period', 20),
+  color: COLOR_PATTERN.test(line?.color) ? line.color : MA_COLORS[index % MA_COLORS.length]
+});
+
+/**
+ * sanitizeIndicatorSettings - เติมค่าที่ขาดด้วยค่าเริ่มต้นและบีบค่าให้อยู่ในขอบเขต
+ * (ใช้กับค่าที่อ่านจาก localStorage ซึ่งอาจมาจากเวอร์ชันเก่าหรือถูกแก้ด้วยมือ)
+ */
+const sanitizeIndicatorSettings = (raw) => {
+  const defaults = DEFAULT_INDICATOR_SETTINGS;
+  const rsi = raw?.rsi || {};
+  const divergence = rsi.divergence || {};
+
+  const seen = new Set();
+  const maLines = (Array.isArray(raw?.maLines) ? raw.maLines : defaults.maLines)
+    .slice(0, MAX_MA_LINES)
+    .map(sanitizeMaLine)
+    .filter(line => !seen.has(line.id) && seen.add(line.id));
+
+  return {
+    maLines,
+    bb: {
+      period: clampSetting(raw?.bb?.period, 'period', defaults.bb.period),
+      mult: clampSetting(raw?.bb?.mult, 'mult', defaults.bb.mult)
+    },
+    rsi: {
+      length: clampSetting(rsi.length, 'period', defaults.rsi.length),
+      smoothingType: RSI_SMOOTHING_TYPES.includes(rsi.smoothingType) ? rsi.smoothingType : defaults.rsi.smoothingType,
+      smoothingLength: clampSetting(rsi.smoothingLength, 'period', defaults.rsi.smoothingLength),
+      bbMultiplier: clampSetting(rsi.bbMultiplier, 'mult', defaults.rsi.bbMultiplier),
+      divergence: {
+        ...defaults.rsi.divergence,
+        enabled: typeof divergence.enabled === 'boolean' ? divergence.enabled : defaults.rsi.divergence.enabled,
+        lookbackLeft: clampSetting(divergence.lookbackLeft, 'lookback', defaults.rsi.divergence.lookbackLeft),
+        lookbackRight: clampSetting(divergence.lookbackRight, 'lookback', defaults.rsi.divergence.lookbackRight)
+      }
+    },
+    studies: Object.fromEntries(STUDY_SETTING_IDS.map(id => [
+      id,
+      Object.fromEntries(STUDIES[id].params.map(param => [
+        param.name,
+        clampSetting(raw?.studies?.[id]?.[param.name], studyParamKind(param), defaults.studies[id][param.name])
+      ]))
+    ]))
+  };
+};
+
+const loadIndicatorSettings = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? sanitizeIndicatorSettings(JSON.parse(saved)) : DEFAULT_INDICATOR_SETTINGS;
+  } catch {
+    return DEFAULT_INDICATOR_SETTINGS;
+  }
+};
+
+const saveIndicatorSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode: ใช้ได้แค่ในหน้านี้
+  }
+};
+
+// เส้นใหม่: id ไม่ซ้ำ, สีถัดไปใน MA_COLORS
+const createMaLine = (lines) => {
+  const maxId = lines.reduce((max, line) => Math.max(max, Number(line.id.replace(/^ma/, '')) || 0), 0);
+  return { id: `ma${maxId + 1}`, type: 'SMA', period: 20, color: MA_COLORS[lines.length % MA_COLORS.length] };
+};
+
+const getMaLabel = (line) => `${line.type} ${line.period}`;
+
+export {
+  MA_TYPES,
+  MAX_MA_LINES,
+  STUDY_SETTING_IDS,
+  SETTING_LIMITS,
+  DEFAULT_INDICATOR_SETTINGS,
+  clampSetting,
+  studyParamKind,
+  sanitizeIndicatorSettings,
+  loadIndicatorSettings,
+  saveIndicatorSettings,
+  createMaLine,
+  getMaLabel
+};
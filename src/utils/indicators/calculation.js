@@ -1,7 +0,0 @@
-export function calculateSMA(data, period){ /* ...existing code... */ }
-export function calculateEMA(data, period){ /* ... */ }
-export function calculateRSI(data, period){ /* ... */ }
-export function calculateMACD(data, fast, slow, sig){ /* ... */ }
-export function calculateBollingerBands(data, period, devs){ /* ... */ }
-export function calculateSqueezeMomentum(data, ...){ /* ... */ }
-export function calculateFibonacciRetracement(data){ /* ... */ }
\ No newline at end of file
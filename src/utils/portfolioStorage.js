@@ -0,0 +1,36 @@
+// src/utils/portfolioStorage.js
+// รายการซื้อขายของพอร์ต (รูปแบบดู shared/portfolio.js) เก็บใน localStorage ของเบราว์เซอร์
+// - ข้อมูลที่อ่านไม่ผ่าน parsePortfolio (แก้ด้วยมือ / รูปแบบเก่า) หน้าแสดง Error และยังไม่เขียนทับจนกว่าจะเพิ่มรายการหรือ Import ใหม่
+// - สำรอง/ย้ายเครื่องด้วย Export เป็น JSON หรือ CSV แล้ว Import กลับ
+
+import { PORTFOLIO_VERSION, parsePortfolio } from '../../shared/portfolio';
+
+const STORAGE_KEY = 'portfolio';
+
+// → { transactions, error } (error = ข้อความเมื่อข้อมูลที่เก็บไว้เสีย)
+const loadPortfolio = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (!saved) return { transactions: [], error: '' };
+    return { transactions: parsePortfolio(saved).transactions, error: '' };
+  } catch (err) {
+    return { transactions: [], error: err?.message || 'Saved portfolio could not be read.' };
+  }
+};
+
+const savePortfolio = (transactions) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: PORTFOLIO_VERSION, transactions }));
+  } catch {
+    // Private mode: ใช้ได้แค่ในหน้านี้
+  }
+};
+
+// id ของรายการใหม่ (ไม่ซ้ำในเครื่องเดียวกัน)
+const createTransactionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export {
+  loadPortfolio,
+  savePortfolio,
+  createTransactionId
+};
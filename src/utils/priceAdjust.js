@@ -0,0 +1,21 @@
+// src/utils/priceAdjust.js
+// ตัวเลือกการปรับราคา (ส่งเป็น ?adjust= ให้ /api/stock/history)
+// - none  : ราคาจริงที่ซื้อขายในวันนั้น (ราคากระโดดตอน Split)
+// - split : ปรับ Split แล้ว (ค่าเริ่มต้น) เส้นค่าเฉลี่ยต่อเนื่องข้าม Split
+// - total : ปรับทั้ง Split และเงินปันผล (Total Return) ใช้เทียบผลตอบแทนจริง
+
+const ADJUST_OPTIONS = [
+  { id: 'none', label: 'ราคาจริง' },
+  { id: 'split', label: 'ปรับ Split' },
+  { id: 'total', label: 'Total Return' }
+];
+
+const DEFAULT_ADJUST = 'split';
+
+const getAdjustLabel = (id) => ADJUST_OPTIONS.find(option => option.id === id)?.label || id;
+
+export {
+  ADJUST_OPTIONS,
+  DEFAULT_ADJUST,
+  getAdjustLabel
+};
@@ -0,0 +1,57 @@
+// src/utils/savedStrategies.js
+// กลยุทธ์แบบกำหนดเงื่อนไขเอง (รูปแบบดู shared/strategyRules.js) ที่ผู้ใช้บันทึกไว้ใน localStorage ของเบราว์เซอร์
+// - บันทึกด้วยชื่อ: ชื่อซ้ำ = เขียนทับของเดิม
+// - แชร์ผ่าน URL ของหน้า Indicators: /Indicator?strategy=<encodeStrategy(...)>
+
+import { parseStrategy, encodeStrategy } from '../../shared/strategyRules';
+
+const STORAGE_KEY = 'savedStrategies';
+const MAX_SAVED_STRATEGIES = 30;
+const STRATEGY_URL_PARAM = 'strategy';
+
+// ค่าที่อ่านไม่ผ่าน parseStrategy (แก้ด้วยมือ / Series ที่ถูกถอดออก) ถูกข้ามไป
+const loadSavedStrategies = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return (Array.isArray(saved) ? saved : []).flatMap(item => {
+      try {
+        return [parseStrategy(item)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const saveSavedStrategies = (list) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    // Private mode: ใช้ได้แค่ในหน้านี้
+  }
+};
+
+// เพิ่มหรือเขียนทับตามชื่อ (ล่าสุดอยู่บนสุด)
+const upsertSavedStrategy = (list, strategy) =>
+  [strategy, ...list.filter(item => item.name !== strategy.name)].slice(0, MAX_SAVED_STRATEGIES);
+
+const removeSavedStrategy = (list, name) => list.filter(item => item.name !== name);
+
+// ลิงก์สำหรับแชร์ (หน้า Indicators อ่าน ?strategy= ตอนเปิด)
+const getStrategyShareUrl = (strategy) => {
+  const url = new URL('/Indicator', window.location.origin);
+  url.searchParams.set(STRATEGY_URL_PARAM, encodeStrategy(strategy));
+  return url.toString();
+};
+
+export {
+  MAX_SAVED_STRATEGIES,
+  STRATEGY_URL_PARAM,
+  loadSavedStrategies,
+  saveSavedStrategies,
+  upsertSavedStrategy,
+  removeSavedStrategy,
+  getStrategyShareUrl
+};
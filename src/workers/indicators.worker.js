@@ -0,0 +1,50 @@
+/**
+ * =====================================================
+ * indicators.worker.js - คำนวณ Indicators ของหน้า Indicators นอก Main Thread
+ * =====================================================
+ *
+ * ข้อมูลหลายปีมีหลายพันแท่ง × หลายสิบ Series → คำนวณใน Worker เพื่อให้ Zoom/Pan ไม่กระตุก
+ * Worker เก็บแท่งราคาและ signature ของกลุ่มที่ส่งไปแล้ว → รอบถัดไปส่งกลับเฉพาะกลุ่มที่พารามิเตอร์เปลี่ยน
+ *
+ * รับ:  { type: 'load', generation, bars, intraday }  bars จาก packBars (Transferable)
+ *       { type: 'compute', generation, settings }
+ * ส่ง:  { type: 'result', generation, settings, changed: { [groupKey]: output }, keys }
+ *       changed = เฉพาะกลุ่มที่คำนวณใหม่ (Float64Array ส่งแบบ Transferable), keys = กลุ่มทั้งหมดของ settings นี้
+ *       { type: 'error', generation, message }
+ */
+
+import { unpackBars, indicatorGroups, collectTransferables } from '../utils/indicatorSeries';
+
+let source = null; // { generation, bars, intraday, indexOf }
+const sent = new Map(); // groupKey → signature ที่ส่งไปแล้วของแท่งชุดปัจจุบัน
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    const bars = unpackBars(data.bars);
+    const indexByTime = new Map(bars.map((row, idx) => [row.date.getTime(), idx]));
+    source = { generation: data.generation, bars, intraday: data.intraday, indexOf: (date) => indexByTime.get(date.getTime()) };
+    sent.clear();
+    return;
+  }
+
+  if (data.type !== 'compute' || !source || data.generation !== source.generation) return;
+  try {
+    const groups = indicatorGroups(data.settings);
+    const changed = {};
+    for (const group of groups) {
+      if (sent.get(group.key) === group.signature) continue;
+      changed[group.key] = group.compute(source.bars, source);
+    }
+    // บันทึกหลังคำนวณครบ → ถ้า Error กลางทาง รอบถัดไปคำนวณกลุ่มที่ยังไม่ส่งใหม่
+    const keys = groups.map(group => group.key);
+    for (const key of sent.keys()) if (!keys.includes(key)) sent.delete(key);
+    for (const group of groups) sent.set(group.key, group.signature);
+
+    self.postMessage(
+      { type: 'result', generation: source.generation, settings: data.settings, changed, keys },
+      collectTransferables(changed)
+    );
+  } catch (err) {
+    self.postMessage({ type: 'error', generation: source.generation, message: err?.message || 'Indicator calculation failed.' });
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * =====================================================
+ * optimizer.worker.js - รัน Walk-forward Optimization นอก Main Thread
+ * =====================================================
+ *
+ * การทดสอบหลายพันรอบใช้เวลาหลายวินาที → ทำใน Web Worker เพื่อไม่ให้หน้าเว็บค้าง
+ *
+ * รับ:  { bars, setId, method: 'grid'|'random', ranges, fixed, samples, seed,
+ *         inSample, outSample, startIndex, objective, initialCapital, commission, vat }
+ * ส่ง:  { type: 'progress', done, total }  หลังจบแต่ละหน้าต่าง
+ *       { type: 'result', result, combos }  (combos = จำนวนชุดพารามิเตอร์ที่ทดสอบ)
+ *       { type: 'error', message }
+ */
+
+import { buildParamGrid, sampleParams, runWalkForward } from '../../shared/optimizer';
+
+self.onmessage = ({ data }) => {
+  const { bars, setId, method, ranges, fixed, samples, seed, ...options } = data;
+  try {
+    const combos = method === 'random'
+      ? sampleParams(setId, ranges, { samples, seed, fixed })
+      : buildParamGrid(setId, ranges, fixed);
+    const result = runWalkForward(bars, {
+      ...options,
+      setId,
+      combos,
+      onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+    self.postMessage({ type: 'result', result, combos: combos.length });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || 'Optimization failed.' });
+  }
+};